@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const outputManager = require('./tools/utils/manager/files/outputManager');
+const { loadSamples, inferSelectors, saveInferredSelectors } = require('./tools/utils/selectorInference');
+
+/**
+ * Offline selector inference
+ * Pairs saved product pages with already-extracted products and infers CSS selectors for each
+ * field without the LLM (see tools/utils/selectorInference.js). Inferred selectors are added to the
+ * selector store on probation, so they are shadow-validated before use.
+ *
+ * Pages are paired with products by a `<name>.json` item next to `<name>.html`, the page's saved/
+ * canonical URL, or the file name (product_id or last URL segment). Without --items the vendor's
+ * output files under scrapper/output/<vendor>/ are used.
+ *
+ * Selectors are inferred for one page template at a time (--template, default 'default'): only pages
+ * whose product was extracted on that template (its `page_template`) are used.
+ *
+ * Usage:
+ *   node infer_selectors.js --vendor superdrug --html saved-pages/ [--items items.json] [--fields name,price]
+ *                           [--template marketplace] [--min-samples 2] [--min-agreement 0.8] [--top 2] [--dry-run]
+ */
+
+function parseArgs(argv) {
+    const args = { vendor: null, html: null, items: null, fields: null, template: 'default', minSamples: null, minAgreement: 0.8, top: 2, dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--vendor') args.vendor = String(argv[++i] || '').trim().toLowerCase();
+        else if (arg === '--html') args.html = path.resolve(argv[++i]);
+        else if (arg === '--items') args.items = path.resolve(argv[++i]);
+        else if (arg === '--fields') args.fields = String(argv[++i] || '').split(',').map(f => f.trim()).filter(Boolean);
+        else if (arg === '--template') args.template = String(argv[++i] || '').trim() || 'default';
+        else if (arg === '--min-samples') args.minSamples = Number(argv[++i]);
+        else if (arg === '--min-agreement') args.minAgreement = Number(argv[++i]);
+        else if (arg === '--top') args.top = Number(argv[++i]);
+        else if (arg === '--dry-run') args.dryRun = true;
+    }
+    if (!args.vendor) throw new Error('--vendor is required');
+    if (!args.html || !fs.existsSync(args.html) || !fs.statSync(args.html).isDirectory()) throw new Error('--html must be a folder of saved HTML pages');
+    if (!Number.isFinite(args.minAgreement) || args.minAgreement <= 0 || args.minAgreement > 1) throw new Error('--min-agreement must be a number between 0 and 1');
+    if (!Number.isInteger(args.top) || args.top < 1) throw new Error('--top must be a positive integer');
+    if (args.minSamples !== null && (!Number.isInteger(args.minSamples) || args.minSamples < 1)) throw new Error('--min-samples must be a positive integer');
+    return args;
+}
+
+// Items file: an array of products, or an output-style { items: [...] } / { products: [...] }
+function readItems(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (Array.isArray(data)) return data;
+    return data.items || data.products || [];
+}
+
+async function main() {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        const items = args.items ? readItems(args.items) : outputManager.readVendorOutputItems(args.vendor);
+        const loaded = loadSamples(args.html, items);
+        const { unmatched } = loaded;
+        // Products extracted before page templates existed carry no page_template and count as 'default'
+        const samples = loaded.samples.filter(sample => (sample.item.page_template || 'default') === args.template);
+        const templateLabel = args.template !== 'default' ? ` (${args.template} template)` : '';
+        console.log(`🔍 Inferring selectors for ${args.vendor}${templateLabel} from ${samples.length} saved pages (${items.length} known products)`);
+        if (unmatched.length > 0) console.log(`⚠️ ${unmatched.length} pages without a matching product: ${unmatched.slice(0, 5).join(', ')}${unmatched.length > 5 ? ', ...' : ''}`);
+        if (loaded.samples.length > samples.length) console.log(`⏭️ ${loaded.samples.length - samples.length} pages from other page templates skipped`);
+        if (samples.length === 0) throw new Error('No saved page could be paired with an extracted product');
+
+        const results = await inferSelectors(args.vendor, samples, {
+            fields: args.fields,
+            minSamples: args.minSamples,
+            minAgreement: args.minAgreement,
+            top: args.top
+        });
+
+        console.log('');
+        console.log('📊 Inferred Selectors:');
+        console.log('======================');
+        for (const [field, { samples: count, candidates }] of Object.entries(results)) {
+            if (candidates.length === 0) {
+                console.log(`   ${field}: no selector agreed on enough of ${count} pages`);
+                continue;
+            }
+            for (const candidate of candidates) {
+                console.log(`   ${field}: ${candidate.selector} (${candidate.agreed}/${count} pages)`);
+            }
+        }
+
+        if (args.dryRun) {
+            console.log('\n🧪 Dry run: selector store not changed');
+            return;
+        }
+        const written = await saveInferredSelectors(args.vendor, results, args.template);
+        console.log(`\n💾 Added ${written} selectors to the selector store (on probation until shadow validation promotes them)`);
+    } catch (error) {
+        console.error('💥 Fatal error:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    // Exit explicitly: the selector cache's cleanup timer would keep the process alive
+    main().then(() => process.exit(0)).catch(error => {
+        console.error('💥 Unhandled error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parseArgs,
+    main
+};
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const outputManager = require('./tools/utils/manager/files/outputManager');
+const { matchAcrossVendors, DEFAULT_MIN_CONFIDENCE } = require('./tools/utils/matching/productMatcher');
+const { MatchStoreSqlite, getDefaultDbPath } = require('./tools/utils/matching/matchStore');
+
+/**
+ * Cross-vendor matching job
+ * Reads every vendor's output files under scrapper/output/<vendor>/, links the same product
+ * across vendors (GTIN first, then brand + name + size fuzzy matching), writes the pairwise
+ * matches to the `matches` table in scrapper/output/matches.sqlite and a price-comparison
+ * report to scrapper/output/price-comparison.json.
+ *
+ * Usage:
+ *   node match_products.js [--vendors superdrug,harrods] [--min-confidence 0.75] [--report path]
+ */
+
+function parseArgs(argv) {
+    const args = { vendors: null, minConfidence: Number(process.env.MATCH_MIN_CONFIDENCE) || DEFAULT_MIN_CONFIDENCE, report: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--vendors') args.vendors = String(argv[++i] || '').split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+        else if (arg === '--min-confidence') args.minConfidence = Number(argv[++i]);
+        else if (arg === '--report') args.report = path.resolve(argv[++i]);
+    }
+    if (!Number.isFinite(args.minConfidence) || args.minConfidence <= 0 || args.minConfidence > 1) {
+        throw new Error('--min-confidence must be a number between 0 and 1');
+    }
+    return args;
+}
+
+/**
+ * Vendors with at least one output file
+ * @returns {Array<string>}
+ */
+function discoverVendors() {
+    if (!fs.existsSync(outputManager.OUTPUT_DIR)) return [];
+    return fs.readdirSync(outputManager.OUTPUT_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .filter(vendor => fs.readdirSync(path.join(outputManager.OUTPUT_DIR, vendor)).some(file => /\.output(?:_\d+)?\.json$/.test(file)))
+        .sort();
+}
+
+// Stable id: the shared GTIN when there is one, otherwise a hash of the member keys
+function groupIdOf(group) {
+    const gtin = group.map(c => c.gtin).find(Boolean);
+    if (gtin) return `gtin:${gtin}`;
+    const keys = group.map(c => `${c.vendor}:${c.product_id}`).sort().join('|');
+    return `grp:${crypto.createHash('sha1').update(keys).digest('hex').slice(0, 12)}`;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Build the price-comparison report from a matching result
+ * Prices compared are the retailers' own prices (`cost_price`), only between offers in the same currency.
+ * @param {Object} result - Output of matchAcrossVendors
+ * @param {Array<string>} vendors
+ * @returns {Object}
+ */
+function buildPriceComparison(result, vendors) {
+    const groups = [];
+    for (const group of result.groups) {
+        const offers = group
+            .map(c => ({
+                vendor: c.vendor,
+                product_id: c.product_id,
+                name: c.name,
+                url: c.url,
+                price: c.price,
+                currency: c.currency,
+                price_per_unit: c.price_per_unit,
+                price_per_unit_basis: c.price_per_unit_basis,
+                stock_status: c.stock_status
+            }))
+            .sort((a, b) => (a.price ?? Infinity) - (b.price ?? Infinity));
+        const priced = offers.filter(o => o.price !== null);
+        const currencies = new Set(priced.map(o => o.currency || 'unknown'));
+        const entry = {
+            group_id: groupIdOf(group),
+            gtin: group.map(c => c.gtin).find(Boolean) || null,
+            name: offers[0].name,
+            brand: group.map(c => c.brand).find(Boolean) || null,
+            vendor_count: new Set(group.map(c => c.vendor)).size,
+            offers
+        };
+        if (priced.length >= 2 && currencies.size === 1) {
+            const min = priced[0].price;
+            const max = priced[priced.length - 1].price;
+            Object.assign(entry, {
+                currency: priced[0].currency || null,
+                cheapest_vendor: priced[0].vendor,
+                lowest_price: min,
+                highest_price: max,
+                price_spread: round2(max - min),
+                price_spread_percent: min > 0 ? round2(((max - min) / min) * 100) : null
+            });
+        } else if (currencies.size > 1) {
+            entry.note = 'offers in different currencies, not compared';
+        }
+        groups.push(entry);
+    }
+    groups.sort((a, b) => (b.price_spread_percent ?? -1) - (a.price_spread_percent ?? -1));
+
+    const matched = new Set(result.groups.flat());
+    const exclusives = {};
+    const cheapestCounts = {};
+    for (const vendor of vendors) {
+        exclusives[vendor] = (result.candidates[vendor] || [])
+            .filter(c => !matched.has(c))
+            .map(c => ({ product_id: c.product_id, name: c.name, brand: c.brand || null, url: c.url, price: c.price, currency: c.currency }));
+        cheapestCounts[vendor] = groups.filter(g => g.cheapest_vendor === vendor).length;
+    }
+
+    return {
+        generated_at: new Date().toISOString(),
+        vendors,
+        totals: {
+            products: Object.fromEntries(vendors.map(v => [v, (result.candidates[v] || []).length])),
+            matched_groups: groups.length,
+            compared_groups: groups.filter(g => g.cheapest_vendor).length,
+            matches_by_method: result.matches.reduce((acc, m) => { acc[m.method] = (acc[m.method] || 0) + 1; return acc; }, {}),
+            conflicting_matches: (result.conflicts || []).length,
+            cheapest_by_vendor: cheapestCounts,
+            exclusive_by_vendor: Object.fromEntries(vendors.map(v => [v, exclusives[v].length]))
+        },
+        groups,
+        exclusives,
+        // Matches left out because they would group two products of one vendor, for triage
+        conflicts: (result.conflicts || []).map(m => ({
+            a: { vendor: m.a.vendor, product_id: m.a.product_id, name: m.a.name },
+            b: { vendor: m.b.vendor, product_id: m.b.product_id, name: m.b.name },
+            method: m.method,
+            confidence: m.confidence
+        }))
+    };
+}
+
+/**
+ * Run the matching job
+ * @param {Object} options - { vendors, minConfidence, report, dbPath }
+ * @returns {Promise<Object>} Report totals and file paths
+ */
+async function runMatching(options = {}) {
+    const startedAt = new Date().toISOString();
+    const vendors = (options.vendors && options.vendors.length > 0) ? options.vendors.slice().sort() : discoverVendors();
+    if (vendors.length < 2) {
+        throw new Error(`Need output from at least two vendors to match, found: ${vendors.join(', ') || 'none'}`);
+    }
+
+    const productsByVendor = {};
+    for (const vendor of vendors) {
+        productsByVendor[vendor] = outputManager.readVendorOutputItems(vendor);
+        console.log(`📦 ${vendor}: ${productsByVendor[vendor].length} products`);
+    }
+
+    const result = matchAcrossVendors(productsByVendor, { minConfidence: options.minConfidence || DEFAULT_MIN_CONFIDENCE });
+    const groupOf = new Map();
+    for (const group of result.groups) {
+        const id = groupIdOf(group);
+        for (const c of group) groupOf.set(c, id);
+    }
+
+    const rows = result.matches.map(m => ({
+        vendor_a: m.a.vendor,
+        product_id_a: m.a.product_id,
+        vendor_b: m.b.vendor,
+        product_id_b: m.b.product_id,
+        group_id: groupOf.get(m.a),
+        method: m.method,
+        confidence: m.confidence,
+        details: m.details
+    }));
+
+    const runId = `match_${startedAt.replace(/[:.]/g, '-')}`;
+    const dbPath = options.dbPath || getDefaultDbPath(outputManager.OUTPUT_DIR);
+    const store = new MatchStoreSqlite(dbPath);
+    try {
+        store.replaceMatches({
+            run_id: runId,
+            vendors,
+            products: Object.values(productsByVendor).reduce((sum, list) => sum + list.length, 0),
+            groups_count: result.groups.length,
+            started_at: startedAt
+        }, rows);
+    } finally {
+        store.close();
+    }
+
+    const report = buildPriceComparison(result, vendors);
+    report.run_id = runId;
+    report.min_confidence = options.minConfidence || DEFAULT_MIN_CONFIDENCE;
+    const reportPath = options.report || path.join(outputManager.OUTPUT_DIR, 'price-comparison.json');
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf8');
+
+    return { runId, dbPath, reportPath, totals: report.totals };
+}
+
+async function main() {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        console.log('🔗 Starting cross-vendor matching...');
+        const { dbPath, reportPath, totals } = await runMatching(args);
+
+        console.log('');
+        console.log('📊 Matching Summary:');
+        console.log('=====================');
+        console.log(`   Matched groups: ${totals.matched_groups} (${Object.entries(totals.matches_by_method).map(([m, n]) => `${m}: ${n}`).join(', ') || 'no matches'})`);
+        console.log(`   Price-compared groups: ${totals.compared_groups}`);
+        if (totals.conflicting_matches > 0) {
+            console.log(`   ⚠️  ${totals.conflicting_matches} matches left out: they would group two products of one vendor (listed under conflicts in the report)`);
+        }
+        for (const [vendor, count] of Object.entries(totals.cheapest_by_vendor)) {
+            console.log(`   ${vendor}: cheapest in ${count} groups, ${totals.exclusive_by_vendor[vendor]} exclusive products`);
+        }
+        console.log('');
+        console.log(`💾 Matches table: ${dbPath}`);
+        console.log(`📁 Price comparison report: ${reportPath}`);
+    } catch (error) {
+        console.error('💥 Fatal error:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    main().catch(error => {
+        console.error('💥 Unhandled error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parseArgs,
+    buildPriceComparison,
+    runMatching,
+    main
+};
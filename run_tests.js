@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+'use strict';
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+/**
+ * Runs the test_*.js scripts that need no browser, network or API key (npm test).
+ * Each runs in its own process so module state (selector store, caches) never leaks between them.
+ * The other test_*.js scripts drive a live Stagehand session and are run by hand.
+ */
+
+const CHECKS = [
+    'test_registry.js',
+    'test_harrods_strategy.js',
+    'test_structured_data.js',
+    'test_html_page.js',
+    'test_provenance.js',
+    'test_llm_router.js',
+    'test_price_parser.js',
+    'test_promotions.js',
+    'test_pack_size.js',
+    'test_gtin.js',
+    'test_taxonomy.js',
+    'test_product_matcher.js',
+    'test_selector_stats.js',
+    'test_selector_probation.js',
+    'test_selector_inference.js',
+    'test_selector_learning.js',
+    'test_selector_store.js',
+    'test_page_templates.js',
+    'test_field_availability.js'
+];
+
+function main() {
+    const failed = [];
+    for (const file of CHECKS) {
+        console.log(`\n▶️ ${file}`);
+        const result = spawnSync(process.execPath, [path.join(__dirname, file)], { stdio: 'inherit', timeout: 120000 });
+        if (result.status !== 0) failed.push(file);
+    }
+    console.log(failed.length === 0 ? `\n🎉 All ${CHECKS.length} check scripts passed` : `\n💥 Failed: ${failed.join(', ')}`);
+    return failed.length === 0;
+}
+
+if (require.main === module) {
+    process.exit(main() ? 0 : 1);
+}
+
+module.exports = { CHECKS, main };
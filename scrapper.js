@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+try { require('dotenv').config(); } catch { }
+const { loadVendorSelectors, getSelectorSet, saveVendorSelectors, removeVendorSelector } = require('./tools/utils/selectorLearningCore');
+const { trySelectorsForField } = require('./tools/strategies/tryExtractWithVendorSelectors');
+const { getStore, getDefaultDbPath } = require('./tools/utils/cache/selectorStore');
+const { createHtmlPage, supportsSelector } = require('./tools/utils/htmlPage');
+const { savedPageUrl } = require('./tools/utils/selectorInference');
+
+/**
+ * Scrapper command line
+ *
+ * Learned selectors (tools/utils/cache/selectors.sqlite):
+ *   scrapper selectors list [--vendor superdrug] [--template marketplace] [--field price] [--status active|probation|demoted]
+ *   scrapper selectors test --vendor superdrug --field price (--url <url> [--fetch] | --html page.html) [--selector "span.price"]
+ *   scrapper selectors pin --vendor superdrug --field price --selector "span.price"
+ *   scrapper selectors unpin --vendor superdrug --field price --selector "span.price"
+ *   scrapper selectors remove --vendor superdrug --field price --selector "span.price"
+ *   scrapper selectors export [--vendor superdrug] [--out selectors.json]
+ *   scrapper selectors import --file selectors.json [--replace]
+ *   scrapper selectors history [--vendor superdrug] [--template marketplace] [--field price] [--since 2025-09-01T10:00:00Z] [--limit 50]
+ *   scrapper selectors rollback --vendor superdrug --to 2025-09-01T10:00:00Z [--template marketplace] [--dry-run]
+ *
+ * `test` opens --url in a local browser (Stagehand), or fetches it without one with --fetch.
+ * Without --selector it runs every stored selector of the field, including those on probation.
+ * XPath selectors need the browser: with --fetch or --html they are reported as unsupported.
+ * test, pin, unpin and remove work on the 'default' page template's selectors unless --template names
+ * another; list, history and rollback cover every template unless --template is given.
+ * rollback restores selectors only: LLM snapshots and the page template registry have no history.
+ */
+
+const SELECTOR_COMMANDS = ['list', 'test', 'pin', 'unpin', 'remove', 'export', 'import', 'history', 'rollback'];
+const TEST_TIMEOUT_MS = 5000;
+
+function parseArgs(argv) {
+    const args = {
+        group: argv[0], command: argv[1], vendor: null, template: null, field: null, selector: null, status: null, url: null, html: null,
+        fetch: false, out: null, file: null, replace: false, since: null, to: null, limit: 100, dryRun: false
+    };
+    for (let i = 2; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--vendor') args.vendor = String(argv[++i] || '').trim().toLowerCase();
+        else if (arg === '--template') args.template = String(argv[++i] || '').trim() || null;
+        else if (arg === '--field') args.field = String(argv[++i] || '').trim();
+        else if (arg === '--selector') args.selector = String(argv[++i] || '').trim();
+        else if (arg === '--status') args.status = String(argv[++i] || '').trim();
+        else if (arg === '--url') args.url = argv[++i];
+        else if (arg === '--html') args.html = path.resolve(argv[++i]);
+        else if (arg === '--fetch') args.fetch = true;
+        else if (arg === '--out') args.out = path.resolve(argv[++i]);
+        else if (arg === '--file') args.file = path.resolve(argv[++i]);
+        else if (arg === '--replace') args.replace = true;
+        else if (arg === '--since') args.since = argv[++i];
+        else if (arg === '--to') args.to = argv[++i];
+        else if (arg === '--limit') args.limit = Number(argv[++i]);
+        else if (arg === '--dry-run') args.dryRun = true;
+    }
+    if (args.group !== 'selectors') throw new Error('Usage: scrapper selectors <command> [options]');
+    if (!SELECTOR_COMMANDS.includes(args.command)) throw new Error(`Command must be one of: ${SELECTOR_COMMANDS.join(', ')}`);
+    if (['pin', 'unpin', 'remove'].includes(args.command) && (!args.vendor || !args.field || !args.selector)) {
+        throw new Error(`${args.command} requires --vendor, --field and --selector`);
+    }
+    if (args.command === 'test') {
+        if (!args.field || (!args.vendor && !args.selector)) throw new Error('test requires --field and --vendor (or --selector)');
+        if (!args.url === !args.html) throw new Error('test requires either --url or --html');
+        if (args.html && !fs.existsSync(args.html)) throw new Error(`--html file not found: ${args.html}`);
+    }
+    if (args.command === 'rollback' && (!args.vendor || !args.to)) throw new Error('rollback requires --vendor and --to');
+    if (args.command === 'import' && (!args.file || !fs.existsSync(args.file))) throw new Error('import requires an existing --file');
+    if (!Number.isInteger(args.limit) || args.limit < 1) throw new Error('--limit must be a positive integer');
+    return args;
+}
+
+const short = (selector) => (selector.length > 100 ? `${selector.substring(0, 97)}...` : selector);
+const day = (iso) => (iso ? String(iso).substring(0, 10) : '-');
+
+const templateOf = (args) => args.template || 'default';
+const setLabel = (vendor, template) => (template === 'default' ? vendor : `${vendor} (${template} template)`);
+
+function fieldSelectors(vendor, field, template) {
+    const selectorSet = getSelectorSet(vendor, template);
+    return (selectorSet && selectorSet.selectors && selectorSet.selectors[field]) || [];
+}
+
+function listSelectors(args) {
+    const all = loadVendorSelectors();
+    const vendors = Object.keys(all).filter(vendor => !args.vendor || vendor === args.vendor).sort();
+    if (vendors.length === 0) {
+        console.log(`No learned selectors${args.vendor ? ` for ${args.vendor}` : ''}`);
+        return;
+    }
+    const store = getStore();
+    for (const vendor of vendors) {
+        const sets = [['default', all[vendor]], ...Object.entries(all[vendor].templates || {})]
+            .filter(([template]) => !args.template || template === args.template);
+        for (const [template, selectorSet] of sets) {
+            console.log(`\n📋 ${setLabel(vendor, template)}`);
+            for (const [field, entries] of Object.entries(selectorSet.selectors || {})) {
+                if (args.field && field !== args.field) continue;
+                const shown = entries.filter(entry => !args.status || (entry.status || 'active') === args.status);
+                if (shown.length === 0) continue;
+                console.log(`   ${field}:`);
+                shown.forEach((entry, index) => {
+                    const probation = entry.probation ? ` probation ${entry.probation.agreements}/${entry.probation.pages}` : '';
+                    console.log(`     ${index + 1}. [${entry.status || 'active'}${entry.pinned ? ', pinned' : ''}] rate ${entry.success_rate !== undefined ? entry.success_rate : '-'}` +
+                        ` ✓${entry.success_count || 0} ✗${entry.failure_count || 0}${probation} last ok ${day(entry.last_success)}` +
+                        `${entry.learned_by ? ` by ${entry.learned_by}` : ''}  ${short(entry.selector)}`);
+                });
+            }
+        }
+        const templates = store ? store.getTemplates(vendor) : [];
+        if (templates.length > 0 && !args.template) {
+            console.log(`   page templates: ${templates.map(t => `${t.name} (${t.kind}, ${t.pages} pages, last ${day(t.last_seen)})`).join(', ')}`);
+        }
+    }
+}
+
+// Load Stagehand in a way that works for both ESM and CJS builds
+async function loadStagehandCtor() {
+    const mod = await import('@browserbasehq/stagehand');
+    return mod.Stagehand || (mod.default && (mod.default.Stagehand || mod.default));
+}
+
+/**
+ * Page to test selectors on: a saved HTML file, a fetched URL, or a URL in a local browser
+ * @returns {Promise<{page: Object, close: function(): Promise<void>}>}
+ */
+async function openTestPage(args) {
+    if (args.html) {
+        const html = fs.readFileSync(args.html, 'utf8');
+        const page = createHtmlPage(html, savedPageUrl(html) || pathToFileURL(args.html).href);
+        return { page, close: () => page.close() };
+    }
+    if (args.fetch) {
+        const { fetchHtml, DEFAULT_HEADERS } = require('./tools/strategies/httpFastPath');
+        const fetched = await fetchHtml(args.url, DEFAULT_HEADERS);
+        if (!fetched.ok) throw new Error(`HTTP ${fetched.status} for ${args.url}`);
+        const page = createHtmlPage(fetched.html, fetched.url);
+        return { page, close: () => page.close() };
+    }
+    const SessionManager = require('./tools/utils/manager/sessionManager');
+    const sessionManager = new SessionManager();
+    sessionManager.initialize(await loadStagehandCtor());
+    const stagehand = sessionManager.createStagehandInstance();
+    await stagehand.init();
+    const page = stagehand.page;
+    await page.goto(args.url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    return { page, close: () => stagehand.close() };
+}
+
+async function testSelectors(args) {
+    const entries = args.selector ? [{ selector: args.selector }] : fieldSelectors(args.vendor, args.field, templateOf(args));
+    if (entries.length === 0) throw new Error(`No stored ${args.field} selectors for ${setLabel(args.vendor, templateOf(args))}`);
+    const { page, close } = await openTestPage(args);
+    try {
+        console.log(`🧪 Testing ${entries.length} ${args.field} selector${entries.length === 1 ? '' : 's'} on ${args.url || args.html}`);
+        let matched = 0;
+        let unsupported = 0;
+        for (const entry of entries) {
+            const status = entry.status ? ` [${entry.status}${entry.pinned ? ', pinned' : ''}]` : '';
+            if (page.isStaticHtml && !supportsSelector(entry.selector)) {
+                unsupported++;
+                console.log(`   ⚠️${status} ${short(entry.selector)}`);
+                console.log('      → unsupported without --url (XPath needs a browser)');
+                continue;
+            }
+            // One selector at a time, so each shows its own value
+            const { value, currency } = await trySelectorsForField(page, args.field, [entry], args.vendor || '', TEST_TIMEOUT_MS);
+            const found = value !== null && value !== undefined && value !== '';
+            if (found) matched++;
+            console.log(`   ${found ? '✅' : '❌'}${status} ${short(entry.selector)}`);
+            console.log(`      ${found ? `→ ${String(value).replace(/\s+/g, ' ').substring(0, 200)}${currency ? ` (${currency})` : ''}` : '→ no match'}`);
+        }
+        console.log(`\n📊 ${matched}/${entries.length - unsupported} selectors matched${unsupported > 0 ? `, ${unsupported} unsupported without --url` : ''}`);
+    } finally {
+        await close();
+    }
+}
+
+async function pinSelector(args, pinned) {
+    const template = templateOf(args);
+    const exists = fieldSelectors(args.vendor, args.field, template).some(entry => entry.selector === args.selector);
+    if (!pinned && !exists) throw new Error(`${setLabel(args.vendor, template)} ${args.field} has no selector ${args.selector}`);
+    await saveVendorSelectors(args.vendor, { [args.field]: args.selector }, { pinned, template, learned_by: 'cli' });
+    const entry = fieldSelectors(args.vendor, args.field, template).find(e => e.selector === args.selector);
+    if (!entry || !!entry.pinned !== pinned) throw new Error(`Could not ${pinned ? 'pin' : 'unpin'} selector (see logs)`);
+    console.log(`📌 ${pinned ? (exists ? 'Pinned' : 'Added and pinned') : 'Unpinned'} ${setLabel(args.vendor, template)} ${args.field}: ${short(args.selector)}`);
+}
+
+async function removeSelector(args) {
+    const template = templateOf(args);
+    const removed = await removeVendorSelector(args.vendor, args.field, args.selector, { template });
+    if (!removed) throw new Error(`${setLabel(args.vendor, template)} ${args.field} has no selector ${args.selector}`);
+    console.log(`🗑️ Removed ${setLabel(args.vendor, template)} ${args.field}: ${short(args.selector)}`);
+}
+
+function exportSelectors(args) {
+    const all = loadVendorSelectors();
+    const data = args.vendor ? (all[args.vendor] ? { [args.vendor]: all[args.vendor] } : {}) : all;
+    const json = JSON.stringify(data, null, 2);
+    if (!args.out) {
+        process.stdout.write(`${json}\n`);
+        return;
+    }
+    fs.writeFileSync(args.out, json, 'utf8');
+    console.log(`📤 Exported selectors for ${Object.keys(data).length} vendors to ${args.out}`);
+}
+
+function openStore() {
+    const store = getStore();
+    if (!store) throw new Error(`Could not open selector store at ${getDefaultDbPath()}`);
+    return store;
+}
+
+function importSelectors(args) {
+    const summary = openStore().importJson(JSON.parse(fs.readFileSync(args.file, 'utf8')), { replace: args.replace });
+    console.log(`📥 Imported ${summary.selectors} selectors for ${summary.vendors} vendors (${summary.changes} changes recorded)`);
+}
+
+function showHistory(args) {
+    const rows = openStore().history({ vendor: args.vendor, template: args.template, field: args.field, since: args.since, limit: args.limit });
+    console.log(`📜 Selector changes${args.vendor ? ` for ${args.vendor}` : ''} (newest first):`);
+    if (rows.length === 0) console.log('   No changes recorded');
+    for (const row of rows) {
+        console.log(`   ${row.at}  ${row.vendor}${row.template !== 'default' ? `[${row.template}]` : ''}.${row.field}  ${row.action} by ${row.actor} (${row.session})  ${short(row.selector)}`);
+    }
+}
+
+function rollbackSelectors(args) {
+    const { restored, removed, changes } = openStore().rollback(args.vendor, args.to, { template: args.template, dryRun: args.dryRun });
+    console.log(`⏪ ${args.dryRun ? 'Would roll back' : 'Rolled back'} ${args.template ? setLabel(args.vendor, args.template) : args.vendor} selectors to ${new Date(args.to).toISOString()}`);
+    const label = (template, field) => (template !== 'default' ? `${template} ${field}` : field);
+    for (const { template, field, selector } of restored) console.log(`   restore ${label(template, field)}: ${short(selector)}`);
+    for (const { template, field, selector } of removed) console.log(`   remove  ${label(template, field)}: ${short(selector)}`);
+    if (restored.length === 0 && removed.length === 0) console.log('   No changes since then');
+    else if (!args.dryRun) console.log(`💾 ${changes.length} changes recorded in the history`);
+}
+
+/**
+ * @param {Array<string>} [argv] - Arguments after the script name
+ */
+async function main(argv = process.argv.slice(2)) {
+    try {
+        const args = parseArgs(argv);
+        switch (args.command) {
+            case 'list': listSelectors(args); break;
+            case 'test': await testSelectors(args); break;
+            case 'pin': await pinSelector(args, true); break;
+            case 'unpin': await pinSelector(args, false); break;
+            case 'remove': await removeSelector(args); break;
+            case 'export': exportSelectors(args); break;
+            case 'import': importSelectors(args); break;
+            case 'history': showHistory(args); break;
+            case 'rollback': rollbackSelectors(args); break;
+        }
+    } catch (error) {
+        console.error('💥 Fatal error:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    // Exit explicitly: the selector cache's cleanup timer would keep the process alive
+    main().then(() => process.exit(0)).catch(error => {
+        console.error('💥 Unhandled error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parseArgs,
+    main
+};
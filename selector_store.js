@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+const { main } = require('./scrapper');
+
+/**
+ * Selector store maintenance
+ * Kept for existing scripts: the commands run as `scrapper selectors <command>` (see scrapper.js),
+ * which also lists, tests, pins and removes selectors.
+ *
+ * Usage:
+ *   node selector_store.js history [--vendor superdrug] [--field price] [--since 2025-09-01T10:00:00Z] [--limit 50]
+ *   node selector_store.js rollback --vendor superdrug --to 2025-09-01T10:00:00Z [--dry-run]
+ *   node selector_store.js export [--vendor superdrug] [--out selectors.json]
+ *   node selector_store.js import --file selectors.json [--replace]
+ */
+
+// Run the script
+if (require.main === module) {
+    // Exit explicitly: the selector cache's cleanup timer would keep the process alive
+    main(['selectors', ...process.argv.slice(2)]).then(() => process.exit(0)).catch(error => {
+        console.error('💥 Unhandled error:', error);
+        process.exit(1);
+    });
+}
@@ -16,7 +16,21 @@ const updateManager = require('./tools/utils/manager/updateManager');
 const SessionManager = require('./tools/utils/manager/sessionManager');
 const cacheManager = require('./tools/utils/cache/cacheManager');
 const { extractGeneric } = require('./tools/strategies/generic');
+const { resolveStrategy } = require('./tools/strategies/registry');
+const appStateCapture = require('./tools/strategies/appStateCapture');
+const { tryHttpFastPath, getFastPathStats } = require('./tools/strategies/httpFastPath');
+const { getVariantDiscoveryConfig, discoverInPageVariants, mergeInPageVariants, getVariantDiscoveryStats } = require('./tools/strategies/variantDiscovery');
+const { getReviewConfig, extractReviews, attachReviews, getReviewStats } = require('./tools/strategies/reviews');
+const { getTaxonomyStats, flushUnmappedBreadcrumbs } = require('./tools/utils/taxonomy/taxonomyMapper');
+const { getPageTemplateStats } = require('./tools/strategies/pageTemplates');
+const { getAvailabilityStats } = require('./tools/utils/fieldAvailability');
+const { getSelectorHealthStats, flushSelectorOutcomes } = require('./tools/utils/selectorLearningCore');
+const provenance = require('./tools/utils/provenance');
+const { getVerificationStats } = require('./tools/utils/llmVerification');
+const { getLlmStats, isMockMode } = require('./tools/utils/llm/llmRouter');
+const { getLlmCacheStats } = require('./tools/utils/cache/llmCache');
 const selectorLearning = require('./tools/utils/selectorLearning');
+const { shadowValidate } = require('./tools/utils/selectorProbation');
 const { logError, logErrorWithDetails, getLogStats } = require('./tools/utils/logUtil');
 // Load Stagehand in a way that works for both ESM and CJS builds
 async function loadStagehandCtor() {
@@ -63,6 +77,13 @@ async function isBlocked(page, result) {
         // Direct blocking indicators
         if (blockedRx.test(text) || /captcha/i.test(urlNow)) return true;
 
+        // Vendor-specific blocking detection declared by the strategy
+        const strategy = resolveStrategy({ vendor: result?.vendor, url: result?.url || urlNow });
+        if (strategy && strategy.isBlocked && await strategy.isBlocked(page, result)) {
+            console.log(`[BLOCKING] Vendor strategy ${strategy.vendor} reported a blocked page`);
+            return true;
+        }
+
         // Check for incomplete/suspicious extraction patterns
         // Check all fields in the result object (not just a fixed set), treating empty arrays/strings as empty
         const allEmpty = Object.keys(result || {}).every(key => {
@@ -97,6 +118,8 @@ async function navigateWithRetry(page, targetUrl, workerId, workerSessionManager
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
         try {
             console.log(`[SESSION ${workerId}] Navigating to page (attempt ${attempt}/${maxAttempts})`);
+            // Record vendor JSON API responses made during navigation (app-state capture)
+            appStateCapture.beginCapture(page, targetUrl);
             const start = Date.now();
             await page.goto(targetUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
             const end = Date.now();
@@ -181,6 +204,50 @@ async function extractWithStagehand(workerSessionManager, urlObj, pageOverride,
     }
 }
 
+// Try the browserless HTTP fast path for opted-in vendors, fall back to the browser when required fields are missing or the page looks blocked
+async function extractItem(workerSessionManager, urlObj, page, updateCtx = null) {
+    const item = (await tryHttpFastPath(urlObj, updateCtx)) || await extractWithStagehand(workerSessionManager, urlObj, page, updateCtx);
+    provenance.recordProduct(item);
+    return item;
+}
+
+// Read in-page enrichments from the live product page for opted-in vendors: shade/size options and ratings/reviews
+async function enrichFromProductPage(workerSessionManager, urlObj, page, item) {
+    const enrichments = { inPageVariants: null, reviews: null };
+    if (!item || item.error) return enrichments;
+    const variantsEnabled = !!getVariantDiscoveryConfig(urlObj);
+    const reviewsEnabled = !!getReviewConfig(urlObj);
+    if (!variantsEnabled && !reviewsEnabled) return enrichments;
+    try {
+        // HTTP fast path items were never loaded in the browser
+        if (item.extraction_mode === 'http') await navigateWithRetry(page, urlObj.url, workerSessionManager.getWorkerId(), workerSessionManager);
+    } catch (error) {
+        console.log(`[ENRICH] Could not load ${urlObj.url}: ${error.message}`);
+        return enrichments;
+    }
+    if (variantsEnabled) {
+        try { enrichments.inPageVariants = await discoverInPageVariants(page, urlObj, item); }
+        catch (error) { console.log(`[VARIANTS] Discovery failed for ${urlObj.url}: ${error.message}`); }
+    }
+    if (reviewsEnabled) {
+        try { enrichments.reviews = await extractReviews(page, urlObj, item); }
+        catch (error) { console.log(`[REVIEWS] Extraction failed for ${urlObj.url}: ${error.message}`); }
+    }
+    return enrichments;
+}
+
+// Check selectors on probation against the accepted values while the page still shows the extracted
+// product (enrichment selects in-page options); HTTP fast path items were never loaded in the browser
+async function validateProbationSelectors(page, urlObj, item) {
+    if (!item || item.error || item.extraction_mode === 'http') return;
+    try { await shadowValidate(page, urlObj.vendor, item); }
+    catch (error) { console.log(`[SELECTOR_PROBATION] Shadow validation failed for ${urlObj.url}: ${error.message}`); }
+}
+
+function applyEnrichments(item, enrichments) {
+    return attachReviews(mergeInPageVariants(item, enrichments && enrichments.inPageVariants), enrichments && enrichments.reviews);
+}
+
 function chunkArray(array, size) { const chunks = []; for (let i = 0; i < array.length; i += size) { chunks.push(array.slice(i, i + size)); } return chunks; }
 
 // Register signal handlers
@@ -189,7 +256,9 @@ process.on('SIGTERM', () => { sessionManager.setShuttingDown(true); sessionManag
 
  
 async function appendBatchToOutput(outputPath, meta, batchItems, processingFilePath) {
-    const successfulItems = (batchItems || []).filter(item => item && !item.error);
+    // Review records go to their own stream; product files only keep rating and review_count
+    const reviewRecords = (batchItems || []).filter(item => item && !item.error && item._reviews).map(item => item._reviews);
+    const successfulItems = (batchItems || []).filter(item => item && !item.error).map(({ _reviews, ...item }) => item);
     const errorItems = (batchItems || []).filter(item => item && item.error);
 
     // Enrich meta from processing file (mode, vendor, update fields)
@@ -212,6 +281,9 @@ async function appendBatchToOutput(outputPath, meta, batchItems, processingFileP
     }
 
     const operations = [];
+    if (reviewRecords.length > 0 && vendor && inputFileName) {
+        operations.push(outputManager.upsertReviews(vendor, inputFileName, reviewRecords).catch(err => logError('reviews_append_failed', { vendor, error: err.message })));
+    }
     if (processingFilePath && fs.existsSync(processingFilePath)) {
         if (successfulItems.length > 0) {
             const successUrls = successfulItems.map(item => item.url);
@@ -318,9 +390,36 @@ async function processScrapperWorkflow(stagehandCtor, batchSize, maxConcurrentBa
     } finally { }
 }
 
+/**
+ * Start learning the vendor's pending selector fields
+ * By default learning opens its own page on the product in the worker's browser, so the worker
+ * carries on extracting; the task is added to `learningTasks` and awaited at the end of the batch.
+ * With DISABLE_LEARNING_PAGE=true learning runs on the extraction page and is awaited here.
+ */
+async function startSelectorLearning(workerSessionManager, page, urlObj, item, learningTasks) {
+    if (process.env.DISABLE_LEARNING_PAGE === 'true') {
+        await selectorLearning.processPendingSelectorLearning(page, urlObj.vendor, item);
+        return;
+    }
+    const openPage = async () => {
+        const learningPage = await sessionManager.openExtraPage(workerSessionManager);
+        try {
+            await learningPage.goto(urlObj.url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        } catch (error) {
+            try { await learningPage.close(); } catch { }
+            throw error;
+        }
+        return { page: learningPage, close: () => learningPage.close() };
+    };
+    // Failures are logged by selectorLearning and the fields stay pending
+    // Tracked by the worker's session so a rotation lets the learning page finish before closing the browser
+    learningTasks.push(workerSessionManager.trackPageTask(selectorLearning.processPendingSelectorLearning(page, urlObj.vendor, item, { openPage }).catch(() => { })));
+}
+
 async function processBucket(workerSessionManager, objectsSubset) {
     let processedCount = 0;
     let variantAttempts = 0;
+    const learningTasks = [];
     let page = await sessionManager.getSafePage(workerSessionManager);
     const updateCtx = (updateManager.getContext && updateManager.getContext()) || null;
     for (let i = 0; i < objectsSubset.length; i++) {
@@ -329,10 +428,6 @@ async function processBucket(workerSessionManager, objectsSubset) {
 
         if (sessionManager.getShuttingDown()) break;
         try {
-            // Wait for any active learning task to complete before proceeding
-            if (selectorLearning.isLearningActive()) {
-                await selectorLearning.waitForLearningCompletion();
-            }
             let item = null;
             // Check if this URL has variants
             if (Array.isArray(urlObj.variants) && urlObj.variants.length > 0) {
@@ -354,6 +449,7 @@ async function processBucket(workerSessionManager, objectsSubset) {
 
                 const variantExtractions = [];
                 let mainProduct = null;
+                let enrichments = null;
 
                 // Extract all URLs (main + variants)
                 for (let j = 0; j < allUrls.length; j++) {
@@ -361,10 +457,13 @@ async function processBucket(workerSessionManager, objectsSubset) {
                     const currentUrl = allUrls[j];
                     console.log(`[SESSION ${workerId}] Extracting ${currentUrl.isMainProduct ? 'main product' : `variant ${j}/${urlObj.variants.length}`}`);
 
-                    const extractedItem = await extractWithStagehand(workerSessionManager, currentUrl, page, updateCtx);
+                    const extractedItem = await extractItem(workerSessionManager, currentUrl, page, updateCtx);
 
                     if (currentUrl.isMainProduct) {
                         mainProduct = extractedItem;
+                        // The page still shows the main product: check probation selectors, then read in-page options and reviews before moving to URL variants
+                        await validateProbationSelectors(page, currentUrl, extractedItem);
+                        enrichments = await enrichFromProductPage(workerSessionManager, currentUrl, page, extractedItem);
                     } else {
                         variantExtractions.push({
                             ...extractedItem,
@@ -374,30 +473,35 @@ async function processBucket(workerSessionManager, objectsSubset) {
 
                 // Update main product with variant data
                 if (mainProduct) {
-                    item = {
+                    item = applyEnrichments({
                         ...mainProduct,
                         variants: variantExtractions,
                         variant_count: variantExtractions.length
-                    };
+                    }, enrichments);
 
                     workerSessionManager.addItemToBuffer(item);
-                    console.log(`[SESSION ${workerId}] Successfully extracted main product with ${variantExtractions.length} variants`);
+                    console.log(`[SESSION ${workerId}] Successfully extracted main product with ${item.variant_count} variants`);
                 } else {
                     throw new Error('Main product extraction failed');
                 }
             } else {
                 // No variants, process normally
-                item = await extractWithStagehand(workerSessionManager, urlObj, page, updateCtx);
+                item = await extractItem(workerSessionManager, urlObj, page, updateCtx);
+                await validateProbationSelectors(page, urlObj, item);
+                item = applyEnrichments(item, await enrichFromProductPage(workerSessionManager, urlObj, page, item));
                 workerSessionManager.addItemToBuffer(item);
-                console.log(`[SESSION ${workerId}] Successfully extracted product (no variants)`);
+                console.log(`[SESSION ${workerId}] Successfully extracted product (${item.variant_count ? `${item.variant_count} in-page variants` : 'no variants'})`);
             }
 
             processedCount++;
             console.log(`[SESSION ${workerId}] Successfully processed item. currentBatchCount ${processedCount}`);
 
-            // Process any pending selector learning for this vendor (async, non-blocking)
-            try { await selectorLearning.processPendingSelectorLearning(page, urlObj.vendor, item); }
-            catch (learningError) { console.log(`[SESSION ${workerId}] Selector learning failed: ${learningError.message}`); }
+            // Process any pending selector learning for this vendor (on its own page, non-blocking)
+            // Skipped for HTTP fast path items: the browser page is not showing this product
+            if (item && item.extraction_mode !== 'http') {
+                try { await startSelectorLearning(workerSessionManager, page, urlObj, item, learningTasks); }
+                catch (learningError) { console.log(`[SESSION ${workerId}] Selector learning failed: ${learningError.message}`); }
+            }
 
         } catch (err) {
 
@@ -437,7 +541,9 @@ async function processBucket(workerSessionManager, objectsSubset) {
                             continue;
                         }
                     } else {
-                        item = await extractWithStagehand(workerSessionManager, urlObj, page, updateCtx);
+                        item = await extractItem(workerSessionManager, urlObj, page, updateCtx);
+                        await validateProbationSelectors(page, urlObj, item);
+                        item = applyEnrichments(item, await enrichFromProductPage(workerSessionManager, urlObj, page, item));
                         workerSessionManager.addItemToBuffer({ ...item, retried: true });
                     }
 
@@ -447,7 +553,7 @@ async function processBucket(workerSessionManager, objectsSubset) {
 
                     // Process any pending selector learning for this vendor (async, non-blocking)
                     try {
-                        await selectorLearning.processPendingSelectorLearning(page, urlObj.vendor, item);
+                        if (item && item.extraction_mode !== 'http') await startSelectorLearning(workerSessionManager, page, urlObj, item, learningTasks);
                     } catch (learningError) {
                         console.log(`[SESSION ${workerId}] Selector learning failed after rotation: ${learningError.message}`);
                         // Don't fail the extraction if learning fails
@@ -461,6 +567,8 @@ async function processBucket(workerSessionManager, objectsSubset) {
             handleExtractionError(urlObj, errMsg, err, workerSessionManager, processedCount);
         }
     }
+    // Learning pages live in this worker's browser: let them finish before the session is closed or rotated
+    if (learningTasks.length > 0) await Promise.all(learningTasks);
     return processedCount;
 }
 
@@ -500,18 +608,112 @@ async function main() {
         Object.entries(cacheStats).forEach(([cacheName, stats]) => {
             if (stats.size !== undefined) {
                 const hitRatePercent = (stats.hitRate * 100).toFixed(1);
-                console.log(`  ${cacheName}: ${stats.size}/${stats.maxSize} entries (~${hitRatePercent}% est. hit rate)`);
+                console.log(`  ${cacheName}: ${stats.size}/${stats.maxSize} entries, ${stats.hits} hits / ${stats.misses} misses (${hitRatePercent}% hit rate)`);
             } else {
                 console.log(`  ${cacheName}: ${stats.cached ? 'cached' : 'not cached'} (${stats.type})`);
             }
         });
 
+        const llmCacheStats = getLlmCacheStats();
+        if (llmCacheStats.enabled) {
+            console.log(`  llmCache (disk): ${llmCacheStats.entries} entries, ${(llmCacheStats.bytes / 1024).toFixed(1)} KB, ${llmCacheStats.hits} hits / ${llmCacheStats.misses} misses (${(llmCacheStats.hitRate * 100).toFixed(1)}% hit rate), ${llmCacheStats.evictions} evicted, ${llmCacheStats.invalidations} invalidated`);
+        }
+
         const learningStats = selectorLearning.getLearningStats();
         console.log('\n🧠 Selector Learning Summary:');
-        console.log(`  Active learning task: ${learningStats.isActive ? 'Yes' : 'No'}`);
+        console.log(`  Active learning tasks: ${learningStats.activeTasks} (${learningStats.activeFields} fields, ${learningStats.queuedTasks} queued)`);
         console.log(`  Vendors with pending fields: ${learningStats.pendingVendors}`);
         console.log(`  Total pending fields: ${learningStats.totalPendingFields}`);
 
+        const fastPathStats = getFastPathStats();
+        if (fastPathStats.attempted > 0) {
+            console.log('\n⚡ HTTP Fast Path Summary:');
+            console.log(`  Attempted: ${fastPathStats.attempted}, served without browser: ${fastPathStats.succeeded}`);
+            Object.entries(fastPathStats.fallbacks).forEach(([reason, count]) => console.log(`  Browser fallback (${reason}): ${count}`));
+        }
+
+        const variantStats = getVariantDiscoveryStats();
+        if (variantStats.pagesScanned > 0) {
+            console.log('\n🎨 In-page Variant Summary:');
+            console.log(`  Pages scanned: ${variantStats.pagesScanned}, with options: ${variantStats.pagesWithOptions}, variants captured: ${variantStats.variantsCaptured}`);
+            console.log(`  Options not selectable: ${variantStats.failedOptions}, act() fallbacks: ${variantStats.actFallbacks}`);
+        }
+
+        const reviewStats = getReviewStats();
+        if (reviewStats.products > 0) {
+            console.log('\n⭐ Reviews Summary:');
+            console.log(`  Products checked: ${reviewStats.products}, with rating: ${reviewStats.withRating}, with reviews: ${reviewStats.withReviews}`);
+            console.log(`  Reviews captured: ${reviewStats.reviews}, load-more clicks: ${reviewStats.loadMoreClicks}`);
+        }
+
+        // Merge this run's unmapped breadcrumb counts into the vendor reports
+        flushUnmappedBreadcrumbs();
+        const taxonomyStats = getTaxonomyStats();
+        if (taxonomyStats.mapped + taxonomyStats.unmapped > 0) {
+            console.log('\n🗂️ Taxonomy Summary:');
+            console.log(`  Mapped: ${taxonomyStats.mapped} (path: ${taxonomyStats.byMatch.path}, regex: ${taxonomyStats.byMatch.regex}, keyword: ${taxonomyStats.byMatch.keyword}), unmapped: ${taxonomyStats.unmapped}`);
+            if (taxonomyStats.unmapped > 0) console.log(`  Unmapped breadcrumb paths are listed in scrapper/output/<vendor>/unmapped-breadcrumbs.json`);
+        }
+
+        // Write the selector outcomes still buffered from the last extractions
+        flushSelectorOutcomes();
+        const selectorHealth = getSelectorHealthStats();
+        if (selectorHealth.successes + selectorHealth.failures + selectorHealth.promoted + selectorHealth.rejected > 0) {
+            console.log('\n🩺 Selector Health Summary:');
+            console.log(`  Learned selector hits: ${selectorHealth.successes}, misses: ${selectorHealth.failures}, demoted: ${selectorHealth.demoted}, evicted: ${selectorHealth.evicted}`);
+            console.log(`  Probation: ${selectorHealth.promoted} promoted, ${selectorHealth.rejected} rejected (samples in the error log as selector_probation_rejected)`);
+        }
+
+        // Only vendors whose pages split over several templates
+        const templateStats = Object.entries(getPageTemplateStats()).filter(([, templates]) => Object.keys(templates).some(name => name !== 'default'));
+        if (templateStats.length > 0) {
+            console.log('\n🧩 Page Template Summary:');
+            templateStats.forEach(([vendor, templates]) => {
+                console.log(`  ${vendor}: ${Object.entries(templates).map(([name, pages]) => `${name}=${pages}`).join(', ')} pages`);
+            });
+        }
+
+        // Only fields the availability model did not simply ask the LLM for
+        const availabilityStats = Object.entries(getAvailabilityStats())
+            .map(([key, fields]) => [key, Object.entries(fields).filter(([, stats]) => stats.skipped + stats.sampled + stats.reprobed > 0)])
+            .filter(([, fields]) => fields.length > 0);
+        if (availabilityStats.length > 0) {
+            console.log('\n🎲 Field Availability Summary:');
+            availabilityStats.forEach(([key, fields]) => {
+                const [vendor, template] = key.split(':');
+                console.log(`  ${vendor}${template !== 'default' ? ` (${template} template)` : ''}:`);
+                fields.forEach(([field, stats]) => {
+                    console.log(`    ${field}: availability ${stats.availability} (LLM found ${stats.found}/${stats.attempts}), asked ${stats.asked} (${stats.sampled} sampled, ${stats.reprobed} re-probes), skipped ${stats.skipped}`);
+                });
+            });
+        }
+
+        const provenanceStats = provenance.getProvenanceStats();
+        if (Object.keys(provenanceStats).length > 0) {
+            console.log('\n🔎 Field Provenance Summary:');
+            Object.entries(provenanceStats).forEach(([vendor, stats]) => {
+                const methods = Object.entries(stats.methods).map(([method, count]) => `${method}=${count}`).join(', ');
+                console.log(`  ${vendor}: ${stats.products} products, ${stats.llm_products} used LLM, LLM field share ${(stats.llm_field_share * 100).toFixed(1)}%, avg confidence ${stats.avg_confidence}`);
+                console.log(`    Fields by method: ${methods}`);
+            });
+        }
+
+        const llmStats = getLlmStats();
+        if (Object.keys(llmStats).length > 0) {
+            console.log(`\n🤖 LLM Usage Summary${isMockMode() ? ' (mock provider)' : ''}:`);
+            Object.entries(llmStats).forEach(([model, stats]) => {
+                console.log(`  ${model}: ${stats.calls} calls, ${stats.failures} failed, ${stats.fallbacks} as fallback`);
+            });
+        }
+
+        const verificationStats = getVerificationStats();
+        if (verificationStats.checked > 0) {
+            console.log('\n🛡️ LLM Verification Summary:');
+            console.log(`  Checked: ${verificationStats.checked}, re-prompted: ${verificationStats.reprompted}, recovered: ${verificationStats.recovered}, low-confidence: ${verificationStats.lowConfidence}`);
+            const failed = Object.entries(verificationStats.failedFields).map(([field, count]) => `${field}=${count}`).join(', ');
+            if (failed) console.log(`  Unverified fields: ${failed}`);
+        }
+
         const logStats = getLogStats();
         console.log('\n📄 Logging Summary:');
         console.log(`  Log file exists: ${logStats.exists ? 'Yes' : 'No'}`);
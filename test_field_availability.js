@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks for tools/utils/fieldAvailability.js (when to ask the LLM for a field direct extraction missed)
+ * No browser or network needed: node test_field_availability.js
+ */
+
+const { assert, createSuite } = require('./test_util');
+
+for (const name of Object.keys(process.env)) {
+    if (name.startsWith('FIELD_AVAILABILITY_') || name === 'DISABLE_FIELD_AVAILABILITY') delete process.env[name];
+}
+
+const fieldAvailability = require('./tools/utils/fieldAvailability');
+
+const HOUR_MS = 60 * 60 * 1000;
+const T0 = Date.parse('2025-01-01T00:00:00Z');
+
+// Snapshot after one LLM attempt per outcome, an hour apart, the last one at `end`
+function snapshotOf(field, outcomes, end = T0) {
+    let snapshot = null;
+    outcomes.forEach((found, i) => {
+        const at = end - (outcomes.length - 1 - i) * HOUR_MS;
+        snapshot = fieldAvailability.recordAttempts(snapshot, [field], { [field]: found ? '500ml' : '' }, at);
+    });
+    return snapshot;
+}
+const misses = (n) => Array(n).fill(false);
+const decideAt = (snapshot, now, random = () => 0.99) => fieldAvailability.decide(snapshot, 'weight', { now, random });
+
+const suite = createSuite('🧪 Testing field availability');
+
+suite.section('🎯 Decisions');
+suite.check('few samples always ask', () => {
+    const decision = decideAt(snapshotOf('weight', misses(4)), T0);
+    assert.deepStrictEqual([decision.ask, decision.reason, decision.state.attempts], [true, 'few_samples', 4]);
+    assert.strictEqual(decideAt(null, T0).reason, 'few_samples');
+});
+suite.check('fields found often enough always ask', () => {
+    const likely = decideAt(snapshotOf('weight', [true, false, true, false, false]), T0);
+    assert.deepStrictEqual([likely.ask, likely.reason, likely.state.availability], [true, 'likely', 0.429]);
+    const rare = decideAt(snapshotOf('weight', [true, false, false, false, false]), T0);
+    assert.strictEqual(rare.state.availability, 0.286);
+    assert.notStrictEqual(rare.reason, 'likely');
+});
+suite.check('rare fields are sampled by availability', () => {
+    const snapshot = snapshotOf('weight', misses(6));
+    // availability 1/8, asked with probability 0.125 / 0.3
+    const sampled = decideAt(snapshot, T0, () => 0.4);
+    assert.deepStrictEqual([sampled.ask, sampled.reason], [true, 'sampled']);
+    const skipped = decideAt(snapshot, T0, () => 0.45);
+    assert.deepStrictEqual([skipped.ask, skipped.reason], [false, 'skipped']);
+});
+suite.check('sampling never drops below the minimum probe rate', () => {
+    process.env.FIELD_AVAILABILITY_MIN_PROBE_RATE = '0.5';
+    const snapshot = snapshotOf('weight', misses(6));
+    assert.strictEqual(decideAt(snapshot, T0, () => 0.45).reason, 'sampled');
+    assert.strictEqual(decideAt(snapshot, T0, () => 0.55).reason, 'skipped');
+    delete process.env.FIELD_AVAILABILITY_MIN_PROBE_RATE;
+});
+suite.check('fields not tried for a while are re-probed', () => {
+    const snapshot = snapshotOf('weight', misses(6));
+    assert.strictEqual(decideAt(snapshot, T0 + 5 * HOUR_MS).reason, 'skipped');
+    const reprobe = decideAt(snapshot, T0 + 6 * HOUR_MS);
+    assert.deepStrictEqual([reprobe.ask, reprobe.reason], [true, 'reprobe']);
+});
+suite.check('can be turned off', () => {
+    process.env.DISABLE_FIELD_AVAILABILITY = 'true';
+    assert.strictEqual(decideAt(snapshotOf('weight', misses(10)), T0).reason, 'disabled');
+    delete process.env.DISABLE_FIELD_AVAILABILITY;
+});
+suite.check('decisions are counted per vendor and template', () => {
+    const snapshot = snapshotOf('weight', misses(10));
+    fieldAvailability.shouldAskLlm('shop', 'default', snapshot, 'weight');
+    fieldAvailability.shouldAskLlm('shop', 'default', null, 'weight');
+    const stats = fieldAvailability.getAvailabilityStats()['shop:default'].weight;
+    assert.strictEqual(stats.asked + stats.skipped, 2);
+    assert.strictEqual(stats.attempts, 0, 'last state seen');
+});
+
+suite.section('🪟 Attempt window');
+suite.check('outcomes slide into the window', () => {
+    const snapshot = snapshotOf('weight', [false, true, false]);
+    const result = snapshot.results.weight;
+    assert.deepStrictEqual(result.window.map(e => e.found), [false, true, false]);
+    assert.strictEqual(result.found, false);
+    assert.strictEqual(result.last_attempt, new Date(T0).toISOString());
+    assert.deepStrictEqual(fieldAvailability.getFieldState(snapshot, 'weight', T0), { attempts: 3, found: 1, availability: 0.4, last_attempt: new Date(T0).toISOString() });
+});
+suite.check('other fields are kept and the snapshot is not modified', () => {
+    const before = snapshotOf('weight', [true]);
+    const copy = JSON.parse(JSON.stringify(before));
+    const after = fieldAvailability.recordAttempts(before, ['is_vegan'], { is_vegan: false }, T0 + HOUR_MS);
+    assert.deepStrictEqual(before, copy);
+    assert.deepStrictEqual(Object.keys(after.results).sort(), ['is_vegan', 'weight']);
+    assert.strictEqual(after.results.is_vegan.found, true, 'a boolean answer is a value');
+    assert.deepStrictEqual(after.attempted_fields.sort(), ['is_vegan', 'weight']);
+});
+suite.check('legacy snapshots without a window count as one attempt', () => {
+    const legacy = {
+        timestamp: new Date(T0 - HOUR_MS).toISOString(),
+        attempted_fields: ['weight', 'description'],
+        results: {
+            weight: { found: false, value_type: 'string', last_attempt: new Date(T0 - 2 * HOUR_MS).toISOString() },
+            description: { found: true, value_type: 'string' }
+        }
+    };
+    assert.deepStrictEqual(fieldAvailability.getFieldState(legacy, 'weight', T0), { attempts: 1, found: 0, availability: 0.333, last_attempt: new Date(T0 - 2 * HOUR_MS).toISOString() });
+    assert.strictEqual(fieldAvailability.getFieldState(legacy, 'description', T0).last_attempt, legacy.timestamp, 'falls back to the snapshot time');
+    const next = fieldAvailability.recordAttempts(legacy, ['weight'], { weight: '500ml' }, T0);
+    assert.deepStrictEqual(next.results.weight.window, [
+        { at: new Date(T0 - 2 * HOUR_MS).toISOString(), found: false },
+        { at: new Date(T0).toISOString(), found: true }
+    ]);
+    assert.strictEqual(next.results.description.found, true);
+});
+suite.check('old attempts expire and the window is capped', () => {
+    const snapshot = snapshotOf('weight', [true, true, ...misses(5)]);
+    // The two finds are 6 and 5 hours before T0; with a 5.5 hour max age only the first one expires
+    process.env.FIELD_AVAILABILITY_MAX_AGE_HOURS = '5.5';
+    assert.deepStrictEqual(fieldAvailability.getFieldState(snapshot, 'weight', T0).attempts, 6);
+    const next = fieldAvailability.recordAttempts(snapshot, ['weight'], { weight: '' }, T0 + HOUR_MS);
+    assert.strictEqual(next.results.weight.window.length, 6, 'expired attempts are dropped on write');
+    delete process.env.FIELD_AVAILABILITY_MAX_AGE_HOURS;
+    assert.strictEqual(fieldAvailability.getFieldState(snapshot, 'weight', T0 + 200 * HOUR_MS).attempts, 0, 'default max age is a week');
+    process.env.FIELD_AVAILABILITY_WINDOW = '3';
+    assert.deepStrictEqual(fieldAvailability.getFieldState(snapshot, 'weight', T0).attempts, 3);
+    delete process.env.FIELD_AVAILABILITY_WINDOW;
+});
+
+if (require.main === module) {
+    suite.run();
+}
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks for tools/utils/gtin.js
+ * No browser or network needed: node test_gtin.js
+ */
+
+const { assert, createSuite } = require('./test_util');
+const { isValidGtin, normalizeGtin, findGtinsInText, applyGtin, flagDuplicateGtins } = require('./tools/utils/gtin');
+
+const suite = createSuite('🧪 Testing GTIN parser');
+
+suite.check('check digits and normalization', () => {
+    assert.ok(isValidGtin('012345678905'));
+    assert.ok(isValidGtin('5000167123456'));
+    assert.ok(!isValidGtin('012345678906'));
+    assert.ok(!isValidGtin('00000000'));
+    assert.deepStrictEqual(normalizeGtin('0 12345 67890 5'), { gtin: '00012345678905', gtin_type: 'GTIN-12', valid: true, raw: '012345678905' });
+    assert.strictEqual(normalizeGtin('012345678906').valid, false);
+    assert.strictEqual(normalizeGtin('12345'), null);
+});
+suite.check('labelled barcodes in text', () => {
+    assert.deepStrictEqual(findGtinsInText('Size: 100ml\nEAN: 0 12345 67890 5\nSKU 12345'), ['012345678905']);
+    assert.deepStrictEqual(findGtinsInText('Barcode number: 5000-1671-2345-6'), ['5000167123456']);
+    assert.deepStrictEqual(findGtinsInText('No barcode here'), []);
+});
+suite.check('a code followed by a line break stops at the line', () => {
+    assert.deepStrictEqual(findGtinsInText('EAN: 5000167123456\n100 ml'), ['5000167123456']);
+    assert.deepStrictEqual(findGtinsInText('EAN: 5000 1671 2345 6\n2 for £5'), ['5000167123456']);
+});
+suite.check('text after the code on the same line is not part of it', () => {
+    assert.deepStrictEqual(findGtinsInText('EAN 5000167123456 100 ml'), ['5000167123456']);
+    assert.deepStrictEqual(findGtinsInText('UPC 012345678905 12 pack'), ['012345678905']);
+    assert.deepStrictEqual(findGtinsInText('EAN-8: 96385074 3 for 2'), ['96385074']);
+});
+suite.check('invalid labelled codes are kept raw', () => {
+    assert.deepStrictEqual(findGtinsInText('EAN: 5000167123457'), ['5000167123457']);
+    const product = applyGtin({ description: 'EAN: 5000167123457\n100 ml' });
+    assert.strictEqual(product.gtin, '');
+    assert.strictEqual(product.gtin_raw, '5000167123457');
+    assert.strictEqual(product.gtin_invalid, true);
+});
+suite.check('applyGtin prefers structured values and reads the specification', () => {
+    assert.strictEqual(applyGtin({ gtin: '5000167123456', description: 'EAN: 0 12345 67890 5' }).gtin, '05000167123456');
+    const fromSpec = applyGtin({ product_specification: 'Volume: 100 ml\nEAN: 5000167123456\n100 ml' });
+    assert.strictEqual(fromSpec.gtin, '05000167123456');
+    assert.strictEqual(fromSpec.gtin_type, 'GTIN-13');
+});
+suite.check('duplicate GTINs', () => {
+    const items = [
+        { url: 'https://a.example/1', gtin: '00012345678905' },
+        { url: 'https://a.example/2', gtin: '00012345678905' },
+        { url: 'https://a.example/3', gtin: '05000167123459' }
+    ];
+    assert.strictEqual(flagDuplicateGtins(items), 2);
+    assert.deepStrictEqual(items[0].gtin_duplicate_of, ['https://a.example/2']);
+    assert.strictEqual(items[2].gtin_duplicate_of, undefined);
+});
+
+if (require.main === module) {
+    suite.run();
+}
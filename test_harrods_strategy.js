@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks for vendors/harrods/strategy.js through the static HTML page adapter.
+ * The page below is a minimal schema.org product page, not a saved Harrods page: it covers the
+ * strategy's JSON-LD fallbacks, which is why the strategy is marked experimental.
+ * No browser or network needed: node test_harrods_strategy.js
+ */
+
+const { assert, createSuite } = require('./test_util');
+const { createHtmlPage } = require('./tools/utils/htmlPage');
+const harrods = require('./vendors/harrods/strategy');
+
+const JSON_LD_PAGE = `<!doctype html><html><head><title>Dior</title>
+<script type="application/ld+json">${JSON.stringify([
+    {
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        name: 'Rouge Dior Lipstick',
+        brand: { '@type': 'Brand', name: 'Dior' },
+        description: 'Couture colour lipstick.',
+        color: '999 Satin',
+        image: ['https://www.harrods.com/img/rouge-dior-1.jpg', 'https://www.harrods.com/img/rouge-dior-2.jpg'],
+        offers: { '@type': 'Offer', price: '42.00', priceCurrency: 'GBP', availability: 'https://schema.org/InStock' }
+    },
+    {
+        '@context': 'https://schema.org',
+        '@type': 'BreadcrumbList',
+        itemListElement: [
+            { '@type': 'ListItem', position: 2, name: 'Beauty' },
+            { '@type': 'ListItem', position: 1, name: 'Home' },
+            { '@type': 'ListItem', position: 3, name: 'Lipstick' }
+        ]
+    }
+])}</script></head><body><main><h1>Rouge Dior Lipstick</h1></main></body></html>`;
+
+const suite = createSuite('🧪 Testing Harrods strategy (JSON-LD fallbacks)');
+
+suite.check('is marked experimental', () => {
+    assert.strictEqual(harrods.experimental, true);
+});
+suite.check('fills core fields from JSON-LD when the DOM selectors find nothing', async () => {
+    const page = createHtmlPage(JSON_LD_PAGE, 'https://www.harrods.com/en-gb/p/dior-rouge-dior-lipstick-000000000001');
+    const result = await harrods.extract(page, { url: page.url() }, null, {});
+    assert.ok(result, 'no result');
+    assert.strictEqual(result.name, 'Rouge Dior Lipstick');
+    assert.strictEqual(result.price, '£42.00');
+    assert.strictEqual(result.stock_status, 'In stock');
+    assert.strictEqual(result.brand, 'Dior');
+    assert.strictEqual(result.colour, '999 Satin');
+    assert.strictEqual(result.description, 'Couture colour lipstick.');
+    assert.strictEqual(result.main_image, 'https://www.harrods.com/img/rouge-dior-1.jpg');
+    assert.deepStrictEqual(result.images, ['https://www.harrods.com/img/rouge-dior-1.jpg', 'https://www.harrods.com/img/rouge-dior-2.jpg']);
+    assert.deepStrictEqual(result.breadcrumbs, ['Beauty', 'Lipstick']);
+    assert.strictEqual(result.metadata.json_ld_product_found, true);
+});
+suite.check('only extracts the allowed fields', async () => {
+    const page = createHtmlPage(JSON_LD_PAGE, 'https://www.harrods.com/en-gb/p/1');
+    const result = await harrods.extract(page, { url: page.url() }, null, { allowedFields: ['price'] });
+    assert.strictEqual(result.price, '£42.00');
+    assert.strictEqual(result.name, undefined);
+    assert.strictEqual(result.images, undefined);
+});
+suite.check('transformOutput assembles the description sections and mirrors brand/designer', () => {
+    const next = harrods.transformOutput({ description: 'Intro', product_details: 'Satin finish', designer: 'Dior' });
+    assert.strictEqual(next.description, 'Description\nIntro\n\nProduct Details\nSatin finish');
+    assert.strictEqual(next.brand, 'Dior');
+    assert.strictEqual(next.product_details, undefined);
+});
+
+if (require.main === module) {
+    suite.run();
+}
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks for the static HTML page adapter (tools/utils/htmlPage.js)
+ * No browser or network needed: node test_html_page.js
+ */
+
+const { assert, createSuite } = require('./test_util');
+const { createHtmlPage, supportsSelector } = require('./tools/utils/htmlPage');
+
+const page = (body) => createHtmlPage(`<html><head><title>T</title></head><body>${body}</body></html>`, 'https://shop.example/p/1');
+
+const suite = createSuite('🧪 Testing static HTML page adapter');
+
+suite.check('evaluate runs against the page document with an argument', async () => {
+    const p = page('<h1>Lipstick</h1><span class="price">£5</span>');
+    assert.strictEqual(await p.evaluate(() => document.querySelector('h1').textContent), 'Lipstick');
+    assert.deepStrictEqual(await p.evaluate((selectors) => selectors.map(s => !!document.querySelector(s)), ['.price', '.missing']), [true, false]);
+});
+suite.check('concurrent evaluations never see another page and leave globals alone', async () => {
+    const slow = async () => {
+        const before = document.querySelector('h1').textContent;
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return before + document.querySelector('h1').textContent;
+    };
+    assert.deepStrictEqual(await Promise.all([page('<h1>A</h1>').evaluate(slow), page('<h1>B</h1>').evaluate(slow)]), ['AA', 'BB']);
+    assert.strictEqual(typeof global.document, 'undefined');
+});
+suite.check('results are plain values of the caller', async () => {
+    const result = await page('<li>a</li><li>b</li>').evaluate(() => ({ items: Array.from(document.querySelectorAll('li')).map(li => li.textContent) }));
+    assert.deepStrictEqual(result, { items: ['a', 'b'] });
+    assert.strictEqual(await page('<p>x</p>').evaluate(() => () => 1), undefined);
+});
+suite.check('locators read text, attributes and visibility', async () => {
+    const p = page('<img class="hero" src="https://shop.example/a.jpg"><p class="stock" style="display:none">Out of stock</p><p class="name">  Rouge\n Dior </p>');
+    assert.strictEqual(await p.locator('img.hero').first().getAttribute('src'), 'https://shop.example/a.jpg');
+    assert.strictEqual(await p.locator('p.stock').isVisible(), false);
+    assert.strictEqual(await p.locator('css=p.name').innerText(), 'Rouge Dior');
+    assert.strictEqual(await p.locator('p').count(), 2);
+});
+suite.check('xpath selectors are unsupported and missing elements fail like Playwright', async () => {
+    const p = page('<h1>A</h1>');
+    await assert.rejects(() => p.locator('xpath=/html/body/h1').first().innerText(), /Unsupported selector/);
+    await assert.rejects(() => p.waitForSelector('.missing'), /no element matches/);
+});
+suite.check('supported selectors are CSS only', () => {
+    assert.strictEqual(supportsSelector('span.price'), true);
+    assert.strictEqual(supportsSelector('css=h1'), true);
+    assert.strictEqual(supportsSelector('pierce=.shadow-price'), true);
+    assert.strictEqual(supportsSelector('xpath=/html/body/h1'), false);
+    assert.strictEqual(supportsSelector('//h1[@class="title"]'), false);
+    assert.strictEqual(supportsSelector('(//span)[2]'), false);
+    assert.strictEqual(supportsSelector(''), false);
+});
+
+if (require.main === module) {
+    suite.run();
+}
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks for the LLM router (tools/utils/llm/llmRouter.js) against a fake page; no model is called
+ * node test_llm_router.js
+ */
+
+process.env.LLM_MODEL = 'google/gemini-2.0-flash';
+process.env.LLM_FALLBACK_MODEL = 'openai/gpt-4o-mini';
+delete process.env.LLM_PROVIDER;
+
+const { assert, createSuite } = require('./test_util');
+const llm = require('./tools/utils/llm/llmRouter');
+
+// observe() answers per model: 'hang' never settles, an Error rejects, anything else resolves
+function fakePage(answers) {
+    const calls = [];
+    return {
+        calls,
+        observe({ modelName }) {
+            calls.push(modelName);
+            const answer = answers[modelName];
+            if (answer === 'hang') return new Promise(() => { });
+            if (answer instanceof Error) return Promise.reject(answer);
+            return Promise.resolve(answer);
+        }
+    };
+}
+
+const suite = createSuite('🧪 Testing the LLM router');
+
+suite.check('resolves the configured primary and fallback models', () => {
+    assert.deepStrictEqual(llm.resolveModels({}), { primary: 'google/gemini-2.0-flash', fallback: 'openai/gpt-4o-mini' });
+});
+suite.check('observe times out a hung model and falls back', async () => {
+    const page = fakePage({ 'google/gemini-2.0-flash': 'hang', 'openai/gpt-4o-mini': [{ selector: 'h1' }] });
+    const started = Date.now();
+    const result = await llm.observe(page, 'Find the product name', { timeoutMs: 50 });
+    assert.deepStrictEqual(result, [{ selector: 'h1' }]);
+    assert.deepStrictEqual(page.calls, ['google/gemini-2.0-flash', 'openai/gpt-4o-mini']);
+    assert.ok(Date.now() - started < 2000);
+});
+suite.check('observe rejects when every model times out', async () => {
+    const page = fakePage({ 'google/gemini-2.0-flash': 'hang', 'openai/gpt-4o-mini': 'hang' });
+    await assert.rejects(llm.observe(page, 'Find the price', { timeoutMs: 20 }), /observe on openai\/gpt-4o-mini timed out after 20ms/);
+});
+suite.check('observe without a timeout waits for the model', async () => {
+    const page = fakePage({ 'google/gemini-2.0-flash': [] });
+    assert.deepStrictEqual(await llm.observe(page, 'Find the price', {}), []);
+});
+suite.check('model errors fall back too', async () => {
+    const page = fakePage({ 'google/gemini-2.0-flash': new Error('quota'), 'openai/gpt-4o-mini': [{ selector: '.price' }] });
+    assert.deepStrictEqual(await llm.observe(page, 'Find the price', { timeoutMs: 1000 }), [{ selector: '.price' }]);
+});
+
+if (require.main === module) {
+    suite.run();
+}
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks for tools/utils/packSize.js
+ * No browser or network needed: node test_pack_size.js
+ */
+
+const { assert, createSuite } = require('./test_util');
+const { parsePackSize, computePricePerUnit, applyPackSize } = require('./tools/utils/packSize');
+
+const suite = createSuite('🧪 Testing pack size parser');
+
+suite.check('single sizes', () => {
+    assert.deepStrictEqual(parsePackSize('500g'), { quantity: 500, unit: 'g', multipack_count: 1, total_base_units: 500, base_unit: 'g' });
+    assert.strictEqual(parsePackSize('1.5 l').total_base_units, 1500);
+    assert.strictEqual(parsePackSize('1,5 L').total_base_units, 1500);
+    assert.strictEqual(parsePackSize('Shampoo 250ml').total_base_units, 250);
+    assert.strictEqual(parsePackSize('1kg').total_base_units, 1000);
+    assert.strictEqual(parsePackSize('33cl').total_base_units, 330);
+});
+suite.check('longer unit spellings win', () => {
+    assert.strictEqual(parsePackSize('Body Mist 8.4 fl oz').unit, 'fl_oz');
+    assert.strictEqual(parsePackSize('Body Mist 8.4 fl oz').base_unit, 'ml');
+    assert.strictEqual(parsePackSize('16 oz').unit, 'oz');
+    assert.strictEqual(parsePackSize('2 kgs').unit, 'kg');
+});
+suite.check('multipacks', () => {
+    assert.strictEqual(parsePackSize('2x100ml').total_base_units, 200);
+    assert.strictEqual(parsePackSize('2 × 100 ml').total_base_units, 200);
+    assert.strictEqual(parsePackSize('100ml x 2').multipack_count, 2);
+    assert.strictEqual(parsePackSize('Pack of 3 100ml').total_base_units, 300);
+    assert.strictEqual(parsePackSize('Shower Gel 250ml Twin Pack').total_base_units, 500);
+});
+suite.check('item counts', () => {
+    assert.deepStrictEqual(parsePackSize('30 Tablets'), { quantity: 30, unit: 'count', multipack_count: 1, total_base_units: 30, base_unit: 'count' });
+    assert.strictEqual(parsePackSize('Pack of 6').total_base_units, 6);
+    assert.strictEqual(parsePackSize('24 pack').total_base_units, 24);
+    assert.strictEqual(parsePackSize('80 Tea Bags').total_base_units, 80);
+});
+suite.check('strengths and text without a size', () => {
+    assert.strictEqual(parsePackSize('Vitamin C 1000mg'), null);
+    assert.strictEqual(parsePackSize('Rouge Lipstick'), null);
+    assert.strictEqual(parsePackSize(''), null);
+    assert.strictEqual(parsePackSize(null), null);
+});
+suite.check('unit prices', () => {
+    assert.deepStrictEqual(computePricePerUnit(5, parsePackSize('250ml')), { price_per_unit: 2, price_per_unit_basis: '100ml' });
+    assert.deepStrictEqual(computePricePerUnit(3, parsePackSize('Pack of 6')), { price_per_unit: 0.5, price_per_unit_basis: 'item' });
+    assert.strictEqual(computePricePerUnit(0, parsePackSize('250ml')), null);
+    assert.strictEqual(computePricePerUnit(5, null), null);
+});
+suite.check('applyPackSize reads weight, then the name, and prices by the sell price', () => {
+    const fromWeight = applyPackSize({ name: 'Hand Cream 75ml', weight: '100ml', price: 4, sell_price: 4 });
+    assert.strictEqual(fromWeight.pack_size.total_base_units, 100);
+    assert.deepStrictEqual([fromWeight.price_per_unit, fromWeight.price_per_unit_basis], [4, '100ml']);
+    const fromName = applyPackSize({ name: 'Hand Cream 75ml', weight: 'n/a', sell_price: '£3.00' });
+    assert.strictEqual(fromName.pack_size.total_base_units, 75);
+    assert.strictEqual(fromName.price_per_unit, 4);
+    const unchanged = { name: 'Rouge Lipstick', price: 30 };
+    assert.strictEqual(applyPackSize(unchanged), unchanged);
+});
+
+if (require.main === module) {
+    suite.run();
+}
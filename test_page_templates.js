@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks for tools/strategies/pageTemplates.js (page template classification by DOM fingerprint)
+ * No browser or network needed: node test_page_templates.js
+ */
+
+const path = require('path');
+const { assert, createSuite, tempDir } = require('./test_util');
+
+// Before the store is opened: a throwaway database
+process.env.SELECTOR_STORE_PATH = path.join(tempDir('page-templates'), 'selectors.sqlite');
+delete process.env.PAGE_TEMPLATE_MIN_PAGES;
+delete process.env.DISABLE_PAGE_TEMPLATES;
+
+const { classifyPage, selectorTemplate, similarity } = require('./tools/strategies/pageTemplates');
+const selectorStore = require('./tools/utils/cache/selectorStore');
+const { createHtmlPage } = require('./tools/utils/htmlPage');
+
+const VENDOR = 'template-test';
+const PAGE_URL = 'https://shop.example/p/1';
+
+const firstPartyPage = () => createHtmlPage(`<html><body>
+    <product-gallery></product-gallery><product-price></product-price>
+    <div class="ProductPageTemplate" itemscope itemtype="https://schema.org/Product"><h1>Rose Shampoo</h1></div>
+</body></html>`, PAGE_URL);
+const marketplacePage = () => createHtmlPage(`<html><body>
+    <mp-seller-card></mp-seller-card><mp-offer-list></mp-offer-list><mp-delivery></mp-delivery>
+    <div class="MarketplacePageTemplate"><h1>Rose Shampoo</h1></div>
+</body></html>`, PAGE_URL);
+
+const suite = createSuite('🧪 Testing page templates');
+
+suite.check('fingerprint similarity', () => {
+    assert.strictEqual(similarity(['a', 'b'], ['a', 'b']), 1);
+    assert.strictEqual(similarity(['a', 'b'], ['b', 'c']), 1 / 3);
+    assert.strictEqual(similarity([], []), 0);
+});
+suite.check('the first fingerprint is the default template', async () => {
+    assert.strictEqual(await classifyPage(firstPartyPage(), VENDOR, PAGE_URL), 'default');
+    assert.strictEqual(await classifyPage(firstPartyPage(), VENDOR, PAGE_URL), 'default');
+    assert.strictEqual(selectorTemplate(VENDOR, 'default'), 'default');
+});
+suite.check('a new layout gets its own template but default selectors until confirmed', async () => {
+    const template = await classifyPage(marketplacePage(), VENDOR, PAGE_URL);
+    assert.match(template, /^auto-[0-9a-f]{6}$/);
+    assert.strictEqual(selectorTemplate(VENDOR, template), 'default', 'seen on one page');
+    assert.strictEqual(await classifyPage(marketplacePage(), VENDOR, PAGE_URL), template);
+    assert.strictEqual(selectorTemplate(VENDOR, template), 'default', 'seen on two pages');
+    assert.strictEqual(await classifyPage(marketplacePage(), VENDOR, PAGE_URL), template);
+    assert.strictEqual(selectorTemplate(VENDOR, template), template, 'confirmed after three pages');
+    assert.strictEqual(await classifyPage(firstPartyPage(), VENDOR, PAGE_URL), 'default');
+});
+suite.check('bare pages and rule templates', async () => {
+    assert.strictEqual(await classifyPage(createHtmlPage('<html><body><h1>Rose</h1></body></html>', PAGE_URL), VENDOR, PAGE_URL), 'default');
+    assert.strictEqual(selectorTemplate(VENDOR, 'marketplace'), 'marketplace', 'not an auto template');
+    selectorStore.getStore().recordTemplatePage('other-vendor', 'marketplace', { kind: 'rule' });
+    assert.strictEqual(selectorTemplate('other-vendor', 'marketplace'), 'marketplace');
+});
+suite.check('classification can be turned off', async () => {
+    process.env.DISABLE_PAGE_TEMPLATES = 'true';
+    assert.strictEqual(await classifyPage(marketplacePage(), VENDOR, PAGE_URL), 'default');
+    delete process.env.DISABLE_PAGE_TEMPLATES;
+});
+
+if (require.main === module) {
+    suite.run();
+}
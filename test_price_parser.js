@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks for tools/utils/priceParser.js
+ * No browser or network needed: node test_price_parser.js
+ */
+
+const { assert, createSuite } = require('./test_util');
+const { parsePriceText, parseAmount, parsePercent, normalizeNumber, detectCurrency } = require('./tools/utils/priceParser');
+
+function price(text, expected, options) {
+    const parsed = parsePriceText(text, options);
+    assert.ok(parsed, `"${text}" did not parse`);
+    for (const [key, value] of Object.entries(expected)) {
+        assert.deepStrictEqual(parsed[key], value, `"${text}" ${key}: expected ${value}, got ${parsed[key]}`);
+    }
+}
+
+const suite = createSuite('🧪 Testing price parser');
+
+suite.check('plain prices', () => {
+    price('£12.99', { amount: 12.99, currency: 'GBP' });
+    price('12,99 €', { amount: 12.99, currency: 'EUR' });
+    price('USD 1,299.00', { amount: 1299, currency: 'USD' });
+    price("CHF 1'299.50", { amount: 1299.5, currency: 'CHF' });
+    price('1.299,00 €', { amount: 1299, currency: 'EUR' });
+    price(' £ 7 ', { amount: 7, currency: 'GBP' });
+});
+suite.check('numbers without currency', () => {
+    price('12.50', { amount: 12.5, currency: null });
+    price('12.50', { amount: 12.5, currency: 'GBP' }, { defaultCurrency: 'GBP' });
+    price(19.999, { amount: 19.999, currency: null });
+    assert.strictEqual(parsePriceText(''), null);
+    assert.strictEqual(parsePriceText('Out of stock'), null);
+    assert.strictEqual(parsePriceText(null), null);
+});
+suite.check('pence and cents prices', () => {
+    price('99p', { amount: 0.99, currency: 'GBP' });
+    price('Only 45p each', { amount: 0.45, currency: 'GBP', unit: 'each' });
+    price('3 for 99p', { amount: 0.99, currency: 'GBP' });
+});
+suite.check('multi-buy and quantity text uses the amount next to the currency', () => {
+    price('3 for £10', { amount: 10, currency: 'GBP' });
+    price('2x £3', { amount: 3, currency: 'GBP' });
+    price('Buy 2 for 5 EUR', { amount: 5, currency: 'EUR' });
+    price('Entry 5 for £10', { amount: 10, currency: 'GBP' });
+});
+suite.check('space-grouped numbers need a currency after them', () => {
+    price('£5 100ml', { amount: 5, currency: 'GBP' });
+    price('1 299,95 €', { amount: 1299.95, currency: 'EUR' });
+    price('1 299,00 €', { amount: 1299, currency: 'EUR' });
+    price('2 500 PLN', { amount: 2500, currency: 'PLN' });
+    assert.strictEqual(parseAmount('£4 250g'), 4);
+});
+suite.check('was/now, ranges and unit prices', () => {
+    price('Was £20 Now £15', { amount: 15, currency: 'GBP' });
+    price('Now £15 Was £20', { amount: 15, currency: 'GBP' });
+    price('£5 - £9', { amount: 5, min: 5, max: 9, is_range: true });
+    price('£9 to £5', { amount: 5, min: 5, max: 9, is_range: true });
+    price('From £7.50', { amount: 7.5, is_from: true });
+    price('£4.50 (£2.25 per 100ml)', { amount: 4.5 });
+});
+suite.check('currency detection', () => {
+    assert.strictEqual(detectCurrency('A$12'), 'AUD');
+    assert.strictEqual(detectCurrency('12 zł'), 'PLN');
+    assert.strictEqual(detectCurrency('gbp 5'), 'GBP');
+    assert.strictEqual(detectCurrency('Cadbury 5'), null);
+});
+suite.check('numbers and percentages', () => {
+    assert.strictEqual(normalizeNumber('1,299'), 1299);
+    assert.strictEqual(normalizeNumber('0,500'), 0.5);
+    assert.strictEqual(normalizeNumber('12,50'), 12.5);
+    assert.strictEqual(normalizeNumber('1.299.000'), 1299000);
+    assert.strictEqual(parsePercent('Save 25%'), 25);
+    assert.strictEqual(parsePercent('-12,5 %'), 12.5);
+    assert.strictEqual(parsePercent('no discount'), null);
+});
+
+if (require.main === module) {
+    suite.run();
+}
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks for cross-vendor matching (tools/utils/matching/productMatcher.js)
+ * No browser or network needed: node test_product_matcher.js
+ */
+
+const { assert, createSuite } = require('./test_util');
+const { nameTokens, normalizeBrand, toCandidate, scorePair, matchVendorPair, matchAcrossVendors } = require('./tools/utils/matching/productMatcher');
+
+const product = (id, name, extra = {}) => ({ product_id: id, url: `https://shop.example/${id}`, name, ...extra });
+const pair = (a, b) => scorePair(toCandidate('left', a), toCandidate('right', b));
+
+const suite = createSuite('🧪 Testing cross-vendor product matching');
+
+suite.check('name tokens drop sizes, brand words and stopwords but keep shade numbers', () => {
+    assert.deepStrictEqual(nameTokens('Dior Rouge Dior Lipstick 999 3.5g', 'Dior'), ['rouge', 'dior', 'lipstick', '999']);
+    assert.deepStrictEqual(nameTokens('Nivea Soft Cream 2 x 100ml', 'Nivea'), ['soft', 'cream']);
+    assert.strictEqual(normalizeBrand("L'Oréal Paris"), 'lorealparis');
+});
+suite.check('different shade numbers never match', () => {
+    const a = product('a', 'Rouge Dior Lipstick 999 3.5g', { brand: 'Dior' });
+    assert.strictEqual(pair(a, product('b', 'Rouge Dior Lipstick 720 3.5g', { brand: 'Dior' })), null);
+    assert.strictEqual(pair(a, product('b', 'Rouge Dior Lipstick 3.5g', { brand: 'Dior' })), null);
+    const same = pair(a, product('b', 'Rouge Dior Lipstick 999 3.5g', { brand: 'DIOR' }));
+    assert.ok(same && same.confidence >= 0.9, JSON.stringify(same));
+});
+suite.check('pack sizes and brands rule pairs out', () => {
+    const a = product('a', 'Nivea Soft Cream 100ml', { brand: 'Nivea' });
+    assert.strictEqual(pair(a, product('b', 'Nivea Soft Cream 200ml', { brand: 'Nivea' })), null);
+    assert.strictEqual(pair(a, product('b', 'Soft Cream 100ml', { brand: 'Dove' })), null);
+    assert.ok(pair(a, product('b', 'Nivea Soft Moisturising Cream 100 ml', { brand: 'Nivea' })));
+});
+suite.check('without a pack size the names must be nearly identical', () => {
+    const a = product('a', 'Nivea Soft Cream', { brand: 'Nivea' });
+    assert.strictEqual(pair(a, product('b', 'Nivea Soft Moisturising Cream', { brand: 'Nivea' })), null);
+    assert.ok(pair(a, product('b', 'Nivea Soft Cream', { brand: 'Nivea' })));
+});
+suite.check('candidate price is the retailer price, never the marked-up price', () => {
+    assert.strictEqual(toCandidate('v', product('a', 'Cream', { cost_price: 4.99, price: 6.5 })).price, 4.99);
+    assert.strictEqual(toCandidate('v', product('a', 'Cream', { original_price: '£4.99', price: 6.5 })).price, 4.99);
+    assert.strictEqual(toCandidate('v', product('a', 'Cream', { price: 6.5, sell_price: 6.5 })).price, null);
+});
+suite.check('GTIN matches win and each product matches once per vendor', () => {
+    const left = [toCandidate('a', product('a1', 'Soft Cream 100ml', { brand: 'Nivea', gtin: '5000167123456' }))];
+    const right = [
+        toCandidate('b', product('b1', 'Soft Cream 100ml', { brand: 'Nivea' })),
+        toCandidate('b', product('b2', 'Nivea Creme Soft', { gtin: '05000167123456' }))
+    ];
+    const matches = matchVendorPair(left, right);
+    assert.strictEqual(matches.length, 1);
+    assert.strictEqual(matches[0].b.product_id, 'b2');
+    assert.strictEqual(matches[0].method, 'gtin');
+});
+suite.check('groups never hold two products of one vendor', () => {
+    const result = matchAcrossVendors({
+        alpha: [
+            product('a1', 'Soft Cream 100ml', { brand: 'Nivea' }),
+            product('a2', 'Soft Cream Tube 100ml', { brand: 'Nivea', gtin: '012345678905' })
+        ],
+        beta: [product('b1', 'Soft Cream 100ml', { brand: 'Nivea' })],
+        gamma: [product('c1', 'Soft Cream 100ml', { brand: 'Nivea', gtin: '012345678905' })]
+    });
+    for (const group of result.groups) {
+        const vendors = group.map(c => c.vendor);
+        assert.strictEqual(new Set(vendors).size, vendors.length, vendors.join(','));
+    }
+    const ids = result.groups.map(group => group.map(c => c.product_id).sort().join('+')).sort();
+    assert.deepStrictEqual(ids, ['a1+b1', 'a2+c1']);
+    assert.strictEqual(result.conflicts.length, 1);
+    assert.deepStrictEqual([result.conflicts[0].a.product_id, result.conflicts[0].b.product_id], ['b1', 'c1']);
+    assert.ok(!result.matches.includes(result.conflicts[0]));
+});
+
+if (require.main === module) {
+    suite.run();
+}
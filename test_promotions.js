@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks for promotion fields: the promotion marker check and update-mode merging
+ * No browser or network needed: node test_promotions.js
+ */
+
+const { assert, createSuite } = require('./test_util');
+const { createHtmlPage } = require('./tools/utils/htmlPage');
+const { hasPromotionMarker, DEFAULT_PRICE_SELECTORS } = require('./tools/strategies/generic');
+const { applyFieldUpdates, withPriceDerivedFields } = require('./tools/utils/manager/updateManager');
+
+const SCOPE = { regions: ['main'], priceSelectors: DEFAULT_PRICE_SELECTORS };
+const BANNER = '<header><div class="banner">Summer sale: save 20% off everything, 3 for 2 on fragrance</div></header>';
+
+function promotionShown(body, scope = SCOPE) {
+    const page = createHtmlPage(`<html><body>${body}</body></html>`, 'https://shop.example/p/1');
+    return page.evaluate(hasPromotionMarker, scope);
+}
+
+const suite = createSuite('🧪 Testing promotion fields');
+
+suite.section('Promotion marker next to the product price');
+suite.check('a site-wide sale banner does not count', async () => {
+    const shown = await promotionShown(`${BANNER}<main><h1>Hand Cream</h1><div class="product-price"><span>£4.99</span></div>
+        <section class="carousel"><div class="tile"><s>£9.99</s> £5.00</div></section></main>`);
+    assert.strictEqual(shown, false);
+});
+suite.check('a struck-through was price next to the price counts', async () => {
+    const shown = await promotionShown(`${BANNER}<main><div class="price-block"><span class="price">£4.99</span><s>£6.99</s></div></main>`);
+    assert.strictEqual(shown, true);
+});
+suite.check('offer text in the price block counts', async () => {
+    const shown = await promotionShown('<main><div class="pdp-pricing"><span itemprop="price" content="4.99">£4.99</span><p>Buy one get one half price</p></div></main>');
+    assert.strictEqual(shown, true);
+});
+suite.check('a strategy price container is tried first', async () => {
+    const body = '<main><div class="price">£4.99</div><div id="buy-box"><b>£4.99</b> <span>Was £6.99</span></div></main>';
+    assert.strictEqual(await promotionShown(body), false);
+    assert.strictEqual(await promotionShown(body, { ...SCOPE, priceSelectors: ['#buy-box', ...DEFAULT_PRICE_SELECTORS] }), true);
+});
+suite.check('without a price element the LLM decides', async () => {
+    assert.strictEqual(await promotionShown(`${BANNER}<main><h1>Hand Cream</h1></main>`), true);
+});
+
+suite.section('Update mode');
+suite.check('price updates bring the derived and promotion fields', () => {
+    assert.deepStrictEqual(withPriceDerivedFields(['price', 'stock_status']),
+        ['price', 'stock_status', 'cost_price', 'sell_price', 'original_price', 'currency', 'was_price', 'discount_percent', 'promotion']);
+    assert.deepStrictEqual(withPriceDerivedFields(['stock_status']), ['stock_status']);
+});
+suite.check('a refreshed price without an offer clears the old one', () => {
+    const original = { product_id: '1', price: 6, cost_price: 4, was_price: 6, discount_percent: 33, promotion: '3 for 2', name: 'Hand Cream',
+        _provenance: { was_price: { method: 'llm' }, promotion: { method: 'llm' }, name: { method: 'llm' } } };
+    const fresh = { product_id: '1', price: 7.5, cost_price: 5, _provenance: { cost_price: { method: 'learned_selector' } } };
+    const updated = applyFieldUpdates(original, fresh, ['price']);
+    assert.strictEqual(updated.price, 7.5);
+    assert.strictEqual(updated.cost_price, 5);
+    for (const field of ['was_price', 'discount_percent', 'promotion']) {
+        assert.strictEqual(field in updated, false, field);
+        assert.strictEqual(field in updated._provenance, false, field);
+    }
+    assert.strictEqual(updated.name, 'Hand Cream');
+    assert.deepStrictEqual(updated._provenance.name, { method: 'llm' });
+});
+suite.check('a refreshed offer replaces the old one', () => {
+    const updated = applyFieldUpdates({ price: 6, was_price: 8, promotion: '3 for 2' }, { price: 5, was_price: 9 }, ['price']);
+    assert.strictEqual(updated.was_price, 9);
+    assert.strictEqual('promotion' in updated, false);
+});
+suite.check('updates without a price keep the offer', () => {
+    const updated = applyFieldUpdates({ price: 6, was_price: 8, stock_status: 'In stock' }, { stock_status: 'Out of stock' }, ['stock_status']);
+    assert.strictEqual(updated.was_price, 8);
+    assert.strictEqual(updated.stock_status, 'Out of stock');
+});
+
+if (require.main === module) {
+    suite.run();
+}
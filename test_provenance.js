@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks for per-field provenance (tools/utils/provenance.js)
+ * No browser or network needed: node test_provenance.js
+ */
+
+const { assert, createSuite } = require('./test_util');
+const provenance = require('./tools/utils/provenance');
+const { processProductData } = require('./tools/strategies/generic');
+
+const suite = createSuite('🧪 Testing field provenance');
+
+const selectorEntry = provenance.makeEntry('learned_selector', { source: 'selector_store', selector: '.price', confidence: 0.86 });
+
+function finalize(product, fieldProvenance) {
+    const processed = processProductData(product);
+    return { processed, entries: provenance.finalizeProvenance(processed, fieldProvenance) };
+}
+
+suite.check('the scraped price entry moves to cost_price and original_price', () => {
+    const { processed, entries } = finalize({ vendor: 'superdrug', name: 'Hand Cream', price: '£4.99' }, {
+        name: provenance.makeEntry('structured_data', { source: 'json_ld', confidence: 0.95 }),
+        price: selectorEntry
+    });
+    assert.strictEqual(processed.cost_price, 4.99);
+    assert.ok(processed.sell_price > processed.cost_price);
+    assert.deepStrictEqual(entries.cost_price, selectorEntry);
+    assert.deepStrictEqual(entries.original_price, selectorEntry);
+    for (const field of ['price', 'sell_price']) {
+        assert.deepStrictEqual(entries[field], { method: 'derived', source: 'markup', from: 'cost_price', confidence: 0.86 });
+    }
+    assert.strictEqual(entries.name.source, 'json_ld');
+});
+suite.check('finalizing twice keeps the scraped entry on cost_price', () => {
+    const { processed, entries } = finalize({ vendor: 'superdrug', price: '£4.99' }, { price: selectorEntry });
+    const again = provenance.finalizeProvenance(processProductData(processed), entries);
+    assert.deepStrictEqual(again.cost_price, selectorEntry);
+    assert.strictEqual(again.price.method, 'derived');
+});
+suite.check('an unparseable price keeps its own entry', () => {
+    const { entries } = finalize({ vendor: 'superdrug', price: 'See in store' }, { price: selectorEntry });
+    assert.deepStrictEqual(entries.price, selectorEntry);
+    assert.strictEqual(entries.cost_price, undefined);
+});
+suite.check('extractedEntry follows derived entries to their source', () => {
+    const llm = provenance.makeEntry('llm', { source: 'page.extract', verified: false, confidence: provenance.LLM_UNVERIFIED_CONFIDENCE });
+    const { entries } = finalize({ vendor: 'superdrug', price: '£4.99' }, { price: llm });
+    assert.strictEqual(provenance.extractedEntry(entries, 'price').method, 'llm');
+    assert.strictEqual(provenance.extractedEntry(entries, 'cost_price').method, 'llm');
+    assert.strictEqual(provenance.extractedEntry(entries, 'name'), null);
+});
+suite.check('derived entries are left out of the run summary', () => {
+    const { processed, entries } = finalize({ vendor: 'provenance-test', name: 'Hand Cream', price: '£4.99' }, {
+        name: provenance.makeEntry('llm', { source: 'page.extract' }),
+        price: selectorEntry
+    });
+    provenance.recordProduct({ ...processed, _provenance: entries });
+    const stats = provenance.getProvenanceStats()['provenance-test'];
+    assert.deepStrictEqual(stats.methods, { llm: 1, learned_selector: 2 });
+    assert.strictEqual(stats.fields, 3);
+});
+
+if (require.main === module) {
+    suite.run();
+}
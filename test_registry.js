@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks for the vendor strategy registry (tools/strategies/registry.js)
+ * against the strategies in vendors/. No browser or network needed: node test_registry.js
+ */
+
+const { assert, createSuite } = require('./test_util');
+const registry = require('./tools/strategies/registry');
+
+const suite = createSuite('🧪 Testing vendor strategy registry');
+
+suite.check('discovers every vendor folder with a strategy', () => {
+    const vendors = registry.listStrategies().map(strategy => strategy.vendor).sort();
+    assert.deepStrictEqual(vendors, ['harrods', 'superdrug']);
+});
+suite.check('resolves by vendor key, case-insensitively', () => {
+    assert.strictEqual(registry.getStrategy('Superdrug').vendor, 'superdrug');
+    assert.strictEqual(registry.getStrategy(' harrods ').vendor, 'harrods');
+    assert.strictEqual(registry.getStrategy('unknown'), null);
+    assert.strictEqual(registry.getStrategy(null), null);
+});
+suite.check('resolves by hostname, including subdomains but not look-alike domains', () => {
+    assert.strictEqual(registry.getStrategyForUrl('https://www.superdrug.com/p/123').vendor, 'superdrug');
+    assert.strictEqual(registry.getStrategyForUrl('https://superdrug.com/p/123').vendor, 'superdrug');
+    assert.strictEqual(registry.getStrategyForUrl('https://notsuperdrug.com/p/123'), null);
+    assert.strictEqual(registry.getStrategyForUrl('not a url'), null);
+});
+suite.check('vendor name wins over the URL, URL is the fallback', () => {
+    assert.strictEqual(registry.resolveStrategy({ vendor: 'harrods', url: 'https://www.superdrug.com/p/1' }).vendor, 'harrods');
+    assert.strictEqual(registry.resolveStrategy({ vendor: 'other', url: 'https://www.harrods.com/en-gb/p/1' }).vendor, 'harrods');
+    assert.strictEqual(registry.resolveStrategy({ vendor: 'other', source_url: 'https://www.superdrug.com/p/1' }).vendor, 'superdrug');
+    assert.strictEqual(registry.resolveStrategy('https://www.harrods.com/p/1').vendor, 'harrods');
+    assert.strictEqual(registry.resolveStrategy({ vendor: 'other' }), null);
+});
+suite.check('normalizes the strategy shape', () => {
+    for (const strategy of registry.listStrategies()) {
+        assert.strictEqual(typeof strategy.extract, 'function', `${strategy.vendor} extract`);
+        assert.strictEqual(typeof strategy.customFields, 'object', `${strategy.vendor} customFields`);
+        assert.ok(strategy.hostnames.every(host => !host.startsWith('www.')), `${strategy.vendor} hostnames`);
+    }
+    assert.deepStrictEqual(registry.getCustomFields('unknown'), {});
+});
+
+if (require.main === module) {
+    suite.run();
+}
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks for tools/utils/selectorInference.js (offline selector inference from saved pages)
+ * No browser or network needed: node test_selector_inference.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseHTML } = require('linkedom');
+const { assert, createSuite, tempDir } = require('./test_util');
+
+// Before the store is opened: a throwaway database
+process.env.SELECTOR_STORE_PATH = path.join(tempDir('selector-inference'), 'selectors.sqlite');
+
+const {
+    isStableName,
+    candidateSelectors,
+    findValueNodes,
+    inferSelectors,
+    saveInferredSelectors,
+    savedPageUrl,
+    loadSamples
+} = require('./tools/utils/selectorInference');
+const selectorStore = require('./tools/utils/cache/selectorStore');
+
+const VENDOR = 'inference-test';
+
+// Saved product pages: generated class names change per page, test ids and hand-written classes do not
+const productHtml = ({ hash, name, price, image, crumbs }) => `<html><head>
+<link rel="canonical" href="https://shop.example/p/${name.toLowerCase().replace(/\s+/g, '-')}">
+</head><body>
+    <nav class="breadcrumbs">${crumbs.map(crumb => `<a href="/${crumb.toLowerCase()}">${crumb}</a>`).join(' / ')}</nav>
+    <main class="css-${hash}">
+        <h1 data-testid="product-name" class="title-${hash}">${name}</h1>
+        <div class="price-box"><span class="now-price">£${price.toFixed(2)}</span> <span class="was">RRP £99.00</span></div>
+        <img class="hero" src="https://cdn.example/img/${image}?w=600">
+        <p class="blurb">${name} from our best-selling range, loved by thousands of customers every single week of the year</p>
+    </main>
+</body></html>`;
+
+const PRODUCTS = [
+    { hash: '1a2b3c', name: 'Rose Shampoo', price: 4.99, image: 'rose.jpg', crumbs: ['Hair', 'Shampoo'] },
+    { hash: '9z8y7x', name: 'Mint Conditioner', price: 5.49, image: 'mint.jpg', crumbs: ['Hair', 'Conditioner'] },
+    { hash: '4d5e6f', name: 'Argan Hair Oil', price: 12, image: 'argan.jpg', crumbs: ['Hair', 'Treatments'] }
+];
+const samples = PRODUCTS.map(p => ({
+    url: `https://shop.example/p/${p.name.toLowerCase().replace(/\s+/g, '-')}`,
+    html: productHtml(p),
+    item: { name: p.name, price: p.price, main_image: `https://shop.example/media/${p.image}`, breadcrumbs: p.crumbs }
+}));
+
+const documentOf = (html) => parseHTML(html).document;
+
+const suite = createSuite('🧪 Testing selector inference');
+
+suite.section('🏷️ Candidates');
+suite.check('generated and state names are not stable', () => {
+    assert.strictEqual(isStableName('product-title'), true);
+    assert.strictEqual(isStableName('price_now'), true);
+    assert.strictEqual(isStableName('css-1a2b3c'), false);
+    assert.strictEqual(isStableName('sc-bdVaJa'), false);
+    assert.strictEqual(isStableName('is-active'), false);
+    assert.strictEqual(isStableName('bXkQz3'), false);
+    assert.strictEqual(isStableName('item12345'), false);
+});
+suite.check('candidates are most stable first', () => {
+    const document = documentOf('<html><body><div id="product"><h1 data-testid="name" class="title css-abc123">Rose</h1></div></body></html>');
+    const candidates = candidateSelectors(document.querySelector('h1'));
+    assert.deepStrictEqual(candidates[0], { selector: 'h1[data-testid="name"]', score: 5 });
+    assert.ok(candidates.some(c => c.selector === 'h1.title' && c.score === 3));
+    assert.ok(candidates.some(c => c.selector === '#product h1.title'));
+    assert.ok(!candidates.some(c => c.selector.includes('css-abc123')));
+    assert.strictEqual(candidates[candidates.length - 1].score, 0, 'nth-child path last');
+});
+
+suite.section('🔎 Value nodes');
+suite.check('innermost element carrying the value', () => {
+    const document = documentOf(samples[0].html);
+    assert.deepStrictEqual(findValueNodes(document, 'price', 4.99).map(el => el.className), ['now-price']);
+    assert.deepStrictEqual(findValueNodes(document, 'name', 'Rose Shampoo').map(el => el.tagName.toLowerCase()), ['h1']);
+    assert.deepStrictEqual(findValueNodes(document, 'main_image', 'https://shop.example/media/rose.jpg').map(el => el.className), ['hero']);
+    assert.deepStrictEqual(findValueNodes(document, 'breadcrumbs', ['Hair', 'Shampoo']).map(el => el.className), ['breadcrumbs']);
+});
+suite.check('no value, no nodes', () => {
+    const document = documentOf(samples[0].html);
+    assert.deepStrictEqual(findValueNodes(document, 'name', ''), []);
+    assert.deepStrictEqual(findValueNodes(document, 'is_vegan', true), []);
+    assert.deepStrictEqual(findValueNodes(document, 'price', 7.5), []);
+    assert.deepStrictEqual(findValueNodes(document, 'stock_status', 'In stock'), []);
+});
+
+suite.section('🧮 Inference');
+suite.check('selectors that generalize across pages', async () => {
+    const results = await inferSelectors(VENDOR, samples, { fields: ['name', 'price', 'main_image', 'breadcrumbs'] });
+    assert.strictEqual(results.name.samples, 3);
+    assert.strictEqual(results.name.candidates[0].selector, 'h1[data-testid="product-name"]');
+    assert.strictEqual(results.price.candidates[0].selector, 'span.now-price');
+    assert.strictEqual(results.main_image.candidates[0].selector, 'img.hero');
+    assert.strictEqual(results.breadcrumbs.candidates[0].selector, 'nav.breadcrumbs');
+    for (const { candidates } of Object.values(results)) {
+        assert.ok(candidates.length <= 2);
+        assert.ok(candidates.every(c => c.agreement === 1 && !/css-|title-/.test(c.selector)), JSON.stringify(candidates));
+    }
+});
+suite.check('a selector must agree on enough pages', async () => {
+    const mixed = samples.map((sample, i) => i === 0 ? sample : { ...sample, html: sample.html.replace('data-testid="product-name"', 'data-testid="name"') });
+    const results = await inferSelectors(VENDOR, mixed, { fields: ['name'] });
+    assert.ok(!results.name.candidates.some(c => c.selector === 'h1[data-testid="product-name"]'));
+    assert.ok(!results.name.candidates.some(c => c.selector === 'h1[data-testid="name"]'), 'only 2 of 3 pages');
+    const lenient = await inferSelectors(VENDOR, mixed, { fields: ['name'], minAgreement: 0.6 });
+    assert.ok(lenient.name.candidates.some(c => c.selector === 'h1[data-testid="name"]'));
+});
+suite.check('containers of a text value are not inferred', async () => {
+    const described = samples.map(sample => ({ ...sample, item: { ...sample.item, description: sample.item.name } }));
+    const results = await inferSelectors(VENDOR, described, { fields: ['description'] });
+    assert.ok(!results.description.candidates.some(c => c.selector === 'p.blurb'), JSON.stringify(results.description.candidates));
+});
+suite.check('inferred selectors are stored on probation', async () => {
+    const results = await inferSelectors(VENDOR, samples, { fields: ['name', 'price'], top: 1 });
+    assert.strictEqual(await saveInferredSelectors(VENDOR, results, 'bundle'), 2);
+    const set = selectorStore.getStore().exportJson(VENDOR)[VENDOR].templates.bundle;
+    const entry = set.selectors.name[0];
+    assert.strictEqual(entry.selector, 'h1[data-testid="product-name"]');
+    assert.strictEqual(entry.status, 'probation');
+    assert.strictEqual(entry.learned_by, 'offline');
+    assert.strictEqual(entry.offline_samples, 3);
+    assert.strictEqual(selectorStore.getStore().history({ vendor: VENDOR })[0].actor, 'offline');
+});
+
+suite.section('📂 Saved pages');
+suite.check('page URL from the saved page', () => {
+    assert.strictEqual(savedPageUrl('<!-- saved from url=(0032)https://shop.example/p/rose -->\n<html></html>'), 'https://shop.example/p/rose');
+    assert.strictEqual(savedPageUrl('<link href="https://shop.example/p/mint" rel="canonical">'), 'https://shop.example/p/mint');
+    assert.strictEqual(savedPageUrl('<meta property="og:url" content="https://shop.example/p/oil">'), 'https://shop.example/p/oil');
+    assert.strictEqual(savedPageUrl('<html></html>'), null);
+});
+suite.check('saved pages are paired with items', () => {
+    const dir = tempDir('selector-inference-pages');
+    fs.writeFileSync(path.join(dir, 'rose.html'), samples[0].html);
+    fs.writeFileSync(path.join(dir, 'sku-42.html'), '<html><body><h1>Mint</h1></body></html>');
+    fs.writeFileSync(path.join(dir, 'oil.html'), '<html><body><h1>Oil</h1></body></html>');
+    fs.writeFileSync(path.join(dir, 'oil.json'), JSON.stringify({ name: 'Oil', url: 'https://shop.example/p/oil' }));
+    fs.writeFileSync(path.join(dir, 'unknown.html'), '<html></html>');
+    const items = [
+        { name: 'Rose Shampoo', url: 'https://www.shop.example/p/rose-shampoo/' },
+        { name: 'Mint', product_id: 'SKU-42', url: 'https://shop.example/p/mint' }
+    ];
+    const { samples: loaded, unmatched } = loadSamples(dir, items);
+    assert.deepStrictEqual(loaded.map(s => [path.basename(s.source), s.item.name]), [['oil.html', 'Oil'], ['rose.html', 'Rose Shampoo'], ['sku-42.html', 'Mint']]);
+    assert.strictEqual(loaded[0].url, 'https://shop.example/p/oil');
+    assert.deepStrictEqual(unmatched, ['unknown.html']);
+});
+
+if (require.main === module) {
+    suite.run();
+}
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks for learning coordination in tools/utils/selectorLearning.js (which extractions wait for learning)
+ * No browser or network needed: node test_selector_learning.js
+ */
+
+const path = require('path');
+const { assert, createSuite, tempDir } = require('./test_util');
+
+// Before the store is opened: a throwaway database
+process.env.SELECTOR_STORE_PATH = path.join(tempDir('selector-learning'), 'selectors.sqlite');
+
+const selectorLearning = require('./tools/utils/selectorLearning');
+
+const VENDOR = 'learning-test';
+
+// Learning task held open until release() is called: its learning page opens only then
+function startHeldTask(template, fields) {
+    let release = null;
+    const opened = new Promise(resolve => { release = resolve; });
+    selectorLearning.reportFieldsNeedingLearning(VENDOR, fields, template);
+    // No values to learn from, so the task ends without the LLM once its page is open
+    const task = selectorLearning.processPendingSelectorLearning(null, VENDOR, { page_template: template }, {
+        openPage: async () => { await opened; return { page: {}, close: async () => { } }; }
+    });
+    return { task, release };
+}
+
+const settledWithin = async (promise, ms) => {
+    let settled = false;
+    promise.then(() => { settled = true; }, () => { settled = true; });
+    await new Promise(resolve => setTimeout(resolve, ms));
+    return settled;
+};
+
+const suite = createSuite('🧪 Testing selector learning coordination');
+
+suite.check('probation keeps extraction independent of learning', async () => {
+    delete process.env.DISABLE_SELECTOR_PROBATION;
+    const { task, release } = startHeldTask('bundle', ['name']);
+    assert.strictEqual(selectorLearning.dependsOnActiveLearning(VENDOR, 'bundle', ['name']), false);
+    release();
+    await task;
+});
+suite.check('without probation, only tasks for the page template and its unlearned fields count', async () => {
+    process.env.DISABLE_SELECTOR_PROBATION = 'true';
+    const { task, release } = startHeldTask('bundle', ['name', 'weight']);
+    assert.strictEqual(selectorLearning.dependsOnActiveLearning(VENDOR, 'bundle', ['price', 'name']), true);
+    assert.strictEqual(selectorLearning.dependsOnActiveLearning(VENDOR, 'bundle', ['price']), false, 'other fields');
+    assert.strictEqual(selectorLearning.dependsOnActiveLearning(VENDOR, 'default', ['name']), false, 'other template');
+    assert.strictEqual(selectorLearning.dependsOnActiveLearning(VENDOR, undefined, ['name']), false, 'default template');
+    assert.strictEqual(selectorLearning.dependsOnActiveLearning('other-vendor', 'bundle', ['name']), false, 'other vendor');
+    assert.strictEqual(selectorLearning.dependsOnActiveLearning(VENDOR, 'bundle', []), false, 'nothing unlearned');
+    release();
+    await task;
+    assert.strictEqual(selectorLearning.dependsOnActiveLearning(VENDOR, 'bundle', ['name']), false, 'task finished');
+    delete process.env.DISABLE_SELECTOR_PROBATION;
+});
+suite.check('waiting is limited to the template and fields asked for', async () => {
+    const { task, release } = startHeldTask('bundle', ['description']);
+    assert.strictEqual(await settledWithin(selectorLearning.waitForLearningCompletion(VENDOR, ['description'], 'default'), 50), true);
+    assert.strictEqual(await settledWithin(selectorLearning.waitForLearningCompletion(VENDOR, ['price'], 'bundle'), 50), true);
+    const waiting = selectorLearning.waitForLearningCompletion(VENDOR, ['description'], 'bundle');
+    assert.strictEqual(await settledWithin(waiting, 50), false, 'task still running');
+    release();
+    await task;
+    assert.strictEqual(await settledWithin(waiting, 10), true);
+    assert.strictEqual(selectorLearning.getLearningStats().totalPendingFields, 0);
+});
+
+if (require.main === module) {
+    suite.run();
+}
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks for tools/utils/selectorProbation.js (shadow validation of newly learned selectors)
+ * No browser or network needed: node test_selector_probation.js
+ */
+
+const path = require('path');
+const { assert, createSuite, tempDir } = require('./test_util');
+
+// Before the store is opened: a throwaway database
+process.env.SELECTOR_STORE_PATH = path.join(tempDir('selector-probation'), 'selectors.sqlite');
+process.env.SELECTOR_PROBATION_PAGES = '3';
+
+const { acceptedValue, valuesAgree, shadowValidate } = require('./tools/utils/selectorProbation');
+const selectorStats = require('./tools/utils/selectorStats');
+const selectorStore = require('./tools/utils/cache/selectorStore');
+const { createHtmlPage } = require('./tools/utils/htmlPage');
+
+const VENDOR = 'probation-test';
+
+const productPage = (name, price) => createHtmlPage(`<html><body>
+    <div class="product">
+        <h1 class="title">${name}</h1>
+        <p class="summary">${name} with a long description of the formula, the scent and how to apply it every day</p>
+        <span class="price">£${price}</span>
+    </div>
+</body></html>`, 'https://shop.example/p/1');
+
+const suite = createSuite('🧪 Testing selector probation');
+
+suite.section('🔍 Value agreement');
+suite.check('prices compare by amount', () => {
+    assert.strictEqual(valuesAgree('price', '£12.50', 12.5), true);
+    assert.strictEqual(valuesAgree('price', 'Now £12.50', '12.50'), true);
+    assert.strictEqual(valuesAgree('price', '£12.00', 12.5), false);
+    assert.strictEqual(valuesAgree('price', 'Add to bag', 12.5), false);
+});
+suite.check('images compare by file name', () => {
+    assert.strictEqual(valuesAgree('main_image', 'https://cdn.example/img/abc.jpg?w=600', 'https://shop.example/media/abc.jpg'), true);
+    assert.strictEqual(valuesAgree('main_image', 'https://cdn.example/img/abd.jpg', 'https://cdn.example/img/abc.jpg'), false);
+});
+suite.check('stock status compares availability', () => {
+    assert.strictEqual(valuesAgree('stock_status', 'Sold out', 'Out of stock'), true);
+    assert.strictEqual(valuesAgree('stock_status', 'In stock', 'Out of stock'), false);
+});
+suite.check('breadcrumbs need every crumb', () => {
+    assert.strictEqual(valuesAgree('breadcrumbs', 'Home / Make Up / Lips', ['Make Up', 'Lips']), true);
+    assert.strictEqual(valuesAgree('breadcrumbs', 'Home / Make Up', ['Make Up', 'Lips']), false);
+});
+suite.check('text agrees by containment of similar length', () => {
+    assert.strictEqual(valuesAgree('name', '  Rose  Shampoo 250ml ', 'rose shampoo 250ml'), true);
+    assert.strictEqual(valuesAgree('name', 'Rose Shampoo 250ml', 'Rose Shampoo'), true);
+    assert.strictEqual(valuesAgree('name', 'Conditioner', 'Rose Shampoo'), false);
+    assert.strictEqual(valuesAgree('name', '', 'Rose Shampoo'), false);
+});
+suite.check('containers and fragments do not agree', () => {
+    const name = 'Rose Shampoo';
+    const container = `${name} £4.99 Add to bag Free delivery on orders over £25 Reviews (120) Ingredients`;
+    assert.strictEqual(valuesAgree('name', container, name), false, 'container holding the value');
+    assert.strictEqual(valuesAgree('name', 'Rose', `${name} for dry and coloured hair with argan oil, 250ml bottle`), false, 'fragment of the value');
+});
+suite.check('booleans compare as booleans', () => {
+    assert.strictEqual(valuesAgree('is_vegan', 'true', true), true);
+    assert.strictEqual(valuesAgree('is_vegan', false, true), false);
+});
+suite.check('scraped price is the accepted price', () => {
+    assert.strictEqual(acceptedValue({ price: 15, cost_price: 12.5 }, 'price'), 12.5);
+    assert.strictEqual(acceptedValue({ price: 15 }, 'price'), 15);
+    assert.strictEqual(acceptedValue({ name: 'Rose Shampoo' }, 'name'), 'Rose Shampoo');
+});
+
+suite.section('👥 Shadow validation');
+const probationEntry = (selector) => selectorStats.startProbation(selectorStats.normalizeEntry({ selector, learned_at: new Date().toISOString() }));
+const storedSelectors = (template = 'default') => {
+    const vendorData = selectorStore.getStore().exportJson(VENDOR)[VENDOR] || { selectors: {} };
+    return template === 'default' ? vendorData.selectors : vendorData.templates[template].selectors;
+};
+suite.check('agreeing selectors are promoted, containers rejected', async () => {
+    selectorStore.getStore().updateVendor(VENDOR, (selectors) => {
+        selectors.name = [probationEntry('h1.title'), probationEntry('div.product')];
+        selectors.price = [probationEntry('span.price')];
+    }, { actor: 'cli' });
+    const items = [['Rose Shampoo', 4.99], ['Mint Conditioner', 5.49], ['Argan Hair Oil', 9]];
+    for (const [name, price] of items) {
+        const compared = await shadowValidate(productPage(name, price), VENDOR, { url: 'https://shop.example/p/1', name, price: price * 1.2, cost_price: price });
+        assert.strictEqual(compared, 3);
+    }
+    const selectors = storedSelectors();
+    assert.deepStrictEqual(selectors.name.map(e => [e.selector, e.status]), [['h1.title', 'active']]);
+    assert.deepStrictEqual(selectors.price.map(e => [e.selector, e.status]), [['span.price', 'active']]);
+    const rejected = selectorStore.getStore().history({ vendor: VENDOR, field: 'name' }).find(row => row.action === 'rejected');
+    assert.strictEqual(rejected.selector, 'div.product');
+});
+suite.check('unverified LLM values and HTTP items are not compared', async () => {
+    selectorStore.getStore().updateVendor(VENDOR, (selectors) => {
+        selectors.description = [probationEntry('p.summary')];
+    }, { actor: 'cli' });
+    const page = productPage('Rose Shampoo', 4.99);
+    const description = 'Rose Shampoo with a long description of the formula, the scent and how to apply it every day';
+    assert.strictEqual(await shadowValidate(page, VENDOR, { description, _verification: { failed: { description: 'not on page' } } }), 0);
+    assert.strictEqual(await shadowValidate(page, VENDOR, { description, extraction_mode: 'http' }), 0);
+    assert.strictEqual(await shadowValidate(page, VENDOR, { description, error: 'timeout' }), 0);
+    assert.strictEqual(storedSelectors().description[0].probation.pages, 0);
+    assert.strictEqual(await shadowValidate(page, VENDOR, { description }), 1);
+    assert.strictEqual(storedSelectors().description[0].probation.pages, 1);
+});
+suite.check('only the page template selectors are compared', async () => {
+    selectorStore.getStore().updateVendor(VENDOR, (selectors) => {
+        selectors.name = [probationEntry('h1.title')];
+    }, { actor: 'cli', template: 'bundle' });
+    const page = productPage('Rose Shampoo', 4.99);
+    assert.strictEqual(await shadowValidate(page, VENDOR, { name: 'Rose Shampoo', page_template: 'bundle' }), 1);
+    assert.strictEqual(storedSelectors('bundle').name[0].probation.pages, 1);
+    assert.strictEqual(storedSelectors().name[0].status, 'active', 'default set untouched');
+});
+
+if (require.main === module) {
+    suite.run();
+}
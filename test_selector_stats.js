@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks for tools/utils/selectorStats.js and the batched outcome writes in selectorLearningCore.js
+ * No browser or network needed: node test_selector_stats.js
+ */
+
+const path = require('path');
+const { assert, createSuite, tempDir } = require('./test_util');
+
+// Before the store is opened: a throwaway database and a small outcome batch
+process.env.SELECTOR_STORE_PATH = path.join(tempDir('selector-stats'), 'selectors.sqlite');
+process.env.SELECTOR_OUTCOME_BATCH_SIZE = '3';
+
+const selectorStats = require('./tools/utils/selectorStats');
+const selectorStore = require('./tools/utils/cache/selectorStore');
+const selectorLearning = require('./tools/utils/selectorLearningCore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const T0 = Date.parse('2025-01-01T00:00:00Z');
+
+const entryOf = (selector, extra = {}) => selectorStats.normalizeEntry({ selector, learned_at: new Date(T0).toISOString(), ...extra });
+
+const suite = createSuite('🧪 Testing selector health');
+
+suite.section('📉 Decay');
+suite.check('legacy entries get health fields', () => {
+    const entry = selectorStats.normalizeEntry({ selector: '.price', success_count: 4, learned_at: new Date(T0).toISOString() });
+    assert.strictEqual(entry.decayed_success, 4);
+    assert.strictEqual(entry.failure_count, 0);
+    assert.strictEqual(entry.status, 'active');
+    assert.strictEqual(entry.success_rate, selectorStats.successRate(entry));
+});
+suite.check('counts halve every half-life', () => {
+    const entry = entryOf('.price', { success_count: 4, decayed_success: 4, decayed_at: new Date(T0).toISOString() });
+    selectorStats.recordOutcome(entry, false, T0 + 7 * DAY_MS);
+    assert.strictEqual(entry.decayed_success, 2);
+    assert.strictEqual(entry.decayed_failure, 1);
+    assert.strictEqual(entry.success_count, 4);
+    assert.strictEqual(entry.failure_count, 1);
+    assert.strictEqual(entry.success_rate, 0.6);
+});
+suite.check('old successes no longer protect a failing selector', () => {
+    const fresh = entryOf('.a', { success_count: 20, decayed_success: 20, decayed_at: new Date(T0).toISOString() });
+    const stale = entryOf('.b', { success_count: 20, decayed_success: 20, decayed_at: new Date(T0).toISOString() });
+    for (let i = 0; i < 3; i++) selectorStats.recordOutcome(fresh, false, T0 + DAY_MS);
+    for (let i = 0; i < 3; i++) selectorStats.recordOutcome(stale, false, T0 + 60 * DAY_MS);
+    assert.strictEqual(fresh.status, 'active');
+    assert.strictEqual(stale.status, 'demoted');
+});
+
+suite.section('🔻 Demote and evict');
+suite.check('demoted once enough attempts fall below the rate', () => {
+    const entry = entryOf('.price');
+    selectorStats.recordOutcome(entry, false, T0);
+    selectorStats.recordOutcome(entry, false, T0);
+    assert.strictEqual(entry.status, 'active', 'too few attempts to judge');
+    selectorStats.recordOutcome(entry, false, T0);
+    assert.strictEqual(entry.status, 'demoted');
+    assert.ok(entry.demoted_at);
+});
+suite.check('promoted back when the rate recovers', () => {
+    const entry = entryOf('.price');
+    for (let i = 0; i < 3; i++) selectorStats.recordOutcome(entry, false, T0);
+    selectorStats.recordOutcome(entry, true, T0);
+    assert.strictEqual(entry.status, 'active');
+    assert.strictEqual(entry.consecutive_failures, 0);
+    assert.strictEqual(entry.demoted_at, undefined);
+});
+suite.check('evicted after repeated failures while demoted', () => {
+    const entry = entryOf('.price');
+    for (let i = 0; i < 9; i++) selectorStats.recordOutcome(entry, false, T0);
+    assert.strictEqual(selectorStats.shouldEvict(entry), false);
+    selectorStats.recordOutcome(entry, false, T0);
+    assert.strictEqual(selectorStats.shouldEvict(entry), true);
+});
+suite.check('pinned selectors are never demoted or evicted', () => {
+    const entry = selectorStats.pin(entryOf('.price'), T0);
+    for (let i = 0; i < 12; i++) selectorStats.recordOutcome(entry, false, T0);
+    assert.strictEqual(entry.status, 'active');
+    assert.strictEqual(selectorStats.shouldEvict(entry), false);
+});
+suite.check('applyOutcomes evicts and ranks', () => {
+    const dead = entryOf('.dead', { status: 'demoted', consecutive_failures: 9, decayed_failure: 9, failure_count: 9 });
+    const weak = entryOf('.weak', { decayed_success: 1, decayed_failure: 1 });
+    const good = entryOf('.good', { decayed_success: 5 });
+    const probation = selectorStats.startProbation(entryOf('.new'), T0);
+    const result = selectorStats.applyOutcomes([dead, weak, probation, good], { success: '.good', failed: ['.dead'] }, T0);
+    assert.deepStrictEqual(result.evicted, ['.dead']);
+    assert.deepStrictEqual(result.entries.map(e => e.selector), ['.good', '.weak', '.new']);
+    assert.strictEqual(result.changed, true);
+    assert.deepStrictEqual(selectorStats.inService(result.entries).map(e => e.selector), ['.good', '.weak']);
+});
+
+suite.section('📦 Batched outcome writes');
+const storedEntry = (field, selector) => {
+    const set = selectorStore.getStore().exportJson('stats-test')['stats-test'];
+    return ((set && set.selectors[field]) || []).find(e => e.selector === selector);
+};
+suite.check('outcomes wait for the batch size', async () => {
+    selectorStore.getStore().updateVendor('stats-test', (selectors) => {
+        selectors.price = [entryOf('.price'), entryOf('.price-old')];
+    }, { actor: 'cli' });
+    await selectorLearning.recordSelectorOutcomes('stats-test', { price: { success: '.price', failed: [] } });
+    await selectorLearning.recordSelectorOutcomes('stats-test', { price: { success: null, failed: ['.price-old'] } });
+    assert.strictEqual(storedEntry('price', '.price').success_count, 0);
+    assert.strictEqual(storedEntry('price', '.price-old').failure_count, 0);
+    await selectorLearning.recordSelectorOutcomes('stats-test', { price: { success: '.price', failed: ['.price-old'] } });
+    assert.strictEqual(storedEntry('price', '.price').success_count, 2);
+    assert.strictEqual(storedEntry('price', '.price-old').failure_count, 2);
+});
+suite.check('empty outcomes are not buffered', async () => {
+    await selectorLearning.recordSelectorOutcomes('stats-test', { price: { success: null, failed: [] } });
+    await selectorLearning.recordSelectorOutcomes('stats-test', { price: { success: '.price', failed: [] } });
+    await selectorLearning.recordSelectorOutcomes('stats-test', { price: { success: '.price', failed: [] } });
+    assert.strictEqual(storedEntry('price', '.price').success_count, 2, 'only two outcomes pending, below the batch size');
+});
+suite.check('an explicit flush writes what is pending, in order', async () => {
+    selectorLearning.flushSelectorOutcomes();
+    assert.strictEqual(storedEntry('price', '.price').success_count, 4);
+    for (let i = 0; i < 8; i++) {
+        await selectorLearning.recordSelectorOutcomes('stats-test', { price: { success: null, failed: ['.price-old'] } });
+    }
+    selectorLearning.flushSelectorOutcomes();
+    assert.strictEqual(storedEntry('price', '.price-old'), undefined, 'evicted after ten failures in a row');
+    const evictions = selectorStore.getStore().history({ vendor: 'stats-test', field: 'price' }).filter(row => row.action === 'evicted');
+    assert.deepStrictEqual(evictions.map(row => [row.selector, row.actor]), [['.price-old', 'health']]);
+    const stats = selectorLearning.getSelectorHealthStats();
+    assert.strictEqual(stats.successes, 4);
+    assert.strictEqual(stats.evicted, 1);
+});
+suite.check('template outcomes go to the template set', async () => {
+    selectorStore.getStore().updateVendor('stats-test', (selectors) => {
+        selectors.price = [entryOf('.bundle-price')];
+    }, { actor: 'cli', template: 'bundle' });
+    await selectorLearning.recordSelectorOutcomes('stats-test', { price: { success: '.bundle-price', failed: [] } }, 'bundle');
+    selectorLearning.flushSelectorOutcomes();
+    const bundle = selectorStore.getStore().exportJson('stats-test')['stats-test'].templates.bundle;
+    assert.strictEqual(bundle.selectors.price[0].success_count, 1);
+    assert.strictEqual(storedEntry('price', '.bundle-price'), undefined);
+});
+
+if (require.main === module) {
+    suite.run();
+}
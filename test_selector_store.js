@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks for tools/utils/cache/selectorStore.js (change history and rollback)
+ * No browser or network needed: node test_selector_store.js
+ */
+
+const path = require('path');
+const { assert, createSuite, tempDir } = require('./test_util');
+const { SelectorStoreSqlite, SESSION_ID } = require('./tools/utils/cache/selectorStore');
+const selectorStats = require('./tools/utils/selectorStats');
+
+const entryOf = (selector, extra = {}) => selectorStats.normalizeEntry({ selector, learned_at: '2025-01-01T00:00:00.000Z', ...extra });
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+const openStore = () => new SelectorStoreSqlite(path.join(tempDir('selector-store'), 'selectors.sqlite'));
+const selectorsOf = (store, vendor, field, template = 'default') => {
+    const vendorData = store.exportJson(vendor)[vendor] || {};
+    const set = (template === 'default' ? vendorData : (vendorData.templates || {})[template]) || { selectors: {} };
+    return (set.selectors[field] || []).map(e => e.selector);
+};
+
+const suite = createSuite('🧪 Testing selector store');
+
+suite.section('📜 History');
+suite.check('added, re-statused and removed selectors are recorded', () => {
+    const store = openStore();
+    store.updateVendor('shop', (selectors) => {
+        selectors.price = [entryOf('.price'), entryOf('.price-old')];
+    }, { actor: 'observe' });
+    store.updateVendor('shop', (selectors) => {
+        selectors.price[1].status = 'demoted';
+    }, { actor: 'health' });
+    store.updateVendor('shop', (selectors, note) => {
+        note('price', '.price-old', 'evicted');
+        selectors.price = selectors.price.filter(e => e.selector !== '.price-old');
+    }, { actor: 'health' });
+    const rows = store.history({ vendor: 'shop' });
+    assert.deepStrictEqual(rows.map(r => [r.selector, r.action, r.actor]), [
+        ['.price-old', 'evicted', 'health'],
+        ['.price-old', 'demoted', 'health'],
+        ['.price-old', 'added', 'observe'],
+        ['.price', 'added', 'observe']
+    ]);
+    assert.ok(rows.every(r => r.session === SESSION_ID && r.template === 'default'));
+    store.close();
+});
+suite.check('counter updates are audited only for hand-made changes', () => {
+    const store = openStore();
+    store.updateVendor('shop', (selectors) => { selectors.name = [entryOf('h1')]; }, { actor: 'observe' });
+    store.updateVendor('shop', (selectors) => { selectorStats.recordOutcome(selectors.name[0], true); }, { actor: 'health' });
+    assert.strictEqual(store.history({ vendor: 'shop' }).length, 1);
+    store.updateVendor('shop', (selectors) => { selectors.name[0].note = 'checked by hand'; }, { actor: 'cli' });
+    assert.deepStrictEqual(store.history({ vendor: 'shop' }).map(r => r.action), ['updated', 'added']);
+    assert.deepStrictEqual(store.updateVendor('shop', () => { }, { actor: 'cli' }), [], 'nothing changed');
+    store.close();
+});
+suite.check('history filters', async () => {
+    const store = openStore();
+    store.updateVendor('shop', (selectors) => { selectors.name = [entryOf('h1')]; }, { actor: 'observe' });
+    store.updateVendor('other', (selectors) => { selectors.name = [entryOf('h2')]; }, { actor: 'observe' });
+    await tick();
+    const since = new Date();
+    await tick();
+    store.updateVendor('shop', (selectors) => { selectors.price = [entryOf('.price'), entryOf('.now')]; }, { actor: 'offline', template: 'bundle' });
+    assert.strictEqual(store.history().length, 4);
+    assert.strictEqual(store.history({ vendor: 'shop' }).length, 3);
+    assert.deepStrictEqual(store.history({ vendor: 'shop', field: 'name' }).map(r => r.selector), ['h1']);
+    assert.deepStrictEqual(store.history({ template: 'bundle' }).map(r => r.selector), ['.now', '.price']);
+    assert.deepStrictEqual(store.history({ since }).map(r => r.selector), ['.now', '.price']);
+    assert.strictEqual(store.history({ limit: 1 })[0].selector, '.now');
+    assert.throws(() => store.history({ since: 'yesterday-ish' }), /Invalid time/);
+    store.close();
+});
+
+suite.section('⏪ Rollback');
+suite.check('selectors go back to their state at the given time', async () => {
+    const store = openStore();
+    store.updateVendor('shop', (selectors) => {
+        selectors.price = [entryOf('.price'), entryOf('.price-alt')];
+        selectors.name = [entryOf('h1')];
+    }, { actor: 'observe' });
+    await tick();
+    const at = new Date();
+    await tick();
+    // A bad learning session: a selector removed, one demoted, one added
+    store.updateVendor('shop', (selectors) => {
+        selectors.price = [entryOf('.promo-price', { status: 'active' }), selectors.price[1]];
+        selectors.name[0].status = 'demoted';
+    }, { actor: 'observe' });
+    const result = store.rollback('shop', at);
+    assert.deepStrictEqual(result.removed.map(r => r.selector), ['.promo-price']);
+    assert.deepStrictEqual(result.restored.map(r => r.selector).sort(), ['.price', 'h1']);
+    assert.deepStrictEqual(selectorsOf(store, 'shop', 'price').sort(), ['.price', '.price-alt']);
+    assert.strictEqual(store.exportJson('shop').shop.selectors.name[0].status, 'active');
+    assert.ok(result.changes.length > 0 && result.changes.every(r => r.actor === 'rollback'));
+    store.close();
+});
+suite.check('dry run only reports', async () => {
+    const store = openStore();
+    store.updateVendor('shop', (selectors) => { selectors.name = [entryOf('h1')]; }, { actor: 'observe' });
+    await tick();
+    const at = new Date();
+    await tick();
+    store.updateVendor('shop', (selectors) => { selectors.name.push(entryOf('h1.title')); }, { actor: 'observe' });
+    const result = store.rollback('shop', at, { dryRun: true });
+    assert.deepStrictEqual(result.removed.map(r => r.selector), ['h1.title']);
+    assert.deepStrictEqual(result.changes, []);
+    assert.deepStrictEqual(selectorsOf(store, 'shop', 'name'), ['h1', 'h1.title']);
+    store.close();
+});
+suite.check('rollback can be limited to a page template', async () => {
+    const store = openStore();
+    await tick();
+    const at = new Date();
+    await tick();
+    store.updateVendor('shop', (selectors) => { selectors.name = [entryOf('h1')]; }, { actor: 'observe' });
+    store.updateVendor('shop', (selectors) => { selectors.name = [entryOf('h1.mp')]; }, { actor: 'observe', template: 'marketplace' });
+    const result = store.rollback('shop', at, { template: 'marketplace' });
+    assert.deepStrictEqual(result.removed.map(r => [r.template, r.selector]), [['marketplace', 'h1.mp']]);
+    assert.deepStrictEqual(selectorsOf(store, 'shop', 'name', 'marketplace'), []);
+    assert.deepStrictEqual(selectorsOf(store, 'shop', 'name'), ['h1']);
+    store.close();
+});
+suite.check('selectors only touched by counter updates keep their counts', async () => {
+    const store = openStore();
+    store.updateVendor('shop', (selectors) => { selectors.name = [entryOf('h1')]; }, { actor: 'observe' });
+    await tick();
+    const at = new Date();
+    await tick();
+    store.updateVendor('shop', (selectors) => { selectorStats.recordOutcome(selectors.name[0], true); }, { actor: 'health' });
+    const result = store.rollback('shop', at);
+    assert.deepStrictEqual([result.restored, result.removed], [[], []]);
+    assert.strictEqual(store.exportJson('shop').shop.selectors.name[0].success_count, 1);
+    store.close();
+});
+suite.check('snapshots and templates are not rolled back', async () => {
+    const store = openStore();
+    store.updateSnapshot('shop', () => ({ fields: { weight: { window: [1] } } }));
+    await tick();
+    const at = new Date();
+    await tick();
+    store.updateSnapshot('shop', () => ({ fields: { weight: { window: [1, 0] } } }));
+    store.recordTemplatePage('shop', 'auto-abc123', { kind: 'auto', fingerprint: '["tag:x-a"]' });
+    store.rollback('shop', at);
+    assert.deepStrictEqual(store.getSnapshot('shop').fields.weight.window, [1, 0]);
+    assert.deepStrictEqual(store.getTemplates('shop').map(t => t.name), ['auto-abc123']);
+    store.close();
+});
+
+if (require.main === module) {
+    suite.run();
+}
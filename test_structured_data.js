@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks for the structured-data tier (tools/strategies/structuredData.js)
+ * No browser or network needed: node test_structured_data.js
+ */
+
+const { parseHTML } = require('linkedom');
+const { assert, createSuite } = require('./test_util');
+const { collectStructuredData, mapStructuredData } = require('./tools/strategies/structuredData');
+
+const PAGE_URL = 'https://www.shop.example/p/rouge-lipstick-123';
+
+function mapPage(head, body = '', options = {}) {
+    const { document } = parseHTML(`<html><head>${head}</head><body>${body}</body></html>`);
+    return mapStructuredData(collectStructuredData(document), { baseUrl: PAGE_URL, ...options });
+}
+
+const jsonLd = (data) => `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+
+const PRODUCT = {
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    name: 'Rouge Lipstick',
+    brand: { '@type': 'Brand', name: 'Dior' },
+    gtin13: '5000167123459',
+    image: ['/img/a.jpg', 'https://cdn.shop.example/img/b.jpg'],
+    offers: { '@type': 'Offer', price: '42.00', priceCurrency: 'GBP', availability: 'https://schema.org/OutOfStock' },
+    aggregateRating: { '@type': 'AggregateRating', ratingValue: '4.5', reviewCount: '12' }
+};
+
+const crumbs = (...items) => ({
+    '@type': 'BreadcrumbList',
+    itemListElement: items.map(([name, item], i) => ({ '@type': 'ListItem', position: i + 1, name, ...(item ? { item } : {}) }))
+});
+
+const suite = createSuite('🧪 Testing structured data extraction');
+
+suite.check('maps a JSON-LD product and offer', () => {
+    const { data, sources } = mapPage(jsonLd(PRODUCT));
+    assert.strictEqual(data.name, 'Rouge Lipstick');
+    assert.strictEqual(data.brand, 'Dior');
+    assert.strictEqual(data.price, '42.00');
+    assert.strictEqual(data.currency, 'GBP');
+    assert.strictEqual(data.stock_status, 'Out of stock');
+    assert.strictEqual(data.gtin, '5000167123459');
+    assert.strictEqual(data.rating, '4.5');
+    assert.strictEqual(data.review_count, '12');
+    assert.deepStrictEqual(data.images, ['https://www.shop.example/img/a.jpg', 'https://cdn.shop.example/img/b.jpg']);
+    assert.strictEqual(data.main_image, 'https://www.shop.example/img/a.jpg');
+    assert.strictEqual(sources.price, 'json_ld');
+});
+suite.check('reads products inside @graph', () => {
+    const { data } = mapPage(jsonLd({ '@context': 'https://schema.org', '@graph': [{ '@type': 'WebPage' }, PRODUCT] }));
+    assert.strictEqual(data.name, 'Rouge Lipstick');
+});
+suite.check('decodes HTML entities in JSON-LD text', () => {
+    const { data } = mapPage(jsonLd({ ...PRODUCT, name: 'Women&#39;s Rouge &amp; Gloss', description: 'Satin&nbsp;finish &#x2013; 3.5g' }));
+    assert.strictEqual(data.name, "Women's Rouge & Gloss");
+    assert.strictEqual(data.description, 'Satin finish – 3.5g');
+});
+suite.check('breadcrumbs drop Home and keep position order', () => {
+    const list = crumbs(['Home', 'https://www.shop.example/'], ['Makeup', 'https://www.shop.example/c/makeup'], ['Lips', 'https://www.shop.example/c/lips']);
+    list.itemListElement.reverse();
+    const { data } = mapPage(jsonLd([PRODUCT, list]));
+    assert.deepStrictEqual(data.breadcrumbs, ['Makeup', 'Lips']);
+});
+suite.check('a trailing crumb for the product itself is dropped', () => {
+    const byName = mapPage(jsonLd([PRODUCT, crumbs(['Home'], ['Makeup'], ['Lips'], ['Rouge  lipstick'])]));
+    assert.deepStrictEqual(byName.data.breadcrumbs, ['Makeup', 'Lips']);
+    const byUrl = mapPage(jsonLd([PRODUCT, crumbs(['Makeup', '/c/makeup'], ['Lips', '/c/lips'], ['Rouge Lipstick 999 Satin', `${PAGE_URL}/?colour=999`])]));
+    assert.deepStrictEqual(byUrl.data.breadcrumbs, ['Makeup', 'Lips']);
+    const category = mapPage(jsonLd([PRODUCT, crumbs(['Makeup'], ['Lipstick'])]));
+    assert.deepStrictEqual(category.data.breadcrumbs, ['Makeup', 'Lipstick']);
+});
+suite.check('falls back to microdata, then OpenGraph', () => {
+    const microdata = mapPage('', `<div itemscope itemtype="https://schema.org/Product">
+        <h1 itemprop="name">Hand Cream</h1>
+        <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+            <span itemprop="price" content="4.99">£4.99</span><meta itemprop="priceCurrency" content="GBP">
+            <link itemprop="availability" href="https://schema.org/InStock">
+        </div></div>
+        <ol itemscope itemtype="https://schema.org/BreadcrumbList">
+            <li itemprop="itemListElement" itemscope itemtype="https://schema.org/ListItem"><span itemprop="name">Home</span><meta itemprop="position" content="1"></li>
+            <li itemprop="itemListElement" itemscope itemtype="https://schema.org/ListItem"><span itemprop="name">Skin</span><meta itemprop="position" content="2"></li>
+            <li itemprop="itemListElement" itemscope itemtype="https://schema.org/ListItem"><span itemprop="name">Hand Cream</span><meta itemprop="position" content="3"></li>
+        </ol>`);
+    assert.strictEqual(microdata.data.name, 'Hand Cream');
+    assert.strictEqual(microdata.data.price, '4.99');
+    assert.strictEqual(microdata.data.stock_status, 'In stock');
+    assert.deepStrictEqual(microdata.data.breadcrumbs, ['Skin']);
+    assert.strictEqual(microdata.sources.price, 'microdata');
+
+    const og = mapPage('<meta property="og:type" content="product"><meta property="og:title" content="Body Lotion"><meta property="product:price:amount" content="6.50"><meta property="product:price:currency" content="GBP">');
+    assert.strictEqual(og.data.name, 'Body Lotion');
+    assert.strictEqual(og.data.price, '6.50');
+    assert.strictEqual(og.sources.name, 'open_graph');
+});
+suite.check('respects allowed fields', () => {
+    const { data } = mapPage(jsonLd(PRODUCT), '', { allowedFields: new Set(['price', 'main_image']) });
+    assert.deepStrictEqual(Object.keys(data).sort(), ['main_image', 'price']);
+});
+
+if (require.main === module) {
+    suite.run();
+}
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks for the category taxonomy mapper (tools/utils/taxonomy/taxonomyMapper.js)
+ * against the Superdrug mapping file. No browser or network needed: node test_taxonomy.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { assert, createSuite, tempDir } = require('./test_util');
+const taxonomy = require('./tools/utils/taxonomy/taxonomyMapper');
+const { getStrategy } = require('./tools/strategies/registry');
+
+const rules = () => taxonomy.getVendorRules('superdrug');
+const idOf = (breadcrumbs, name = '') => {
+    const matched = taxonomy.matchRules(rules(), breadcrumbs, name);
+    return matched ? matched.taxonomyId : null;
+};
+
+const suite = createSuite('🧪 Testing category taxonomy');
+
+suite.check('labels drop apostrophes instead of splitting words', () => {
+    assert.strictEqual(taxonomy.normalizeLabel('Women’s Perfume'), 'womens perfume');
+    assert.strictEqual(taxonomy.normalizeLabel("Men's Aftershave"), 'mens aftershave');
+    assert.strictEqual(taxonomy.normalizeLabel('Washing & Bathing'), 'washing bathing');
+});
+suite.check('Superdrug trails map onto the category tree', () => {
+    assert.strictEqual(idOf(['Home', 'Fragrance', 'Perfume For Women', 'Women’s Perfume']), 'health-beauty.fragrance.womens');
+    assert.strictEqual(idOf(['Fragrance', 'Fragrance For Him', "Men's Aftershave"]), 'health-beauty.fragrance.mens');
+    assert.strictEqual(idOf(['Home', 'Make Up', 'Lips', 'Lipstick']), 'health-beauty.makeup.lips');
+    assert.strictEqual(idOf(['Home', 'Make Up', 'Eye Makeup', 'Mascara']), 'health-beauty.makeup.eyes');
+    assert.strictEqual(idOf(['Home', 'Skin', 'Sun Care', 'Face Sun Cream']), 'health-beauty.skin-care.suncare');
+    assert.strictEqual(idOf(['Home', 'Toiletries', 'Washing & Bathing', 'Shower Gels & Body Wash']), 'health-beauty.personal-care.bath-body');
+    assert.strictEqual(idOf(['Home', 'Accessories And Lifestyle', 'Socks']), 'apparel.clothing');
+});
+suite.check('health trails match under either parent', () => {
+    assert.strictEqual(idOf(['Home', 'Natural Pain Relief', 'Health', 'Vitamins & Supplements']), 'health-beauty.health-care.vitamins');
+    assert.strictEqual(idOf(['Health', 'First Aid', 'Plasters']), 'health-beauty.health-care.first-aid');
+    assert.strictEqual(idOf(['Health', 'Sexual Health']), 'health-beauty.health-care');
+});
+suite.check('a leading Home crumb is skipped, a later one is not', () => {
+    const matched = taxonomy.matchRules(rules(), ['Home', 'Hair', 'Shampoo']);
+    assert.deepStrictEqual(matched, { taxonomyId: 'health-beauty.hair-care', match: 'path' });
+    assert.strictEqual(idOf(['Home']), null);
+    assert.strictEqual(idOf(['Gift Shop', 'Home', 'Candles']), null);
+});
+suite.check('keywords in the product name fill in for unknown trails', () => {
+    assert.strictEqual(idOf(['Gift Shop', 'Gifts For Her'], 'Rimmel Lasting Finish Lipstick'), 'health-beauty.makeup.lips');
+    assert.strictEqual(idOf(['Gift Shop', 'Novelty Gifts'], 'Bath Duck'), null);
+});
+suite.check('applyTaxonomy keeps breadcrumbs and marks unmapped products', () => {
+    const mapped = taxonomy.applyTaxonomy({ vendor: 'superdrug', breadcrumbs: ['Home', 'Fragrance', 'Perfume For Women', 'Women’s Perfume'] });
+    assert.strictEqual(mapped.taxonomy_path, 'Health & Beauty > Fragrance > Women\'s Fragrance');
+    assert.strictEqual(mapped.taxonomy_match, 'path');
+    assert.strictEqual(mapped.breadcrumbs.length, 4);
+    const unmapped = taxonomy.applyTaxonomy({ vendor: 'superdrug', breadcrumbs: ['Gift Shop', 'Novelty Gifts'], name: 'Bath Duck' });
+    assert.strictEqual(unmapped.taxonomy_id, null);
+});
+suite.check('vendor transforms leave category alone', () => {
+    for (const vendor of ['superdrug', 'harrods']) {
+        const out = getStrategy(vendor).transformOutput({ name: 'Item', category: 'lipstick', breadcrumbs: ['Make Up', 'Lips', 'Rouge Lipstick 999'] });
+        assert.strictEqual(out.category, 'lipstick', vendor);
+    }
+});
+suite.check('unmapped paths are counted in memory and merged into the report once', () => {
+    const dir = tempDir('taxonomy');
+    const file = path.join(dir, taxonomy.UNMAPPED_REPORT_FILE);
+    fs.writeFileSync(file, JSON.stringify({ paths: { 'Gift Shop > Novelty Gifts': { breadcrumbs: ['Gift Shop', 'Novelty Gifts'], count: 3, first_seen: '2025-01-01T00:00:00.000Z', last_seen: '2025-01-02T00:00:00.000Z', sample_urls: ['https://www.superdrug.com/p/1'] } } }));
+    const product = (n, breadcrumbs = ['Gift Shop', 'Novelty Gifts']) => ({ url: `https://www.superdrug.com/p/${n}`, breadcrumbs, taxonomy_id: null });
+    assert.strictEqual(taxonomy.recordUnmappedBreadcrumbs(dir, [product(1), product(2), { ...product(3), taxonomy_id: 'baby' }]), 2);
+    assert.strictEqual(taxonomy.recordUnmappedBreadcrumbs(dir, [product(4, ['Audio'])]), 1);
+    assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).paths['Gift Shop > Novelty Gifts'].count, 3);
+
+    taxonomy.flushUnmappedBreadcrumbs();
+    const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const gifts = report.paths['Gift Shop > Novelty Gifts'];
+    assert.strictEqual(gifts.count, 5);
+    assert.strictEqual(gifts.first_seen, '2025-01-01T00:00:00.000Z');
+    assert.deepStrictEqual(gifts.sample_urls, ['https://www.superdrug.com/p/1', 'https://www.superdrug.com/p/2']);
+    assert.strictEqual(report.paths.Audio.count, 1);
+    assert.strictEqual(report.total_paths, 2);
+    assert.deepStrictEqual(fs.readdirSync(dir), [taxonomy.UNMAPPED_REPORT_FILE]);
+
+    taxonomy.flushUnmappedBreadcrumbs();
+    assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).paths['Gift Shop > Novelty Gifts'].count, 5);
+});
+
+if (require.main === module) {
+    suite.run();
+}
@@ -0,0 +1,66 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Minimal check runner for the node-runnable test_*.js scripts that need no browser
+ * (see run_tests.js). Checks may be async; failures are reported and counted, never thrown.
+ *
+ *   const suite = createSuite('🧪 Testing price parser');
+ *   suite.check('plain prices', () => assert.strictEqual(parseAmount('£2'), 2));
+ *   suite.run();
+ */
+
+/**
+ * @param {string} title - Printed before the first check
+ * @returns {{check: function(string, function): void, section: function(string): void, run: function(): Promise<void>}}
+ */
+function createSuite(title) {
+    const steps = [];
+    return {
+        check: (name, fn) => steps.push({ name, fn }),
+        section: (heading) => steps.push({ heading }),
+        run: async () => {
+            console.log(`${title}\n`);
+            let passed = 0;
+            let failed = 0;
+            for (const step of steps) {
+                if (step.heading) {
+                    console.log(`\n${step.heading}`);
+                    continue;
+                }
+                try {
+                    await step.fn();
+                    passed++;
+                    console.log(`✅ ${step.name}`);
+                } catch (error) {
+                    failed++;
+                    console.log(`❌ ${step.name}: ${error.message}`);
+                }
+            }
+            console.log(`\n📊 ${passed} passed, ${failed} failed`);
+            // Exit explicitly: cache cleanup timers would keep the process alive
+            process.exit(failed === 0 ? 0 : 1);
+        }
+    };
+}
+
+/**
+ * Fresh temporary directory, removed when the process exits
+ * @param {string} prefix
+ * @returns {string}
+ */
+function tempDir(prefix) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+    process.once('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+module.exports = {
+    assert,
+    createSuite,
+    tempDir
+};
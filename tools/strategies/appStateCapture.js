@@ -0,0 +1,274 @@
+'use strict';
+
+const { resolveStrategy } = require('./registry');
+const { cleanAndValidateUrl } = require('../utils/utls');
+
+/**
+ * Embedded app-state and XHR product JSON capture
+ * Records JSON responses matching per-vendor URL patterns while the page navigates, reads
+ * hydration blobs (__NEXT_DATA__, window.__INITIAL_STATE__, ...) and maps them onto product
+ * fields through JSON paths declared by the vendor strategy:
+ *
+ *   appState: {
+ *     responsePatterns: [/\/api\/products\//],
+ *     globals: ['__PRODUCT_STATE__'],
+ *     fields: {
+ *       name: ['next_data:props.pageProps.product.name', { source: 'xhr', match: /\/api\/products\//, path: 'data.name' }],
+ *       images: ['initial_state:product.media[*].url']
+ *     }
+ *   }
+ *
+ * Sources: next_data, initial_state, nuxt, apollo_state, window:<global>, xhr.
+ *
+ * The recorder also keeps the URLs of all responses seen during the navigation (network log),
+ * used to verify LLM-returned image URLs.
+ */
+
+const DEFAULT_GLOBALS = ['__INITIAL_STATE__', '__PRELOADED_STATE__', '__NUXT__', '__APOLLO_STATE__'];
+const MAX_RESPONSES = Number(process.env.APP_STATE_MAX_RESPONSES) || 25;
+const MAX_BODY_BYTES = Number(process.env.APP_STATE_MAX_BODY_BYTES) || 2 * 1024 * 1024;
+const MAX_NETWORK_URLS = Number(process.env.NETWORK_LOG_MAX_URLS) || 2000;
+
+// page -> { patterns, responses, pending, urls, handler }
+const __recorders = new WeakMap();
+
+function toRegExp(pattern) {
+    if (pattern instanceof RegExp) return pattern;
+    if (typeof pattern === 'string' && pattern) return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    return null;
+}
+
+/**
+ * Start (or restart) response capture on a page for the upcoming navigation.
+ * One listener is attached per page; each call clears the previous navigation's responses.
+ * @param {Object} page - Playwright/Stagehand page
+ * @param {string|Object} target - URL, vendor name or { vendor, url } used to resolve the strategy
+ */
+function beginCapture(page, target) {
+    if (!page || typeof page.on !== 'function') return;
+    const strategy = resolveStrategy(target);
+    const patterns = ((strategy && strategy.appState && strategy.appState.responsePatterns) || [])
+        .map(toRegExp)
+        .filter(Boolean);
+
+    let recorder = __recorders.get(page);
+    if (!recorder) {
+        recorder = { patterns: [], responses: [], pending: new Set(), urls: new Set(), handler: null };
+        recorder.handler = (response) => recordResponse(recorder, response);
+        try { page.on('response', recorder.handler); } catch { return; }
+        __recorders.set(page, recorder);
+    }
+    recorder.patterns = patterns;
+    recorder.responses = [];
+    recorder.pending = new Set();
+    recorder.urls = new Set();
+}
+
+function recordResponse(recorder, response) {
+    try {
+        const url = response.url();
+        if (recorder.urls.size < MAX_NETWORK_URLS) recorder.urls.add(url);
+        if (recorder.patterns.length === 0 || recorder.responses.length >= MAX_RESPONSES) return;
+        if (!recorder.patterns.some(rx => rx.test(url))) return;
+        const headers = response.headers() || {};
+        if (!/json/i.test(headers['content-type'] || '')) return;
+        const length = Number(headers['content-length'] || 0);
+        if (length > MAX_BODY_BYTES) return;
+
+        const responses = recorder.responses;
+        const read = response.json()
+            .then(body => { if (responses === recorder.responses) responses.push({ url, status: response.status(), body }); })
+            .catch(() => { }) // Body unavailable (redirects, aborted requests)
+            .finally(() => recorder.pending.delete(read));
+        recorder.pending.add(read);
+    } catch { }
+}
+
+/**
+ * Responses captured since the last beginCapture (waits for in-flight body reads)
+ * @param {Object} page
+ * @returns {Promise<Array<{url: string, status: number, body: any}>>}
+ */
+async function getCapturedResponses(page) {
+    const recorder = __recorders.get(page);
+    if (!recorder) return [];
+    if (recorder.pending.size > 0) await Promise.allSettled(Array.from(recorder.pending));
+    return recorder.responses.slice();
+}
+
+/**
+ * URLs of all responses seen since the last beginCapture
+ * @param {Object} page
+ * @returns {Array<string>}
+ */
+function getNetworkUrls(page) {
+    const recorder = __recorders.get(page);
+    return recorder ? Array.from(recorder.urls) : [];
+}
+
+/**
+ * Read embedded hydration state from the page
+ * @param {Object} page
+ * @param {Array<string>} extraGlobals - Additional window globals declared by the vendor
+ * @returns {Promise<Object>} source name -> parsed state
+ */
+async function readEmbeddedState(page, extraGlobals = []) {
+    try {
+        return await page.evaluate(({ globals, maxBytes }) => {
+            const out = {};
+            const keep = (name, value) => {
+                if (value === undefined || value === null) return;
+                try {
+                    const json = JSON.stringify(value);
+                    if (json && json.length <= maxBytes) out[name] = JSON.parse(json);
+                } catch { } // Non-serializable or circular state
+            };
+            const nextData = document.getElementById('__NEXT_DATA__');
+            if (nextData) { try { keep('next_data', JSON.parse(nextData.textContent || '')); } catch { } }
+            for (const g of globals) {
+                const key = g === '__INITIAL_STATE__' ? 'initial_state'
+                    : g === '__NUXT__' ? 'nuxt'
+                        : g === '__APOLLO_STATE__' ? 'apollo_state'
+                            : `window:${g}`;
+                keep(key, window[g]);
+            }
+            return out;
+        }, { globals: Array.from(new Set([...DEFAULT_GLOBALS, ...extraGlobals])), maxBytes: MAX_BODY_BYTES });
+    } catch (error) {
+        console.log(`[APP_STATE] Failed to read embedded state: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * Resolve a dotted JSON path such as `props.pageProps.product.images[*].url`
+ * Supports an optional `$.` prefix, numeric indexes and `[*]` wildcards (which yield arrays).
+ * @param {any} obj
+ * @param {string} jsonPath
+ * @returns {any} Resolved value, or undefined when the path does not exist
+ */
+function resolveJsonPath(obj, jsonPath) {
+    if (!jsonPath || typeof jsonPath !== 'string') return undefined;
+    const tokens = jsonPath.replace(/^\$\.?/, '')
+        .replace(/\[(\d+|\*)\]/g, '.$1')
+        .split('.')
+        .filter(Boolean);
+    let current = [obj];
+    let wildcard = false;
+    for (const token of tokens) {
+        const next = [];
+        for (const node of current) {
+            if (node === null || node === undefined) continue;
+            if (token === '*') {
+                wildcard = true;
+                if (Array.isArray(node)) next.push(...node);
+                else if (typeof node === 'object') next.push(...Object.values(node));
+            } else if (typeof node === 'object' && token in node) {
+                next.push(node[token]);
+            }
+        }
+        current = next;
+        if (current.length === 0) return undefined;
+    }
+    return wildcard ? current : current[0];
+}
+
+function parseMapping(entry) {
+    if (entry && typeof entry === 'object') return { source: entry.source, path: entry.path, match: toRegExp(entry.match) };
+    if (typeof entry !== 'string') return null;
+    const idx = entry.indexOf(':');
+    if (idx < 0) return null;
+    // window:<global>:<path> keeps the global name in the source
+    if (entry.startsWith('window:')) {
+        const rest = entry.slice('window:'.length);
+        const j = rest.indexOf(':');
+        if (j < 0) return null;
+        return { source: `window:${rest.slice(0, j)}`, path: rest.slice(j + 1), match: null };
+    }
+    return { source: entry.slice(0, idx), path: entry.slice(idx + 1), match: null };
+}
+
+function normalizeValue(field, value) {
+    if (value === undefined || value === null) return undefined;
+    if (field === 'images') {
+        const urls = [].concat(value)
+            .map(v => (typeof v === 'string' ? v : (v && (v.url || v.src || v.href))))
+            .map(cleanAndValidateUrl)
+            .filter(Boolean);
+        return urls.length > 0 ? Array.from(new Set(urls)) : undefined;
+    }
+    if (field === 'main_image') {
+        const first = Array.isArray(value) ? value[0] : value;
+        return cleanAndValidateUrl(typeof first === 'string' ? first : (first && (first.url || first.src))) || undefined;
+    }
+    if (field === 'breadcrumbs') {
+        const labels = [].concat(value)
+            .map(v => (typeof v === 'string' ? v : (v && (v.name || v.label || v.title))))
+            .map(v => String(v || '').replace(/\s+/g, ' ').trim())
+            .filter(v => v && v.toLowerCase() !== 'home');
+        return labels.length > 0 ? Array.from(new Set(labels)) : undefined;
+    }
+    if (Array.isArray(value)) return value.length > 0 ? value : undefined;
+    if (typeof value === 'object') return undefined;
+    if (typeof value === 'boolean') return value;
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    return text || undefined;
+}
+
+/**
+ * Map captured app state / XHR JSON onto product fields using the vendor's JSON-path mappings
+ * @param {Object} page
+ * @param {Object|null} strategy - Resolved vendor strategy
+ * @param {Set<string>|null} allowedFields
+ * @returns {Promise<{data: Object, filledFields: Array<string>, sources: Object}>}
+ */
+async function extractAppStateFields(page, strategy, allowedFields = null) {
+    const empty = { data: {}, filledFields: [], sources: {} };
+    const config = strategy && strategy.appState;
+    if (!config || !config.fields || process.env.DISABLE_APP_STATE) return empty;
+
+    const [embedded, responses] = await Promise.all([
+        readEmbeddedState(page, Array.isArray(config.globals) ? config.globals : []),
+        getCapturedResponses(page)
+    ]);
+
+    const data = {};
+    const sources = {};
+    for (const [field, mappings] of Object.entries(config.fields)) {
+        if (allowedFields && !allowedFields.has(field)) continue;
+        for (const entry of [].concat(mappings || [])) {
+            const mapping = parseMapping(entry);
+            if (!mapping || !mapping.source) continue;
+            let value;
+            if (mapping.source === 'xhr') {
+                for (const res of responses) {
+                    if (mapping.match && !mapping.match.test(res.url)) continue;
+                    value = resolveJsonPath(res.body, mapping.path);
+                    if (value !== undefined) break;
+                }
+            } else if (embedded[mapping.source] !== undefined) {
+                value = resolveJsonPath(embedded[mapping.source], mapping.path);
+            }
+            const normalized = normalizeValue(field, value);
+            if (normalized !== undefined) {
+                data[field] = normalized;
+                sources[field] = `${mapping.source}:${mapping.path}`;
+                break;
+            }
+        }
+    }
+    if (!data.main_image && Array.isArray(data.images) && data.images.length > 0 && (!allowedFields || allowedFields.has('main_image'))) {
+        data.main_image = data.images[0];
+        sources.main_image = sources.images;
+    }
+    return { data, filledFields: Object.keys(data), sources };
+}
+
+module.exports = {
+    beginCapture,
+    getCapturedResponses,
+    getNetworkUrls,
+    readEmbeddedState,
+    resolveJsonPath,
+    extractAppStateFields
+};
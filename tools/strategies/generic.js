@@ -1,50 +1,85 @@
 'use strict';
 
 const { z } = require('zod');
-const fs = require('fs');
-const path = require('path');
 const cacheManager = require('../utils/cache/cacheManager');
 const selectorLearning = require('../utils/selectorLearning');
-const { parsePrice, cleanText, applyDynamicMarkup } = require('../utils/mark_up_price');
-
-// Per-file write lock to safely update vendor-selectors.json from concurrent workers
-const __fileLocks = new Map();
-function withFileLock(filePath, fn) {
-	const prev = __fileLocks.get(filePath) || Promise.resolve();
-	const next = prev.then(fn, fn);
-	__fileLocks.set(filePath, next.catch(() => { }));
-	return next;
-}
+const { cleanText, applyDynamicMarkup } = require('../utils/mark_up_price');
+const { parsePriceText, parseAmount, parsePercent } = require('../utils/priceParser');
 
-// Import vendor-specific strategies and their custom fields
-const vendorStrategies = {
-	superdrug: require('./superdrug')  // Match the vendor key used in index.js
-};
+// Vendor strategies are discovered from vendors/<vendor>/strategy.js
+const { resolveStrategy } = require('./registry');
 
 // Import core functions from selector learning module
-const { getVendorCustomFields, loadVendorSelectors, saveVendorSelectors } = require('../utils/selectorLearningCore');
+const { getVendorCustomFields, getSelectorSet, getLearnableFields } = require('../utils/selectorLearningCore');
+const { inService } = require('../utils/selectorStats');
 const { tryExtractWithVendorSelectors } = require('./tryExtractWithVendorSelectors');
+const { classifyPage, selectorTemplate } = require('./pageTemplates');
+const { extractStructuredData } = require('./structuredData');
+const { extractAppStateFields } = require('./appStateCapture');
 const { cleanAndValidateUrl } = require('../utils/utls');
+const provenance = require('../utils/provenance');
+const { verifyLlmExtraction } = require('../utils/llmVerification');
+const llm = require('../utils/llm/llmRouter');
+const llmCache = require('../utils/cache/llmCache');
+const selectorStore = require('../utils/cache/selectorStore');
+const fieldAvailability = require('../utils/fieldAvailability');
+const { withPriceDerivedFields } = require('../utils/manager/updateManager');
 
 
 
 // Helper function to apply text cleaning and price markup
+// Price fields kept apart:
+//   cost_price       - current price scraped from the retailer
+//   was_price        - retailer's previous price / RRP, only kept when above cost_price
+//   discount_percent - shown on the page, otherwise derived from was_price and cost_price
+//   sell_price       - our marked-up price
+//   price / original_price remain as aliases of sell_price / cost_price for existing consumers
 function processProductData(productData) {
 	const processed = { ...productData };
 
-	// Ensure numeric price output with dynamic markup applied
-	if (processed.price !== undefined && processed.price !== null) {
-		let numericPrice = null;
-		if (typeof processed.price === 'number' && Number.isFinite(processed.price)) {
-			numericPrice = processed.price;
-		} else if (typeof processed.price === 'string') {
-			numericPrice = parsePrice(processed.price);
-		}
+	// Already processed (URL cache) products keep their scraped price in cost_price; never mark up twice
+	const scrapedPrice = processed.cost_price !== undefined && processed.cost_price !== null && processed.cost_price !== ''
+		? processed.cost_price
+		: processed.price;
+
+	// Ensure numeric price output with dynamic markup applied; currency falls back to the vendor's strategy
+	if (scrapedPrice !== undefined && scrapedPrice !== null) {
+		const strategy = resolveStrategy({ vendor: processed.vendor, url: processed.url });
+		const parsed = parsePriceText(scrapedPrice, { defaultCurrency: (strategy && strategy.currency) || null });
+		const numericPrice = parsed ? parsed.amount : null;
+		if (parsed && parsed.currency && !processed.currency) processed.currency = parsed.currency;
 		if (numericPrice && numericPrice > 0) {
-			const markedUpPrice = applyDynamicMarkup(numericPrice);
-			processed.price = Math.round(markedUpPrice * 100) / 100;
-			processed.original_price = Math.round(numericPrice * 100) / 100;
+			const costPrice = Math.round(numericPrice * 100) / 100;
+			const sellPrice = Math.round(applyDynamicMarkup(numericPrice) * 100) / 100;
+			processed.cost_price = costPrice;
+			processed.sell_price = sellPrice;
+			processed.price = sellPrice;
+			processed.original_price = costPrice;
+		}
+	}
+
+	if (processed.was_price !== undefined) {
+		const wasPrice = parseAmount(processed.was_price);
+		if (wasPrice && typeof processed.cost_price === 'number' && wasPrice > processed.cost_price) {
+			processed.was_price = wasPrice;
+		} else {
+			delete processed.was_price;
+		}
+	}
+
+	if (processed.discount_percent !== undefined || processed.was_price !== undefined) {
+		let discount = parsePercent(processed.discount_percent);
+		if (discount === null && processed.was_price) {
+			discount = (processed.was_price - processed.cost_price) / processed.was_price * 100;
 		}
+		if (discount !== null && discount > 0 && discount < 100) processed.discount_percent = Math.round(discount);
+		else delete processed.discount_percent;
+	}
+
+	if (processed.promotion !== undefined) {
+		const promotion = typeof processed.promotion === 'string' ? processed.promotion.replace(/\s+/g, ' ').trim() : '';
+		if (promotion) processed.promotion = promotion;
+		else delete processed.promotion;
 	}
 
 	return processed;
@@ -53,18 +88,21 @@ function processProductData(productData) {
  
 
 // Helper function to fallback to sitemap image if extraction didn't find one
-function applyImageFallback(item, urlObj) {
+// Records a sitemap_fallback provenance entry for each field it fills when fieldProvenance is given
+function applyImageFallback(item, urlObj, fieldProvenance = null) {
 	// If extracted image is null/undefined but we have image_url from sitemap, use it
 	if ((!item.main_image || item.main_image === null) && urlObj.image_url) {
 		const cleanedUrl = cleanAndValidateUrl(urlObj.image_url);
 		if (cleanedUrl) {
 			item = { ...item, main_image: cleanedUrl };
+			if (fieldProvenance) fieldProvenance.main_image = provenance.makeEntry('sitemap_fallback', { source: 'image_url' });
 		}
 	}
 	if ((!item.images || item.images.length == 0) && urlObj.image_url) {
 		const cleanedUrl = cleanAndValidateUrl(urlObj.image_url);
 		if (cleanedUrl) {
 			item = { ...item, images: [cleanedUrl] };
+			if (fieldProvenance) fieldProvenance.images = provenance.makeEntry('sitemap_fallback', { source: 'image_url' });
 		}
 	}
 	return item;
@@ -73,6 +111,17 @@ function applyImageFallback(item, urlObj) {
 
 
 
+// Overlay vendor strategy/selector results on structured data; non-empty vendor values win
+function mergeDirectResults(structuredData, vendorDirect) {
+	const merged = { ...(structuredData || {}) };
+	for (const [field, value] of Object.entries(vendorDirect || {})) {
+		const isEmpty = value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+		if (isEmpty && merged[field] !== undefined) continue;
+		merged[field] = value;
+	}
+	return Object.keys(merged).length > 0 ? merged : null;
+}
+
 function isValidHttpUrl(value) {
 	return cleanAndValidateUrl(value) !== null;
 }
@@ -83,61 +132,84 @@ function hasValidCoreData(data) {
 		(data.price || (data.stock_status && data.stock_status.toLowerCase().includes('out of stock')));
 }
 
+// Empty on undiscounted pages by design: an empty value is an answer, not a missing field
+const PROMOTION_FIELDS = ['was_price', 'discount_percent', 'promotion'];
 
+// Product price elements, tried in order inside the product region when the strategy declares no `priceContainer`
+const DEFAULT_PRICE_SELECTORS = ['[itemprop="price"]', '[data-testid*="price" i]', '[class*="price" i]', '[id*="price" i]'];
 
-async function updateExtractionSnapshot(vendor, attemptedFields, extractedData) {
-	const p = path.resolve(process.cwd(), 'tools/utils/cache/vendor-selectors.json');
-
-	await withFileLock(p, async () => {
-		try {
-			const all = loadVendorSelectors();
-			if (!all[vendor]) all[vendor] = {};
-
-			// Get existing snapshot to preserve previous results
-			const existingSnapshot = all[vendor].last_llm_extraction || { results: {} };
-			const mergedResults = { ...existingSnapshot.results }; // Preserve existing results
-			const allAttemptedFields = new Set([
-				...(existingSnapshot.attempted_fields || []),
-				...attemptedFields
-			]);
-
-			// Add/update results for fields attempted in this extraction
-			for (const field of attemptedFields) {
-				const value = extractedData[field];
-				mergedResults[field] = {
-					found: !!(value && (typeof value !== 'string' || value.trim() !== '')),
-					value_type: Array.isArray(value) ? 'array' : typeof value
-				};
-			}
-
-			// Create updated snapshot with merged results
-			const snapshot = {
-				timestamp: new Date().toISOString(),
-				attempted_fields: Array.from(allAttemptedFields),
-				results: mergedResults
-			};
-
-			all[vendor].last_llm_extraction = snapshot;
+/**
+ * Browser-side check for a strike-through price or promotion marker next to the product price.
+ * Looks only inside the first price element of the product region, widened to its ancestors
+ * while their text stays short, so site-wide sale banners and carousels do not count.
+ * Self-contained so it can be passed to page.evaluate() as-is.
+ * @param {{regions: Array<string>, priceSelectors: Array<string>}} scope
+ * @returns {boolean} Also true when no price element is found, leaving the decision to the LLM
+ */
+function hasPromotionMarker({ regions, priceSelectors }) {
+	const query = (root, selector) => { try { return root.querySelector(selector); } catch { return null; } };
+	// Text nodes joined with spaces: textContent runs "£4.99" and "Buy one get one" together
+	const textOf = (el) => Array.from(el.childNodes)
+		.map(node => node.nodeType === 3 ? node.textContent : (node.nodeType === 1 ? textOf(node) : ''))
+		.join(' ').replace(/\s+/g, ' ');
+	const region = regions.map(selector => query(document, selector)).find(Boolean) || document.body;
+	if (!region) return true;
+	let container = null;
+	for (const selector of priceSelectors) {
+		container = query(region, selector);
+		if (container) break;
+	}
+	if (!container) return true;
+	for (let depth = 0; depth < 3; depth++) {
+		const parent = container.parentElement;
+		if (!parent || parent === region || textOf(parent).length > 300) break;
+		container = parent;
+	}
+	const markers = ['s', 'del', 'strike', '[style*="line-through"]', '[class*="was-price" i]', '[class*="wasprice" i]',
+		'[class*="strike" i]', '[class*="rrp" i]'];
+	for (const selector of markers) {
+		try { if (container.matches(selector) || container.querySelector(selector)) return true; } catch { }
+	}
+	return /\b(was|rrp|save|now)\s*:?\s*[£$€]?\s*\d|\d+\s*%\s*off\b|\b\d+\s+for\s+[£$€]?\d|\bbuy one get\b|\bbogof\b/i.test(textOf(container));
+}
 
-			// Write file inside the lock (prevents corruption during concurrent access)
-			fs.writeFileSync(p, JSON.stringify(all, null, 2), 'utf8');
-		} catch { }
-	});
+async function updateExtractionSnapshot(vendor, attemptedFields, extractedData, template) {
+	try {
+		const store = selectorStore.getStore();
+		if (!store) return;
+		// Read and write in one transaction so concurrent workers merge their results
+		// Each attempted field's found/not-found outcome slides into its availability window
+		store.updateSnapshot(vendor, (lastSnapshot) => fieldAvailability.recordAttempts(lastSnapshot, attemptedFields, extractedData), template);
+	} catch { }
 }
 
  
 
 
-async function extractGeneric(page, urlObj, updateCtx = null) {
+/**
+ * Extract a product from a loaded page
+ * Tiers: structured data, app state, vendor strategy and learned selectors, then the LLM for missing fields.
+ * @param {Object} page - Stagehand page, or a static HTML page adapter
+ * @param {Object} urlObj - Work item ({ url, vendor, sku, image_url })
+ * @param {Object|null} updateCtx - Update-mode context (field filtering)
+ * @param {Object} options
+ * @param {boolean} [options.llm=true] - Set false to skip LLM extraction and selector learning
+ * @returns {Promise<Object|null>} Product, or null when the LLM is disabled and nothing was found
+ */
+async function extractGeneric(page, urlObj, updateCtx = null, options = {}) {
 	const url = urlObj.url;
-	const vendor = urlObj.vendor || 'vendor'; // Use vendor from urlObj, fallback to 'vendor'
+	const llmEnabled = options.llm !== false;
+	// Use vendor from urlObj, then the strategy matching the URL hostname, fallback to 'vendor'
+	const strategy = resolveStrategy(urlObj);
+	const vendor = urlObj.vendor || (strategy && strategy.vendor) || 'vendor';
 
 	// Generate metadata for this extraction
 
 	const metadata = { vendor, url, product_id: urlObj.sku, timestamp: new Date().toISOString() };
 	// Update-mode field filtering context (passed in by caller)
 	const isUpdateMode = !!(updateCtx && updateCtx.enabled);
-	const allowedFields = (isUpdateMode && Array.isArray(updateCtx.updateFields) && updateCtx.updateFields.length > 0) ? new Set(updateCtx.updateFields) : null;
+	// A refreshed price brings its was price, discount and promotion along
+	const allowedFields = (isUpdateMode && Array.isArray(updateCtx.updateFields) && updateCtx.updateFields.length > 0) ? new Set(withPriceDerivedFields(updateCtx.updateFields)) : null;
 	const filterFieldsList = (list) => allowedFields ? list.filter(f => allowedFields.has(f)) : list;
 	const filterObjectKeys = (obj) => {
 		if (!allowedFields || !obj || typeof obj !== 'object') return obj;
@@ -154,9 +226,48 @@ async function extractGeneric(page, urlObj, updateCtx = null) {
 		return processProductData({ ...cachedResult });
 	}
 
-	// First try direct selector extraction (no LLM) if available
-	const direct = await tryExtractWithVendorSelectors(page, vendor, urlObj, allowedFields,
-		 ['name', 'price', 'weight', 'description', 'category', 'main_image', 'stock_status', 'breadcrumbs']);
+	// Learned selectors, snapshots and learning are kept per page template; a new auto template's pages
+	// are extracted with the default selectors until it is confirmed
+	const pageTemplate = await classifyPage(page, vendor, url);
+	const extractionTemplate = selectorTemplate(vendor, pageTemplate);
+	metadata.page_template = pageTemplate;
+	if (pageTemplate !== 'default') {
+		console.log(`[PAGE_TEMPLATE] Page classified as ${vendor} ${pageTemplate} template${extractionTemplate !== pageTemplate ? ` (unconfirmed, extracting with ${extractionTemplate} selectors)` : ''}`);
+	}
+
+	// Structured data tier (JSON-LD / microdata / OpenGraph) runs before selectors and the LLM
+	const structured = await extractStructuredData(page, { baseUrl: url, allowedFields });
+	if (structured.filledFields.length > 0) {
+		console.log(`[STRUCTURED_DATA] Filled from structured data: ${structured.filledFields.join(', ')}`);
+	}
+
+	// Vendor-declared JSON-path mappings over embedded app state and captured XHR responses
+	const appState = await extractAppStateFields(page, strategy, allowedFields);
+	if (appState.filledFields.length > 0) {
+		console.log(`[APP_STATE] Filled from app state: ${appState.filledFields.join(', ')}`);
+	}
+
+	// Then try direct selector extraction (no LLM) if available; learned selectors skip fields already filled above
+	const preFilled = new Set([...structured.filledFields, ...appState.filledFields]);
+	const selectorFields = ['name', 'price', 'was_price', 'discount_percent', 'promotion', 'weight', 'description', 'category', 'main_image', 'stock_status', 'breadcrumbs']
+		.filter(field => !preFilled.has(field));
+	// With probation disabled, selectors being learned for this template are used as soon as they are saved:
+	// wait for tasks learning fields this page still needs and has no selector in service for
+	const learnedSelectors = (getSelectorSet(vendor, extractionTemplate) || {}).selectors || {};
+	const unlearnedFields = getLearnableFields(vendor).filter(field => !preFilled.has(field) && inService(learnedSelectors[field]).length === 0);
+	if (selectorLearning.dependsOnActiveLearning(vendor, extractionTemplate, unlearnedFields)) {
+		await selectorLearning.waitForLearningCompletion(vendor, unlearnedFields, extractionTemplate);
+	}
+	const { _provenance: vendorProvenance = {}, ...vendorFields } = (await tryExtractWithVendorSelectors(page, vendor, urlObj, allowedFields, selectorFields, extractionTemplate)) || {};
+	const vendorDirect = Object.keys(vendorFields).length > 0 ? vendorFields : null;
+	const direct = mergeDirectResults({ ...structured.data, ...appState.data }, vendorDirect);
+
+	// Track where each field came from; vendor values only take over fields they actually won in the merge
+	const fieldProvenance = { ...provenance.fromStructuredData(structured), ...provenance.fromAppState(appState) };
+	for (const [field, entry] of Object.entries(vendorProvenance)) {
+		if (direct && direct[field] === vendorFields[field]) fieldProvenance[field] = entry;
+	}
+	const withProvenance = (product) => ({ ...product, _provenance: provenance.finalizeProvenance(product, fieldProvenance) });
 
 	// Build dynamic schema for only the fields we need from LLM
 	// Start with base field definitions
@@ -165,6 +276,9 @@ async function extractGeneric(page, urlObj, updateCtx = null) {
 		main_image: z.string().describe('Direct URL to the primary/hero product image starting with http:// or https:// (return empty string if no valid image URL found)'),
 		images: z.array(z.string()).describe(`Gallery of product images. Array of ALL product image URLs starting with http:// or https://. (return empty string if no valid image URL found)`),
 		price: z.string().describe('Displayed price text, including currency symbol if shown'),
+		was_price: z.string().describe('Previous price shown struck through or labelled "Was" or "RRP" next to the current price, including currency symbol; empty string if the product is not discounted'),
+		discount_percent: z.string().describe('Discount percentage shown on the page, e.g. "25%" or "Save 25%"; empty string if none'),
+		promotion: z.string().describe('Multi-buy or promotion text shown for this product, e.g. "3 for 2", "Buy one get one half price", "Save £5"; empty string if none'),
 		stock_status: z.string().describe('Stock availability status: "In stock" or "Out of stock"'),
 		weight: z.string().describe('Pack size/weight/volume text if available, e.g., 500g or 2x100ml'),
 		description: z.string().describe('Primary product description or details shown on the page'),
@@ -191,12 +305,24 @@ async function extractGeneric(page, urlObj, updateCtx = null) {
 	// Always check for missing fields and use smart extraction logic
 	const missingFields = [];
 
-	// Load vendor data for smart caching
-	const vendorData = loadVendorSelectors()[vendor] || {};
+	// LLM outcomes per field on this vendor's page template, for the availability model
+	const vendorData = getSelectorSet(vendor, pageTemplate) || {};
 	const lastSnapshot = vendorData.last_llm_extraction;
-	const now = new Date();
-	const isSnapshotFresh = lastSnapshot &&
-		(now - new Date(lastSnapshot.timestamp)) < (30 * 60 * 1000); // 30 minutes freshness
+
+	// Promotion fields are only asked for when the page shows a discount or offer
+	let promotionShown = null;
+	const pageShowsPromotion = async () => {
+		if (promotionShown === null) {
+			// The strategy's price block, then the learned price selector, then generic price elements
+			const learnedPrice = vendorProvenance.price && vendorProvenance.price.selector;
+			const scope = {
+				regions: [].concat((strategy && strategy.llmCacheRegion) || [], llmCache.DEFAULT_REGIONS),
+				priceSelectors: [].concat((strategy && strategy.priceContainer) || [], learnedPrice ? [learnedPrice] : [], DEFAULT_PRICE_SELECTORS)
+			};
+			try { promotionShown = !!(await page.evaluate(hasPromotionMarker, scope)); } catch { promotionShown = true; }
+		}
+		return promotionShown;
+	};
 
 	// Check which fields are missing or empty from direct extraction
 	for (const field of allFields) {
@@ -204,36 +330,40 @@ async function extractGeneric(page, urlObj, updateCtx = null) {
 		const isMissingFromDirect = !value || (typeof value === 'string' && value.trim() === '');
 		const isDynamicField = dynamicFields.length > 0 && dynamicFields.includes(field);
 
+		if (isMissingFromDirect && PROMOTION_FIELDS.includes(field) && !(await pageShowsPromotion())) {
+			console.log(`[LEARNING] No discount or offer shown, ${field} left empty`);
+			continue;
+		}
+
 		if (isMissingFromDirect || isDynamicField) {
 			// Always include dynamic fields for LLM extraction
 			if (isDynamicField) {
 				missingFields.push(field);
 			} else {
-				// For non-dynamic fields, check smart cache
-				const wasRecentlyAttempted = (
-					isSnapshotFresh &&
-					Array.isArray(lastSnapshot.attempted_fields) &&
-					lastSnapshot.attempted_fields.includes(field) &&
-					lastSnapshot.results &&
-					lastSnapshot.results[field] &&
-					lastSnapshot.results[field].found === false
-				);
-
-				if (!wasRecentlyAttempted) {
+				// For non-dynamic fields, skip the LLM when it rarely finds the field on this template
+				const decision = fieldAvailability.shouldAskLlm(vendor, pageTemplate, lastSnapshot, field);
+				if (decision.ask) {
 					missingFields.push(field);
 				} else {
-					console.log(`[SMART_CACHE] Skipping ${field}: ${value}- recently confirmed as unavailable`);
+					console.log(`[FIELD_AVAILABILITY] Skipping ${field}: LLM found it on ${decision.state.found}/${decision.state.attempts} recent pages (availability ${decision.state.availability})`);
 				}
 			}
 		}
 	}
 
-	// If all fields are present or recently confirmed unavailable, use direct result
+	// If all fields are present or unlikely to be on the page, use direct result
 	if (missingFields.length === 0 && direct && Object.keys(direct).length > 0) {
-		const directFiltered = filterObjectKeys(applyImageFallback(direct, urlObj));
+		const directFiltered = filterObjectKeys(applyImageFallback(direct, urlObj, fieldProvenance));
 		const result = { ...metadata, ...directFiltered };
 		console.log(`[LEARNING] All fields available from direct extraction, using learned selectors only`);
-		return processProductData(result);
+		return withProvenance(processProductData(result));
+	}
+
+	// LLM disabled (HTTP fast path): return whatever direct extraction found, caller decides on fallback
+	if (!llmEnabled) {
+		if (!direct || Object.keys(direct).length === 0) return null;
+		console.log(`[LEARNING] LLM disabled, skipping ${missingFields.length} missing fields: ${missingFields.join(', ')}`);
+		return withProvenance(processProductData({ ...metadata, ...filterObjectKeys(applyImageFallback(direct, urlObj, fieldProvenance)) }));
 	}
 
 	// Log what we're extracting
@@ -246,13 +376,32 @@ async function extractGeneric(page, urlObj, updateCtx = null) {
 	}
 
 
-	const extractedData = await extractFieldsViaLLM({
+	const llmResult = await extractFieldsViaLLM({
 		page,
 		fieldDefinitions,
 		allowedFields,
 		missingFields, 
 		vendor
 	});
+	const { fieldPrompts } = llmResult;
+	const llmCacheKeys = [...llmResult.cacheKeys];
+
+	// Hallucination guard: check values against page text/DOM, re-prompt once with strict instructions
+	const verification = await verifyLlmExtraction({
+		page,
+		extractedData: llmResult.extractedData,
+		reprompt: async (fields) => {
+			const strictResult = await extractFieldsViaLLM({ page, fieldDefinitions, allowedFields, missingFields: fields, vendor, strict: true });
+			llmCacheKeys.push(...strictResult.cacheKeys);
+			return strictResult;
+		}
+	});
+	const extractedData = verification.extractedData;
+	// Never serve answers that failed verification from the LLM cache
+	const failedVerification = Object.keys(verification.failed);
+	if (failedVerification.length > 0) {
+		llmCache.invalidate(llmCacheKeys.filter(entry => entry.fields.some(field => failedVerification.includes(field))).map(entry => entry.key));
+	}
 	let fieldsForLLM = Object.keys(extractedData);
 	// Create defaults based on field definitions to maintain consistency
 	const extractedDefaults = {};
@@ -270,7 +419,7 @@ async function extractGeneric(page, urlObj, updateCtx = null) {
 	const normalizedData = { ...extractedDefaults, ...extractedData };
 
 	// Extract base fields (respect allowedFields subset)
-	const { name, main_image, images, price, stock_status, weight, description, category, breadcrumbs } = normalizedData;
+	const { name, main_image, images, price, was_price, discount_percent, promotion, stock_status, weight, description, category, breadcrumbs } = normalizedData;
 
 	// Extract all custom fields dynamically
 	const customFieldData = {};
@@ -325,6 +474,9 @@ async function extractGeneric(page, urlObj, updateCtx = null) {
 		...(allowedFields && !allowedFields.has('main_image') ? {} : { main_image: mainImage }),
 		...(allowedFields && !allowedFields.has('images') ? {} : { images: imagesList }),
 		...(allowedFields && !allowedFields.has('price') ? {} : { price }),
+		...(allowedFields && !allowedFields.has('was_price') ? {} : { was_price }),
+		...(allowedFields && !allowedFields.has('discount_percent') ? {} : { discount_percent }),
+		...(allowedFields && !allowedFields.has('promotion') ? {} : { promotion }),
 		...(allowedFields && !allowedFields.has('stock_status') ? {} : { stock_status }),
 		...(allowedFields && !allowedFields.has('weight') ? {} : { weight }),
 		...(allowedFields && !allowedFields.has('description') ? {} : { description }),
@@ -349,36 +501,62 @@ async function extractGeneric(page, urlObj, updateCtx = null) {
 
 	}
 
+	// LLM values only survive the merge where direct extraction had nothing
+	for (const field of Object.keys(llmProduct)) {
+		const directValue = direct ? direct[field] : undefined;
+		const directHasValue = Array.isArray(directValue) ? directValue.length > 0 : (directValue !== undefined && directValue !== null && directValue !== '');
+		if (directHasValue) continue;
+		const failedReason = verification.failed[field];
+		const verified = failedReason ? false : (verification.verifiedFields.includes(field) ? true : undefined);
+		fieldProvenance[field] = provenance.makeEntry('llm', {
+			source: verification.repromptedFields.includes(field) ? 'page.extract:strict' : 'page.extract',
+			prompt: fieldPrompts[field],
+			verified,
+			confidence: verified === true ? provenance.LLM_VERIFIED_CONFIDENCE : (verified === false ? provenance.LLM_UNVERIFIED_CONFIDENCE : undefined)
+		});
+	}
+
 	const result = { ...metadata, ...finalProduct };
 	// Apply image fallback if urlObj is provided (from sitemap data)
 	// Apply text cleaning and price markup
-	let finalResult = processProductData(applyImageFallback(result, urlObj));
+	let finalResult = withProvenance(processProductData(applyImageFallback(result, urlObj, fieldProvenance)));
+
+	// Fields that failed verification twice (kept, dropped or blanked) flag the product unless another tier filled them
+	const unverifiedFields = Object.keys(verification.failed).filter(field => {
+		const entry = provenance.extractedEntry(finalResult._provenance, field);
+		return !entry || entry.method === 'llm';
+	});
+	if (unverifiedFields.length > 0) {
+		finalResult.low_confidence = true;
+		finalResult._verification = { failed: Object.fromEntries(unverifiedFields.map(field => [field, verification.failed[field]])) };
+	}
 
 	
 	// Update extraction snapshot (track what LLM attempted and found)
 	if (fieldsForLLM.length > 0) {
-		await updateExtractionSnapshot(vendor, fieldsForLLM, llmProduct);
+		await updateExtractionSnapshot(vendor, fieldsForLLM, llmProduct, pageTemplate);
 	}
 
 	// Report fields that need selector learning (adaptive learning)
 	if (missingFields.length > 0) {
 		// Only report selectors for non-dynamic fields that were missing from direct extraction 
+		// Unverified LLM values are not used to learn selectors
 		selectorLearning.reportFieldsNeedingLearning(vendor, 
-			missingFields.filter(field => !dynamicFields.includes(field)).filter(field => { 
+			missingFields.filter(field => !dynamicFields.includes(field) && !unverifiedFields.includes(field)).filter(field => { 
 			const value = finalResult[field];
 			return value && (typeof value !== 'string' || value.trim() !== '');
-		}))
+		}), pageTemplate)
 	} else {
 		// Full extraction - report fields defined in fieldDefinitions that have values 
 		selectorLearning.reportFieldsNeedingLearning(vendor, 
-			Object.keys(finalResult).filter(field => !dynamicFields.includes(field)).filter(field => { 
+			Object.keys(finalResult).filter(field => field !== '_provenance' && !dynamicFields.includes(field)).filter(field => { 
 			const value = finalResult[field];
 			return value && (typeof value !== 'string' || value.trim() !== '');
-		}))
+		}), pageTemplate)
 	}
 
 	// Cache the result for future use (avoid caching if extraction failed or has errors)
-	if (hasValidCoreData(finalResult) && !process.env.DISABLE_URL_CACHE) {
+	if (hasValidCoreData(finalResult) && !finalResult.low_confidence && !process.env.DISABLE_URL_CACHE) {
 		cacheManager.set('urlResults', cacheKey, finalResult);
 		console.log(`[URL_CACHE] Cached extraction result`);
 	}
@@ -390,19 +568,22 @@ async function extractGeneric(page, urlObj, updateCtx = null) {
 /**
 	 * Determines which fields to extract via LLM, builds the extraction instruction and schema, and performs extraction.
 	 * @param {Object} params
-	 * @param {Object} params.page - Puppeteer page or compatible object with .extract method
+	 * @param {Object} params.page - Stagehand page (calls go through the LLM router)
 	 * @param {Object} params.fieldDefinitions - Map of field names to Zod schemas
 	 * @param {Set<string>|undefined} params.allowedFields - Set of allowed field names (optional)
 	 * @param {Array<string>} params.missingFields - List of missing field names
 	 * @param {string} params.vendor - Vendor identifier 
-	 * @returns {Promise<Object>} - Extracted data from LLM
+	 * @param {boolean} [params.strict=false] - Verbatim-only instructions, used when re-prompting after failed verification
+	 * @returns {Promise<{extractedData: Object, fieldPrompts: Object, cacheKeys: Array<{key: string, fields: Array<string>}>}>} - Extracted data
+	 *   from LLM, the per-field prompt text used and the LLM cache keys involved
 	 */
 async function extractFieldsViaLLM({
 	page,
 	fieldDefinitions,
 	allowedFields,
 	missingFields, 
-	vendor
+	vendor,
+	strict = false
 }) {
  
 	// Determine which fields to extract via LLM
@@ -421,6 +602,9 @@ async function extractFieldsViaLLM({
 		switch (field) {
 			case 'name': return 'main product name from the product page';
 			case 'price': return 'numeric price only (digits with optional decimal, no currency symbol or words)';
+			case 'was_price': return 'previous "was"/RRP price if the product is discounted, otherwise empty string';
+			case 'discount_percent': return 'discount percentage if shown, otherwise empty string';
+			case 'promotion': return 'promotion or multi-buy offer text (e.g. "3 for 2") if shown, otherwise empty string';
 			case 'main_image': return 'primary image URL';
 			case 'images': return 'all product image URLs or empty array if no images found';
 			case 'stock_status': return 'stock status from the product page';
@@ -439,44 +623,74 @@ async function extractFieldsViaLLM({
 				return field.replace(/_/g, ' ');
 		}
 	});
-	instruction = `Extract only the following product information from the product page: ${fieldNames.join(', ')}.`;
-
-	// Build dynamic instruction including custom vendor fields
-	const vendorCustomFieldNames = Object.keys(getVendorCustomFields(vendor));
-	if (vendorCustomFieldNames.length > 0) {
-		const customDescriptions = vendorCustomFieldNames.map(field => {
-			const fieldDef = fieldDefinitions[field];
-			if (fieldDef && fieldDef._def && fieldDef._def.description) {
-				return fieldDef._def.description.toLowerCase();
-			}
-			return field.replace(/_/g, ' ');
-		});
-		instruction = `${instruction}, and the following vendor-specific information: ${customDescriptions.join(', ')}.`;
-	} 
+	const fieldPrompts = {};
+	fieldsForLLM.forEach((field, i) => { fieldPrompts[field] = fieldNames[i]; });
+	// One extract call per model: per-vendor/per-field model selection can split the field set
+	let pageUrl = null;
+	try { pageUrl = page.url(); } catch { }
+	const extractedData = {};
+	// Persistent LLM cache keyed by the product region's content hash (skipped for mock answers)
+	const strategy = resolveStrategy({ vendor, url: pageUrl });
+	const regionSelectors = strategy && strategy.llmCacheRegion ? [].concat(strategy.llmCacheRegion) : [];
+	const contentHash = (process.env.DISABLE_LLM_CACHE || llm.isMockMode()) ? null : await llmCache.computeContentHash(page, regionSelectors);
+	const cacheKeys = [];
+	for (const group of llm.groupFieldsByModel(fieldsForLLM, { vendor, url: pageUrl })) {
+		const groupFields = group.fields;
+		instruction = `Extract only the following product information from the product page: ${groupFields.map(field => fieldPrompts[field]).join(', ')}.`;
+
+		// Build dynamic instruction including the custom vendor fields this group asks for
+		const vendorCustomFieldNames = Object.keys(getVendorCustomFields(vendor)).filter(field => groupFields.includes(field));
+		if (vendorCustomFieldNames.length > 0) {
+			const customDescriptions = vendorCustomFieldNames.map(field => {
+				const fieldDef = fieldDefinitions[field];
+				if (fieldDef && fieldDef._def && fieldDef._def.description) {
+					return fieldDef._def.description.toLowerCase();
+				}
+				return field.replace(/_/g, ' ');
+			});
+			instruction = `${instruction}, and the following vendor-specific information: ${customDescriptions.join(', ')}.`;
+		} 
 
-	// Strengthen breadcrumbs guidance when requested
-	if (fieldsForLLM.includes('breadcrumbs')) {
-		instruction += ' Return breadcrumbs as an ordered array of strings (labels only). Prefer the page breadcrumb nav or JSON-LD BreadcrumbList. Exclude duplicates or generic entries like Home.';
-	}
+		// Strengthen breadcrumbs guidance when requested
+		if (groupFields.includes('breadcrumbs')) {
+			instruction += ' Return breadcrumbs as an ordered array of strings (labels only). Prefer the page breadcrumb nav or JSON-LD BreadcrumbList. Exclude duplicates or generic entries like Home.';
+		}
 
-	// Build dynamic schema with only needed fields
-	const schemaFields = {};
-	for (const field of fieldsForLLM) {
-		if (fieldDefinitions[field]) {
-			schemaFields[field] = fieldDefinitions[field];
+		if (strict) {
+			instruction += ' Copy every value verbatim from text visibly shown on the page; do not infer, translate, reformat or guess. Image URLs must be copied exactly from the page markup. If a value is not visibly present, return an empty string (or empty array).';
 		}
-	}
-	const schema = z.object(schemaFields);
 
-	const settleMs = fieldsForLLM.includes('breadcrumbs') ? 25000 : 10000;
-	const extractedData = await page.extract({
-		instruction,
-		schema,
-		domSettleTimeoutMs: settleMs,
-	});
-	return extractedData;
+		// Build dynamic schema with only needed fields
+		const schemaFields = {};
+		for (const field of groupFields) {
+			if (fieldDefinitions[field]) {
+				schemaFields[field] = fieldDefinitions[field];
+			}
+		}
+		const schema = z.object(schemaFields);
+
+		const settleMs = groupFields.includes('breadcrumbs') ? 25000 : 10000;
+		const cacheKey = contentHash ? llmCache.buildKey({ vendor, contentHash, fields: groupFields, instruction, model: group.models.primary }) : null;
+		let groupData = cacheKey ? llmCache.get(cacheKey) : null;
+		if (groupData) {
+			console.log(`[LLM_CACHE] Page content unchanged, reusing cached answer for ${groupFields.join(', ')}`);
+		} else {
+			groupData = await llm.extract(page, {
+				instruction,
+				schema,
+				domSettleTimeoutMs: settleMs,
+			}, { vendor, url: pageUrl, models: group.models });
+			if (cacheKey) llmCache.set(cacheKey, { vendor, contentHash, fields: groupFields, model: group.models.primary }, groupData);
+		}
+		if (cacheKey) cacheKeys.push({ key: cacheKey, fields: groupFields });
+		Object.assign(extractedData, groupData || {});
+	}
+	return { extractedData, fieldPrompts, cacheKeys };
 }
 
 module.exports = {
-	 extractGeneric
+	 extractGeneric,
+	 processProductData,
+	 hasPromotionMarker,
+	 DEFAULT_PRICE_SELECTORS
 	};
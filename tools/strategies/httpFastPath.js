@@ -0,0 +1,157 @@
+'use strict';
+
+const { resolveStrategy } = require('./registry');
+const { createHtmlPage } = require('../utils/htmlPage');
+const { logError } = require('../utils/logUtil');
+
+/**
+ * Browserless HTTP fast path for server-rendered vendors
+ * Fetches the product HTML with plain HTTP and runs the regular extractGeneric pipeline
+ * (structured data, app state, vendor strategy, learned CSS selectors) against a static
+ * page adapter with the LLM disabled. Returns null whenever the browser path is needed:
+ * vendor not opted in, HTTP failure, blocked page, or required fields missing.
+ *
+ * Vendors opt in through their strategy:
+ *   httpFastPath: true
+ *   httpFastPath: { requiredFields: ['name', 'price', 'main_image'], headers: { ... } }
+ * or with HTTP_FAST_PATH_VENDORS=harrods,other (comma-separated).
+ */
+
+const DEFAULT_REQUIRED_FIELDS = ['name', 'price'];
+const FETCH_TIMEOUT_MS = Number(process.env.HTTP_FAST_PATH_TIMEOUT_MS) || 15000;
+const DEFAULT_HEADERS = {
+    'user-agent': process.env.HTTP_FAST_PATH_USER_AGENT || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+    'accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+    'accept-language': 'en-GB,en;q=0.9'
+};
+const BLOCKED_RX = /(access denied|forbidden|verify you are a human|unusual traffic|captcha|attention required)/i;
+
+// Fast path statistics for the run summary
+const __stats = { attempted: 0, succeeded: 0, fallbacks: {} };
+
+function recordFallback(reason) {
+    __stats.fallbacks[reason] = (__stats.fallbacks[reason] || 0) + 1;
+}
+
+/**
+ * Resolve fast path configuration for a work item
+ * @param {Object} urlObj
+ * @returns {{strategy: Object|null, requiredFields: Array<string>, headers: Object}|null} null when not enabled
+ */
+function getFastPathConfig(urlObj) {
+    if (process.env.DISABLE_HTTP_FAST_PATH) return null;
+    const strategy = resolveStrategy(urlObj);
+    const vendor = (urlObj && urlObj.vendor) || (strategy && strategy.vendor) || '';
+    const envVendors = String(process.env.HTTP_FAST_PATH_VENDORS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+    const declared = strategy && strategy.httpFastPath;
+    if (!declared && !envVendors.includes(String(vendor).toLowerCase())) return null;
+    const config = declared && typeof declared === 'object' ? declared : {};
+    return {
+        strategy,
+        requiredFields: Array.isArray(config.requiredFields) && config.requiredFields.length > 0 ? config.requiredFields : DEFAULT_REQUIRED_FIELDS,
+        headers: { ...DEFAULT_HEADERS, ...(config.headers || {}) }
+    };
+}
+
+async function fetchHtml(url, headers) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+    try {
+        const res = await fetch(url, { headers, redirect: 'follow', signal: controller.signal });
+        const html = await res.text();
+        return { status: res.status, ok: res.ok, url: res.url || url, html };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+function hasValue(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+/**
+ * Try to extract a product without a browser
+ * @param {Object} urlObj - Work item ({ url, vendor, sku, image_url })
+ * @param {Object|null} updateCtx - Update-mode context (field filtering)
+ * @returns {Promise<Object|null>} Product in extractGeneric output shape, or null to use the browser
+ */
+async function tryHttpFastPath(urlObj, updateCtx = null) {
+    const config = getFastPathConfig(urlObj);
+    if (!config || !urlObj || !urlObj.url) return null;
+    // Lazy require: generic.js pulls in the selector learning stack
+    const { extractGeneric } = require('./generic');
+
+    __stats.attempted++;
+    let fetched;
+    try {
+        fetched = await fetchHtml(urlObj.url, config.headers);
+    } catch (error) {
+        console.log(`[HTTP_FAST_PATH] Fetch failed for ${urlObj.url}: ${error.message}`);
+        recordFallback('fetch_error');
+        return null;
+    }
+
+    if (!fetched.ok) {
+        console.log(`[HTTP_FAST_PATH] HTTP ${fetched.status} for ${urlObj.url}, using browser`);
+        recordFallback(`http_${fetched.status}`);
+        return null;
+    }
+
+    const page = createHtmlPage(fetched.html, fetched.url);
+    try {
+        const title = await page.evaluate(() => document.title || '');
+        const bodyText = await page.evaluate(() => (document.body?.textContent || '').slice(0, 4000));
+        const vendorBlocked = config.strategy && config.strategy.isBlocked ? await config.strategy.isBlocked(page, null) : false;
+        if (vendorBlocked || BLOCKED_RX.test(title) || BLOCKED_RX.test(bodyText)) {
+            console.log(`[HTTP_FAST_PATH] Page looks blocked for ${urlObj.url}, using browser`);
+            recordFallback('blocked');
+            return null;
+        }
+
+        const product = await extractGeneric(page, urlObj, updateCtx, { llm: false });
+        if (!product) {
+            recordFallback('no_data');
+            return null;
+        }
+
+        // Update mode only requires the fields being refreshed
+        const allowed = updateCtx && updateCtx.enabled && Array.isArray(updateCtx.updateFields) && updateCtx.updateFields.length > 0
+            ? new Set(updateCtx.updateFields) : null;
+        const required = config.requiredFields.filter(f => !allowed || allowed.has(f));
+        const outOfStock = typeof product.stock_status === 'string' && /out of stock/i.test(product.stock_status);
+        const missing = required.filter(f => !hasValue(product[f]) && !(f === 'price' && outOfStock));
+        if (missing.length > 0) {
+            console.log(`[HTTP_FAST_PATH] Missing required fields (${missing.join(', ')}) for ${urlObj.url}, using browser`);
+            recordFallback('missing_required_fields');
+            return null;
+        }
+
+        __stats.succeeded++;
+        console.log(`[HTTP_FAST_PATH] Extracted ${urlObj.url} without a browser`);
+        return { ...product, extraction_mode: 'http' };
+    } catch (error) {
+        console.log(`[HTTP_FAST_PATH] Extraction failed for ${urlObj.url}: ${error.message}`);
+        logError('http_fast_path_failed', { url: urlObj.url, error: error.message });
+        recordFallback('extract_error');
+        return null;
+    } finally {
+        try { await page.close(); } catch { }
+    }
+}
+
+/**
+ * Fast path statistics for the run summary
+ * @returns {{attempted: number, succeeded: number, fallbacks: Object}}
+ */
+function getFastPathStats() {
+    return { attempted: __stats.attempted, succeeded: __stats.succeeded, fallbacks: { ...__stats.fallbacks } };
+}
+
+module.exports = {
+    DEFAULT_HEADERS,
+    getFastPathConfig,
+    fetchHtml,
+    tryHttpFastPath,
+    getFastPathStats
+};
@@ -0,0 +1,196 @@
+'use strict';
+
+const crypto = require('crypto');
+const { resolveStrategy } = require('./registry');
+const selectorStore = require('../utils/cache/selectorStore');
+const { logErrorWithDetails } = require('../utils/logUtil');
+
+/**
+ * Page template classification
+ * Product pages of one vendor can come from different templates (e.g. Superdrug marketplace
+ * `mp-` SKUs and first-party products) with different DOM structures. Learned selectors and LLM
+ * snapshots are kept per template, so a page is classified before its selectors are tried.
+ *
+ * A vendor strategy may declare its templates:
+ *   pageTemplates: [{ name: 'marketplace', url: /\/p\/mp-/i, dom: 'input#marketplaceProduct[value="true"]' }]
+ * A rule matches when its `url` pattern matches the page URL or its `dom` selector is found on the
+ * page; URL patterns are checked before DOM selectors. Pages matching no rule are 'default'.
+ *
+ * Vendors without rules are classified by a DOM fingerprint: custom element names, template classes
+ * and schema.org item types. The first fingerprint seen is the vendor's 'default' template; a page
+ * whose fingerprint is not similar enough (Jaccard, PAGE_TEMPLATE_SIMILARITY) to any known one
+ * registers a new `auto-<hash>` template. Its pages are classified as that template from the start,
+ * so selectors, snapshots and probation learned on them stay out of the default set, but they are
+ * extracted with the default selectors until PAGE_TEMPLATE_MIN_PAGES pages have matched it (see
+ * selectorTemplate).
+ * DISABLE_PAGE_TEMPLATES=true classifies every page as 'default'.
+ */
+
+const DEFAULT_TEMPLATE = selectorStore.DEFAULT_TEMPLATE;
+// Pages with fewer structural tokens are too bare to tell templates apart
+const MIN_FINGERPRINT_TOKENS = 3;
+
+// vendor -> template -> pages classified in this run
+const __templateStats = {};
+
+function getSimilarityThreshold() {
+    const value = Number(process.env.PAGE_TEMPLATE_SIMILARITY);
+    return Number.isFinite(value) && value > 0 && value <= 1 ? value : 0.7;
+}
+
+function getMinPages() {
+    const value = Number(process.env.PAGE_TEMPLATE_MIN_PAGES);
+    return Number.isInteger(value) && value > 0 ? value : 3;
+}
+
+/**
+ * Structural tokens of the page
+ * Self-contained so it can be passed to page.evaluate() as-is.
+ * @returns {Array<string>} Sorted tokens
+ */
+function collectFingerprintTokens() {
+    const tokens = new Set();
+    for (const el of Array.from(document.querySelectorAll('*'))) {
+        const tag = String(el.tagName || '').toLowerCase();
+        if (tag.includes('-')) tokens.add(`tag:${tag}`);
+        const itemtype = el.getAttribute('itemtype');
+        if (itemtype) tokens.add(`itemtype:${itemtype.trim().replace(/^https?:\/\//i, '')}`);
+        for (const cls of String(el.getAttribute('class') || '').split(/\s+/)) {
+            if (/PageTemplate$|^(template|page-type|pagetype)[-_]/i.test(cls)) tokens.add(`class:${cls}`);
+        }
+    }
+    return Array.from(tokens).sort();
+}
+
+/**
+ * Jaccard similarity of two token lists
+ * @param {Array<string>} a
+ * @param {Array<string>} b
+ * @returns {number}
+ */
+function similarity(a, b) {
+    const setA = new Set(a);
+    const setB = new Set(b);
+    let shared = 0;
+    for (const token of setA) if (setB.has(token)) shared++;
+    const union = setA.size + setB.size - shared;
+    return union === 0 ? 0 : shared / union;
+}
+
+/**
+ * Template named by the first matching strategy rule
+ * @param {Object} page
+ * @param {Array<{name: string, url?: RegExp, dom?: string}>} rules
+ * @param {string} url
+ * @returns {Promise<string>}
+ */
+async function matchRules(page, rules, url) {
+    const byUrl = rules.find(rule => rule.url instanceof RegExp && rule.url.test(url || ''));
+    if (byUrl) return byUrl.name;
+    const domRules = rules.filter(rule => typeof rule.dom === 'string' && rule.dom);
+    if (domRules.length === 0) return DEFAULT_TEMPLATE;
+    const found = await page.evaluate((selectors) => selectors.map(selector => {
+        try { return !!document.querySelector(selector); } catch { return false; }
+    }), domRules.map(rule => rule.dom));
+    const byDom = domRules.find((rule, i) => found && found[i]);
+    return byDom ? byDom.name : DEFAULT_TEMPLATE;
+}
+
+/**
+ * Template whose registered fingerprint the page matches, registering new fingerprints
+ * @param {Object} page
+ * @param {string} vendor
+ * @param {Object} store
+ * @returns {Promise<string>}
+ */
+async function matchFingerprint(page, vendor, store) {
+    const tokens = await page.evaluate(collectFingerprintTokens);
+    if (!Array.isArray(tokens) || tokens.length < MIN_FINGERPRINT_TOKENS) return DEFAULT_TEMPLATE;
+
+    let best = null;
+    for (const template of store.getTemplates(vendor)) {
+        if (template.kind !== 'auto' || !template.fingerprint) continue;
+        const score = similarity(tokens, JSON.parse(template.fingerprint));
+        if (!best || score > best.score) best = { name: template.name, score };
+    }
+    if (best && best.score >= getSimilarityThreshold()) {
+        store.recordTemplatePage(vendor, best.name, { kind: 'auto' });
+        return best.name;
+    }
+
+    const name = best ? `auto-${crypto.createHash('sha1').update(tokens.join('|')).digest('hex').substring(0, 6)}` : DEFAULT_TEMPLATE;
+    store.recordTemplatePage(vendor, name, { kind: 'auto', fingerprint: JSON.stringify(tokens) });
+    if (name !== DEFAULT_TEMPLATE) {
+        console.log(`[PAGE_TEMPLATE] New ${vendor} page template ${name} (${tokens.length} tokens, closest ${best.name} at ${best.score.toFixed(2)}), its selectors used after ${getMinPages()} pages`);
+    }
+    return name;
+}
+
+/**
+ * Template whose selectors extraction uses on a page of `template`
+ * Fingerprints seen on a page or two may be one-off layouts: until an auto template has matched
+ * PAGE_TEMPLATE_MIN_PAGES pages its pages are extracted with the default selectors. Rule templates
+ * are used at once.
+ * @param {string} vendor
+ * @param {string} template - Page template (see classifyPage)
+ * @returns {string}
+ */
+function selectorTemplate(vendor, template) {
+    if (!template || template === DEFAULT_TEMPLATE) return DEFAULT_TEMPLATE;
+    try {
+        const store = selectorStore.getStore();
+        const info = store && store.getTemplates(vendor).find(t => t.name === template);
+        if (info && info.kind === 'auto' && info.pages < getMinPages()) return DEFAULT_TEMPLATE;
+    } catch (error) {
+        console.log(`[PAGE_TEMPLATE] Failed to read ${vendor} ${template} template: ${error.message}`);
+        return DEFAULT_TEMPLATE;
+    }
+    return template;
+}
+
+/**
+ * Classify a product page into one of the vendor's page templates
+ * @param {Object} page - Stagehand page, or a static HTML page adapter
+ * @param {string} vendor
+ * @param {string} url
+ * @returns {Promise<string>} Template name ('default' when unclassified)
+ */
+async function classifyPage(page, vendor, url) {
+    if (String(process.env.DISABLE_PAGE_TEMPLATES || '').toLowerCase() === 'true') return DEFAULT_TEMPLATE;
+    let template = DEFAULT_TEMPLATE;
+    try {
+        const store = selectorStore.getStore();
+        const strategy = resolveStrategy({ vendor, url });
+        const rules = strategy && Array.isArray(strategy.pageTemplates) ? strategy.pageTemplates.filter(rule => rule && rule.name) : [];
+        if (rules.length > 0) {
+            template = await matchRules(page, rules, url);
+            if (store) store.recordTemplatePage(vendor, template, { kind: 'rule' });
+        } else if (store) {
+            template = await matchFingerprint(page, vendor, store);
+        }
+    } catch (error) {
+        console.log(`[PAGE_TEMPLATE] Failed to classify ${url}: ${error.message}`);
+        logErrorWithDetails('page_template_classification_failed', error, { vendor, url });
+        template = DEFAULT_TEMPLATE;
+    }
+    const vendorStats = __templateStats[vendor] || (__templateStats[vendor] = {});
+    vendorStats[template] = (vendorStats[template] || 0) + 1;
+    return template;
+}
+
+/**
+ * Pages classified per vendor and template in this run, for the run summary
+ * @returns {Object<string, Object<string, number>>}
+ */
+function getPageTemplateStats() {
+    return JSON.parse(JSON.stringify(__templateStats));
+}
+
+module.exports = {
+    DEFAULT_TEMPLATE,
+    classifyPage,
+    selectorTemplate,
+    collectFingerprintTokens,
+    similarity,
+    getPageTemplateStats
+};
@@ -0,0 +1,167 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { logErrorWithDetails } = require('../utils/logUtil');
+
+/**
+ * Vendor strategy registry
+ * Discovers vendor modules at vendors/<vendor>/strategy.js and resolves them by
+ * vendor name or URL hostname. A strategy module may export:
+ *   - vendor: canonical vendor key (defaults to the folder name)
+ *   - hostnames: apex domains served by the strategy, e.g. ['superdrug.com']
+ *   - extract(page, urlObj, productName, options): direct DOM extraction
+ *   - customFields: Zod field definitions merged into the LLM schema
+ *   - transformOutput(product): vendor-level output transformation
+ *   - isBlocked(page, result): vendor-specific blocking detection
+ *   - pageTemplates: [{ name, url: RegExp, dom: selector }] page template rules (see pageTemplates.js)
+ *   - experimental: true when its selectors have not been checked against saved vendor pages
+ */
+
+const VENDORS_DIR = path.resolve(__dirname, '../../vendors');
+const STRATEGY_FILE = 'strategy.js';
+
+let __strategies = null; // vendor -> normalized strategy
+
+function normalizeStrategy(mod, folderName, source) {
+    if (!mod || typeof mod !== 'object') return null;
+    const vendor = String(mod.vendor || folderName || '').trim().toLowerCase();
+    if (!vendor) return null;
+    const hostnames = Array.isArray(mod.hostnames)
+        ? mod.hostnames.map(h => String(h || '').trim().toLowerCase().replace(/^www\./, '')).filter(Boolean)
+        : [];
+    return {
+        ...mod,
+        vendor,
+        hostnames,
+        extract: typeof mod.extract === 'function' ? mod.extract : null,
+        customFields: mod.customFields && typeof mod.customFields === 'object' ? mod.customFields : {},
+        transformOutput: typeof mod.transformOutput === 'function' ? mod.transformOutput : null,
+        isBlocked: typeof mod.isBlocked === 'function' ? mod.isBlocked : null,
+        experimental: mod.experimental === true,
+        source
+    };
+}
+
+/**
+ * Scan the vendors directory and load every strategy module found
+ * @returns {Map<string, Object>} vendor -> strategy
+ */
+function discoverStrategies() {
+    const found = new Map();
+    let entries = [];
+    try {
+        entries = fs.readdirSync(VENDORS_DIR, { withFileTypes: true }).filter(e => e.isDirectory());
+    } catch (error) {
+        console.log(`[STRATEGY_REGISTRY] Failed to read vendors directory: ${error.message}`);
+        logErrorWithDetails('strategy_discovery_failed', error, { dir: VENDORS_DIR });
+        return found;
+    }
+
+    for (const entry of entries) {
+        const source = path.join(VENDORS_DIR, entry.name, STRATEGY_FILE);
+        if (!fs.existsSync(source)) continue;
+        try {
+            const strategy = normalizeStrategy(require(source), entry.name, source);
+            if (!strategy) continue;
+            if (found.has(strategy.vendor)) {
+                console.log(`[STRATEGY_REGISTRY] Duplicate strategy for ${strategy.vendor} in ${entry.name}, keeping ${path.basename(path.dirname(found.get(strategy.vendor).source))}`);
+                continue;
+            }
+            found.set(strategy.vendor, strategy);
+        } catch (error) {
+            console.log(`[STRATEGY_REGISTRY] Failed to load strategy ${source}: ${error.message}`);
+            logErrorWithDetails('strategy_load_failed', error, { source });
+        }
+    }
+    return found;
+}
+
+function getStrategies() {
+    if (!__strategies) {
+        __strategies = discoverStrategies();
+        if (__strategies.size > 0) {
+            console.log(`[STRATEGY_REGISTRY] Loaded strategies: ${Array.from(__strategies.keys()).join(', ')}`);
+        }
+        for (const strategy of __strategies.values()) {
+            if (strategy.experimental) console.log(`[STRATEGY_REGISTRY] ${strategy.vendor} strategy is experimental: its DOM selectors are unverified, JSON-LD and the LLM fill what they miss`);
+        }
+    }
+    return __strategies;
+}
+
+/**
+ * Get a strategy by vendor name
+ * @param {string} vendor - Vendor key (case-insensitive)
+ * @returns {Object|null} Strategy or null if none registered
+ */
+function getStrategy(vendor) {
+    if (!vendor || typeof vendor !== 'string') return null;
+    return getStrategies().get(vendor.trim().toLowerCase()) || null;
+}
+
+/**
+ * Get a strategy by URL hostname (exact or subdomain match against declared hostnames)
+ * @param {string} url - Product URL
+ * @returns {Object|null} Strategy or null if no hostname matches
+ */
+function getStrategyForUrl(url) {
+    let hostname = null;
+    try { hostname = new URL(url).hostname.toLowerCase(); } catch { return null; }
+    for (const strategy of getStrategies().values()) {
+        for (const host of strategy.hostnames) {
+            if (hostname === host || hostname.endsWith(`.${host}`)) return strategy;
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolve a strategy from a vendor name, URL or { vendor, url } object
+ * Vendor name wins; hostname is the fallback for unknown or missing vendor keys.
+ * @param {string|Object} target
+ * @returns {Object|null}
+ */
+function resolveStrategy(target) {
+    if (!target) return null;
+    if (typeof target === 'string') {
+        return /^https?:\/\//i.test(target) ? getStrategyForUrl(target) : getStrategy(target);
+    }
+    const byVendor = getStrategy(target.vendor);
+    if (byVendor) return byVendor;
+    const url = target.url || target.source_url || target.product_url;
+    return url ? getStrategyForUrl(url) : null;
+}
+
+/**
+ * List all registered strategies
+ * @returns {Array<Object>}
+ */
+function listStrategies() {
+    return Array.from(getStrategies().values());
+}
+
+/**
+ * Custom field definitions for a vendor (empty object when none)
+ * @param {string|Object} target - Vendor name, URL or { vendor, url }
+ * @returns {Object}
+ */
+function getCustomFields(target) {
+    const strategy = resolveStrategy(target);
+    return strategy ? strategy.customFields : {};
+}
+
+/** Drop discovered strategies so the next lookup rescans the vendors directory */
+function resetRegistry() {
+    __strategies = null;
+}
+
+module.exports = {
+    VENDORS_DIR,
+    getStrategy,
+    getStrategyForUrl,
+    resolveStrategy,
+    listStrategies,
+    getCustomFields,
+    resetRegistry
+};
@@ -0,0 +1,280 @@
+'use strict';
+
+const { resolveStrategy } = require('./registry');
+
+/**
+ * Ratings and reviews extraction
+ * Reads the average rating, review count, rating distribution and the first N reviews
+ * (author, date, rating, title, text) from the product page, clicking the review widget's
+ * "load more" control until enough reviews are shown. JSON-LD aggregateRating/review data is
+ * used first, the review widget's DOM fills the rest.
+ *
+ * Vendors enable it by declaring any of these custom fields in their strategy:
+ *   rating, review_count, rating_distribution, reviews
+ * Only the declared fields are extracted. They are handled here, not by the LLM pipeline.
+ * Widget selectors can be set with the strategy's `reviewSelectors`:
+ *   { item, text, author, date, rating, title, average, count, distribution, loadMore, maxReviews }
+ *
+ * `rating` and `review_count` stay on the product; the full record goes to the vendor's
+ * reviews output stream keyed by product_id (see outputManager.upsertReviews).
+ * REVIEWS_MAX caps reviews per product (default 20); DISABLE_REVIEWS turns extraction off.
+ */
+
+const REVIEW_FIELDS = ['rating', 'review_count', 'rating_distribution', 'reviews'];
+const MAX_LOAD_MORE_CLICKS = 10;
+const LOAD_MORE_RX = /(load|show|see|view) more( reviews)?|more reviews/i;
+
+const DEFAULT_SELECTORS = {
+    item: '[itemprop="review"], .pr-review, [data-testid*="review-item"], [class*="review-item"], [class*="ReviewItem"], .review',
+    text: '[itemprop="reviewBody"], .pr-rd-description-text, [class*="review-text"], [class*="review__text"], [class*="review-body"], p',
+    author: '[itemprop="author"], .pr-rd-author-nickname, [class*="author"], [class*="nickname"]',
+    date: 'time[datetime], [itemprop="datePublished"], .pr-rd-author-submission-date, [class*="date"]',
+    rating: '[itemprop="ratingValue"], .pr-rd-star-rating, [aria-label*="star" i], [class*="rating"]',
+    title: '.pr-rd-review-headline, [class*="review-title"], [class*="headline"], [itemprop="name"]',
+    average: '[itemprop="aggregateRating"] [itemprop="ratingValue"], .pr-snippet-rating-decimal, [class*="average-rating"]',
+    count: '[itemprop="aggregateRating"] [itemprop="reviewCount"], .pr-snippet-review-count, [class*="review-count"]',
+    distribution: '.pr-histogram-stars, [class*="histogram"] li, [class*="distribution"] li, [class*="rating-bar"]',
+    loadMore: '.pr-rd-show-more, .pr-rd-pagination-btn, [class*="load-more"], [class*="show-more"]'
+};
+
+// Extraction statistics for the run summary
+const __stats = { products: 0, withRating: 0, withReviews: 0, reviews: 0, loadMoreClicks: 0 };
+
+/**
+ * Custom fields a vendor declares from REVIEW_FIELDS
+ * @param {string|Object} target - Vendor name, URL or { vendor, url }
+ * @returns {Array<string>}
+ */
+function getReviewFields(target) {
+    const strategy = resolveStrategy(target);
+    const customFields = (strategy && strategy.customFields) || {};
+    return REVIEW_FIELDS.filter(field => customFields[field] !== undefined);
+}
+
+/**
+ * Drop review fields from a field-definition map; the reviews module fills them
+ * @param {Object} fieldDefinitions
+ * @returns {Object}
+ */
+function omitReviewFields(fieldDefinitions) {
+    const out = { ...(fieldDefinitions || {}) };
+    for (const field of REVIEW_FIELDS) delete out[field];
+    return out;
+}
+
+/**
+ * Resolve review extraction configuration for a work item
+ * @param {Object} urlObj
+ * @returns {{vendor: string, fields: Array<string>, maxReviews: number, selectors: Object}|null} null when not enabled
+ */
+function getReviewConfig(urlObj) {
+    if (process.env.DISABLE_REVIEWS) return null;
+    const strategy = resolveStrategy(urlObj);
+    const fields = getReviewFields(urlObj);
+    if (!strategy || fields.length === 0) return null;
+    const custom = strategy.reviewSelectors || {};
+    const selectors = { ...DEFAULT_SELECTORS };
+    for (const key of Object.keys(DEFAULT_SELECTORS)) {
+        if (custom[key]) selectors[key] = [].concat(custom[key]).join(', ');
+    }
+    return {
+        vendor: (urlObj && urlObj.vendor) || strategy.vendor,
+        fields,
+        maxReviews: fields.includes('reviews') ? (Number(custom.maxReviews) || Number(process.env.REVIEWS_MAX) || 20) : 0,
+        selectors
+    };
+}
+
+/**
+ * Browser-side collection of rating data and visible reviews
+ * @returns {{rating: number|null, review_count: number|null, rating_distribution: Object|null, reviews: Array<Object>}}
+ */
+function collectReviewData({ selectors, maxReviews }) {
+    const clean = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+    const number = (text) => {
+        const match = clean(text).replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+        return match ? Number(match[0]) : null;
+    };
+    const ratingOf = (el) => {
+        if (!el) return null;
+        const text = clean(el.getAttribute('content') || el.getAttribute('aria-label') || el.getAttribute('title') || el.textContent);
+        const outOf = text.match(/(\d+(?:\.\d+)?)\s*(?:out of|\/)\s*5/i);
+        const value = outOf ? Number(outOf[1]) : number(text);
+        return value !== null && value >= 0 && value <= 5 ? value : null;
+    };
+    const first = (root, selector) => { try { return root.querySelector(selector); } catch { return null; } };
+    const all = (root, selector) => { try { return Array.from(root.querySelectorAll(selector)); } catch { return []; } };
+    const asArray = (value) => (Array.isArray(value) ? value : (value ? [value] : []));
+
+    const out = { rating: null, review_count: null, rating_distribution: null, reviews: [] };
+
+    // JSON-LD aggregateRating and review[]
+    const seen = new Set();
+    for (const script of all(document, 'script[type="application/ld+json"]')) {
+        let data = null;
+        try { data = JSON.parse(script.textContent || ''); } catch { continue; }
+        const nodes = asArray(data).flatMap(node => (node && node['@graph'] ? asArray(node['@graph']) : [node]));
+        for (const node of nodes) {
+            if (!node || typeof node !== 'object') continue;
+            const aggregate = node.aggregateRating;
+            if (aggregate && out.rating === null) {
+                out.rating = number(aggregate.ratingValue);
+                out.review_count = number(aggregate.reviewCount || aggregate.ratingCount);
+            }
+            for (const review of asArray(node.review)) {
+                if (!review || out.reviews.length >= maxReviews) continue;
+                const text = clean(review.reviewBody || review.description);
+                if (!text || seen.has(text)) continue;
+                seen.add(text);
+                const author = review.author && typeof review.author === 'object' ? review.author.name : review.author;
+                out.reviews.push({
+                    author: clean(author) || null,
+                    date: clean(review.datePublished) || null,
+                    rating: review.reviewRating ? number(review.reviewRating.ratingValue) : null,
+                    title: clean(review.name || review.headline) || null,
+                    text
+                });
+            }
+        }
+    }
+
+    // Widget DOM
+    if (out.rating === null) out.rating = ratingOf(first(document, selectors.average));
+    if (out.review_count === null) {
+        const countEl = first(document, selectors.count);
+        out.review_count = countEl ? number(countEl.getAttribute('content') || countEl.textContent) : null;
+    }
+
+    const distribution = {};
+    for (const row of all(document, selectors.distribution)) {
+        const text = clean(`${row.getAttribute('aria-label') || ''} ${row.textContent || ''}`);
+        const match = text.match(/([1-5])\s*stars?\D*?([\d,]+)/i);
+        if (match) distribution[match[1]] = Number(match[2].replace(/,/g, ''));
+    }
+    if (Object.keys(distribution).length > 0) out.rating_distribution = distribution;
+
+    for (const item of all(document, selectors.item)) {
+        if (out.reviews.length >= maxReviews) break;
+        // Skip wrappers that contain other review items
+        if (all(item, selectors.item).length > 0) continue;
+        const textEl = first(item, selectors.text);
+        const text = clean(textEl ? textEl.textContent : '');
+        if (!text || seen.has(text)) continue;
+        seen.add(text);
+        const dateEl = first(item, selectors.date);
+        const authorEl = first(item, selectors.author);
+        const titleEl = first(item, selectors.title);
+        out.reviews.push({
+            author: authorEl ? clean(authorEl.textContent).replace(/^by\s+/i, '') || null : null,
+            date: dateEl ? clean(dateEl.getAttribute('datetime') || dateEl.getAttribute('content') || dateEl.textContent) || null : null,
+            rating: ratingOf(first(item, selectors.rating)),
+            title: titleEl && titleEl !== textEl ? clean(titleEl.textContent) || null : null,
+            text
+        });
+    }
+    return out;
+}
+
+async function collect(page, config) {
+    return page.evaluate(collectReviewData, { selectors: config.selectors, maxReviews: config.maxReviews });
+}
+
+// Click the widget's "load more" control; false when there is none
+async function clickLoadMore(page, config) {
+    const candidates = [
+        page.locator(config.selectors.loadMore),
+        page.locator('button, a[role="button"]').filter({ hasText: LOAD_MORE_RX })
+    ];
+    for (const locator of candidates) {
+        try {
+            const button = locator.first();
+            if (!(await button.isVisible({ timeout: 1000 }))) continue;
+            await button.click({ timeout: 5000 });
+            try { await page.waitForLoadState('networkidle', { timeout: 3000 }); } catch { }
+            return true;
+        } catch { }
+    }
+    return false;
+}
+
+/**
+ * Extract ratings and reviews from the product page currently loaded in `page`
+ * @param {Object} page - Stagehand page showing the product
+ * @param {Object} urlObj - Work item ({ url, vendor, sku })
+ * @param {Object} product - Main product extracted from this page
+ * @returns {Promise<Object|null>} Review record { product_id, vendor, url, rating, review_count, rating_distribution,
+ *   reviews, extracted_at } limited to the vendor's declared fields, or null when not enabled
+ */
+async function extractReviews(page, urlObj, product) {
+    const config = getReviewConfig(urlObj);
+    if (!config) return null;
+    __stats.products++;
+
+    // Review widgets usually render lazily near the page bottom
+    try { await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight)); } catch { }
+    try { await page.waitForLoadState('networkidle', { timeout: 3000 }); } catch { }
+
+    let data = await collect(page, config);
+    let clicks = 0;
+    while (config.maxReviews > 0 && data.reviews.length < config.maxReviews && clicks < MAX_LOAD_MORE_CLICKS) {
+        if (!(await clickLoadMore(page, config))) break;
+        clicks++;
+        __stats.loadMoreClicks++;
+        const next = await collect(page, config);
+        const grew = next.reviews.length > data.reviews.length;
+        data = next;
+        if (!grew) break;
+    }
+
+    const record = {
+        product_id: (product && product.product_id) || urlObj.sku || null,
+        vendor: config.vendor,
+        url: urlObj.url
+    };
+    if (config.fields.includes('rating')) record.rating = data.rating;
+    if (config.fields.includes('review_count')) record.review_count = data.review_count !== null ? data.review_count : (data.reviews.length || null);
+    if (config.fields.includes('rating_distribution')) record.rating_distribution = data.rating_distribution;
+    if (config.fields.includes('reviews')) record.reviews = data.reviews.slice(0, config.maxReviews);
+    record.extracted_at = new Date().toISOString();
+
+    if (record.rating !== null && record.rating !== undefined) __stats.withRating++;
+    if (Array.isArray(record.reviews) && record.reviews.length > 0) {
+        __stats.withReviews++;
+        __stats.reviews += record.reviews.length;
+    }
+    console.log(`[REVIEWS] rating=${record.rating ?? '-'} count=${record.review_count ?? '-'} reviews=${Array.isArray(record.reviews) ? record.reviews.length : '-'}${clicks ? ` (${clicks} load-more clicks)` : ''}`);
+    return record;
+}
+
+/**
+ * Put the review summary on the product and hold the full record in `_reviews` for the reviews stream
+ * @param {Object} product
+ * @param {Object|null} record - Output of extractReviews
+ * @returns {Object}
+ */
+function attachReviews(product, record) {
+    if (!product || !record) return product;
+    const next = { ...product, _reviews: record };
+    if ((next.rating === undefined || next.rating === null || next.rating === '') && record.rating !== undefined && record.rating !== null) next.rating = record.rating;
+    if ((next.review_count === undefined || next.review_count === null || next.review_count === '') && record.review_count !== undefined && record.review_count !== null) next.review_count = record.review_count;
+    return next;
+}
+
+/**
+ * Review statistics for the run summary
+ * @returns {{products: number, withRating: number, withReviews: number, reviews: number, loadMoreClicks: number}}
+ */
+function getReviewStats() {
+    return { ...__stats };
+}
+
+module.exports = {
+    REVIEW_FIELDS,
+    getReviewFields,
+    omitReviewFields,
+    getReviewConfig,
+    collectReviewData,
+    extractReviews,
+    attachReviews,
+    getReviewStats
+};
@@ -0,0 +1,344 @@
+'use strict';
+
+const { cleanAndValidateUrl } = require('../utils/utls');
+const { DATA_ATTRIBUTES, collectGtinAttributes, normalizeGtin } = require('../utils/gtin');
+
+/**
+ * Structured-data extraction tier
+ * Reads schema.org JSON-LD (Product, Offer, AggregateRating, BreadcrumbList), microdata
+ * and OpenGraph product tags, and maps them onto our product fields without any LLM call.
+ * Barcode data attributes (`data-gtin`, `data-ean`, ...) back up a missing `gtin`.
+ */
+
+// Fields this tier is able to fill
+const STRUCTURED_FIELDS = ['name', 'price', 'currency', 'stock_status', 'gtin', 'main_image', 'images', 'breadcrumbs', 'description', 'brand', 'rating', 'review_count'];
+
+/**
+ * Collect raw structured data from a DOM document.
+ * Self-contained so it can be passed to page.evaluate() as-is (uses the page `document`
+ * when no root is given) or called in Node with a parsed document.
+ * @param {Document} [root] - Document to read; defaults to the browser `document`
+ * @returns {{jsonLd: Array<Object>, microdata: Array<Object>, openGraph: Object}}
+ */
+function collectStructuredData(root) {
+    const doc = root || document;
+    const out = { jsonLd: [], microdata: [], openGraph: {} };
+
+    // JSON-LD blocks, flattened through arrays and @graph containers
+    const visit = (node) => {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) { node.forEach(visit); return; }
+        if (node['@graph']) visit(node['@graph']);
+        if (node['@type']) out.jsonLd.push(node);
+    };
+    for (const script of Array.from(doc.querySelectorAll('script[type="application/ld+json"]'))) {
+        try { visit(JSON.parse(script.textContent || '')); } catch { }
+    }
+
+    // Microdata item scopes (top-level only), with their itemprops as flat values
+    const readPropValue = (el) => {
+        const tag = (el.tagName || '').toLowerCase();
+        if (el.hasAttribute('content')) return el.getAttribute('content');
+        if (tag === 'meta') return el.getAttribute('content') || '';
+        if (tag === 'link' || tag === 'a') return el.getAttribute('href') || '';
+        if (tag === 'img' || tag === 'source') return el.getAttribute('src') || '';
+        return (el.textContent || '').replace(/\s+/g, ' ').trim();
+    };
+    const readScope = (scope) => {
+        const item = { '@type': (scope.getAttribute('itemtype') || '').split('/').pop(), properties: {} };
+        for (const el of Array.from(scope.querySelectorAll('[itemprop]'))) {
+            // Skip props that belong to a nested scope
+            const owner = el.parentElement ? el.parentElement.closest('[itemscope]') : null;
+            if (owner !== scope) continue;
+            const name = el.getAttribute('itemprop');
+            const value = el.hasAttribute('itemscope') ? readScope(el) : readPropValue(el);
+            if (!item.properties[name]) item.properties[name] = [];
+            item.properties[name].push(value);
+        }
+        return item;
+    };
+    for (const scope of Array.from(doc.querySelectorAll('[itemscope][itemtype]'))) {
+        const parentScope = scope.parentElement ? scope.parentElement.closest('[itemscope]') : null;
+        if (parentScope) continue;
+        try { out.microdata.push(readScope(scope)); } catch { }
+    }
+
+    // OpenGraph / product meta tags
+    for (const meta of Array.from(doc.querySelectorAll('meta[property], meta[name]'))) {
+        const key = (meta.getAttribute('property') || meta.getAttribute('name') || '').toLowerCase();
+        if (!/^(og|product):/.test(key)) continue;
+        const value = meta.getAttribute('content');
+        if (!value) continue;
+        if (key === 'og:image') {
+            out.openGraph[key] = [].concat(out.openGraph[key] || [], value);
+        } else if (!out.openGraph[key]) {
+            out.openGraph[key] = value;
+        }
+    }
+
+    return out;
+}
+
+function hasType(node, type) {
+    const types = [].concat((node && node['@type']) || []).map(t => String(t).toLowerCase());
+    return types.includes(type);
+}
+
+// JSON-LD is often written with HTML-escaped strings ("Women&#39;s", "Tom &amp; Jerry")
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’',
+    ldquo: '“', rdquo: '”', hellip: '…', pound: '£', euro: '€', reg: '®', trade: '™', copy: '©', eacute: 'é'
+};
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, body) => {
+        if (body[0] === '#') {
+            const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+            return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+        }
+        const named = NAMED_ENTITIES[body.toLowerCase()];
+        return named !== undefined ? named : entity;
+    });
+}
+
+function textOf(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return textOf(value[0]);
+    if (typeof value === 'object') return textOf(value.name || value['@value'] || value['@id'] || '');
+    return decodeEntities(String(value)).replace(/\s+/g, ' ').trim();
+}
+
+function availabilityToStockStatus(value) {
+    const v = textOf(value).toLowerCase();
+    if (!v) return '';
+    if (/instock|in_stock|in stock|limitedavailability|onlineonly|preorder|presale/.test(v)) return 'In stock';
+    if (/outofstock|out_of_stock|out of stock|soldout|discontinued|instoreonly/.test(v)) return 'Out of stock';
+    return '';
+}
+
+function imageUrls(value, baseUrl) {
+    const urls = [];
+    for (const img of [].concat(value || [])) {
+        const raw = typeof img === 'string' ? img : (img && (img.url || img.contentUrl));
+        if (!raw) continue;
+        let absolute = raw;
+        try { absolute = baseUrl ? new URL(raw, baseUrl).href : raw; } catch { }
+        const cleaned = cleanAndValidateUrl(absolute);
+        if (cleaned) urls.push(cleaned);
+    }
+    return Array.from(new Set(urls));
+}
+
+function pickGtin(...nodes) {
+    for (const node of nodes) {
+        if (!node) continue;
+        for (const key of ['gtin14', 'gtin13', 'gtin12', 'gtin8', 'gtin', 'ean']) {
+            const v = textOf(node[key]).replace(/\D/g, '');
+            if (v) return v;
+        }
+    }
+    return '';
+}
+
+function comparableUrl(value, baseUrl) {
+    if (!value) return '';
+    try {
+        const url = new URL(value, baseUrl || undefined);
+        return `${url.hostname.replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '')}`.toLowerCase();
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Breadcrumb labels from root to the deepest category
+ * "Home" is dropped, and so is a trailing crumb for the product itself (same name as the
+ * product, or linking to the page), which many sites end their BreadcrumbList with.
+ * @param {Array<{name: string, url: string}>} crumbs - Ordered crumbs
+ * @param {Object} context
+ * @param {string} [context.productName]
+ * @param {string} [context.baseUrl] - Page URL
+ * @returns {Array<string>}
+ */
+function breadcrumbTrail(crumbs, { productName = '', baseUrl = null } = {}) {
+    const trail = crumbs.filter(crumb => crumb.name && crumb.name.toLowerCase() !== 'home');
+    const last = trail[trail.length - 1];
+    const normalize = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    const pageUrl = comparableUrl(baseUrl);
+    if (last && ((productName && normalize(last.name) === normalize(productName)) || (pageUrl && comparableUrl(last.url, baseUrl) === pageUrl))) {
+        trail.pop();
+    }
+    return Array.from(new Set(trail.map(crumb => crumb.name)));
+}
+
+function breadcrumbLabels(list, context) {
+    if (!list || !Array.isArray(list.itemListElement)) return [];
+    const crumbs = list.itemListElement
+        .slice()
+        .sort((a, b) => (Number(a.position) || 0) - (Number(b.position) || 0))
+        .map(el => {
+            const item = el.item;
+            const url = typeof item === 'string' ? item : (item && (item['@id'] || item.url)) || el.url || '';
+            return { name: textOf(el.name || (item && item.name)), url };
+        });
+    return breadcrumbTrail(crumbs, context);
+}
+
+function mapJsonLd(nodes, baseUrl) {
+    const product = nodes.find(n => hasType(n, 'product')) || null;
+    const crumbs = nodes.find(n => hasType(n, 'breadcrumblist')) || null;
+    const out = {};
+    if (product) {
+        const offers = [].concat(product.offers || []);
+        const offer = offers.find(o => o && (o.price !== undefined || o.lowPrice !== undefined)) || offers[0] || null;
+        const rating = product.aggregateRating || nodes.find(n => hasType(n, 'aggregaterating')) || null;
+        out.name = textOf(product.name);
+        out.description = textOf(product.description);
+        out.brand = textOf(product.brand);
+        if (offer) {
+            const price = offer.price !== undefined ? offer.price : offer.lowPrice;
+            out.price = textOf(price);
+            out.currency = textOf(offer.priceCurrency);
+            out.stock_status = availabilityToStockStatus(offer.availability);
+        }
+        out.gtin = pickGtin(product, offer);
+        out.images = imageUrls(product.image, baseUrl);
+        if (rating) {
+            out.rating = textOf(rating.ratingValue);
+            out.review_count = textOf(rating.reviewCount || rating.ratingCount);
+        }
+    }
+    if (crumbs) out.breadcrumbs = breadcrumbLabels(crumbs, { productName: out.name, baseUrl });
+    return out;
+}
+
+function mapMicrodata(items, baseUrl) {
+    const prop = (item, name) => (item && item.properties[name] ? item.properties[name][0] : undefined);
+    const product = items.find(i => /product/i.test(i['@type'])) || null;
+    const crumbs = items.find(i => /breadcrumblist/i.test(i['@type'])) || null;
+    const out = {};
+    if (product) {
+        const offer = prop(product, 'offers');
+        const offerProp = (name) => (offer && typeof offer === 'object' ? prop(offer, name) : undefined) || prop(product, name);
+        const rating = prop(product, 'aggregateRating');
+        out.name = textOf(prop(product, 'name'));
+        out.description = textOf(prop(product, 'description'));
+        const brand = prop(product, 'brand');
+        out.brand = textOf(brand && typeof brand === 'object' ? prop(brand, 'name') : brand);
+        out.price = textOf(offerProp('price') || offerProp('lowPrice'));
+        out.currency = textOf(offerProp('priceCurrency'));
+        out.stock_status = availabilityToStockStatus(offerProp('availability'));
+        out.gtin = pickGtin({
+            gtin14: prop(product, 'gtin14'), gtin13: prop(product, 'gtin13'),
+            gtin12: prop(product, 'gtin12'), gtin8: prop(product, 'gtin8'), gtin: prop(product, 'gtin')
+        });
+        out.images = imageUrls(product.properties.image, baseUrl);
+        if (rating && typeof rating === 'object') {
+            out.rating = textOf(prop(rating, 'ratingValue'));
+            out.review_count = textOf(prop(rating, 'reviewCount') || prop(rating, 'ratingCount'));
+        }
+    }
+    if (crumbs && Array.isArray(crumbs.properties.itemListElement)) {
+        const crumbList = crumbs.properties.itemListElement
+            .filter(el => el && typeof el === 'object')
+            .map(el => ({ position: Number(prop(el, 'position')) || 0, name: textOf(prop(el, 'name')), url: textOf(prop(el, 'item')) }))
+            .sort((a, b) => a.position - b.position);
+        out.breadcrumbs = breadcrumbTrail(crumbList, { productName: out.name, baseUrl });
+    }
+    return out;
+}
+
+function mapOpenGraph(og, baseUrl) {
+    const isProduct = /product/i.test(og['og:type'] || '') || og['product:price:amount'] || og['og:price:amount'];
+    if (!isProduct) return {};
+    return {
+        name: textOf(og['og:title']),
+        description: textOf(og['og:description']),
+        price: textOf(og['product:price:amount'] || og['og:price:amount']),
+        currency: textOf(og['product:price:currency'] || og['og:price:currency']),
+        stock_status: availabilityToStockStatus(og['product:availability'] || og['og:availability']),
+        brand: textOf(og['product:brand']),
+        images: imageUrls(og['og:image'], baseUrl)
+    };
+}
+
+// First valid barcode among data attribute values, else the first barcode-like one
+function mapGtinAttributes(values) {
+    const candidates = (values || []).map(normalizeGtin).filter(Boolean);
+    const best = candidates.find(c => c.valid) || candidates[0];
+    return best ? { gtin: best.raw } : {};
+}
+
+function isFilled(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+/**
+ * Map raw structured data onto product fields.
+ * Precedence per field: JSON-LD, then microdata, then OpenGraph, then barcode data attributes.
+ * @param {Object} raw - Output of collectStructuredData
+ * @param {Object} options
+ * @param {string} [options.baseUrl] - Page URL used to absolutize image URLs
+ * @param {Set<string>|null} [options.allowedFields] - Restrict output to these fields
+ * @returns {{data: Object, filledFields: Array<string>, sources: Object}}
+ */
+function mapStructuredData(raw, { baseUrl = null, allowedFields = null } = {}) {
+    const layers = [
+        ['json_ld', mapJsonLd((raw && raw.jsonLd) || [], baseUrl)],
+        ['microdata', mapMicrodata((raw && raw.microdata) || [], baseUrl)],
+        ['open_graph', mapOpenGraph((raw && raw.openGraph) || {}, baseUrl)],
+        ['data_attributes', mapGtinAttributes(raw && raw.gtinAttributes)]
+    ];
+    const data = {};
+    const sources = {};
+    for (const field of STRUCTURED_FIELDS) {
+        if (field === 'main_image') continue;
+        if (allowedFields && !allowedFields.has(field) && !(field === 'images' && allowedFields.has('main_image'))) continue;
+        for (const [source, mapped] of layers) {
+            if (isFilled(mapped[field])) {
+                data[field] = mapped[field];
+                sources[field] = source;
+                break;
+            }
+        }
+    }
+    if (Array.isArray(data.images) && data.images.length > 0 && (!allowedFields || allowedFields.has('main_image'))) {
+        data.main_image = data.images[0];
+        sources.main_image = sources.images;
+    }
+    if (allowedFields && !allowedFields.has('images')) {
+        delete data.images;
+        delete sources.images;
+    }
+    return { data, filledFields: Object.keys(data), sources };
+}
+
+/**
+ * Run the structured-data tier against a live page
+ * @param {Object} page - Playwright/Stagehand page
+ * @param {Object} options - See mapStructuredData
+ * @returns {Promise<{data: Object, filledFields: Array<string>, sources: Object}>}
+ */
+async function extractStructuredData(page, options = {}) {
+    if (process.env.DISABLE_STRUCTURED_DATA) return { data: {}, filledFields: [], sources: {} };
+    try {
+        const raw = await page.evaluate(collectStructuredData);
+        if (!options.allowedFields || options.allowedFields.has('gtin')) {
+            try { raw.gtinAttributes = await page.evaluate(collectGtinAttributes, DATA_ATTRIBUTES); } catch { }
+        }
+        let baseUrl = options.baseUrl || null;
+        if (!baseUrl) { try { baseUrl = page.url(); } catch { } }
+        return mapStructuredData(raw, { ...options, baseUrl });
+    } catch (error) {
+        console.log(`[STRUCTURED_DATA] Extraction failed: ${error.message}`);
+        return { data: {}, filledFields: [], sources: {} };
+    }
+}
+
+module.exports = {
+    STRUCTURED_FIELDS,
+    collectStructuredData,
+    mapStructuredData,
+    extractStructuredData
+};
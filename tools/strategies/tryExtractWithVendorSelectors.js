@@ -1,21 +1,26 @@
 'use strict';
 
 const cacheManager = require('../utils/cache/cacheManager');
-const { toNumber } = require('../utils/mark_up_price');
-const { getVendorCustomFields, loadVendorSelectors, saveVendorSelectors } = require("../utils/selectorLearningCore");
+const { parsePriceText } = require('../utils/priceParser');
+const { getVendorCustomFields, getSelectorSet, recordSelectorOutcomes } = require("../utils/selectorLearningCore");
+const { rankSelectors, inService } = require("../utils/selectorStats");
 const { cleanAndValidateUrl } = require('../utils/utls');
- 
-const vendorStrategies = {
-	superdrug: require('./superdrug')
-};
+const { resolveStrategy } = require('./registry');
+const provenance = require('../utils/provenance');
+
+// Demoted selectors still get a chance to recover, but without holding up extraction
+const DEMOTED_SELECTOR_TIMEOUT_MS = 1000;
+// Fields every product page has: no value means the selectors tried are broken, not that the field is absent
+const ALWAYS_PRESENT_FIELDS = new Set(['name', 'price', 'main_image']);
  
  
 // Factory to create tryExtractWithVendorSelectors with explicit dependencies to avoid circular imports
+// Learned selectors come from the selector set of the page's template (see pageTemplates.js)
 async function tryExtractWithVendorSelectors(page, vendor, urlObj, allowedFields = null, 
-   fieldsExtraction = ['name', 'price', 'weight', 'description', 'category', 'main_image', 'stock_status', 'breadcrumbs']) {
+   fieldsExtraction = ['name', 'price', 'was_price', 'discount_percent', 'promotion', 'weight', 'description', 'category', 'main_image', 'stock_status', 'breadcrumbs'],
+   template = 'default') {
     try {
-        const all = loadVendorSelectors();
-        const vendorData = all[vendor];
+        const vendorData = getSelectorSet(vendor, template);
 
         // Initialize result object
         const result = {};
@@ -23,17 +28,18 @@ async function tryExtractWithVendorSelectors(page, vendor, urlObj, allowedFields
         // Handle learned selectors (if any exist) - used as fallback after vendor strategy
         let selectors = null;
         if (vendorData && vendorData.selectors) {
-            selectors = vendorData.selectors;
+            // Selectors on probation only run in shadow (selectorProbation.js)
+            selectors = Object.fromEntries(Object.entries(vendorData.selectors)
+                .map(([field, list]) => [field, Array.isArray(list) ? inService(list) : list]));
         }
         let vendorProvidedFields = new Set();
+        // field -> provenance entry, returned alongside the values as `_provenance`
+        const fieldProvenance = {};
 
         // Extract vendor-specific fields using vendor strategy if available (PRIMARY)
-        if (vendorStrategies[vendor]) {
-            const strategy = vendorStrategies[vendor];
-            let extractFunction = null;
-            if (vendor === 'superdrug' && strategy.extractSuperdrugProduct) {
-                extractFunction = strategy.extractSuperdrugProduct;
-            }
+        const strategy = resolveStrategy({ vendor, url: urlObj && urlObj.url });
+        if (strategy) {
+            const extractFunction = strategy.extract;
 
             if (extractFunction) {
                 const getProductNameForVendor = async () => {
@@ -66,6 +72,12 @@ async function tryExtractWithVendorSelectors(page, vendor, urlObj, allowedFields
                             result.price = vendorResult.price;
                             vendorProvidedFields.add('price');
                         }
+                        for (const fieldName of ['was_price', 'discount_percent', 'promotion']) {
+                            if (vendorResult[fieldName] && (!allowedFields || allowedFields.has(fieldName))) {
+                                result[fieldName] = vendorResult[fieldName];
+                                vendorProvidedFields.add(fieldName);
+                            }
+                        }
                         if (vendorResult.description && (!allowedFields || allowedFields.has('description'))) {
                             result.description = vendorResult.description;
                             vendorProvidedFields.add('description');
@@ -86,6 +98,10 @@ async function tryExtractWithVendorSelectors(page, vendor, urlObj, allowedFields
                                 vendorProvidedFields.add(fieldName);
                             }
                         }
+                        const strategySource = `${strategy.vendor}.extract` + (vendorResult.metadata && vendorResult.metadata.extraction_method ? `:${vendorResult.metadata.extraction_method}` : '');
+                        for (const fieldName of vendorProvidedFields) {
+                            fieldProvenance[fieldName] = provenance.makeEntry('vendor_strategy', { source: strategySource });
+                        }
                     } else {
                         console.log(`[VENDOR_STRATEGY] Vendor strategy returned null/empty result`);
                     }
@@ -100,7 +116,7 @@ async function tryExtractWithVendorSelectors(page, vendor, urlObj, allowedFields
         }
 
         // After vendor strategy, use learned selectors as FALLBACK for missing fields
-        const successfulSelectors = {};
+        const selectorOutcomes = {};
         let selectorPromises = [];
         if (selectors && Object.keys(selectors).length > 0) {
             
@@ -134,48 +150,49 @@ async function tryExtractWithVendorSelectors(page, vendor, urlObj, allowedFields
 
              
             for (const field of fieldsToExtract) {
-                if (selectors[field] && Array.isArray(selectors[field])) {
+                if (selectors[field] && Array.isArray(selectors[field]) && selectors[field].length > 0) {
                     selectorPromises.push(trySelectorsForField(page, field, selectors[field], vendor));
                 }
             }
             // Extract data using learned selectors
             const selectorResults = await Promise.all(selectorPromises);
-            for (const { field, value, successfulSelector } of selectorResults) {
-                if (value !== null && value !== '' && value !== undefined) {
+            for (const { field, value, currency, successfulSelector, selectorEntry, failedSelectors } of selectorResults) {
+                const found = value !== null && value !== '' && value !== undefined;
+                // Selectors tried before the working one failed; with no working selector, only always-present fields count as failures
+                if (found || ALWAYS_PRESENT_FIELDS.has(field)) {
+                    selectorOutcomes[field] = { success: found && selectorEntry ? selectorEntry.selector : null, failed: failedSelectors || [] };
+                }
+                if (found) {
                     if (allowedFields && !allowedFields.has(field)) continue;
                     const customFields = getVendorCustomFields(vendor);
                     const fieldDef = customFields[field];
                     const isBooleanField = fieldDef && fieldDef._def && fieldDef._def.typeName === 'ZodBoolean';
                     if (isBooleanField || value !== '') {
                         result[field] = value;
-                        if (successfulSelector) {
-                            successfulSelectors[field] = successfulSelector;
+                        fieldProvenance[field] = provenance.makeEntry('learned_selector', {
+                            source: 'selector_store',
+                            selector: successfulSelector,
+                            confidence: provenance.learnedSelectorConfidence(selectorEntry)
+                        });
+                        // Currency detected in the price text travels with the price
+                        if (field === 'price' && currency && !result.currency) {
+                            result.currency = currency;
+                            fieldProvenance.currency = fieldProvenance.price;
                         }
                     }
                 }
             }
 
-            // Update success tracking for working selectors (only if needed to reduce I/O)
-            if (Object.keys(successfulSelectors).length > 0) {
-                const vendorData2 = loadVendorSelectors()[vendor];
-                const needsUpdate = Object.entries(successfulSelectors).some(([field, selector]) => {
-                    if (!vendorData2 || !vendorData2.selectors || !Array.isArray(vendorData2.selectors[field])) {
-                        return true;
-                    }
-                    const existing = vendorData2.selectors[field].find(s => s.selector === selector);
-                    return !existing || existing.success_count < 10;
-                });
-                if (needsUpdate) {
-                    await saveVendorSelectors(vendor, successfulSelectors);
-                }
-            }
+            // Update success/failure tracking; demotes, evicts and reorders selectors
+            await recordSelectorOutcomes(vendor, selectorOutcomes, template);
 
         } else {
-            console.log(`[VENDOR_STRATEGY] No learned selectors found for ${vendor}`);
+            console.log(`[VENDOR_STRATEGY] No learned selectors found for ${vendor}${template !== 'default' ? ` (${template} template)` : ''}`);
         }
 
 
-        return Object.keys(result).length > 0 ? result : null; // Return null if no fields are set
+        if (Object.keys(result).length === 0) return null; // Return null if no fields are set
+        return { ...result, _provenance: fieldProvenance };
 
     } catch (error) {
         console.error(`[VENDOR_STRATEGY] Error in tryExtractWithVendorSelectors:`, error);
@@ -185,19 +202,21 @@ async function tryExtractWithVendorSelectors(page, vendor, urlObj, allowedFields
 // Helper function to try multiple selectors for a field
 async function trySelectorsForField(page, field, selectors, vendor, timeout = 15000) {
 	if (!Array.isArray(selectors) || selectors.length === 0) {
-		return { field, value: null, successfulSelector: null };
+		return { field, value: null, successfulSelector: null, failedSelectors: [] };
 	}
 
 	// Check if page is still valid before proceeding
 	if (!(await isPageValid(page))) {
 		console.log(`[SELECTOR_ERROR] Page/context is closed, skipping selector extraction for ${field}`);
-		return { field, value: null, successfulSelector: null };
+		return { field, value: null, successfulSelector: null, failedSelectors: [] };
 	}
 
-	// Try selectors in order (most successful first)
-	for (const selectorObj of selectors) {
+	// Try selectors by recent success rate; demoted selectors go last with a short timeout
+	const failedSelectors = [];
+	for (const selectorObj of rankSelectors(selectors)) {
 		const selector = selectorObj.selector;
 		if (!selector) continue;
+		const selectorTimeout = selectorObj.status === 'demoted' ? Math.min(timeout, DEMOTED_SELECTOR_TIMEOUT_MS) : timeout;
 
 		// Handle comma-separated fallback selectors
 		const selectorOptions = selector.includes(',') ?
@@ -207,28 +226,30 @@ async function trySelectorsForField(page, field, selectors, vendor, timeout = 15
 		for (const selectorOption of selectorOptions) {
 			try {
 				let value = null;
+				let currency = null;
 
 				if (field === 'main_image') {
 					let src = null;
 					try {
-						src = await page.locator(selectorOption).first().getAttribute('src', { timeout: Math.min(timeout, 5000) });
+						src = await page.locator(selectorOption).first().getAttribute('src', { timeout: Math.min(selectorTimeout, 5000) });
 					} catch {
 						// Shadow DOM fallback
-						try { src = await page.locator(`pierce=${selectorOption}`).first().getAttribute('src', { timeout: Math.min(timeout, 5000) }); } catch { }
+						try { src = await page.locator(`pierce=${selectorOption}`).first().getAttribute('src', { timeout: Math.min(selectorTimeout, 5000) }); } catch { }
 					}
 					value = src ? cleanAndValidateUrl(src.trim()) : null;
 				} else if (field === 'price') {
 					// Special handling for price to avoid getting unit labels like "each"
 					let text = null;
-					try { text = await page.locator(selectorOption).first().innerText({ timeout: Math.min(timeout, 5000) }); }
-					catch { try { text = await page.locator(`pierce=${selectorOption}`).first().innerText({ timeout: Math.min(timeout, 5000) }); } catch { } }
+					try { text = await page.locator(selectorOption).first().innerText({ timeout: Math.min(selectorTimeout, 5000) }); }
+					catch { try { text = await page.locator(`pierce=${selectorOption}`).first().innerText({ timeout: Math.min(selectorTimeout, 5000) }); } catch { } }
 
 					if (text) {
 						text = text.trim();
-						// For price field, try to extract numeric value
-						const numericPrice = toNumber(text);
-						if (!isNaN(numericPrice) && numericPrice > 0) {
-							value = numericPrice.toString();
+						// For price field, try to extract numeric value and its currency
+						const parsed = parsePriceText(text);
+						if (parsed && parsed.amount > 0) {
+							value = parsed.amount.toString();
+							currency = parsed.currency;
 						} else {
 							value = null; // Skip this selector, couldn't extract valid price
 						}
@@ -236,14 +257,14 @@ async function trySelectorsForField(page, field, selectors, vendor, timeout = 15
 				} else if (field === 'stock_status') {
 					let isVisible = false;
 					try {
-						isVisible = await page.locator(selectorOption).first().isVisible({ timeout: Math.min(timeout, 5000) });
+						isVisible = await page.locator(selectorOption).first().isVisible({ timeout: Math.min(selectorTimeout, 5000) });
 					} catch {
-						try { isVisible = await page.locator(`pierce=${selectorOption}`).first().isVisible({ timeout: Math.min(timeout, 5000) }); } catch { }
+						try { isVisible = await page.locator(`pierce=${selectorOption}`).first().isVisible({ timeout: Math.min(selectorTimeout, 5000) }); } catch { }
 					}
 					if (isVisible) {
 						let text = '';
-						try { text = await page.locator(selectorOption).first().innerText({ timeout: 3000 }); }
-						catch { try { text = await page.locator(`pierce=${selectorOption}`).first().innerText({ timeout: 3000 }); } catch { } }
+						try { text = await page.locator(selectorOption).first().innerText({ timeout: Math.min(selectorTimeout, 3000) }); }
+						catch { try { text = await page.locator(`pierce=${selectorOption}`).first().innerText({ timeout: Math.min(selectorTimeout, 3000) }); } catch { } }
 						const isOutOfStock = /out of stock|sold out|unavailable|not available/i.test(text);
 						value = isOutOfStock ? 'Out of stock' : 'In stock';
 					} else {
@@ -259,41 +280,69 @@ async function trySelectorsForField(page, field, selectors, vendor, timeout = 15
 						if (selectorOption.includes('input') && selectorOption.includes('hidden')) {
 							// For hidden input fields, get the value attribute
 							let inputValue = null;
-							try { inputValue = await element.getAttribute('value', { timeout: Math.min(timeout, 5000) }); }
-							catch { try { inputValue = await page.locator(`pierce=${selectorOption}`).first().getAttribute('value', { timeout: Math.min(timeout, 5000) }); } catch { } }
+							try { inputValue = await element.getAttribute('value', { timeout: Math.min(selectorTimeout, 5000) }); }
+							catch { try { inputValue = await page.locator(`pierce=${selectorOption}`).first().getAttribute('value', { timeout: Math.min(selectorTimeout, 5000) }); } catch { } }
 							value = inputValue === 'true' || inputValue === true;
 						} else {
 							// For other elements, check visibility/existence
 							let isVisible = false;
-							try { isVisible = await element.isVisible({ timeout: Math.min(timeout, 5000) }); }
-							catch { try { isVisible = await page.locator(`pierce=${selectorOption}`).first().isVisible({ timeout: Math.min(timeout, 5000) }); } catch { } }
+							try { isVisible = await element.isVisible({ timeout: Math.min(selectorTimeout, 5000) }); }
+							catch { try { isVisible = await page.locator(`pierce=${selectorOption}`).first().isVisible({ timeout: Math.min(selectorTimeout, 5000) }); } catch { } }
 							value = isVisible;
 						}
 					} else {
 						// For text fields (name, price, weight, description, category, custom string fields)
 						let text = null;
-						try { text = await page.locator(selectorOption).first().innerText({ timeout: Math.min(timeout, 5000) }); }
-						catch { try { text = await page.locator(`pierce=${selectorOption}`).first().innerText({ timeout: Math.min(timeout, 5000) }); } catch { } }
+						try { text = await page.locator(selectorOption).first().innerText({ timeout: Math.min(selectorTimeout, 5000) }); }
+						catch { try { text = await page.locator(`pierce=${selectorOption}`).first().innerText({ timeout: Math.min(selectorTimeout, 5000) }); } catch { } }
 						value = text ? text.trim() : null;
 					}
 				}
 
 				if (value !== null && value !== '' && value !== undefined) {
-					return { field, value, successfulSelector: selectorOption };
+					return { field, value, currency, successfulSelector: selectorOption, selectorEntry: selectorObj, failedSelectors };
 				}
 			} catch (error) {
 				// Check if it's a closed page/context error
 				if (error.message && error.message.includes('Target page, context or browser has been closed')) {
 					console.log(`[SELECTOR_ERROR] Page/context closed during ${field} extraction with selector: ${selectorOption}`);
-					return { field, value: null, successfulSelector: null };
+					return { field, value: null, successfulSelector: null, failedSelectors: [] };
 				}
 				// This selector option failed, try the next one
 				continue;
 			}
 		}
+		failedSelectors.push(selector);
 	}
 
-	return { field, value: null, successfulSelector: null };
+	return { field, value: null, successfulSelector: null, failedSelectors };
+}
+
+/**
+ * Light read of a few fields with the template's in-service learned selectors
+ * Runs no vendor strategy (and none of its waits) and records no selector outcomes, so repeated
+ * reads of one page (e.g. each variant option) do not skew selector health.
+ * @param {Object} page
+ * @param {string} vendor
+ * @param {Array<string>} fields
+ * @param {string} [template]
+ * @param {number} [timeout] - Per-selector timeout in ms
+ * @returns {Promise<Object>} field -> value, plus `currency` when the price carries one
+ */
+async function readLearnedFields(page, vendor, fields, template = 'default', timeout = 3000) {
+	const vendorData = getSelectorSet(vendor, template);
+	const result = {};
+	if (!vendorData || !vendorData.selectors) return result;
+	const reads = fields
+		.map(field => [field, Array.isArray(vendorData.selectors[field]) ? inService(vendorData.selectors[field]) : []])
+		.filter(([, list]) => list.length > 0)
+		.map(([field, list]) => trySelectorsForField(page, field, list, vendor, timeout));
+	for (const { field, value, currency } of await Promise.all(reads)) {
+		if (value === null || value === '' || value === undefined) continue;
+		result[field] = value;
+		if (field === 'price' && currency) result.currency = currency;
+	}
+	return result;
 }
 
 // learnAndCacheSelectors is now handled by the selectorLearning module
@@ -318,5 +367,6 @@ async function isPageValid(page) {
 module.exports = {
      tryExtractWithVendorSelectors,
      trySelectorsForField, 
+     readLearnedFields,
 };
 
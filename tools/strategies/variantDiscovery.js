@@ -0,0 +1,338 @@
+'use strict';
+
+const { resolveStrategy } = require('./registry');
+const { readLearnedFields } = require('./tryExtractWithVendorSelectors');
+const { processProductData } = require('./generic');
+const { selectorTemplate } = require('./pageTemplates');
+const llm = require('../utils/llm/llmRouter');
+const { cleanAndValidateUrl } = require('../utils/utls');
+
+/**
+ * In-page variant discovery
+ * Finds shade/size/colour option controls (swatches, radio groups, dropdowns) on a product page,
+ * selects each option in turn and captures the variant's price, stock, image, SKU and URL.
+ * Options are selected with direct clicks / selectOption; when a click fails, Stagehand act()
+ * is asked to pick the option by its label. Each option group is iterated on its own (no
+ * cross-product of shade x size), and the initially selected options are restored afterwards.
+ *
+ * Vendors opt in through their strategy:
+ *   variants: true
+ *   variants: { optionSelectors: ['.shade-picker button'], selectSelectors: ['select#size'], maxOptions: 30, settleMs: 1500 }
+ * or with IN_PAGE_VARIANT_VENDORS=superdrug,other (comma-separated).
+ * DISABLE_IN_PAGE_VARIANTS turns discovery off; IN_PAGE_VARIANTS_MAX_OPTIONS caps options per page (default 30).
+ */
+
+const DEFAULT_MAX_OPTIONS = Number(process.env.IN_PAGE_VARIANTS_MAX_OPTIONS) || 30;
+const DEFAULT_SETTLE_MS = 1500;
+const CAPTURE_FIELDS = ['price', 'was_price', 'stock_status', 'main_image'];
+// Per-selector timeout of the variant read; the page has already settled after selecting the option
+const CAPTURE_TIMEOUT_MS = 3000;
+
+// Discovery statistics for the run summary
+const __stats = { pagesScanned: 0, pagesWithOptions: 0, variantsCaptured: 0, actFallbacks: 0, failedOptions: 0 };
+
+/**
+ * Resolve discovery configuration for a work item
+ * @param {Object} urlObj
+ * @returns {{vendor: string, optionSelectors: Array<string>, selectSelectors: Array<string>, maxOptions: number, settleMs: number}|null}
+ *   null when not enabled
+ */
+function getVariantDiscoveryConfig(urlObj) {
+    if (process.env.DISABLE_IN_PAGE_VARIANTS) return null;
+    const strategy = resolveStrategy(urlObj);
+    const vendor = (urlObj && urlObj.vendor) || (strategy && strategy.vendor) || '';
+    const envVendors = String(process.env.IN_PAGE_VARIANT_VENDORS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+    const declared = strategy && strategy.variants;
+    if (!declared && !envVendors.includes(String(vendor).toLowerCase())) return null;
+    const config = declared && typeof declared === 'object' ? declared : {};
+    return {
+        vendor,
+        optionSelectors: [].concat(config.optionSelectors || []),
+        selectSelectors: [].concat(config.selectSelectors || []),
+        maxOptions: Number(config.maxOptions) || DEFAULT_MAX_OPTIONS,
+        settleMs: Number(config.settleMs) || DEFAULT_SETTLE_MS
+    };
+}
+
+/**
+ * Browser-side scan for option controls. Tags every option element with
+ * data-variant-option="<group>-<option>" so it can be selected by CSS; safe to re-run after re-renders.
+ * @returns {Array<{group: number, name: string, kind: 'select'|'click', selector: string|null,
+ *   options: Array<{index: number, label: string, value: string|null, selector: string|null, selected: boolean, disabled: boolean}>}>}
+ */
+function scanOptionControls({ optionSelectors, selectSelectors }) {
+    const NAME_RX = /(shade|colou?r|size|option|variant|volume|scent|fragrance|flavou?r|style|finish|capacity)/i;
+    const EXCLUDE_RX = /(thumb|gallery|carousel|slider|breadcrumb|pagination|rating|review|quantity|qty|sort|filter)/i;
+    const clean = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+    const visible = (el) => {
+        const rect = el.getBoundingClientRect();
+        const style = window.getComputedStyle(el);
+        return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+    };
+    const insideChrome = (el) => !!el.closest('header, footer, nav, [role="navigation"], [role="dialog"]');
+    const labelOf = (el) => {
+        const img = el.querySelector && el.querySelector('img[alt]');
+        return clean(el.getAttribute('aria-label') || el.getAttribute('title') || el.getAttribute('data-name') ||
+            el.getAttribute('data-value') || (img && img.getAttribute('alt')) || el.textContent || el.value);
+    };
+    const isSelected = (el) => el.checked === true || el.getAttribute('aria-checked') === 'true' ||
+        el.getAttribute('aria-pressed') === 'true' || el.getAttribute('aria-selected') === 'true' ||
+        /(^|[\s_-])(selected|active|is-selected|checked)([\s_-]|$)/i.test(el.className || '');
+    const isDisabled = (el) => el.disabled === true || el.getAttribute('aria-disabled') === 'true' ||
+        /(disabled|unavailable|out-of-stock|oos)/i.test(el.className || '');
+    const describe = (el) => clean([el.getAttribute('aria-label'), el.getAttribute('name'), el.id, el.className,
+        el.getAttribute('data-testid')].filter(v => typeof v === 'string').join(' '));
+    const nameOf = (el) => {
+        const labelled = el.getAttribute('aria-labelledby');
+        const labelEl = (labelled && document.getElementById(labelled)) || (el.id && document.querySelector(`label[for="${el.id}"]`));
+        const text = clean((labelEl && labelEl.textContent) || el.getAttribute('aria-label') || el.getAttribute('name') || '');
+        const match = `${text} ${describe(el)}`.match(NAME_RX);
+        return text && text.length <= 40 ? text : (match ? match[1] : 'option');
+    };
+
+    document.querySelectorAll('[data-variant-option]').forEach(el => el.removeAttribute('data-variant-option'));
+    document.querySelectorAll('[data-variant-select]').forEach(el => el.removeAttribute('data-variant-select'));
+
+    const groups = [];
+    const claimed = new Set();
+
+    // Dropdowns
+    const selects = new Set();
+    for (const selector of selectSelectors) {
+        try { document.querySelectorAll(selector).forEach(el => { if (el.tagName === 'SELECT') selects.add(el); }); } catch { }
+    }
+    document.querySelectorAll('select').forEach(el => {
+        if (NAME_RX.test(`${nameOf(el)} ${describe(el)}`) && !EXCLUDE_RX.test(describe(el))) selects.add(el);
+    });
+    for (const select of selects) {
+        if (insideChrome(select) || groups.length >= 3) continue;
+        const options = Array.from(select.options)
+            .filter(option => option.value && !/^(select|choose|please)/i.test(clean(option.textContent)))
+            .map((option, index) => ({
+                index,
+                label: clean(option.textContent),
+                value: option.value,
+                selector: null,
+                selected: option.selected,
+                disabled: !!option.disabled
+            }));
+        if (options.length < 2) continue;
+        const group = groups.length;
+        select.setAttribute('data-variant-select', String(group));
+        groups.push({ group, name: nameOf(select), kind: 'select', selector: `[data-variant-select="${group}"]`, options });
+    }
+
+    // Swatches, radio groups and button lists
+    const containers = [];
+    for (const selector of optionSelectors) {
+        try {
+            const elements = Array.from(document.querySelectorAll(selector));
+            if (elements.length >= 2) containers.push({ explicit: elements, root: elements[0].parentElement || document.body });
+        } catch { }
+    }
+    document.querySelectorAll('[role="radiogroup"], [class*="swatch"], [class*="variant"], [class*="shade"], [class*="colour"], [class*="color"], [class*="size-select"], [class*="sizes"], fieldset')
+        .forEach(el => { if (!EXCLUDE_RX.test(describe(el))) containers.push({ root: el }); });
+
+    for (const container of containers) {
+        if (groups.length >= 3) break;
+        const root = container.root || null;
+        if (root && insideChrome(root)) continue;
+        const candidates = container.explicit ||
+            Array.from(root.querySelectorAll('button, [role="radio"], input[type="radio"], a[href][class*="swatch"], li[data-value]'));
+        const elements = candidates.filter(el => !claimed.has(el) && !el.closest('[data-variant-select]') && (el.type === 'radio' || visible(el)));
+        if (elements.length < 2) continue;
+        const labelled = elements.map(el => ({ el, label: labelOf(el.type === 'radio' && el.labels && el.labels[0] ? el.labels[0] : el) }))
+            .filter(({ label }) => label && label.length <= 60 && !/^(add|buy|more|less|\+|-|close|next|prev)/i.test(label));
+        if (labelled.length < 2 || new Set(labelled.map(({ label }) => label)).size < 2) continue;
+        if (!container.explicit && !NAME_RX.test(`${nameOf(root)} ${describe(root)} ${root.getAttribute('role') || ''}`) && root.getAttribute('role') !== 'radiogroup') continue;
+        const group = groups.length;
+        const options = labelled.map(({ el, label }, index) => {
+            claimed.add(el);
+            el.setAttribute('data-variant-option', `${group}-${index}`);
+            return { index, label, value: el.value || null, selector: `[data-variant-option="${group}-${index}"]`, selected: isSelected(el), disabled: isDisabled(el) };
+        });
+        groups.push({ group, name: nameOf(root), kind: 'click', selector: null, options });
+    }
+    return groups;
+}
+
+async function scan(page, config) {
+    try {
+        return await page.evaluate(scanOptionControls, { optionSelectors: config.optionSelectors, selectSelectors: config.selectSelectors });
+    } catch (error) {
+        console.log(`[VARIANTS] Option scan failed: ${error.message}`);
+        return [];
+    }
+}
+
+async function settle(page, settleMs) {
+    try { await page.waitForLoadState('networkidle', { timeout: settleMs }); } catch { }
+    try { await page.waitForTimeout(Math.min(500, settleMs)); } catch { }
+}
+
+/**
+ * Select one option; direct DOM interaction first, Stagehand act() when that fails
+ * @returns {Promise<boolean>}
+ */
+async function selectOption(page, group, option, config, urlObj) {
+    try {
+        if (group.kind === 'select') {
+            await page.selectOption(group.selector, option.value, { timeout: 5000 });
+        } else {
+            await page.locator(option.selector).first().click({ timeout: 5000 });
+        }
+        await settle(page, config.settleMs);
+        return true;
+    } catch (error) {
+        if (llm.isMockMode()) return false;
+        __stats.actFallbacks++;
+        try {
+            const result = await llm.act(page, `Select the "${option.label}" ${group.name} option for this product`, { vendor: config.vendor, url: urlObj.url });
+            await settle(page, config.settleMs);
+            return !!(result && result.success !== false);
+        } catch (actError) {
+            console.log(`[VARIANTS] Could not select "${option.label}": ${actError.message}`);
+            return false;
+        }
+    }
+}
+
+async function readSku(page) {
+    try {
+        return await page.evaluate(() => {
+            const el = document.querySelector('[itemprop="sku"], [data-sku], [data-product-code], [data-product-id]');
+            if (!el) return null;
+            const value = el.getAttribute('content') || el.getAttribute('data-sku') || el.getAttribute('data-product-code') ||
+                el.getAttribute('data-product-id') || el.textContent;
+            const text = String(value || '').replace(/\s+/g, ' ').trim();
+            return text && text.length <= 64 ? text : null;
+        });
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Capture the currently selected variant
+ * Variants share the main product's page template, so the selectors it is extracted with are read directly:
+ * no vendor strategy waits, and no selector outcomes recorded once per option
+ * @returns {Promise<Object>} Variant record
+ */
+async function captureVariant(page, vendor, urlObj, options, template) {
+    const fields = await readLearnedFields(page, vendor, CAPTURE_FIELDS, template, CAPTURE_TIMEOUT_MS);
+    let url = null;
+    try { url = page.url(); } catch { }
+    const sku = await readSku(page);
+    const variant = processProductData({
+        vendor,
+        url: urlObj.url,
+        options,
+        ...(sku ? { sku } : {}),
+        ...(url ? { url } : {}),
+        ...fields,
+        ...(fields.main_image ? { main_image: cleanAndValidateUrl(fields.main_image) || fields.main_image } : {}),
+        variant_source: 'in_page'
+    });
+    delete variant.vendor;
+    return variant;
+}
+
+/**
+ * Discover and capture in-page variants of the product currently loaded in `page`
+ * @param {Object} page - Stagehand page showing the product
+ * @param {Object} urlObj - Work item ({ url, vendor, sku })
+ * @param {Object} product - Main product already extracted from this page
+ * @returns {Promise<{variants: Array<Object>, selectedOptions: Object}>} variants excludes the initially selected options
+ */
+async function discoverInPageVariants(page, urlObj, product) {
+    const config = getVariantDiscoveryConfig(urlObj);
+    if (!config) return { variants: [], selectedOptions: {} };
+    __stats.pagesScanned++;
+
+    const groups = await scan(page, config);
+    const selectedOptions = {};
+    for (const group of groups) {
+        const selected = group.options.find(option => option.selected);
+        if (selected) selectedOptions[group.name] = selected.label;
+    }
+    if (groups.length === 0) return { variants: [], selectedOptions };
+    __stats.pagesWithOptions++;
+    console.log(`[VARIANTS] Found option groups: ${groups.map(group => `${group.name} (${group.options.length})`).join(', ')}`);
+
+    const variants = [];
+    const seen = new Set([product && product.product_id, product && product.url].filter(Boolean));
+    let budget = config.maxOptions;
+    for (const group of groups) {
+        for (const option of group.options) {
+            if (budget <= 0) break;
+            if (option.selected) continue;
+            const options = { ...selectedOptions, [group.name]: option.label };
+            if (option.disabled) {
+                variants.push({ options, stock_status: 'Out of stock', variant_source: 'in_page' });
+                continue;
+            }
+            budget--;
+            // Re-scan so option tags survive re-renders caused by the previous selection
+            const current = (await scan(page, config)).find(g => g.group === group.group && g.kind === group.kind);
+            const target = current && current.options.find(o => o.label === option.label);
+            if (!target || !(await selectOption(page, current, target, config, urlObj))) {
+                __stats.failedOptions++;
+                continue;
+            }
+            const variant = await captureVariant(page, config.vendor, urlObj, options, selectorTemplate(config.vendor, (product && product.page_template) || 'default'));
+            const key = variant.sku || (variant.url !== urlObj.url ? variant.url : null);
+            if (key && seen.has(key)) continue;
+            if (key) seen.add(key);
+            variants.push(variant);
+            __stats.variantsCaptured++;
+        }
+    }
+
+    // Restore the initial selection so later steps (selector learning) see the main product again
+    for (const group of groups) {
+        const initial = group.options.find(option => option.selected);
+        if (!initial) continue;
+        const current = (await scan(page, config)).find(g => g.group === group.group && g.kind === group.kind);
+        const target = current && current.options.find(o => o.label === initial.label);
+        if (target) await selectOption(page, current, target, config, urlObj);
+    }
+
+    console.log(`[VARIANTS] Captured ${variants.length} in-page variants`);
+    return { variants, selectedOptions };
+}
+
+/**
+ * Merge in-page variants into a product's `variants` array, skipping ones already present by SKU or URL
+ * @param {Object} product
+ * @param {{variants: Array<Object>, selectedOptions: Object}} discovered
+ * @returns {Object}
+ */
+function mergeInPageVariants(product, discovered) {
+    if (!product || !discovered || discovered.variants.length === 0) return product;
+    const existing = Array.isArray(product.variants) ? product.variants : [];
+    const keys = new Set(existing.flatMap(variant => [variant.product_id, variant.sku, variant.url]).filter(Boolean));
+    const added = discovered.variants.filter(variant => !(variant.sku && keys.has(variant.sku)) && !(variant.url && variant.url !== product.url && keys.has(variant.url)));
+    const variants = [...existing, ...added];
+    return {
+        ...product,
+        ...(Object.keys(discovered.selectedOptions).length > 0 ? { selected_options: discovered.selectedOptions } : {}),
+        variants,
+        variant_count: variants.length
+    };
+}
+
+/**
+ * Discovery statistics for the run summary
+ * @returns {{pagesScanned: number, pagesWithOptions: number, variantsCaptured: number, actFallbacks: number, failedOptions: number}}
+ */
+function getVariantDiscoveryStats() {
+    return { ...__stats };
+}
+
+module.exports = {
+    getVariantDiscoveryConfig,
+    scanOptionControls,
+    discoverInPageVariants,
+    mergeInPageVariants,
+    getVariantDiscoveryStats
+};
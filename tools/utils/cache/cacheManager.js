@@ -23,6 +23,9 @@ class CacheManager {
             problemUrls: { maxSize: 500, keepSize: 250 },
         };
         
+        // Lookup counters per Map cache: name -> { hits, misses }
+        this.counters = {};
+
         // Auto-cleanup interval (every 5 minutes)
         this.cleanupInterval = setInterval(() => this.maintainAllCaches(), 5 * 60 * 1000);
     }
@@ -33,7 +36,11 @@ class CacheManager {
     get(cacheName, key) {
         const cache = this.caches[cacheName];
         if (cache instanceof Map) {
-            return cache.get(key);
+            const value = cache.get(key);
+            const counter = this.counters[cacheName] || (this.counters[cacheName] = { hits: 0, misses: 0 });
+            if (value === undefined) counter.misses++;
+            else counter.hits++;
+            return value;
         }
         return cache;
     }
@@ -104,9 +111,12 @@ class CacheManager {
         Object.keys(this.caches).forEach(name => {
             const cache = this.caches[name];
             if (cache instanceof Map) {
+                const counter = this.counters[name] || { hits: 0, misses: 0 };
                 stats[name] = {
                     size: cache.size,
                     maxSize: this.config[name]?.maxSize || 'unlimited',
+                    hits: counter.hits,
+                    misses: counter.misses,
                     hitRate: this.getHitRate(name),
                 };
             } else if (name === 'vendorSelectors' || name === 'vendorSelectorsLastModified') {
@@ -123,17 +133,12 @@ class CacheManager {
     }
     
     /**
-     * Calculate approximate hit rate for a cache (simplified)
+     * Hit rate for a cache from recorded lookups
      */
     getHitRate(cacheName) {
-        // This is a simplified implementation - in production you might want to track hits/misses
-        const cache = this.caches[cacheName];
-        if (cache instanceof Map && cache.size > 0) {
-            // Estimate hit rate based on cache utilization
-            const utilization = cache.size / (this.config[cacheName]?.maxSize || 1000);
-            return Math.min(Math.max(utilization * 0.8, 0.1), 0.95); // Rough estimate
-        }
-        return 0;
+        const counter = this.counters[cacheName];
+        const lookups = counter ? counter.hits + counter.misses : 0;
+        return lookups > 0 ? counter.hits / lookups : 0;
     }
     
     /**
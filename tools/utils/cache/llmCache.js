@@ -0,0 +1,282 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+
+/**
+ * Persistent LLM extraction cache (SQLite)
+ * Answers from page.extract are stored under a key built from the vendor, a hash of the
+ * normalized product DOM region, the requested field set, the instruction and the model,
+ * so re-scrapes of unchanged pages (update mode in particular) skip the LLM across runs.
+ *
+ * DB path: tools/utils/cache/llm-cache.sqlite (LLM_CACHE_PATH)
+ * Schema:
+ *   entries(key TEXT PRIMARY KEY, vendor TEXT, content_hash TEXT, fields TEXT, model TEXT,
+ *           value TEXT, bytes INTEGER, created_at INTEGER, last_hit_at INTEGER, hits INTEGER)
+ *
+ * Limits: LLM_CACHE_TTL_HOURS (default 168), LLM_CACHE_MAX_ENTRIES (default 50000),
+ * LLM_CACHE_MAX_MB (default 200), enforced on open and every 50 writes; least recently used
+ * entries are evicted first.
+ * DISABLE_LLM_CACHE turns the cache off.
+ */
+
+const DEFAULT_DB_PATH = path.resolve(__dirname, 'llm-cache.sqlite');
+const PRUNE_EVERY_WRITES = 50;
+
+// Default DOM regions holding the product; vendors can declare `llmCacheRegion` in their strategy
+const DEFAULT_REGIONS = ['main', '[role="main"]', '#main', '#content'];
+
+class LlmCacheSqlite {
+    constructor(dbPath) {
+        this.dbPath = dbPath;
+        fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        this.db = new Database(dbPath);
+        try { this.db.pragma('journal_mode = WAL'); } catch { }
+        try { this.db.pragma('synchronous = NORMAL'); } catch { }
+        this._ensureSchema();
+        this.ttlMs = (Number(process.env.LLM_CACHE_TTL_HOURS) || 168) * 60 * 60 * 1000;
+        this.maxEntries = Number(process.env.LLM_CACHE_MAX_ENTRIES) || 50000;
+        this.maxBytes = (Number(process.env.LLM_CACHE_MAX_MB) || 200) * 1024 * 1024;
+        this.writesSincePrune = 0;
+    }
+
+    _ensureSchema() {
+        this.db.prepare(`
+            CREATE TABLE IF NOT EXISTS entries (
+                key TEXT PRIMARY KEY,
+                vendor TEXT,
+                content_hash TEXT,
+                fields TEXT,
+                model TEXT,
+                value TEXT NOT NULL,
+                bytes INTEGER,
+                created_at INTEGER,
+                last_hit_at INTEGER,
+                hits INTEGER DEFAULT 0
+            )
+        `).run();
+        this.db.prepare(`CREATE INDEX IF NOT EXISTS idx_entries_last_hit ON entries(last_hit_at)`).run();
+        this.db.prepare(`CREATE INDEX IF NOT EXISTS idx_entries_vendor ON entries(vendor)`).run();
+    }
+
+    get(key) {
+        const row = this.db.prepare('SELECT value, created_at FROM entries WHERE key = ?').get(key);
+        if (!row) return { status: 'miss' };
+        if (Date.now() - row.created_at > this.ttlMs) {
+            this.db.prepare('DELETE FROM entries WHERE key = ?').run(key);
+            return { status: 'expired' };
+        }
+        this.db.prepare('UPDATE entries SET last_hit_at = ?, hits = hits + 1 WHERE key = ?').run(Date.now(), key);
+        return { status: 'hit', value: JSON.parse(row.value) };
+    }
+
+    set(key, meta, value) {
+        const json = JSON.stringify(value);
+        const now = Date.now();
+        this.db.prepare(`
+            INSERT INTO entries(key, vendor, content_hash, fields, model, value, bytes, created_at, last_hit_at, hits)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0)
+            ON CONFLICT(key) DO UPDATE SET value = excluded.value, bytes = excluded.bytes,
+                created_at = excluded.created_at, last_hit_at = excluded.last_hit_at, hits = 0
+        `).run(key, meta.vendor || null, meta.contentHash || null, (meta.fields || []).join(','), meta.model || null, json, Buffer.byteLength(json), now, now);
+        if (++this.writesSincePrune >= PRUNE_EVERY_WRITES) {
+            this.writesSincePrune = 0;
+            return this.prune();
+        }
+        return 0;
+    }
+
+    delete(key) {
+        this.db.prepare('DELETE FROM entries WHERE key = ?').run(key);
+    }
+
+    /**
+     * Drop expired entries, then evict least recently used entries over the size limits
+     * @returns {number} Entries removed
+     */
+    prune() {
+        let removed = this.db.prepare('DELETE FROM entries WHERE created_at < ?').run(Date.now() - this.ttlMs).changes;
+        const { count, bytes } = this.db.prepare('SELECT COUNT(*) AS count, COALESCE(SUM(bytes), 0) AS bytes FROM entries').get();
+        if (count > this.maxEntries || bytes > this.maxBytes) {
+            // Evict down to 90% of the limits to avoid pruning on every write
+            const targetCount = Math.floor(this.maxEntries * 0.9);
+            const targetBytes = Math.floor(this.maxBytes * 0.9);
+            const rows = this.db.prepare('SELECT key, bytes FROM entries ORDER BY last_hit_at ASC').all();
+            let remainingCount = count;
+            let remainingBytes = bytes;
+            const del = this.db.prepare('DELETE FROM entries WHERE key = ?');
+            const evict = this.db.transaction(() => {
+                for (const row of rows) {
+                    if (remainingCount <= targetCount && remainingBytes <= targetBytes) break;
+                    del.run(row.key);
+                    remainingCount--;
+                    remainingBytes -= row.bytes || 0;
+                    removed++;
+                }
+            });
+            evict();
+        }
+        return removed;
+    }
+
+    size() {
+        return this.db.prepare('SELECT COUNT(*) AS count, COALESCE(SUM(bytes), 0) AS bytes FROM entries').get();
+    }
+
+    close() {
+        try { this.db.close(); } catch { }
+    }
+}
+
+let __store = null;
+let __storeFailed = false;
+const __stats = { hits: 0, misses: 0, expired: 0, writes: 0, evictions: 0, invalidations: 0 };
+
+function isEnabled() {
+    return !process.env.DISABLE_LLM_CACHE && !__storeFailed;
+}
+
+function getStore() {
+    if (!isEnabled()) return null;
+    if (__store) return __store;
+    try {
+        __store = new LlmCacheSqlite(process.env.LLM_CACHE_PATH ? path.resolve(process.env.LLM_CACHE_PATH) : DEFAULT_DB_PATH);
+        __store.prune();
+        return __store;
+    } catch (error) {
+        __storeFailed = true;
+        console.log(`[LLM_CACHE] Disabled, could not open cache: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Hash of the normalized product DOM region (visible text and image paths).
+ * Scripts, styles and volatile attributes are ignored, so re-renders of an unchanged page hash the same.
+ * @param {Object} page - Stagehand page or static HTML adapter
+ * @param {Array<string>} regionSelectors - Candidate selectors for the product region, first match wins
+ * @returns {Promise<string|null>}
+ */
+async function computeContentHash(page, regionSelectors = []) {
+    try {
+        const normalized = await page.evaluate((selectors) => {
+            let root = null;
+            for (const selector of selectors) {
+                try { root = document.querySelector(selector); } catch { root = null; }
+                if (root) break;
+            }
+            root = root || document.body;
+            if (!root) return '';
+            const clone = root.cloneNode(true);
+            clone.querySelectorAll('script, style, noscript, template, iframe, svg').forEach(el => el.remove());
+            const text = (clone.textContent || '').replace(/\s+/g, ' ').trim();
+            const images = Array.from(clone.querySelectorAll('img'))
+                .map(img => (img.getAttribute('src') || img.getAttribute('data-src') || '').split('?')[0])
+                .filter(Boolean);
+            return `${document.title || ''}\n${text}\n${images.join('\n')}`;
+        }, regionSelectors.concat(DEFAULT_REGIONS));
+        if (!normalized) return null;
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    } catch (error) {
+        console.log(`[LLM_CACHE] Could not hash page content: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Build a cache key
+ * @param {Object} parts - { vendor, contentHash, fields, instruction, model }
+ * @returns {string}
+ */
+function buildKey({ vendor, contentHash, fields, instruction, model }) {
+    const fieldSet = Array.from(new Set(fields || [])).sort().join(',');
+    const instructionHash = crypto.createHash('sha1').update(String(instruction || '')).digest('hex');
+    return crypto.createHash('sha256')
+        .update([vendor || '', contentHash || '', fieldSet, instructionHash, model || ''].join('|'))
+        .digest('hex');
+}
+
+/**
+ * Look up a cached answer
+ * @param {string} key
+ * @returns {Object|null} Cached extract result, or null on miss
+ */
+function get(key) {
+    const store = getStore();
+    if (!store || !key) return null;
+    try {
+        const result = store.get(key);
+        if (result.status === 'hit') { __stats.hits++; return result.value; }
+        if (result.status === 'expired') __stats.expired++;
+        __stats.misses++;
+        return null;
+    } catch (error) {
+        console.log(`[LLM_CACHE] Read failed: ${error.message}`);
+        __stats.misses++;
+        return null;
+    }
+}
+
+/**
+ * Store an answer
+ * @param {string} key
+ * @param {Object} meta - { vendor, contentHash, fields, model }
+ * @param {Object} value - Extract result
+ */
+function set(key, meta, value) {
+    const store = getStore();
+    if (!store || !key || !value || typeof value !== 'object') return;
+    try {
+        __stats.evictions += store.set(key, meta, value);
+        __stats.writes++;
+    } catch (error) {
+        console.log(`[LLM_CACHE] Write failed: ${error.message}`);
+    }
+}
+
+/**
+ * Remove entries, e.g. answers that failed verification
+ * @param {Array<string>} keys
+ */
+function invalidate(keys) {
+    const store = getStore();
+    if (!store) return;
+    for (const key of keys || []) {
+        try { store.delete(key); __stats.invalidations++; } catch { }
+    }
+}
+
+/**
+ * Cache statistics for the run summary
+ * @returns {{enabled: boolean, hits: number, misses: number, hitRate: number, entries: number, bytes: number}}
+ */
+function getLlmCacheStats() {
+    const lookups = __stats.hits + __stats.misses;
+    let size = { count: 0, bytes: 0 };
+    if (__store) { try { size = __store.size(); } catch { } }
+    return {
+        enabled: isEnabled(),
+        ...__stats,
+        hitRate: lookups > 0 ? __stats.hits / lookups : 0,
+        entries: size.count,
+        bytes: size.bytes
+    };
+}
+
+function close() {
+    if (__store) { __store.close(); __store = null; }
+}
+
+module.exports = {
+    DEFAULT_REGIONS,
+    LlmCacheSqlite,
+    computeContentHash,
+    buildKey,
+    get,
+    set,
+    invalidate,
+    getLlmCacheStats,
+    close
+};
@@ -0,0 +1,472 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const selectorStats = require('../selectorStats');
+
+/**
+ * SQLite store for learned selectors, extraction snapshots and their change history
+ * DB path: tools/utils/cache/selectors.sqlite (SELECTOR_STORE_PATH)
+ * Schema:
+ *   selectors(vendor TEXT, template TEXT, field TEXT, selector TEXT, status TEXT, position INTEGER,
+ *             entry TEXT, updated_at TEXT, PRIMARY KEY (vendor, template, field, selector))
+ *   snapshots(vendor TEXT, template TEXT, snapshot TEXT, updated_at TEXT, PRIMARY KEY (vendor, template))
+ *   history(id INTEGER PRIMARY KEY, vendor TEXT, template TEXT, field TEXT, selector TEXT, action TEXT,
+ *           actor TEXT, session TEXT, before TEXT, after TEXT, at TEXT)
+ *   templates(vendor TEXT, name TEXT, kind TEXT, fingerprint TEXT, pages INTEGER, first_seen TEXT,
+ *             last_seen TEXT, PRIMARY KEY (vendor, name))
+ *   meta(key TEXT PRIMARY KEY, value TEXT)
+ *
+ * Selectors and snapshots are kept per vendor and page template ('default' unless the page was
+ * classified otherwise, see strategies/pageTemplates.js); `templates` registers the templates seen.
+ * `entry` holds the selector entry (see selectorStats.js); `position` keeps each field's ranked order.
+ * Every write goes through updateVendor, which diffs one selector set inside an immediate
+ * transaction and adds a history row per added, removed or re-statused selector with the actor
+ * (observe, offline, health, probation, import, rollback, cli) and the writing process' session.
+ * Counter-only updates (successes and failures) are not audited, except for import and rollback.
+ * rollback(vendor, at) restores every selector changed after `at` to its state before that change.
+ * Snapshots and templates have no history and are not rolled back.
+ *
+ * On first open an empty store imports the legacy tools/utils/cache/vendor-selectors.json once.
+ */
+
+const DEFAULT_DB_PATH = path.resolve(__dirname, 'selectors.sqlite');
+const LEGACY_JSON_PATH = path.resolve(__dirname, 'vendor-selectors.json');
+const DEFAULT_TEMPLATE = 'default';
+// Identifies the writing process in history rows, so a bad learning session can be found
+const SESSION_ID = `${new Date().toISOString()}#${process.pid}`;
+// Actors whose counter-only changes are audited too
+const AUDIT_ALL_ACTORS = new Set(['import', 'rollback', 'cli']);
+
+const keyOf = (field, selector) => `${field}\u0000${selector}`;
+
+function toIso(value) {
+    const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+    if (!Number.isFinite(time)) throw new Error(`[SelectorStore] Invalid time: ${value}`);
+    return new Date(time).toISOString();
+}
+
+// History action for a selector whose status changed
+function statusAction(before, after) {
+    if (after === 'demoted') return 'demoted';
+    if (after === 'probation') return 'probation';
+    if (after === 'active') return before === 'probation' ? 'promoted' : 'reactivated';
+    return 'updated';
+}
+
+class SelectorStoreSqlite {
+    constructor(dbPath) {
+        this.dbPath = dbPath;
+        fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        this.db = new Database(dbPath);
+        try { this.db.pragma('journal_mode = WAL'); } catch { }
+        try { this.db.pragma('synchronous = NORMAL'); } catch { }
+        // Several scraper processes write to the same store
+        try { this.db.pragma('busy_timeout = 5000'); } catch { }
+        this._ensureSchema();
+        this.localWrites = 0;
+    }
+
+    _ensureSchema() {
+        this.db.prepare(`
+            CREATE TABLE IF NOT EXISTS selectors (
+                vendor TEXT NOT NULL,
+                template TEXT NOT NULL DEFAULT '${DEFAULT_TEMPLATE}',
+                field TEXT NOT NULL,
+                selector TEXT NOT NULL,
+                status TEXT,
+                position INTEGER,
+                entry TEXT NOT NULL,
+                updated_at TEXT,
+                PRIMARY KEY (vendor, template, field, selector)
+            )
+        `).run();
+        this.db.prepare(`
+            CREATE TABLE IF NOT EXISTS snapshots (
+                vendor TEXT NOT NULL,
+                template TEXT NOT NULL DEFAULT '${DEFAULT_TEMPLATE}',
+                snapshot TEXT NOT NULL,
+                updated_at TEXT,
+                PRIMARY KEY (vendor, template)
+            )
+        `).run();
+        this.db.prepare(`
+            CREATE TABLE IF NOT EXISTS history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                vendor TEXT NOT NULL,
+                template TEXT NOT NULL DEFAULT '${DEFAULT_TEMPLATE}',
+                field TEXT NOT NULL,
+                selector TEXT NOT NULL,
+                action TEXT NOT NULL,
+                actor TEXT,
+                session TEXT,
+                before TEXT,
+                after TEXT,
+                at TEXT NOT NULL
+            )
+        `).run();
+        this.db.prepare(`CREATE INDEX IF NOT EXISTS idx_history_vendor_at ON history(vendor, at)`).run();
+        this.db.prepare(`
+            CREATE TABLE IF NOT EXISTS templates (
+                vendor TEXT NOT NULL,
+                name TEXT NOT NULL,
+                kind TEXT,
+                fingerprint TEXT,
+                pages INTEGER DEFAULT 0,
+                first_seen TEXT,
+                last_seen TEXT,
+                PRIMARY KEY (vendor, name)
+            )
+        `).run();
+        this.db.prepare(`
+            CREATE TABLE IF NOT EXISTS meta (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            )
+        `).run();
+    }
+
+    /**
+     * Changes whenever this or another connection commits, for cheap cache validation
+     * @returns {string}
+     */
+    version() {
+        return `${this.db.pragma('data_version', { simple: true })}:${this.localWrites}`;
+    }
+
+    getMeta(key) {
+        const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+        return row ? row.value : null;
+    }
+
+    setMeta(key, value) {
+        this.db.prepare('INSERT OR REPLACE INTO meta(key, value) VALUES (?, ?)').run(key, String(value));
+    }
+
+    countSelectors() {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM selectors').get().count;
+    }
+
+    _readSelectors(vendor, template) {
+        const selectors = {};
+        const rows = this.db.prepare('SELECT field, entry FROM selectors WHERE vendor = ? AND template = ? ORDER BY field, position').all(vendor, template);
+        for (const row of rows) {
+            (selectors[row.field] || (selectors[row.field] = [])).push(JSON.parse(row.entry));
+        }
+        return selectors;
+    }
+
+    /**
+     * All vendors in the legacy vendor-selectors.json shape; selector sets of templates other than
+     * 'default' are nested under `templates`
+     * @param {string} [vendor] - Only this vendor
+     * @returns {Object<string, {selectors: Object<string, Array<Object>>, last_llm_extraction?: Object,
+     *   templates?: Object<string, {selectors: Object<string, Array<Object>>, last_llm_extraction?: Object}>}>}
+     */
+    exportJson(vendor = null) {
+        const all = {};
+        const setOf = (rowVendor, template) => {
+            const current = all[rowVendor] || (all[rowVendor] = { selectors: {} });
+            if (template === DEFAULT_TEMPLATE) return current;
+            const templates = current.templates || (current.templates = {});
+            return templates[template] || (templates[template] = { selectors: {} });
+        };
+        const selectorRows = vendor
+            ? this.db.prepare('SELECT vendor, template, field, entry FROM selectors WHERE vendor = ? ORDER BY vendor, template, field, position').all(vendor)
+            : this.db.prepare('SELECT vendor, template, field, entry FROM selectors ORDER BY vendor, template, field, position').all();
+        for (const row of selectorRows) {
+            const set = setOf(row.vendor, row.template);
+            (set.selectors[row.field] || (set.selectors[row.field] = [])).push(JSON.parse(row.entry));
+        }
+        const snapshotRows = vendor
+            ? this.db.prepare('SELECT vendor, template, snapshot FROM snapshots WHERE vendor = ?').all(vendor)
+            : this.db.prepare('SELECT vendor, template, snapshot FROM snapshots').all();
+        for (const row of snapshotRows) {
+            setOf(row.vendor, row.template).last_llm_extraction = JSON.parse(row.snapshot);
+        }
+        return all;
+    }
+
+    /**
+     * Read, change and write one selector set atomically, recording history rows for the changes
+     * @param {string} vendor
+     * @param {function(Object<string, Array<Object>>, function(string, string, string)): (Object|void)} mutate -
+     *   Receives a copy of field -> entries to change in place (or return a replacement) and a
+     *   note(field, selector, action) callback naming the action for a change (e.g. 'evicted')
+     * @param {Object} [options]
+     * @param {string} [options.actor] - What made the change
+     * @param {string} [options.template='default'] - Page template of the selector set
+     * @returns {Array<Object>} History rows written
+     */
+    updateVendor(vendor, mutate, { actor = 'unknown', template = DEFAULT_TEMPLATE } = {}) {
+        if (!vendor) throw new Error('[SelectorStore] vendor is required');
+        const tx = this.db.transaction(() => {
+            const before = this._readSelectors(vendor, template);
+            const working = JSON.parse(JSON.stringify(before));
+            const notes = new Map();
+            const result = mutate(working, (field, selector, action) => notes.set(keyOf(field, selector), action));
+            return this._writeSelectors(vendor, template, before, result || working, { actor, notes });
+        });
+        const changes = tx.immediate();
+        this.localWrites++;
+        return changes;
+    }
+
+    _writeSelectors(vendor, template, before, after, { actor, notes }) {
+        const now = new Date().toISOString();
+        const upsert = this.db.prepare(`
+            INSERT INTO selectors(vendor, template, field, selector, status, position, entry, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(vendor, template, field, selector) DO UPDATE SET status = excluded.status,
+                position = excluded.position, entry = excluded.entry, updated_at = excluded.updated_at
+        `);
+        const del = this.db.prepare('DELETE FROM selectors WHERE vendor = ? AND template = ? AND field = ? AND selector = ?');
+        const audit = this.db.prepare(`
+            INSERT INTO history(vendor, template, field, selector, action, actor, session, before, after, at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        const changes = [];
+        const record = (field, selector, action, oldEntry, newEntry) => {
+            const row = { vendor, template, field, selector, action: notes.get(keyOf(field, selector)) || action, actor, session: SESSION_ID, at: now };
+            audit.run(vendor, template, field, selector, row.action, actor, SESSION_ID,
+                oldEntry ? JSON.stringify(oldEntry) : null, newEntry ? JSON.stringify(newEntry) : null, now);
+            changes.push(row);
+        };
+
+        for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            const oldList = before[field] || [];
+            const newList = (Array.isArray(after[field]) ? after[field] : []).filter(entry => entry && entry.selector);
+            const oldBySelector = new Map(oldList.map(entry => [entry.selector, entry]));
+            const newSelectors = new Set();
+            newList.forEach((entry, position) => {
+                if (newSelectors.has(entry.selector)) return;
+                newSelectors.add(entry.selector);
+                const oldEntry = oldBySelector.get(entry.selector);
+                const json = JSON.stringify(entry);
+                const oldJson = oldEntry ? JSON.stringify(oldEntry) : null;
+                const oldPosition = oldList.indexOf(oldEntry);
+                if (json === oldJson && position === oldPosition) return;
+                upsert.run(vendor, template, field, entry.selector, entry.status || 'active', position, json, now);
+                if (!oldEntry) record(field, entry.selector, 'added', null, entry);
+                else if ((oldEntry.status || 'active') !== (entry.status || 'active')) record(field, entry.selector, statusAction(oldEntry.status || 'active', entry.status || 'active'), oldEntry, entry);
+                else if (json !== oldJson && AUDIT_ALL_ACTORS.has(actor)) record(field, entry.selector, 'updated', oldEntry, entry);
+            });
+            for (const oldEntry of oldList) {
+                if (newSelectors.has(oldEntry.selector)) continue;
+                del.run(vendor, template, field, oldEntry.selector);
+                record(field, oldEntry.selector, 'removed', oldEntry, null);
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * @param {string} vendor
+     * @param {string} [template='default']
+     * @returns {Object|null} Last LLM extraction snapshot
+     */
+    getSnapshot(vendor, template = DEFAULT_TEMPLATE) {
+        const row = this.db.prepare('SELECT snapshot FROM snapshots WHERE vendor = ? AND template = ?').get(vendor, template);
+        return row ? JSON.parse(row.snapshot) : null;
+    }
+
+    /**
+     * Read and replace a snapshot atomically
+     * @param {string} vendor
+     * @param {function(Object|null): Object} update - Receives the current snapshot, returns the new one
+     * @param {string} [template='default']
+     * @returns {Object}
+     */
+    updateSnapshot(vendor, update, template = DEFAULT_TEMPLATE) {
+        const tx = this.db.transaction(() => {
+            const snapshot = update(this.getSnapshot(vendor, template));
+            this.db.prepare('INSERT OR REPLACE INTO snapshots(vendor, template, snapshot, updated_at) VALUES (?, ?, ?, ?)')
+                .run(vendor, template, JSON.stringify(snapshot), new Date().toISOString());
+            return snapshot;
+        });
+        const snapshot = tx.immediate();
+        this.localWrites++;
+        return snapshot;
+    }
+
+    /**
+     * Page templates registered for a vendor
+     * @param {string} vendor
+     * @returns {Array<{name: string, kind: string, fingerprint: string|null, pages: number, first_seen: string, last_seen: string}>}
+     */
+    getTemplates(vendor) {
+        return this.db.prepare('SELECT name, kind, fingerprint, pages, first_seen, last_seen FROM templates WHERE vendor = ? ORDER BY first_seen').all(vendor);
+    }
+
+    /**
+     * Count a page classified as a template, registering the template on first sight
+     * @param {string} vendor
+     * @param {string} name
+     * @param {Object} [info]
+     * @param {string} [info.kind] - 'rule' (declared by the vendor strategy) or 'auto' (DOM fingerprint)
+     * @param {string} [info.fingerprint] - Fingerprint the template was registered with
+     * @returns {number} Pages seen with this template
+     */
+    recordTemplatePage(vendor, name, { kind = 'rule', fingerprint = null } = {}) {
+        const now = new Date().toISOString();
+        this.db.prepare(`
+            INSERT INTO templates(vendor, name, kind, fingerprint, pages, first_seen, last_seen)
+            VALUES (?, ?, ?, ?, 1, ?, ?)
+            ON CONFLICT(vendor, name) DO UPDATE SET pages = pages + 1, last_seen = excluded.last_seen
+        `).run(vendor, name, kind, fingerprint, now, now);
+        return this.db.prepare('SELECT pages FROM templates WHERE vendor = ? AND name = ?').get(vendor, name).pages;
+    }
+
+    /**
+     * Change history, newest first
+     * @param {Object} [filter]
+     * @param {string} [filter.vendor]
+     * @param {string} [filter.template]
+     * @param {string} [filter.field]
+     * @param {string|Date} [filter.since]
+     * @param {number} [filter.limit=100]
+     * @returns {Array<Object>}
+     */
+    history({ vendor = null, template = null, field = null, since = null, limit = 100 } = {}) {
+        const where = [];
+        const params = [];
+        if (vendor) { where.push('vendor = ?'); params.push(vendor); }
+        if (template) { where.push('template = ?'); params.push(template); }
+        if (field) { where.push('field = ?'); params.push(field); }
+        if (since) { where.push('at > ?'); params.push(toIso(since)); }
+        return this.db.prepare(`
+            SELECT id, vendor, template, field, selector, action, actor, session, at FROM history
+            ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+            ORDER BY id DESC LIMIT ?
+        `).all(...params, limit);
+    }
+
+    /**
+     * Restore a vendor's selectors to their state at a point in time
+     * Every selector changed after `at` gets back the entry it had before its first later change;
+     * selectors added after `at` are removed. Selectors changed only through unaudited counter
+     * updates keep their current counts. Snapshots and the template registry are left as they are.
+     * @param {string} vendor
+     * @param {string|Date} at
+     * @param {Object} [options]
+     * @param {string} [options.template] - Only this page template (all templates by default)
+     * @param {boolean} [options.dryRun] - Only report what would change
+     * @returns {{restored: Array<Object>, removed: Array<Object>, changes: Array<Object>}}
+     */
+    rollback(vendor, at, { template = null, dryRun = false } = {}) {
+        const since = toIso(at);
+        const rows = template
+            ? this.db.prepare('SELECT template, field, selector, before FROM history WHERE vendor = ? AND template = ? AND at > ? ORDER BY id ASC').all(vendor, template, since)
+            : this.db.prepare('SELECT template, field, selector, before FROM history WHERE vendor = ? AND at > ? ORDER BY id ASC').all(vendor, since);
+        const targets = new Map(); // template -> Map(key -> target)
+        for (const row of rows) {
+            const byKey = targets.get(row.template) || targets.set(row.template, new Map()).get(row.template);
+            const key = keyOf(row.field, row.selector);
+            if (!byKey.has(key)) byKey.set(key, { template: row.template, field: row.field, selector: row.selector, entry: row.before ? JSON.parse(row.before) : null });
+        }
+        const restored = [];
+        const removed = [];
+        for (const byKey of targets.values()) {
+            for (const target of byKey.values()) (target.entry ? restored : removed).push({ template: target.template, field: target.field, selector: target.selector });
+        }
+        if (dryRun) return { restored, removed, changes: [] };
+
+        const changes = [];
+        for (const [setTemplate, byKey] of targets) {
+            changes.push(...this.updateVendor(vendor, (selectors) => {
+                for (const { field, selector, entry } of byKey.values()) {
+                    const list = (selectors[field] || []).filter(e => e.selector !== selector);
+                    if (entry) list.push(entry);
+                    selectors[field] = selectorStats.rankSelectors(list);
+                }
+            }, { actor: 'rollback', template: setTemplate }));
+        }
+        return { restored, removed, changes };
+    }
+
+    /**
+     * Import selectors (and snapshots) from the vendor-selectors.json shape
+     * Imported entries replace stored entries with the same selector; with `replace`, selectors not
+     * in the import are removed from the imported selector sets.
+     * @param {Object} data - vendor -> { selectors: { field: [entries] }, last_llm_extraction?, templates? }
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false]
+     * @param {string} [options.actor='import']
+     * @returns {{vendors: number, selectors: number, changes: number}}
+     */
+    importJson(data, { replace = false, actor = 'import' } = {}) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('[SelectorStore] Import must be an object keyed by vendor');
+        const summary = { vendors: 0, selectors: 0, changes: 0 };
+        const importSet = (vendor, template, set) => {
+            const incoming = set.selectors || {};
+            const changes = this.updateVendor(vendor, (selectors) => {
+                if (replace) for (const field of Object.keys(selectors)) if (!incoming[field]) delete selectors[field];
+                for (const [field, list] of Object.entries(incoming)) {
+                    const entries = (Array.isArray(list) ? list : [])
+                        .filter(entry => entry && typeof entry.selector === 'string' && entry.selector.trim())
+                        .map(entry => selectorStats.normalizeEntry({ ...entry }));
+                    summary.selectors += entries.length;
+                    const kept = replace ? [] : (selectors[field] || []).filter(e => !entries.some(entry => entry.selector === e.selector));
+                    selectors[field] = selectorStats.rankSelectors([...kept, ...entries]);
+                }
+            }, { actor, template });
+            summary.changes += changes.length;
+            if (set.last_llm_extraction) this.updateSnapshot(vendor, () => set.last_llm_extraction, template);
+        };
+        for (const [vendor, vendorData] of Object.entries(data)) {
+            if (!vendorData || typeof vendorData !== 'object') continue;
+            summary.vendors++;
+            importSet(vendor, DEFAULT_TEMPLATE, vendorData);
+            for (const [template, set] of Object.entries(vendorData.templates || {})) {
+                if (set && typeof set === 'object' && template !== DEFAULT_TEMPLATE) importSet(vendor, template, set);
+            }
+        }
+        return summary;
+    }
+
+    close() {
+        try { this.db.close(); } catch { }
+    }
+}
+
+function getDefaultDbPath() {
+    return process.env.SELECTOR_STORE_PATH ? path.resolve(process.env.SELECTOR_STORE_PATH) : DEFAULT_DB_PATH;
+}
+
+let __store = null;
+let __storeFailed = false;
+
+// One-time import of the JSON file the store replaces
+function importLegacyJson(store) {
+    if (store.getMeta('legacy_json_imported') || store.countSelectors() > 0 || !fs.existsSync(LEGACY_JSON_PATH)) return;
+    const summary = store.importJson(JSON.parse(fs.readFileSync(LEGACY_JSON_PATH, 'utf8')) || {});
+    store.setMeta('legacy_json_imported', new Date().toISOString());
+    console.log(`[SELECTOR_STORE] Imported ${summary.selectors} selectors for ${summary.vendors} vendors from vendor-selectors.json`);
+}
+
+/**
+ * Shared store for this process (null when it cannot be opened)
+ * @returns {SelectorStoreSqlite|null}
+ */
+function getStore() {
+    if (__store) return __store;
+    if (__storeFailed) return null;
+    try {
+        __store = new SelectorStoreSqlite(getDefaultDbPath());
+        importLegacyJson(__store);
+        return __store;
+    } catch (error) {
+        __storeFailed = true;
+        console.log(`[SELECTOR_STORE] Could not open selector store: ${error.message}`);
+        return null;
+    }
+}
+
+module.exports = {
+    SelectorStoreSqlite,
+    DEFAULT_TEMPLATE,
+    getDefaultDbPath,
+    getStore,
+    SESSION_ID
+};
@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * Per-field availability model
+ * Decides whether to ask the LLM for a field that direct extraction (structured data, app state,
+ * vendor strategy, learned selectors) left empty. Each vendor and page template keeps an LLM
+ * extraction snapshot in the selector store (cache/selectorStore.js) holding, per field, the
+ * outcomes of the latest LLM attempts over a sliding window:
+ *
+ *   results: { field: { found, value_type, last_attempt, window: [{ at, found }] } }
+ *
+ * The window keeps the last FIELD_AVAILABILITY_WINDOW attempts (default 20) younger than
+ * FIELD_AVAILABILITY_MAX_AGE_HOURS (default 168). From it:
+ *   availability = (found + 1) / (attempts + 2)
+ *   - fewer than FIELD_AVAILABILITY_MIN_SAMPLES attempts (default 5): always ask
+ *   - availability at or above FIELD_AVAILABILITY_THRESHOLD (default 0.3): always ask
+ *   - below it: ask with probability availability / threshold, never less than
+ *     FIELD_AVAILABILITY_MIN_PROBE_RATE (default 0.05)
+ *   - no attempt for FIELD_AVAILABILITY_REPROBE_HOURS (default 6): ask again (re-probe)
+ * A single page without the field therefore never stops the LLM from being asked.
+ * DISABLE_FIELD_AVAILABILITY=true always asks.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function getConfig() {
+    return {
+        window: Number(process.env.FIELD_AVAILABILITY_WINDOW) || 20,
+        maxAgeMs: (Number(process.env.FIELD_AVAILABILITY_MAX_AGE_HOURS) || 168) * HOUR_MS,
+        minSamples: Number(process.env.FIELD_AVAILABILITY_MIN_SAMPLES) || 5,
+        threshold: Number(process.env.FIELD_AVAILABILITY_THRESHOLD) || 0.3,
+        minProbeRate: Number(process.env.FIELD_AVAILABILITY_MIN_PROBE_RATE) || 0.05,
+        reprobeMs: (Number(process.env.FIELD_AVAILABILITY_REPROBE_HOURS) || 6) * HOUR_MS
+    };
+}
+
+// "vendor:template" -> field -> decision counters and the last state seen, for the run summary
+const __stats = {};
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+function toTime(value) {
+    const t = value ? new Date(value).getTime() : NaN;
+    return Number.isFinite(t) ? t : null;
+}
+
+/**
+ * Whether an LLM value counts as found (empty strings and arrays do not; a boolean answer does)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function hasValue(value) {
+    if (typeof value === 'boolean') return true;
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'string') return value.trim() !== '';
+    return !!value;
+}
+
+/**
+ * Recent attempts of a field, oldest first
+ * Snapshots written before the window existed only carry the latest `found`, counted as one
+ * attempt at the snapshot's time.
+ * @param {Object} snapshot
+ * @param {string} field
+ * @param {number} now
+ * @param {Object} config
+ * @returns {Array<{at: string, found: boolean}>}
+ */
+function recentWindow(snapshot, field, now, config) {
+    const result = snapshot && snapshot.results ? snapshot.results[field] : undefined;
+    if (!result) return [];
+    const window = Array.isArray(result.window)
+        ? result.window
+        : (typeof result.found === 'boolean' ? [{ at: result.last_attempt || snapshot.timestamp, found: result.found }] : []);
+    return window
+        .filter(entry => {
+            const at = toTime(entry && entry.at);
+            return at !== null && now - at <= config.maxAgeMs;
+        })
+        .slice(-config.window);
+}
+
+/**
+ * Availability state of a field
+ * @param {Object|null} snapshot - LLM extraction snapshot of the vendor's page template
+ * @param {string} field
+ * @param {number} [now]
+ * @returns {{attempts: number, found: number, availability: number, last_attempt: string|null}}
+ */
+function getFieldState(snapshot, field, now = Date.now()) {
+    const config = getConfig();
+    const window = recentWindow(snapshot, field, now, config);
+    const found = window.filter(entry => entry.found).length;
+    const lastAttempt = window.length > 0 ? window[window.length - 1].at : null;
+    return { attempts: window.length, found, availability: round3((found + 1) / (window.length + 2)), last_attempt: lastAttempt };
+}
+
+/**
+ * Decide whether to ask the LLM for a field missing from direct extraction
+ * @param {Object|null} snapshot - LLM extraction snapshot of the vendor's page template
+ * @param {string} field
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ * @param {function(): number} [options.random] - Uniform [0, 1) source
+ * @returns {{ask: boolean, reason: 'disabled'|'few_samples'|'likely'|'reprobe'|'sampled'|'skipped', state: Object}}
+ */
+function decide(snapshot, field, { now = Date.now(), random = Math.random } = {}) {
+    const state = getFieldState(snapshot, field, now);
+    if (process.env.DISABLE_FIELD_AVAILABILITY === 'true') return { ask: true, reason: 'disabled', state };
+    const config = getConfig();
+    if (state.attempts < config.minSamples) return { ask: true, reason: 'few_samples', state };
+    if (state.availability >= config.threshold) return { ask: true, reason: 'likely', state };
+    const lastAttempt = toTime(state.last_attempt);
+    if (lastAttempt === null || now - lastAttempt >= config.reprobeMs) return { ask: true, reason: 'reprobe', state };
+    const probability = Math.max(config.minProbeRate, state.availability / config.threshold);
+    return random() < probability ? { ask: true, reason: 'sampled', state } : { ask: false, reason: 'skipped', state };
+}
+
+/**
+ * Decide for a field and count the decision for the run summary
+ * @param {string} vendor
+ * @param {string} template
+ * @param {Object|null} snapshot
+ * @param {string} field
+ * @returns {{ask: boolean, reason: string, state: Object}}
+ */
+function shouldAskLlm(vendor, template, snapshot, field) {
+    const decision = decide(snapshot, field);
+    const key = `${vendor}:${template}`;
+    const fields = __stats[key] || (__stats[key] = {});
+    const stats = fields[field] || (fields[field] = { asked: 0, skipped: 0, reprobed: 0, sampled: 0 });
+    if (!decision.ask) stats.skipped++;
+    else stats.asked++;
+    if (decision.reason === 'reprobe') stats.reprobed++;
+    if (decision.reason === 'sampled') stats.sampled++;
+    stats.attempts = decision.state.attempts;
+    stats.found = decision.state.found;
+    stats.availability = decision.state.availability;
+    return decision;
+}
+
+/**
+ * Add the outcome of an LLM extraction to a snapshot
+ * @param {Object|null} snapshot - Current snapshot (not modified)
+ * @param {Array<string>} attemptedFields - Fields the LLM was asked for
+ * @param {Object} extractedData - LLM values
+ * @param {number} [now]
+ * @returns {Object} New snapshot
+ */
+function recordAttempts(snapshot, attemptedFields, extractedData, now = Date.now()) {
+    const config = getConfig();
+    const existing = snapshot || { results: {} };
+    const at = new Date(now).toISOString();
+    // Keep results of fields not attempted this time
+    const results = { ...(existing.results || {}) };
+    for (const field of attemptedFields) {
+        const value = extractedData[field];
+        const found = hasValue(value);
+        results[field] = {
+            found,
+            value_type: Array.isArray(value) ? 'array' : typeof value,
+            last_attempt: at,
+            window: [...recentWindow(existing, field, now, config), { at, found }].slice(-config.window)
+        };
+    }
+    return {
+        timestamp: at,
+        attempted_fields: Array.from(new Set([...(existing.attempted_fields || []), ...attemptedFields])),
+        results
+    };
+}
+
+/**
+ * Availability decisions and state per vendor, page template and field in this run
+ * @returns {Object<string, Object<string, {asked: number, skipped: number, reprobed: number, sampled: number,
+ *   attempts: number, found: number, availability: number}>>} "vendor:template" -> field -> stats
+ */
+function getAvailabilityStats() {
+    return JSON.parse(JSON.stringify(__stats));
+}
+
+module.exports = {
+    hasValue,
+    getFieldState,
+    decide,
+    shouldAskLlm,
+    recordAttempts,
+    getAvailabilityStats
+};
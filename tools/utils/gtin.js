@@ -0,0 +1,217 @@
+'use strict';
+
+/**
+ * GTIN / EAN / UPC barcodes
+ * Finds barcodes in structured data, data attributes and specification text, validates the
+ * GS1 check digit and normalizes to GTIN-14 (left-padded with zeros), the key used for
+ * cross-vendor matching and catalogue import:
+ *   "5000167123456"  -> { gtin: '05000167123456', gtin_type: 'GTIN-13', valid: true }
+ *   "0 12345 67890 5" -> { gtin: '00012345678905', gtin_type: 'GTIN-12', valid: true }
+ * Codes failing the check are kept as `gtin_raw` with `gtin_invalid: true`; products sharing a
+ * GTIN within one output file get `gtin_duplicate_of`.
+ */
+
+const GTIN_LENGTHS = { 8: 'GTIN-8', 12: 'GTIN-12', 13: 'GTIN-13', 14: 'GTIN-14' };
+
+// "EAN: 5000167123456", "Barcode 5000 1671 2345 6", "UPC-A: 012345678905", "GTIN13 - ..."
+// Digit groups are joined by a single space or hyphen, never a line break, so "EAN: ...\n100 ml" stops at the code
+const LABELLED_RX = /\b(?:EAN(?:[\s-]?1[34]|[\s-]?8)?|GTIN(?:[\s-]?(?:8|12|13|14))?|UPC(?:[\s-]?A)?|Bar\s?code)\b\s*(?:number|no\.?|code)?\s*[:#-]?\s*(\d+(?:[ -]\d+)*)/gi;
+
+// Data attributes vendors commonly put barcodes in
+const DATA_ATTRIBUTES = ['data-gtin', 'data-gtin13', 'data-gtin14', 'data-ean', 'data-ean13', 'data-barcode', 'data-upc'];
+
+function digitsOf(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[\s-]/g, '');
+}
+
+/**
+ * GS1 check digit for the code body (all digits but the last)
+ * @param {string} body
+ * @returns {number}
+ */
+function computeCheckDigit(body) {
+    let sum = 0;
+    // Weights alternate 3,1,3,... from the rightmost body digit
+    for (let i = 0; i < body.length; i++) {
+        const digit = Number(body[body.length - 1 - i]);
+        sum += digit * (i % 2 === 0 ? 3 : 1);
+    }
+    return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * @param {string|number} value
+ * @returns {boolean} True for an 8/12/13/14-digit code with a correct check digit
+ */
+function isValidGtin(value) {
+    const digits = digitsOf(value);
+    if (!/^\d+$/.test(digits) || !GTIN_LENGTHS[digits.length]) return false;
+    if (/^0+$/.test(digits)) return false;
+    return computeCheckDigit(digits.slice(0, -1)) === Number(digits[digits.length - 1]);
+}
+
+/**
+ * Normalize a barcode
+ * @param {string|number} value
+ * @returns {{gtin: string|null, gtin_type: string|null, valid: boolean, raw: string}|null} null when the value is not a barcode-like number
+ */
+function normalizeGtin(value) {
+    const raw = digitsOf(value);
+    if (!/^\d{8,14}$/.test(raw)) return null;
+    const valid = isValidGtin(raw);
+    return {
+        gtin: valid ? raw.padStart(14, '0') : null,
+        gtin_type: GTIN_LENGTHS[raw.length] || null,
+        valid,
+        raw
+    };
+}
+
+/**
+ * Labelled barcodes in free text such as a product specification block
+ * @param {string} text
+ * @returns {Array<string>} Digit strings in order of appearance
+ */
+function findGtinsInText(text) {
+    if (typeof text !== 'string' || !text) return [];
+    const out = [];
+    LABELLED_RX.lastIndex = 0;
+    let m;
+    while ((m = LABELLED_RX.exec(text)) !== null) {
+        const digits = labelledCode(m[1]);
+        if (digits) out.push(digits);
+    }
+    return out;
+}
+
+/**
+ * The code in a labelled digit run. Text after the code on the same line ("EAN 5000167123456 100 ml")
+ * joins the run, so the 8/12/13/14-digit runs of leading groups are tried, longest valid first.
+ * @param {string} run - Digit groups separated by single spaces or hyphens
+ * @returns {string|null}
+ */
+function labelledCode(run) {
+    const digits = digitsOf(run);
+    if (GTIN_LENGTHS[digits.length] && isValidGtin(digits)) return digits;
+    const prefixes = [];
+    let prefix = '';
+    for (const group of run.split(/[ -]/)) {
+        prefix += group;
+        if (prefix.length > 14) break;
+        if (GTIN_LENGTHS[prefix.length]) prefixes.push(prefix);
+    }
+    const valid = prefixes.filter(isValidGtin);
+    if (valid.length > 0) return valid[valid.length - 1];
+    // No valid code: keep the raw digits so the product is flagged `gtin_invalid`
+    if (/^\d{8,14}$/.test(digits)) return digits;
+    return prefixes.length > 0 ? prefixes[prefixes.length - 1] : null;
+}
+
+/**
+ * Browser-side collection of barcode data attributes and `itemprop="gtin*"` elements.
+ * Self-contained so it can be passed to page.evaluate() as-is.
+ * @param {Array<string>} attributes - Attribute names to read
+ * @returns {Array<string>}
+ */
+function collectGtinAttributes(attributes) {
+    const values = [];
+    for (const attr of attributes || []) {
+        let nodes = [];
+        try { nodes = Array.from(document.querySelectorAll(`[${attr}]`)); } catch { }
+        for (const el of nodes) values.push(el.getAttribute(attr) || '');
+    }
+    for (const el of Array.from(document.querySelectorAll('[itemprop^="gtin"]'))) {
+        values.push(el.getAttribute('content') || el.textContent || '');
+    }
+    return values.map(v => String(v).trim()).filter(v => /^\d[\d\s-]{6,20}\d$/.test(v));
+}
+
+/**
+ * Pick the product's barcode from its candidates: `gtin` (structured data / data attributes),
+ * `ean_code`, then labelled codes in the given texts. The first valid code wins.
+ * @param {Object} product
+ * @param {Array<string>} [texts] - Specification/description text to search
+ * @returns {{gtin: string|null, gtin_type: string|null, valid: boolean, raw: string}|null}
+ */
+function resolveGtin(product, texts = []) {
+    const candidates = [];
+    if (product && typeof product === 'object') {
+        candidates.push(product.gtin, product.gtin_raw, product.ean_code);
+    }
+    for (const text of texts) candidates.push(...findGtinsInText(text));
+    const normalized = candidates.map(normalizeGtin).filter(Boolean);
+    return normalized.find(c => c.valid) || normalized[0] || null;
+}
+
+/**
+ * Output pipeline step: normalize `gtin` to GTIN-14 and flag invalid codes
+ * @param {Object} product
+ * @param {Object} [options]
+ * @param {Array<string>} [options.texts] - Extra text to search; defaults to specification and description
+ * @returns {Object}
+ */
+function applyGtin(product, { texts } = {}) {
+    try {
+        if (!product || typeof product !== 'object') return product;
+        const searchTexts = texts || [product.product_specification, product.description];
+        const resolved = resolveGtin(product, searchTexts.filter(t => typeof t === 'string'));
+        if (!resolved) return product;
+        const next = { ...product };
+        delete next.gtin_invalid;
+        delete next.gtin_raw;
+        next.gtin_type = resolved.gtin_type;
+        if (resolved.valid) {
+            next.gtin = resolved.gtin;
+        } else {
+            next.gtin = '';
+            next.gtin_raw = resolved.raw;
+            next.gtin_invalid = true;
+        }
+        return next;
+    } catch {
+        return product;
+    }
+}
+
+/**
+ * Flag products sharing a GTIN with another product in the same list
+ * Sets `gtin_duplicate_of` (other product ids) on every duplicate, clears it otherwise.
+ * @param {Array<Object>} items
+ * @returns {number} Products flagged
+ */
+function flagDuplicateGtins(items) {
+    const byGtin = new Map();
+    const keyOf = (item) => String(item.product_id || item.url || '');
+    for (const item of items || []) {
+        if (!item || !item.gtin) continue;
+        if (!byGtin.has(item.gtin)) byGtin.set(item.gtin, new Set());
+        byGtin.get(item.gtin).add(keyOf(item));
+    }
+    let flagged = 0;
+    for (const item of items || []) {
+        if (!item || typeof item !== 'object') continue;
+        const others = item.gtin && byGtin.has(item.gtin)
+            ? Array.from(byGtin.get(item.gtin)).filter(key => key !== keyOf(item))
+            : [];
+        if (others.length > 0) {
+            item.gtin_duplicate_of = others;
+            flagged++;
+        } else {
+            delete item.gtin_duplicate_of;
+        }
+    }
+    return flagged;
+}
+
+module.exports = {
+    DATA_ATTRIBUTES,
+    computeCheckDigit,
+    isValidGtin,
+    normalizeGtin,
+    findGtinsInText,
+    collectGtinAttributes,
+    resolveGtin,
+    applyGtin,
+    flagDuplicateGtins
+};
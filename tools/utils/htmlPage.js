@@ -0,0 +1,129 @@
+'use strict';
+
+const vm = require('vm');
+const { parseHTML } = require('linkedom');
+
+/**
+ * Page-like adapter over static HTML
+ * Implements the subset of the Playwright page API our extractors use (evaluate, locator,
+ * waitForSelector, url, isClosed) on top of a linkedom document, so structured-data parsing,
+ * vendor strategies and learned CSS selectors can run without a browser.
+ * XPath selectors are not supported (see supportsSelector) and fail like a missing element.
+ */
+
+function normalizeSelector(selector) {
+    const s = String(selector || '').trim();
+    if (s.startsWith('pierce=')) return s.slice('pierce='.length);
+    if (s.startsWith('css=')) return s.slice('css='.length);
+    return s;
+}
+
+/**
+ * Whether a selector can run on static HTML (CSS only, no XPath)
+ * @param {string} selector
+ * @returns {boolean}
+ */
+function supportsSelector(selector) {
+    const s = normalizeSelector(selector);
+    return !!s && !s.startsWith('xpath=') && !s.startsWith('/') && !s.startsWith('(');
+}
+
+function queryAll(root, selector) {
+    if (!supportsSelector(selector)) {
+        throw new Error(`Unsupported selector for static HTML: ${selector}`);
+    }
+    return Array.from(root.querySelectorAll(normalizeSelector(selector)));
+}
+
+function visibleText(el) {
+    return (el.innerText || el.textContent || '').replace(/[ \t\f\v]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+}
+
+function isHidden(el) {
+    for (let node = el; node && node.getAttribute; node = node.parentElement) {
+        if (node.hasAttribute('hidden')) return true;
+        if ((node.getAttribute('aria-hidden') || '') === 'true') return true;
+        const style = (node.getAttribute('style') || '').replace(/\s+/g, '').toLowerCase();
+        if (style.includes('display:none') || style.includes('visibility:hidden')) return true;
+        const tag = (node.tagName || '').toLowerCase();
+        if (tag === 'input' && (node.getAttribute('type') || '').toLowerCase() === 'hidden') return true;
+        if (tag === 'script' || tag === 'style' || tag === 'template') return true;
+    }
+    return false;
+}
+
+function createLocator(resolveElements) {
+    const first = () => {
+        const el = resolveElements()[0];
+        if (!el) throw new Error('No element matches selector');
+        return el;
+    };
+    return {
+        first: () => createLocator(() => resolveElements().slice(0, 1)),
+        nth: (i) => createLocator(() => resolveElements().slice(i, i + 1)),
+        locator: (selector) => createLocator(() => resolveElements().flatMap(el => queryAll(el, selector))),
+        count: async () => resolveElements().length,
+        innerText: async () => visibleText(first()),
+        textContent: async () => first().textContent,
+        getAttribute: async (name) => first().getAttribute(name),
+        isVisible: async () => {
+            const el = resolveElements()[0];
+            return !!el && !isHidden(el);
+        }
+    };
+}
+
+/**
+ * Create a page-like object for static HTML
+ * @param {string} html - Raw HTML
+ * @param {string} url - URL the HTML was fetched from (used for relative URL resolution)
+ * @returns {Object} Page adapter
+ */
+function createHtmlPage(html, url) {
+    const { document, window } = parseHTML(html || '');
+    let closed = false;
+
+    // Globals of this page only: callbacks run here never see another page's document
+    const context = vm.createContext({ document, window, console, URL, URLSearchParams, setTimeout, clearTimeout });
+
+    /**
+     * Run an in-page function against the parsed HTML.
+     * Like Playwright, the function is re-created from its source inside the page (here a vm
+     * context with `document`/`window`), so it must not use variables from its enclosing scope.
+     * The result is cloned back out of the page, as Playwright serializes it, so arrays and objects
+     * belong to the caller's realm; values that cannot be cloned (functions) come back as undefined.
+     */
+    async function evaluate(fn, arg) {
+        if (typeof fn !== 'function') throw new Error('evaluate() on static HTML requires a function');
+        const pageFn = vm.runInContext(`(${fn.toString()})`, context);
+        const result = await pageFn(arg);
+        try {
+            return structuredClone(result);
+        } catch {
+            return undefined;
+        }
+    }
+
+    return {
+        isStaticHtml: true,
+        document,
+        url: () => url,
+        content: async () => html,
+        isClosed: () => closed,
+        close: async () => { closed = true; },
+        evaluate,
+        locator: (selector) => createLocator(() => queryAll(document, selector)),
+        waitForSelector: async (selector) => {
+            const el = queryAll(document, selector)[0];
+            if (!el) throw new Error(`waitForSelector: no element matches ${selector} in static HTML`);
+            return el;
+        },
+        on: () => { },
+        off: () => { }
+    };
+}
+
+module.exports = {
+    createHtmlPage,
+    supportsSelector
+};
@@ -0,0 +1,195 @@
+'use strict';
+
+const { resolveStrategy } = require('../../strategies/registry');
+const { resolveProvider } = require('./providers');
+const mockProvider = require('./mockProvider');
+
+/**
+ * LLM router
+ * Picks the model for each extract/observe/act call and falls back to a secondary model when the
+ * primary errors. Resolution order for a call (first match wins):
+ *
+ *   LLM_PROVIDER=mock                   every call is answered by the mock provider
+ *   strategy.llm.fields[<field>]        per-field model, 'provider/model' or { model, fallback }
+ *   strategy.llm.model / .fallback      per-vendor model
+ *   LLM_MODEL (or legacy MODEL_TYPE) / LLM_FALLBACK_MODEL
+ *   google/gemini-2.0-flash
+ */
+
+const DEFAULT_MODEL = 'google/gemini-2.0-flash';
+
+// model -> { calls, failures, fallbacks }
+const __stats = new Map();
+
+function isMockMode() {
+    return String(process.env.LLM_PROVIDER || '').toLowerCase() === 'mock';
+}
+
+function getDefaultModels() {
+    return {
+        primary: process.env.LLM_MODEL || process.env.MODEL_TYPE || DEFAULT_MODEL,
+        fallback: process.env.LLM_FALLBACK_MODEL || null
+    };
+}
+
+function toModels(config, base) {
+    if (!config) return base;
+    if (typeof config === 'string') return { primary: config, fallback: base.fallback };
+    return { primary: config.model || base.primary, fallback: config.fallback !== undefined ? config.fallback : base.fallback };
+}
+
+/**
+ * Resolve primary/fallback models for a call
+ * @param {Object} context - { vendor, url, field }
+ * @returns {{primary: string, fallback: string|null}}
+ */
+function resolveModels(context = {}) {
+    if (isMockMode()) return { primary: 'mock', fallback: null };
+    const defaults = getDefaultModels();
+    const strategy = context.vendor || context.url ? resolveStrategy({ vendor: context.vendor, url: context.url }) : null;
+    const llm = strategy && strategy.llm && typeof strategy.llm === 'object' ? strategy.llm : null;
+    if (!llm) return defaults;
+    const vendorModels = toModels({ model: llm.model, fallback: llm.fallback }, defaults);
+    if (context.field && llm.fields && llm.fields[context.field]) return toModels(llm.fields[context.field], vendorModels);
+    return vendorModels;
+}
+
+/**
+ * Group fields that resolve to the same model pair, so one extract call is made per model
+ * @param {Array<string>} fields
+ * @param {Object} context - { vendor, url }
+ * @returns {Array<{models: {primary: string, fallback: string|null}, fields: Array<string>}>}
+ */
+function groupFieldsByModel(fields, context = {}) {
+    const groups = new Map();
+    for (const field of fields || []) {
+        const models = resolveModels({ ...context, field });
+        const key = `${models.primary}|${models.fallback || ''}`;
+        if (!groups.has(key)) groups.set(key, { models, fields: [] });
+        groups.get(key).fields.push(field);
+    }
+    return Array.from(groups.values());
+}
+
+function bump(model, key) {
+    if (!__stats.has(model)) __stats.set(model, { calls: 0, failures: 0, fallbacks: 0 });
+    __stats.get(model)[key]++;
+}
+
+// Rejects when the call has not settled within timeoutMs; the timer never outlives the call
+function withTimeout(promise, timeoutMs, label) {
+    if (!timeoutMs || timeoutMs <= 0) return promise;
+    let timer = null;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function runWithFallback(kind, models, call) {
+    const chain = Array.from(new Set([models.primary, models.fallback].filter(Boolean)));
+    let lastError = null;
+    for (let i = 0; i < chain.length; i++) {
+        const provider = resolveProvider(chain[i]);
+        if (!provider) {
+            lastError = new Error(`Unknown LLM model: ${chain[i]}`);
+            console.log(`[LLM] ${lastError.message}`);
+            continue;
+        }
+        bump(provider.model, 'calls');
+        if (i > 0) bump(provider.model, 'fallbacks');
+        try {
+            return await call(provider);
+        } catch (error) {
+            lastError = error;
+            bump(provider.model, 'failures');
+            const next = chain[i + 1];
+            console.log(`[LLM] ${kind} failed on ${provider.model}: ${error.message}${next ? `, falling back to ${next}` : ''}`);
+        }
+    }
+    throw lastError || new Error(`No LLM model configured for ${kind}`);
+}
+
+/**
+ * page.extract through the router
+ * @param {Object} page - Stagehand page
+ * @param {Object} options - page.extract options ({ instruction, schema, domSettleTimeoutMs })
+ * @param {Object} context - { vendor, url, field, models } (models overrides resolution)
+ * @returns {Promise<Object>}
+ */
+async function extract(page, options, context = {}) {
+    const models = context.models || resolveModels(context);
+    return runWithFallback('extract', models, (provider) => {
+        if (provider.name === 'mock') return mockProvider.extract(page, options, context);
+        return page.extract({ ...options, modelName: provider.model, modelClientOptions: provider.modelClientOptions });
+    });
+}
+
+/**
+ * page.observe through the router
+ * @param {Object} page - Stagehand page
+ * @param {string} instruction
+ * @param {Object} context - { vendor, url, field, models, timeoutMs } (timeoutMs bounds each model attempt)
+ * @returns {Promise<Array<Object>>}
+ */
+async function observe(page, instruction, context = {}) {
+    const models = context.models || resolveModels(context);
+    return runWithFallback('observe', models, (provider) => {
+        if (provider.name === 'mock') return mockProvider.observe(page, instruction, context);
+        return withTimeout(
+            page.observe({ instruction, modelName: provider.model, modelClientOptions: provider.modelClientOptions }),
+            context.timeoutMs,
+            `observe on ${provider.model}`
+        );
+    });
+}
+
+/**
+ * page.act through the router
+ * @param {Object} page - Stagehand page
+ * @param {string} action - Natural-language action, e.g. 'click the "Rose" shade swatch'
+ * @param {Object} context - { vendor, url, field, models }
+ * @returns {Promise<Object>} Stagehand act result ({ success, message, action })
+ */
+async function act(page, action, context = {}) {
+    const models = context.models || resolveModels(context);
+    return runWithFallback('act', models, (provider) => {
+        if (provider.name === 'mock') return mockProvider.act(page, action, context);
+        return page.act({ action, modelName: provider.model, modelClientOptions: provider.modelClientOptions });
+    });
+}
+
+/**
+ * Default model settings for new Stagehand instances.
+ * In mock mode a real model id is still passed (Stagehand validates it) but never called.
+ * @returns {{modelName: string, modelClientOptions: Object}}
+ */
+function getStagehandModelConfig() {
+    const configured = resolveProvider(getDefaultModels().primary);
+    const mock = isMockMode() || !configured || configured.name === 'mock';
+    const provider = configured && configured.name !== 'mock' ? configured : resolveProvider(DEFAULT_MODEL);
+    if (!mock) return { modelName: provider.model, modelClientOptions: provider.modelClientOptions };
+    return { modelName: provider.model, modelClientOptions: { ...provider.modelClientOptions, apiKey: provider.modelClientOptions.apiKey || 'mock' } };
+}
+
+/**
+ * Per-model call statistics for the run summary
+ * @returns {Object} model -> { calls, failures, fallbacks }
+ */
+function getLlmStats() {
+    const out = {};
+    for (const [model, stats] of __stats) out[model] = { ...stats };
+    return out;
+}
+
+module.exports = {
+    DEFAULT_MODEL,
+    isMockMode,
+    resolveModels,
+    groupFieldsByModel,
+    extract,
+    observe,
+    act,
+    getStagehandModelConfig,
+    getLlmStats
+};
@@ -0,0 +1,135 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Deterministic mock LLM provider
+ * Answers extract/observe calls from JSON fixtures so the full workflow can run without
+ * network access or API keys. Fixtures are looked up in LLM_MOCK_FIXTURES_DIR
+ * (default tools/utils/llm/fixtures), most specific first:
+ *
+ *   <vendor>/<url-key>.json   url-key = first 12 hex chars of sha1(url)
+ *   <vendor>/default.json
+ *   default.json
+ *
+ * Fixture format:
+ *   {
+ *     "extract": { "name": "…", "price": "4.99", "images": ["https://…"] },
+ *     "observe": { "breadcrumb": [{ "selector": "nav.breadcrumb", "description": "…" }], "default": [] }
+ *   }
+ *
+ * extract() returns the fixture values for the schema's fields and schema-typed empty values
+ * for the rest; observe() returns the first entry whose key appears in the instruction
+ * (case-insensitive), then "default", then []. act() never touches the page and reports
+ * the action as not performed.
+ */
+
+const DEFAULT_FIXTURES_DIR = path.resolve(__dirname, 'fixtures');
+
+function getFixturesDir() {
+    return process.env.LLM_MOCK_FIXTURES_DIR ? path.resolve(process.env.LLM_MOCK_FIXTURES_DIR) : DEFAULT_FIXTURES_DIR;
+}
+
+/**
+ * Fixture key for a URL
+ * @param {string} url
+ * @returns {string}
+ */
+function urlFixtureKey(url) {
+    return crypto.createHash('sha1').update(String(url || '')).digest('hex').slice(0, 12);
+}
+
+function readJson(filePath) {
+    try {
+        if (!fs.existsSync(filePath)) return null;
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.log(`[LLM_MOCK] Invalid fixture ${filePath}: ${error.message}`);
+        return null;
+    }
+}
+
+function loadFixture(vendor, url) {
+    const dir = getFixturesDir();
+    const candidates = [];
+    if (vendor && url) candidates.push(path.join(dir, vendor, `${urlFixtureKey(url)}.json`));
+    if (vendor) candidates.push(path.join(dir, vendor, 'default.json'));
+    candidates.push(path.join(dir, 'default.json'));
+    for (const candidate of candidates) {
+        const fixture = readJson(candidate);
+        if (fixture) return { fixture, file: candidate };
+    }
+    return { fixture: null, file: null };
+}
+
+function pageUrl(page, context) {
+    if (context && context.url) return context.url;
+    try { return page.url(); } catch { return null; }
+}
+
+function emptyValueFor(fieldSchema) {
+    const typeName = fieldSchema && fieldSchema._def && fieldSchema._def.typeName;
+    if (typeName === 'ZodArray') return [];
+    if (typeName === 'ZodBoolean') return false;
+    if (typeName === 'ZodNumber') return 0;
+    return '';
+}
+
+/**
+ * Mock page.extract
+ * @param {Object} page
+ * @param {Object} options - { instruction, schema }
+ * @param {Object} context - { vendor, url }
+ * @returns {Promise<Object>}
+ */
+async function extract(page, options = {}, context = {}) {
+    const url = pageUrl(page, context);
+    const { fixture, file } = loadFixture(context.vendor, url);
+    const values = (fixture && fixture.extract) || {};
+    const shape = options.schema && options.schema.shape ? options.schema.shape : {};
+    const out = {};
+    for (const [field, fieldSchema] of Object.entries(shape)) {
+        out[field] = values[field] !== undefined ? values[field] : emptyValueFor(fieldSchema);
+    }
+    console.log(`[LLM_MOCK] extract ${Object.keys(out).join(', ')} from ${file ? path.relative(process.cwd(), file) : 'no fixture'}`);
+    return out;
+}
+
+/**
+ * Mock page.observe
+ * @param {Object} page
+ * @param {string} instruction
+ * @param {Object} context - { vendor, url }
+ * @returns {Promise<Array<Object>>}
+ */
+async function observe(page, instruction, context = {}) {
+    const url = pageUrl(page, context);
+    const { fixture } = loadFixture(context.vendor, url);
+    const answers = (fixture && fixture.observe) || {};
+    const text = String(instruction || '').toLowerCase();
+    for (const [key, result] of Object.entries(answers)) {
+        if (key !== 'default' && text.includes(key.toLowerCase())) return Array.isArray(result) ? result : [];
+    }
+    return Array.isArray(answers.default) ? answers.default : [];
+}
+
+/**
+ * Mock page.act
+ * @param {Object} page
+ * @param {string} action
+ * @returns {Promise<{success: boolean, message: string, action: string}>}
+ */
+async function act(page, action) {
+    console.log(`[LLM_MOCK] act skipped: ${action}`);
+    return { success: false, message: 'mock provider does not perform actions', action };
+}
+
+module.exports = {
+    getFixturesDir,
+    urlFixtureKey,
+    extract,
+    observe,
+    act
+};
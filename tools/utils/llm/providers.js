@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * LLM provider catalogue
+ * Maps a model id to the provider that serves it and the client options Stagehand needs.
+ * Model ids use Stagehand's `provider/model` form (e.g. google/gemini-2.0-flash,
+ * openai/gpt-4o-mini, anthropic/claude-3-5-sonnet-latest); bare legacy ids such as
+ * `gemini-2.0-flash` are resolved by prefix. `mock` answers from fixture files.
+ */
+
+const PROVIDERS = {
+    google: {
+        match: (model) => /^google\//i.test(model) || /^gemini/i.test(model),
+        apiKeyEnv: 'GOOGLE_API_KEY'
+    },
+    openai: {
+        match: (model) => /^openai\//i.test(model) || /^(gpt-|o\d)/i.test(model),
+        apiKeyEnv: 'OPENAI_API_KEY'
+    },
+    anthropic: {
+        match: (model) => /^anthropic\//i.test(model) || /^claude/i.test(model),
+        apiKeyEnv: 'ANTHROPIC_API_KEY'
+    },
+    mock: {
+        match: (model) => /^mock(\/|$)/i.test(model),
+        apiKeyEnv: null
+    }
+};
+
+/**
+ * Resolve the provider for a model id
+ * @param {string} model
+ * @returns {{name: string, model: string, modelClientOptions: Object}|null}
+ */
+function resolveProvider(model) {
+    const id = String(model || '').trim();
+    if (!id) return null;
+    for (const [name, provider] of Object.entries(PROVIDERS)) {
+        if (!provider.match(id)) continue;
+        const modelClientOptions = provider.apiKeyEnv ? { apiKey: process.env[provider.apiKeyEnv] } : {};
+        return { name, model: id, modelClientOptions };
+    }
+    return null;
+}
+
+module.exports = {
+    PROVIDERS,
+    resolveProvider
+};
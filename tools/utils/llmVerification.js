@@ -0,0 +1,287 @@
+'use strict';
+
+const { getNetworkUrls } = require('../strategies/appStateCapture');
+const { parsePrice } = require('./mark_up_price');
+const { cleanAndValidateUrl } = require('./utls');
+
+/**
+ * LLM hallucination guard
+ * Checks LLM-returned values against what the page actually shows: string fields must occur in
+ * the visible text (or DOM attribute values), prices must match a number on the page, and image
+ * URLs must appear in the DOM or in the navigation's network log.
+ *
+ * LLM_VERIFICATION_MODE:
+ *   flag (default) - keep unverified string values, mark the product low-confidence
+ *   drop           - blank unverified string values
+ *   off            - skip verification
+ * Unverified image URLs are always removed.
+ */
+
+const TEXT_FIELDS = ['name', 'weight', 'category', 'promotion'];
+const PRICE_FIELDS = ['price', 'was_price'];
+const MAX_TEXT_CHARS = 500000;
+
+// Verification statistics for the run summary
+const __stats = { checked: 0, reprompted: 0, recovered: 0, lowConfidence: 0, failedFields: {} };
+
+function getVerificationMode() {
+    const mode = String(process.env.LLM_VERIFICATION_MODE || 'flag').toLowerCase();
+    return ['flag', 'drop', 'off'].includes(mode) ? mode : 'flag';
+}
+
+function normalizeText(value) {
+    return String(value || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9%]+/g, ' ')
+        .trim();
+}
+
+// Strip protocol, query and fragment so CDN variants of the same asset compare equal
+function normalizeUrl(value) {
+    const cleaned = cleanAndValidateUrl(String(value || ''));
+    if (!cleaned) return '';
+    try {
+        const u = new URL(cleaned);
+        return `${u.hostname}${u.pathname}`.toLowerCase().replace(/\/+$/, '');
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Collect the page evidence used for verification
+ * @param {Object} page - Playwright/Stagehand page or static HTML adapter
+ * @returns {Promise<{text: string, attributes: string, compact: string, prices: Set<string>, urls: Set<string>}>}
+ */
+async function collectPageEvidence(page) {
+    const raw = await page.evaluate((maxChars) => {
+        const body = document.body;
+        const text = body ? (body.innerText || body.textContent || '') : '';
+        const attributes = [];
+        const urls = [];
+        const attrNames = ['content', 'alt', 'title', 'aria-label', 'value', 'data-price', 'data-name'];
+        const urlAttrs = ['src', 'href', 'data-src', 'data-zoom-image', 'data-large', 'data-image', 'poster'];
+        for (const el of Array.from(document.querySelectorAll('*'))) {
+            for (const name of attrNames) {
+                const v = el.getAttribute && el.getAttribute(name);
+                if (v) attributes.push(v);
+            }
+            for (const name of urlAttrs) {
+                const v = el.getAttribute && el.getAttribute(name);
+                if (v) urls.push(v);
+            }
+            for (const name of ['srcset', 'data-srcset']) {
+                const v = el.getAttribute && el.getAttribute(name);
+                if (v) v.split(',').forEach(part => { const u = part.trim().split(/\s+/)[0]; if (u) urls.push(u); });
+            }
+            const style = el.getAttribute && el.getAttribute('style');
+            if (style && style.includes('url(')) {
+                const rx = /url\(["']?([^"')]+)["']?\)/g;
+                let m;
+                while ((m = rx.exec(style)) !== null) urls.push(m[1]);
+            }
+        }
+        // JSON-LD and hydration blobs often carry the full-size gallery URLs
+        const scripts = Array.from(document.querySelectorAll('script[type="application/ld+json"], script#__NEXT_DATA__'))
+            .map(s => s.textContent || '')
+            .join('\n');
+        return {
+            text: text.slice(0, maxChars),
+            attributes: attributes.join('\n').slice(0, maxChars),
+            urls,
+            scripts: scripts.slice(0, maxChars)
+        };
+    }, MAX_TEXT_CHARS);
+    let baseUrl = null;
+    try { baseUrl = page.url(); } catch { }
+
+    const urls = new Set();
+    const addUrl = (value) => {
+        let absolute = value;
+        try { absolute = baseUrl ? new URL(value, baseUrl).href : value; } catch { }
+        const key = normalizeUrl(absolute);
+        if (key) urls.add(key);
+    };
+    (raw.urls || []).forEach(addUrl);
+    getNetworkUrls(page).forEach(addUrl);
+    // Absolute URLs embedded in structured data / hydration JSON
+    for (const match of String(raw.scripts || '').match(/https?:\\?\/\\?\/[^"'\s]+/g) || []) {
+        addUrl(match.replace(/\\\//g, '/'));
+    }
+
+    const text = normalizeText(raw.text);
+    const attributes = normalizeText(raw.attributes);
+    return {
+        text,
+        attributes,
+        // Whitespace-free copy so "200 ml" matches "200ml"
+        compact: `${text} ${attributes}`.replace(/ /g, ''),
+        prices: collectPriceNumbers(`${raw.text}\n${raw.attributes}\n${raw.scripts}`),
+        urls
+    };
+}
+
+// Every number on the page that could be a price, in both decimal conventions
+function collectPriceNumbers(text) {
+    const numbers = new Set();
+    for (const match of String(text || '').match(/\d{1,3}(?:[.,\s]\d{3})*(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?/g) || []) {
+        const compact = match.replace(/\s/g, '');
+        const dotDecimal = Number(compact.replace(/,(?=\d{3}\b)/g, '').replace(/,/g, '.'));
+        const commaDecimal = Number(compact.replace(/\.(?=\d{3}\b)/g, '').replace(/\./g, '').replace(/,/g, '.'));
+        if (Number.isFinite(dotDecimal)) numbers.add(dotDecimal.toFixed(2));
+        if (Number.isFinite(commaDecimal)) numbers.add(commaDecimal.toFixed(2));
+    }
+    return numbers;
+}
+
+function textAppears(value, evidence) {
+    const needle = normalizeText(value);
+    if (!needle) return true; // Empty values are not claims
+    if (evidence.text.includes(needle) || evidence.attributes.includes(needle)) return true;
+    const compactNeedle = needle.replace(/ /g, '');
+    if (compactNeedle.length >= 3 && evidence.compact.includes(compactNeedle)) return true;
+    // Tolerate reordered or partially wrapped text: 80% of the words must appear
+    const words = needle.split(' ').filter(w => w.length > 1);
+    if (words.length < 3) return false;
+    const haystack = new Set(`${evidence.text} ${evidence.attributes}`.split(' '));
+    const found = words.filter(w => haystack.has(w)).length;
+    return found / words.length >= 0.8;
+}
+
+function priceAppears(value, evidence) {
+    const amount = typeof value === 'number' ? value : parsePrice(String(value || ''));
+    if (amount === null || !Number.isFinite(amount)) return String(value || '').trim() === '';
+    return evidence.prices.has(amount.toFixed(2));
+}
+
+function imageAppears(value, evidence) {
+    const key = normalizeUrl(value);
+    return !!key && evidence.urls.has(key);
+}
+
+/**
+ * Verify LLM-extracted values against page evidence
+ * @param {Object} data - Values returned by the LLM
+ * @param {Object} evidence - Output of collectPageEvidence
+ * @returns {{data: Object, failed: Object, verifiedFields: Array<string>}} data has unverifiable image URLs removed;
+ *   failed maps field -> reason
+ */
+function verifyValues(data, evidence) {
+    const out = { ...data };
+    const failed = {};
+    const verifiedFields = [];
+
+    for (const field of TEXT_FIELDS) {
+        const value = out[field];
+        if (typeof value !== 'string' || value.trim() === '') continue;
+        if (textAppears(value, evidence)) verifiedFields.push(field);
+        else failed[field] = 'text_not_on_page';
+    }
+
+    for (const field of PRICE_FIELDS) {
+        const value = out[field];
+        if (value === undefined || value === null || String(value).trim() === '') continue;
+        if (priceAppears(value, evidence)) verifiedFields.push(field);
+        else failed[field] = 'price_not_on_page';
+    }
+
+    if (typeof out.main_image === 'string' && out.main_image.trim() !== '') {
+        if (imageAppears(out.main_image, evidence)) verifiedFields.push('main_image');
+        else {
+            failed.main_image = 'image_not_in_dom_or_network';
+            out.main_image = '';
+        }
+    }
+
+    if (Array.isArray(out.images) && out.images.length > 0) {
+        const kept = out.images.filter(img => typeof img === 'string' && imageAppears(img, evidence));
+        if (kept.length === out.images.length) verifiedFields.push('images');
+        else if (kept.length === 0) failed.images = 'image_not_in_dom_or_network';
+        out.images = kept;
+    }
+
+    return { data: out, failed, verifiedFields };
+}
+
+/**
+ * Verify LLM output and re-prompt once with stricter instructions for failed fields
+ * @param {Object} params
+ * @param {Object} params.page
+ * @param {Object} params.extractedData - First LLM response
+ * @param {Function} params.reprompt - async (fields) => { extractedData } using strict instructions
+ * @returns {Promise<{extractedData: Object, failed: Object, verifiedFields: Array<string>, repromptedFields: Array<string>}>}
+ */
+async function verifyLlmExtraction({ page, extractedData, reprompt }) {
+    const mode = getVerificationMode();
+    if (mode === 'off' || !extractedData || typeof extractedData !== 'object') {
+        return { extractedData, failed: {}, verifiedFields: [], repromptedFields: [] };
+    }
+
+    let evidence;
+    try {
+        evidence = await collectPageEvidence(page);
+    } catch (error) {
+        console.log(`[LLM_VERIFY] Could not collect page evidence: ${error.message}`);
+        return { extractedData, failed: {}, verifiedFields: [], repromptedFields: [] };
+    }
+
+    __stats.checked++;
+    let result = verifyValues(extractedData, evidence);
+    let repromptedFields = [];
+
+    const failedFields = Object.keys(result.failed);
+    if (failedFields.length > 0 && typeof reprompt === 'function') {
+        console.log(`[LLM_VERIFY] Unverified fields (${failedFields.map(f => `${f}: ${result.failed[f]}`).join(', ')}), re-prompting once`);
+        repromptedFields = failedFields;
+        __stats.reprompted++;
+        try {
+            const retry = await reprompt(failedFields);
+            const retryData = (retry && retry.extractedData) || {};
+            const merged = { ...result.data };
+            for (const field of failedFields) {
+                if (retryData[field] !== undefined) merged[field] = retryData[field];
+            }
+            const second = verifyValues(merged, evidence);
+            if (Object.keys(second.failed).length === 0) __stats.recovered++;
+            result = {
+                data: second.data,
+                failed: second.failed,
+                verifiedFields: Array.from(new Set([...result.verifiedFields, ...second.verifiedFields]))
+            };
+        } catch (error) {
+            console.log(`[LLM_VERIFY] Re-prompt failed: ${error.message}`);
+        }
+    }
+
+    const stillFailed = Object.keys(result.failed);
+    if (stillFailed.length > 0) {
+        __stats.lowConfidence++;
+        for (const field of stillFailed) __stats.failedFields[field] = (__stats.failedFields[field] || 0) + 1;
+        console.log(`[LLM_VERIFY] Still unverified after re-prompt: ${stillFailed.join(', ')}`);
+        if (mode === 'drop') {
+            for (const field of stillFailed) {
+                if (TEXT_FIELDS.includes(field) || PRICE_FIELDS.includes(field)) result.data[field] = '';
+            }
+        }
+    }
+
+    return { extractedData: result.data, failed: result.failed, verifiedFields: result.verifiedFields, repromptedFields };
+}
+
+/**
+ * Verification statistics for the run summary
+ * @returns {{checked: number, reprompted: number, recovered: number, lowConfidence: number, failedFields: Object}}
+ */
+function getVerificationStats() {
+    return { ...__stats, failedFields: { ...__stats.failedFields } };
+}
+
+module.exports = {
+    TEXT_FIELDS,
+    collectPageEvidence,
+    verifyValues,
+    verifyLlmExtraction,
+    getVerificationStats
+};
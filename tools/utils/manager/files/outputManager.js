@@ -3,6 +3,11 @@
 const fs = require('fs');
 const path = require('path');
 const { logError, logWarning } = require('../../logUtil');
+const { resolveStrategy } = require('../../../strategies/registry');
+const { parsePriceText } = require('../../priceParser');
+const { applyPackSize } = require('../../packSize');
+const { applyGtin, flagDuplicateGtins } = require('../../gtin');
+const { applyTaxonomy, recordUnmappedBreadcrumbs } = require('../../taxonomy/taxonomyMapper');
 
 const OUTPUT_DIR = path.resolve(process.cwd(), 'scrapper/output');
 
@@ -51,6 +56,19 @@ function ensureVendorUpdatesDirectoryExists(vendor) {
     return updatesDir;
 }
 
+/**
+ * Ensure vendor reviews directory exists: scrapper/output/<vendor>/reviews
+ */
+function ensureVendorReviewsDirectoryExists(vendor) {
+    const vendorDir = ensureVendorDirectoryExists(vendor);
+    const reviewsDir = path.join(vendorDir, 'reviews');
+    if (!fs.existsSync(reviewsDir)) {
+        fs.mkdirSync(reviewsDir, { recursive: true });
+        console.log(`[OUTPUT-MANAGER] Created reviews directory: ${reviewsDir}`);
+    }
+    return reviewsDir;
+}
+
 /**
  * Generates output filename based on input filename with .output suffix
  * @param {string} inputFileName - Original input file name
@@ -85,6 +103,17 @@ function generateUpdateFileName(inputFileName, index = null) {
     return `${baseName}.update.json`;
 }
 
+/**
+ * Generate reviews file name using .reviews suffix
+ */
+function generateReviewsFileName(inputFileName) {
+    if (!inputFileName) {
+        throw new Error('[OUTPUT-MANAGER] Input filename is required');
+    }
+    const baseName = path.basename(inputFileName, path.extname(inputFileName));
+    return `${baseName}.reviews.json`;
+}
+
 /**
  * Reads existing output file if it exists
  * @param {string} filePath - Path to output file
@@ -262,16 +291,11 @@ function isValidProduct(item) {
 function applyVendorOutputTransform(product) {
     try {
         if (!product || typeof product !== 'object') return product;
-        const vendorName = (product.vendor || '').toString().trim().toLowerCase();
-        // Try load vendor strategy for transformOutput if provided
-        try {
-            if (vendorName === 'superdrug') {
-                const vendorStrategy = require('../../../strategies/superdrug');
-                if (vendorStrategy && typeof vendorStrategy.transformOutput === 'function') {
-                    return vendorStrategy.transformOutput(product);
-                }
-            }
-        } catch { }
+        // Resolve by vendor name first, then by product URL hostname
+        const vendorStrategy = resolveStrategy({ vendor: (product.vendor || '').toString().trim(), url: product.url });
+        if (vendorStrategy && vendorStrategy.transformOutput) {
+            return vendorStrategy.transformOutput(product);
+        }
         return product;
     } catch {
         return product;
@@ -280,7 +304,8 @@ function applyVendorOutputTransform(product) {
 
 /**
  * Converts string prices to numbers for valid products
- * - Strips currency symbols and separators
+ * - Parses locale-formatted price text (see priceParser)
+ * - Fills `currency` from the price text when missing
  * - Normalizes price_history entries
  * @param {Array} products - Array of products to process
  * @returns {Array} Products with numeric price fields
@@ -292,22 +317,23 @@ function convertPricesToNumbers(products) {
 
     const toNumber = (val) => {
         if (typeof val === 'number') return val;
-        if (typeof val === 'string') {
-            const cleaned = val.replace(/[^0-9.\-]/g, '');
-            const n = parseFloat(cleaned);
-            if (!isNaN(n)) return n;
-        }
-        return val;
+        const parsed = parsePriceText(val);
+        return parsed ? parsed.amount : val;
     };
     
     products.forEach(product => {
+        if (!product.currency && typeof product.price === 'string') {
+            const parsed = parsePriceText(product.price);
+            if (parsed && parsed.currency) product.currency = parsed.currency;
+        }
         if (product.price !== undefined) {
             const numericPrice = toNumber(product.price);
             if (typeof numericPrice === 'number') product.price = numericPrice;
         }
-        if (product.original_price !== undefined) {
-            const numericOriginalPrice = toNumber(product.original_price);
-            if (typeof numericOriginalPrice === 'number') product.original_price = numericOriginalPrice;
+        for (const field of ['original_price', 'cost_price', 'sell_price', 'was_price']) {
+            if (product[field] === undefined) continue;
+            const numeric = toNumber(product[field]);
+            if (typeof numeric === 'number') product[field] = numeric;
         }
         // Normalize price_history if present
         if (Array.isArray(product.price_history)) {
@@ -344,7 +370,7 @@ async function appendItemsToOutputFile(outputFilePath, successfulItems, metadata
      
     // Filter items to only include those with valid prices
     const originalCount = successfulItems.length;
-    let validProducts = successfulItems.filter(isValidProduct).map(applyVendorOutputTransform);
+    let validProducts = successfulItems.filter(isValidProduct).map(applyVendorOutputTransform).map(product => applyGtin(product)).map(applyTaxonomy).map(applyPackSize);
     const filteredCount = originalCount - validProducts.length;
     
     // Prices are emitted as numbers by upstream extractors
@@ -412,6 +438,9 @@ async function appendItemsToOutputFile(outputFilePath, successfulItems, metadata
         }
         outputData.items.push(...validProducts);
         
+        // Products sharing a barcode with another product in this file are flagged, not dropped
+        outputData.duplicate_gtin_count = flagDuplicateGtins(outputData.items);
+        
         // Update counters
         outputData.total_items = outputData.items.length;
         outputData.filtered_invalid_count += filteredCount;
@@ -424,6 +453,7 @@ async function appendItemsToOutputFile(outputFilePath, successfulItems, metadata
             fs.writeFileSync(targetFilePath, JSON.stringify(outputData, null, 2), 'utf8');
             
             console.log(`[OUTPUT-MANAGER] Appended ${validProducts.length} items with valid prices to ${path.basename(targetFilePath)} (${outputData.total_items} total)${filteredCount > 0 ? ` [${filteredCount} items filtered out, ${outputData.filtered_invalid_count} total filtered out]` : ''}`);
+            recordUnmappedBreadcrumbs(vendorDir, validProducts);
             
             return {
                 appended: validProducts.length,
@@ -451,7 +481,7 @@ async function appendItemsToUpdateFile(updateFilePath, snapshots, metadata = {})
  
     // Filter and normalize prices
     const originalCount = snapshots.length;
-    let validProducts = snapshots.filter(isValidProduct).map(applyVendorOutputTransform);
+    let validProducts = snapshots.filter(isValidProduct).map(applyVendorOutputTransform).map(product => applyGtin(product)).map(applyTaxonomy).map(applyPackSize);
     const filteredCount = originalCount - validProducts.length;
     // Prices are emitted as numbers by upstream extractors
 
@@ -510,6 +540,7 @@ async function appendItemsToUpdateFile(updateFilePath, snapshots, metadata = {})
         try {
             fs.writeFileSync(targetFilePath, JSON.stringify(outputData, null, 2), 'utf8');
             console.log(`[OUTPUT-MANAGER] Appended ${validProducts.length} updated snapshots to ${path.basename(targetFilePath)} (${outputData.total_items} total)`);
+            recordUnmappedBreadcrumbs(path.dirname(updatesDir), validProducts);
             return {
                 appended: validProducts.length,
                 total: outputData.total_items,
@@ -561,6 +592,37 @@ function createOutputFile(vendor, sourceFile, inputFileName) {
     }
 }
 
+/**
+ * Writes review records to the vendor's reviews stream (reviews/<input>.reviews.json), keyed by product_id.
+ * A product scraped again replaces its previous record.
+ * @param {string} vendor - Vendor name
+ * @param {string} inputFileName - Original input file name
+ * @param {Array} records - Review records ({ product_id, rating, review_count, rating_distribution, reviews, ... })
+ * @returns {Promise<Object>} { written, total, filePath }
+ */
+async function upsertReviews(vendor, inputFileName, records) {
+    const keyed = (records || []).filter(record => record && record.product_id);
+    if (keyed.length === 0) return { written: 0, total: 0, filePath: null };
+    const reviewsDir = ensureVendorReviewsDirectoryExists(vendor);
+    const filePath = path.join(reviewsDir, generateReviewsFileName(inputFileName));
+    return withFileLock(filePath, async () => {
+        try {
+            const data = readExistingOutputFile(filePath) || { vendor, created_at: new Date().toISOString(), products: {} };
+            if (!data.products || typeof data.products !== 'object') data.products = {};
+            for (const record of keyed) data.products[String(record.product_id)] = record;
+            data.updated_at = new Date().toISOString();
+            data.total_products = Object.keys(data.products).length;
+            fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+            console.log(`[OUTPUT-MANAGER] Wrote ${keyed.length} review records to ${path.basename(filePath)} (${data.total_products} products)`);
+            return { written: keyed.length, total: data.total_products, filePath };
+        } catch (err) {
+            console.error(`[OUTPUT-MANAGER] Failed to write reviews file:`, err.message);
+            logError('reviews_file_write_failed', { filePath, error: err.message });
+            throw err;
+        }
+    });
+}
+
 /** Create or return existing update output file in updates/ */
 function createUpdateOutputFile(vendor, sourceFile, inputFileName) {
     const updatesDir = ensureVendorUpdatesDirectoryExists(vendor);
@@ -612,6 +674,30 @@ function getLatestOutputFile(vendor) {
     }
 }
 
+/**
+ * Reads all products from a vendor's output files (`*.output.json`, `*.output_N.json`)
+ * Files are read oldest first; a product appearing again (same product_id or url) replaces the earlier copy.
+ * @param {string} vendor - Vendor name
+ * @returns {Array<Object>} Products
+ */
+function readVendorOutputItems(vendor) {
+    const vendorDir = path.join(OUTPUT_DIR, String(vendor || '').replace(/[^a-zA-Z0-9\-_]/g, '_').toLowerCase());
+    if (!fs.existsSync(vendorDir)) return [];
+    const files = fs.readdirSync(vendorDir)
+        .filter(file => /\.output(?:_\d+)?\.json$/.test(file))
+        .map(file => path.join(vendorDir, file))
+        .sort((a, b) => fs.statSync(a).mtime.getTime() - fs.statSync(b).mtime.getTime());
+    const byKey = new Map();
+    for (const file of files) {
+        const data = readExistingOutputFile(file);
+        for (const item of (data && Array.isArray(data.items)) ? data.items : []) {
+            const key = item && (item.product_id || item.url);
+            if (key) byKey.set(String(key), item);
+        }
+    }
+    return Array.from(byKey.values());
+}
+
 /**
  * Gets summary statistics for a vendor's output (includes all indexed files)
  * @param {string} vendor - Vendor name
@@ -685,14 +771,18 @@ function getVendorSummary(vendor) {
 module.exports = {
     ensureVendorDirectoryExists,
     ensureVendorUpdatesDirectoryExists,
+    ensureVendorReviewsDirectoryExists,
     createOutputFile,
     createUpdateOutputFile,
     appendItemsToOutputFile,
     appendItemsToUpdateFile,
     getLatestOutputFile,
     getVendorSummary,
+    readVendorOutputItems,
     generateOutputFileName,
     generateUpdateFileName,
+    generateReviewsFileName,
+    upsertReviews,
     findCurrentOutputFile,
     findCurrentUpdateFile,
     getNextOutputFileIndex,
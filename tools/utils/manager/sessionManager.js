@@ -1,6 +1,10 @@
 'use strict';
 
 const { withFileLock } = require('./files/pendingManager');
+const { getStagehandModelConfig } = require('../llm/llmRouter');
+
+// Longest a rotation waits for background page tasks; learning steps time out well before this
+const PAGE_TASK_ROTATION_WAIT_MS = 60000;
 
 /**
  * SessionManager - Manages Browserbase session lifecycle with cost optimization
@@ -63,9 +67,9 @@ class SessionManager {
     /**
      * Configure per-page performance optimizations (request blocking), supports reconfiguration
      */
-    async configurePagePerformance(workerSessionManager, options = {}) {
+    async configurePagePerformance(workerSessionManager, options = {}, targetPage = null) {
         try {
-            const page = workerSessionManager.getStagehand().page;
+            const page = targetPage || workerSessionManager.getStagehand().page;
             if (!page) return;
 
             // Resolve desired config with proxy-aware image blocking
@@ -145,6 +149,18 @@ class SessionManager {
         }
     }
 
+    /**
+     * Open an extra page in the worker's browser context, configured like the main page
+     * Used for background work (selector learning) that must not navigate the extraction page.
+     * Stagehand wraps context pages, so observe/extract/act work on it. The caller closes it.
+     */
+    async openExtraPage(workerSessionManager) {
+        const stagehandInst = workerSessionManager.getStagehand();
+        const page = await stagehandInst.context.newPage();
+        await this.configurePagePerformance(workerSessionManager, {}, page);
+        return page;
+    }
+
     /**
      * Add session ID to pool for reuse
      */
@@ -245,8 +261,8 @@ class SessionManager {
             apiKey: process.env.BROWSERBASE_API_KEY,
             projectId: process.env.BROWSERBASE_PROJECT_ID,
             waitForCaptchaSolves: true,
-            modelName: process.env.MODEL_TYPE || 'google/gemini-2.0-flash',
-            modelClientOptions: { apiKey: process.env.GOOGLE_API_KEY },
+            // Default model; extract/observe calls pick per-vendor/per-field models through the LLM router
+            ...getStagehandModelConfig(),
             domSettleTimeoutMs: 3000, // Wait longer for DOM to settle
         };
         if (local) {
@@ -353,6 +369,8 @@ class SessionManager {
         let currentSessionId = null;
         let rotationCount = 0;
         let buffer = { outputPath: null, sourceFile: null, processingFilePath: null, items: [] };
+        // Background work on extra pages of this session (selector learning), settled before rotation
+        const pageTasks = new Set();
 
 
         const sessionManager = {
@@ -371,6 +389,12 @@ class SessionManager {
                 buffer.items.push(item);
             },
             clearBuffer: () => { buffer.items = []; },
+            trackPageTask: (task) => {
+                const settled = Promise.resolve(task).catch(() => { });
+                pageTasks.add(settled);
+                settled.then(() => pageTasks.delete(settled));
+                return task;
+            },
             flushBuffer: async () => {
                 if (!buffer || !Array.isArray(buffer.items) || buffer.items.length === 0) return;
                 await appendBatchToOutputFn(
@@ -389,6 +413,14 @@ class SessionManager {
                 }
                 console.log(`[SESSION ${workerId}] Rotating session due to: ${reason}`);
                 rotating = (async () => {
+                    if (pageTasks.size > 0) {
+                        // Closing the session would close their pages mid-task
+                        console.log(`[SESSION ${workerId}] Waiting for ${pageTasks.size} background page task(s) before rotating...`);
+                        let timer = null;
+                        const timeout = new Promise(resolve => { timer = setTimeout(resolve, PAGE_TASK_ROTATION_WAIT_MS); });
+                        await Promise.race([Promise.all(Array.from(pageTasks)), timeout]);
+                        clearTimeout(timer);
+                    }
 
                     try {
                         // Extract session ID before closing for potential reuse
@@ -50,9 +50,25 @@ function toProcessingItemFromBaseline(vendor, snapshot) {
     return { url, vendor, image_url, sku };
 }
 
+// Fields derived from the scraped price; extracted and refreshed together with `price`
+const PRICE_DERIVED_FIELDS = ['cost_price', 'sell_price', 'original_price', 'currency', 'was_price', 'discount_percent', 'promotion'];
+// Left out of a product whose page shows no offer, so a refreshed price without them ends the old offer
+const PROMOTION_FIELDS = ['was_price', 'discount_percent', 'promotion'];
+
+/**
+ * Update fields with the price-derived fields added when `price` is among them
+ * @param {Array<string>} fields
+ * @returns {Array<string>}
+ */
+function withPriceDerivedFields(fields) {
+    const list = Array.isArray(fields) ? fields : [];
+    return list.includes('price') ? Array.from(new Set([...list, ...PRICE_DERIVED_FIELDS])) : list;
+}
+
 function applyFieldUpdates(original, fresh, updateFields) {
     const updated = { ...original };
-    const fields = Array.isArray(updateFields) && updateFields.length > 0 ? updateFields : Object.keys(fresh || {});
+    const fields = withPriceDerivedFields(Array.isArray(updateFields) && updateFields.length > 0 ? updateFields : Object.keys(fresh || {}));
+    const priceRefreshed = fields.includes('price') && fresh && fresh.price !== undefined;
     for (const f of fields) {
         if (f === 'vendor' || f === 'product_id') continue;
         if (fresh && fresh[f] !== undefined) {
@@ -61,6 +77,19 @@ function applyFieldUpdates(original, fresh, updateFields) {
             } else {
                 updated[f] = fresh[f];
             }
+        } else if (priceRefreshed && PROMOTION_FIELDS.includes(f)) {
+            delete updated[f];
+        }
+    }
+    // Carry provenance for the refreshed fields, keep the original entries for the rest
+    if (fresh && fresh._provenance && typeof fresh._provenance === 'object') {
+        const freshProvenance = {};
+        for (const f of fields) {
+            if (fresh._provenance[f]) freshProvenance[f] = fresh._provenance[f];
+        }
+        updated._provenance = { ...(original && original._provenance ? original._provenance : {}), ...freshProvenance };
+        for (const f of PROMOTION_FIELDS) {
+            if (updated[f] === undefined) delete updated._provenance[f];
         }
     }
     const nowIso = new Date().toISOString();
@@ -212,6 +241,7 @@ module.exports = {
     loadVendorUpdateConfig,
     buildBaselineForVendor,
     toProcessingItemFromBaseline,
+    withPriceDerivedFields,
     applyFieldUpdates,
     mergeSnapshots,
     prepareUpdateModeIfNeeded
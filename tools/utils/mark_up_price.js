@@ -1,3 +1,5 @@
+const { parseAmount } = require('./priceParser');
+
 const priceMarkupRules = [
     {"lower": 500, "upper": 9000000000, "markup": 100},  // Testing Strategy
     {"lower": 500, "upper": 9000000000, "markup": 20},
@@ -43,19 +45,10 @@ const toNumber = (val) => {
     }
     return null;
 };
-// Helper function to extract numeric price from price text
+// Helper function to extract numeric price from price text (see priceParser for locale handling)
 function parsePrice(priceText) {
 	if (!priceText || typeof priceText !== 'string') return null;
-	
-	// Remove currency symbols and extra whitespace
-	const cleanedPrice = priceText.replace(/[£$€¥₹₽¢₩₪₦₡₵₴₸₺₼₾﷼]]/g, '').replace(/[^\d.,]/g, '').trim();
-	
-	// Handle different decimal separators
-	let numericPrice = cleanedPrice.replace(/,/g, '.');
-	
-	// Parse as float
-	const parsed = parseFloat(numericPrice);
-	return isNaN(parsed) ? null : parsed;
+	return parseAmount(priceText);
 }
 
 module.exports = {
@@ -0,0 +1,116 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+/**
+ * SQLite store for cross-vendor product matches
+ * DB path: scrapper/output/matches.sqlite (MATCHES_DB_PATH)
+ * Schema:
+ *   matches(vendor_a TEXT, product_id_a TEXT, vendor_b TEXT, product_id_b TEXT, group_id TEXT,
+ *           method TEXT, confidence REAL, details TEXT, run_id TEXT, created_at TEXT,
+ *           PRIMARY KEY (vendor_a, product_id_a, vendor_b, product_id_b))
+ *   runs(run_id TEXT PRIMARY KEY, vendors TEXT, products INTEGER, matches INTEGER, groups_count INTEGER,
+ *        started_at TEXT, finished_at TEXT)
+ * vendor_a sorts before vendor_b. A run replaces the matches between the vendors it covered.
+ */
+class MatchStoreSqlite {
+    constructor(dbPath) {
+        this.dbPath = dbPath;
+        fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        this.db = new Database(dbPath);
+        try { this.db.pragma('journal_mode = WAL'); } catch { }
+        try { this.db.pragma('synchronous = NORMAL'); } catch { }
+        this._ensureSchema();
+    }
+
+    _ensureSchema() {
+        this.db.prepare(`
+            CREATE TABLE IF NOT EXISTS matches (
+                vendor_a TEXT NOT NULL,
+                product_id_a TEXT NOT NULL,
+                vendor_b TEXT NOT NULL,
+                product_id_b TEXT NOT NULL,
+                group_id TEXT,
+                method TEXT,
+                confidence REAL,
+                details TEXT,
+                run_id TEXT,
+                created_at TEXT,
+                PRIMARY KEY (vendor_a, product_id_a, vendor_b, product_id_b)
+            )
+        `).run();
+        this.db.prepare(`CREATE INDEX IF NOT EXISTS idx_matches_group ON matches(group_id)`).run();
+        this.db.prepare(`CREATE INDEX IF NOT EXISTS idx_matches_b ON matches(vendor_b, product_id_b)`).run();
+        this.db.prepare(`
+            CREATE TABLE IF NOT EXISTS runs (
+                run_id TEXT PRIMARY KEY,
+                vendors TEXT,
+                products INTEGER,
+                matches INTEGER,
+                groups_count INTEGER,
+                started_at TEXT,
+                finished_at TEXT
+            )
+        `).run();
+    }
+
+    /**
+     * Replace all matches between the given vendors with a run's results
+     * @param {Object} run - { run_id, vendors, products, groups_count, started_at }
+     * @param {Array<Object>} rows - { vendor_a, product_id_a, vendor_b, product_id_b, group_id, method, confidence, details }
+     */
+    replaceMatches(run, rows) {
+        const vendors = run.vendors || [];
+        const placeholders = vendors.map(() => '?').join(', ');
+        const del = this.db.prepare(`DELETE FROM matches WHERE vendor_a IN (${placeholders}) AND vendor_b IN (${placeholders})`);
+        const insert = this.db.prepare(`
+            INSERT OR REPLACE INTO matches(vendor_a, product_id_a, vendor_b, product_id_b, group_id, method, confidence, details, run_id, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        const now = new Date().toISOString();
+        const tx = this.db.transaction(() => {
+            if (vendors.length > 0) del.run(...vendors, ...vendors);
+            for (const row of rows) {
+                insert.run(row.vendor_a, row.product_id_a, row.vendor_b, row.product_id_b, row.group_id, row.method,
+                    row.confidence, JSON.stringify(row.details || {}), run.run_id, now);
+            }
+            this.db.prepare(`
+                INSERT OR REPLACE INTO runs(run_id, vendors, products, matches, groups_count, started_at, finished_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `).run(run.run_id, vendors.join(','), run.products || 0, rows.length, run.groups_count || 0, run.started_at || now, now);
+        });
+        tx();
+    }
+
+    /**
+     * Matches for one product, in either direction
+     * @param {string} vendor
+     * @param {string} productId
+     * @returns {Array<Object>}
+     */
+    getMatchesFor(vendor, productId) {
+        return this.db.prepare(`
+            SELECT * FROM matches WHERE (vendor_a = ? AND product_id_a = ?) OR (vendor_b = ? AND product_id_b = ?)
+            ORDER BY confidence DESC
+        `).all(vendor, productId, vendor, productId).map(row => ({ ...row, details: JSON.parse(row.details || '{}') }));
+    }
+
+    countByMethod() {
+        return this.db.prepare('SELECT method, COUNT(*) AS count FROM matches GROUP BY method').all();
+    }
+
+    close() {
+        try { this.db.close(); } catch { }
+    }
+}
+
+function getDefaultDbPath(outputDir) {
+    return process.env.MATCHES_DB_PATH ? path.resolve(process.env.MATCHES_DB_PATH) : path.join(outputDir, 'matches.sqlite');
+}
+
+module.exports = {
+    MatchStoreSqlite,
+    getDefaultDbPath
+};
@@ -0,0 +1,298 @@
+'use strict';
+
+const { parsePackSize } = require('../packSize');
+const { normalizeGtin } = require('../gtin');
+const { parseAmount } = require('../priceParser');
+
+/**
+ * Cross-vendor product matching
+ * Links the same product across vendor outputs:
+ *   1. GTIN: identical valid GTIN-14 (confidence 1)
+ *   2. Fuzzy: same normalized brand, similar name tokens and a compatible pack size
+ * Each product is matched at most once per other vendor (best confidence first), and
+ * pairwise matches are joined into groups spanning all vendors, at most one product per vendor.
+ *
+ * Fuzzy confidence = 0.6 * name similarity + 0.25 * size agreement + 0.15 * brand agreement,
+ * capped at 0.95 so it never reads as certain as a GTIN match.
+ * Products whose pack sizes both parse but differ by more than 5% never match. When either pack
+ * size is unknown, sizes cannot rule out a different variant, so the names alone must be nearly
+ * identical (MATCH_NO_SIZE_MIN_NAME_SIMILARITY, default 0.9). Numbers left in the names once sizes
+ * are removed are shade or variant numbers ("Lipstick 999"); products whose numbers differ never match.
+ */
+
+const DEFAULT_MIN_CONFIDENCE = 0.75;
+const SIZE_TOLERANCE = 0.05;
+const FUZZY_MAX_CONFIDENCE = 0.95;
+const NO_SIZE_MIN_NAME_SIMILARITY = Number(process.env.MATCH_NO_SIZE_MIN_NAME_SIMILARITY) || 0.9;
+
+const STOPWORDS = new Set(['the', 'and', 'with', 'for', 'of', 'in', 'a', 'an', 'by', 'new', 'pack', 'x']);
+// Size and count tokens are compared through pack_size, not as name tokens
+const SIZE_TOKEN_RX = /\b\d+(?:[.,]\d+)?\s?(?:ml|l|cl|g|kg|mg|oz|fl\.?\s?oz|pk|pack|x)\b|\b\d+\s?x\s?\d+(?:[.,]\d+)?\s?\w*|\bpack of \d+\b/gi;
+
+function normalizeText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9.,\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * @param {string} brand
+ * @returns {string} Lowercase brand without punctuation or spaces ("L'Oréal Paris" -> "lorealparis")
+ */
+function normalizeBrand(brand) {
+    return normalizeText(brand).replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Name tokens used for similarity: brand words, sizes and stopwords removed; shade and
+ * variant numbers are kept
+ * @param {string} name
+ * @param {string} [brand]
+ * @returns {Array<string>}
+ */
+function nameTokens(name, brand = '') {
+    let text = normalizeText(name).replace(SIZE_TOKEN_RX, ' ');
+    const brandText = normalizeText(brand);
+    if (brandText) text = ` ${text} `.replace(` ${brandText} `, ' ');
+    return Array.from(new Set(text.replace(/[.,]/g, ' ').split(/\s+/)
+        .filter(token => token && !STOPWORDS.has(token))));
+}
+
+function numericTokens(tokens) {
+    return tokens.filter(token => /^\d+$/.test(token)).sort().join(' ');
+}
+
+/**
+ * Dice coefficient over tokens, with prefix matches ("moisturiser"/"moisturising") counted as half
+ * @param {Array<string>} a
+ * @param {Array<string>} b
+ * @returns {number} 0..1
+ */
+function tokenSimilarity(a, b) {
+    if (!a.length || !b.length) return 0;
+    const setB = new Set(b);
+    let score = 0;
+    for (const token of a) {
+        if (setB.has(token)) score += 1;
+        else if (token.length >= 5 && b.some(other => other.length >= 5 && other.slice(0, 5) === token.slice(0, 5))) score += 0.5;
+    }
+    return Math.min(1, (2 * score) / (a.length + b.length));
+}
+
+function sizeOf(product) {
+    if (product.pack_size && product.pack_size.total_base_units > 0) return product.pack_size;
+    return parsePackSize(typeof product.weight === 'string' ? product.weight : '') ||
+        parsePackSize(typeof product.name === 'string' ? product.name : '');
+}
+
+/**
+ * @returns {number|null} 1 when sizes agree, 0 when they conflict, null when either is unknown
+ */
+function sizeAgreement(a, b) {
+    if (!a || !b) return null;
+    if (a.base_unit !== b.base_unit) return 0;
+    const larger = Math.max(a.total_base_units, b.total_base_units);
+    return Math.abs(a.total_base_units - b.total_base_units) / larger <= SIZE_TOLERANCE ? 1 : 0;
+}
+
+/**
+ * Reduce an output product to the fields matching and the price report need
+ * @param {string} vendor
+ * @param {Object} product
+ * @returns {Object}
+ */
+function toCandidate(vendor, product) {
+    const brand = product.brand || product.designer || '';
+    const gtin = normalizeGtin(product.gtin || product.ean_code);
+    const tokens = nameTokens(product.name, brand);
+    // Retailer price only: `price` is the marked-up sell price
+    const costPrice = [product.cost_price, product.original_price]
+        .map(value => (typeof value === 'number' ? value : parseAmount(value)))
+        .find(value => value !== null && value > 0);
+    return {
+        vendor,
+        product_id: String(product.product_id || product.url || ''),
+        name: product.name || '',
+        url: product.url || '',
+        brand,
+        brandKey: normalizeBrand(brand),
+        tokens,
+        numbers: numericTokens(tokens),
+        gtin: gtin && gtin.valid ? gtin.gtin : null,
+        size: sizeOf(product),
+        price: costPrice !== undefined ? costPrice : null,
+        currency: product.currency || null,
+        price_per_unit: product.price_per_unit !== undefined ? product.price_per_unit : null,
+        price_per_unit_basis: product.price_per_unit_basis || null,
+        stock_status: product.stock_status || null
+    };
+}
+
+/**
+ * Fuzzy score for two products of different vendors
+ * @returns {{confidence: number, details: Object}|null} null when they cannot be the same product, or
+ *   when a pack size is unknown and the names are not close enough to link without it
+ */
+function scorePair(a, b) {
+    if (a.brandKey && b.brandKey && a.brandKey !== b.brandKey) return null;
+    if (a.numbers !== b.numbers) return null;
+    const size = sizeAgreement(a.size, b.size);
+    if (size === 0) return null;
+    const name = tokenSimilarity(a.tokens, b.tokens);
+    if (size === null && name < NO_SIZE_MIN_NAME_SIMILARITY) return null;
+    const brand = a.brandKey && b.brandKey ? 1 : 0.5;
+    const confidence = 0.6 * name + 0.25 * (size === null ? 0.5 : size) + 0.15 * brand;
+    return {
+        confidence: Math.min(FUZZY_MAX_CONFIDENCE, Math.round(confidence * 1000) / 1000),
+        details: { name_similarity: Math.round(name * 1000) / 1000, size_match: size, brand_match: brand === 1 }
+    };
+}
+
+// Fuzzy candidates share the brand or one of the first two name tokens
+function blockKeys(candidate) {
+    const keys = candidate.tokens.slice(0, 2).map(token => `t:${token}`);
+    return candidate.brandKey ? [`b:${candidate.brandKey}`, ...keys] : keys;
+}
+
+/**
+ * Match two vendors' candidates one-to-one
+ * @param {Array<Object>} left - Output of toCandidate
+ * @param {Array<Object>} right
+ * @param {Object} options
+ * @param {number} [options.minConfidence]
+ * @returns {Array<{a: Object, b: Object, method: string, confidence: number, details: Object}>}
+ */
+function matchVendorPair(left, right, { minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) {
+    const proposals = [];
+
+    const rightByGtin = new Map();
+    for (const b of right) if (b.gtin && !rightByGtin.has(b.gtin)) rightByGtin.set(b.gtin, b);
+    for (const a of left) {
+        const b = a.gtin ? rightByGtin.get(a.gtin) : null;
+        if (b) proposals.push({ a, b, method: 'gtin', confidence: 1, details: { gtin: a.gtin } });
+    }
+
+    const blocks = new Map();
+    for (const b of right) {
+        for (const key of blockKeys(b)) {
+            if (!blocks.has(key)) blocks.set(key, []);
+            blocks.get(key).push(b);
+        }
+    }
+    for (const a of left) {
+        const seen = new Set();
+        for (const key of blockKeys(a)) {
+            for (const b of blocks.get(key) || []) {
+                if (seen.has(b)) continue;
+                seen.add(b);
+                // Conflicting valid GTINs are different products
+                if (a.gtin && b.gtin && a.gtin !== b.gtin) continue;
+                const scored = scorePair(a, b);
+                if (scored && scored.confidence >= minConfidence) {
+                    proposals.push({ a, b, method: 'fuzzy', confidence: scored.confidence, details: scored.details });
+                }
+            }
+        }
+    }
+
+    // Greedy one-to-one assignment, GTIN matches first
+    proposals.sort((x, y) => (y.method === 'gtin') - (x.method === 'gtin') || y.confidence - x.confidence);
+    const usedA = new Set();
+    const usedB = new Set();
+    const matches = [];
+    for (const proposal of proposals) {
+        if (usedA.has(proposal.a) || usedB.has(proposal.b)) continue;
+        usedA.add(proposal.a);
+        usedB.add(proposal.b);
+        matches.push(proposal);
+    }
+    return matches;
+}
+
+/**
+ * Match products across all vendors and group them
+ * @param {Object<string, Array<Object>>} productsByVendor - vendor -> output products
+ * @param {Object} options - See matchVendorPair
+ * @returns {{candidates: Object<string, Array<Object>>, matches: Array<Object>, groups: Array<Array<Object>>, conflicts: Array<Object>}}
+ *   groups are arrays of candidates (at most one per vendor) linked by matches; conflicts are
+ *   matches left out because they would put two products of one vendor in a group
+ */
+function matchAcrossVendors(productsByVendor, options = {}) {
+    const vendors = Object.keys(productsByVendor).sort();
+    const candidates = {};
+    for (const vendor of vendors) {
+        candidates[vendor] = (productsByVendor[vendor] || [])
+            .filter(product => product && (product.name || product.gtin))
+            .map(product => toCandidate(vendor, product))
+            .filter(candidate => candidate.product_id);
+    }
+
+    const proposed = [];
+    for (let i = 0; i < vendors.length; i++) {
+        for (let j = i + 1; j < vendors.length; j++) {
+            proposed.push(...matchVendorPair(candidates[vendors[i]], candidates[vendors[j]], options));
+        }
+    }
+
+    // Union-find over matched candidates, strongest matches first. A->B and B->C pairs can chain
+    // two products of one vendor (A and C) together; the weaker link is left out as a conflict.
+    proposed.sort((x, y) => (y.method === 'gtin') - (x.method === 'gtin') || y.confidence - x.confidence);
+    const parent = new Map();
+    const vendorsOf = new Map(); // root -> vendors in its group
+    const find = (node) => {
+        while (parent.get(node) !== node) {
+            parent.set(node, parent.get(parent.get(node)));
+            node = parent.get(node);
+        }
+        return node;
+    };
+    const matches = [];
+    const conflicts = [];
+    for (const match of proposed) {
+        for (const node of [match.a, match.b]) {
+            if (!parent.has(node)) {
+                parent.set(node, node);
+                vendorsOf.set(node, new Set([node.vendor]));
+            }
+        }
+        const rootA = find(match.a);
+        const rootB = find(match.b);
+        if (rootA !== rootB) {
+            const vendorsA = vendorsOf.get(rootA);
+            const vendorsB = vendorsOf.get(rootB);
+            if (Array.from(vendorsB).some(vendor => vendorsA.has(vendor))) {
+                conflicts.push(match);
+                continue;
+            }
+            parent.set(rootB, rootA);
+            for (const vendor of vendorsB) vendorsA.add(vendor);
+            vendorsOf.delete(rootB);
+        }
+        matches.push(match);
+    }
+    const groupsByRoot = new Map();
+    for (const node of parent.keys()) {
+        const root = find(node);
+        if (!groupsByRoot.has(root)) groupsByRoot.set(root, []);
+        groupsByRoot.get(root).push(node);
+    }
+    // Products whose only matches were conflicts stay ungrouped
+    const groups = Array.from(groupsByRoot.values()).filter(group => group.length > 1);
+    return { candidates, matches, groups, conflicts };
+}
+
+module.exports = {
+    DEFAULT_MIN_CONFIDENCE,
+    normalizeBrand,
+    nameTokens,
+    tokenSimilarity,
+    toCandidate,
+    scorePair,
+    matchVendorPair,
+    matchAcrossVendors
+};
@@ -0,0 +1,145 @@
+'use strict';
+
+const { parseAmount } = require('./priceParser');
+
+/**
+ * Pack size normalization
+ * Parses free-text pack sizes ("500g", "2x100ml", "Pack of 3", "30 Tablets") into
+ *   { quantity, unit, multipack_count, total_base_units, base_unit }
+ * where total_base_units is expressed in grams, millilitres or items, and derives a
+ * comparable unit price (per 100g / 100ml / item) from the product's sell price.
+ * Milligram values are treated as strength ("1000mg"), not pack size.
+ */
+
+// unit -> [base unit, factor to base]
+const UNITS = {
+    g: ['g', 1],
+    kg: ['g', 1000],
+    oz: ['g', 28.3495],
+    lb: ['g', 453.592],
+    ml: ['ml', 1],
+    cl: ['ml', 10],
+    l: ['ml', 1000],
+    fl_oz: ['ml', 29.5735],
+    count: ['count', 1]
+};
+
+// Longest spellings first so "fl oz" is not read as "oz" and "kg" not as "g"
+const UNIT_ALIASES = [
+    ['fl\\.?\\s?oz', 'fl_oz'],
+    ['kilograms?|kgs?', 'kg'],
+    ['grams?|gr|g', 'g'],
+    ['millilitres?|milliliters?|ml', 'ml'],
+    ['centilitres?|cl', 'cl'],
+    ['litres?|liters?|ltrs?|l', 'l'],
+    ['ounces?|oz', 'oz'],
+    ['lbs?', 'lb']
+];
+const UNIT_RX = UNIT_ALIASES.map(([pattern]) => pattern).join('|');
+const NUM = '(\\d+(?:[.,]\\d+)?)';
+const COUNT_WORDS = 'pack|pk|tablets?|capsules?|caplets?|softgels?|sachets?|tea ?bags|bags|pieces|pcs|count|ct|wipes|pads|rolls|pairs|pods|bars|cans|bottles';
+
+function toUnit(token) {
+    const text = String(token || '').toLowerCase();
+    for (const [pattern, unit] of UNIT_ALIASES) {
+        if (new RegExp(`^(?:${pattern})$`).test(text)) return unit;
+    }
+    return null;
+}
+
+function toNumber(token) {
+    const n = Number(String(token).replace(',', '.'));
+    return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function build(quantity, unit, multipackCount) {
+    if (!quantity || !UNITS[unit]) return null;
+    const [baseUnit, factor] = UNITS[unit];
+    const multipack = multipackCount && multipackCount > 1 ? multipackCount : 1;
+    return {
+        quantity,
+        unit,
+        multipack_count: multipack,
+        total_base_units: Math.round(quantity * multipack * factor * 100) / 100,
+        base_unit: baseUnit
+    };
+}
+
+/**
+ * Parse pack size text
+ * @param {string} text - e.g. "500g", "2 x 100ml", "100ml x 2", "Pack of 3", "30 Tablets"
+ * @returns {{quantity: number, unit: string, multipack_count: number, total_base_units: number, base_unit: string}|null}
+ */
+function parsePackSize(text) {
+    if (typeof text !== 'string' || !text.trim()) return null;
+    const s = text.toLowerCase().replace(/×/g, 'x').replace(/\s+/g, ' ');
+
+    // "2x100ml", "2 x 100 ml"
+    let m = s.match(new RegExp(`(\\d+)\\s?x\\s?${NUM}\\s?(${UNIT_RX})\\b`));
+    if (m) return build(toNumber(m[2]), toUnit(m[3]), toNumber(m[1]));
+
+    // "100ml x 2"
+    m = s.match(new RegExp(`${NUM}\\s?(${UNIT_RX})\\s?x\\s?(\\d+)\\b`));
+    if (m) return build(toNumber(m[1]), toUnit(m[2]), toNumber(m[3]));
+
+    const packOf = s.match(/\bpack of (\d+)\b/) || s.match(/\b(\d+)\s?(?:pack|pk)\b/);
+    const packCount = packOf ? toNumber(packOf[1]) : (/\b(twin|duo) ?pack\b/.test(s) ? 2 : (/\btriple ?pack\b/.test(s) ? 3 : null));
+
+    // "500g", "1.5 l"; "Pack of 3 ... 100ml" makes it a multipack
+    m = s.match(new RegExp(`(?:^|[^\\d.,])${NUM}\\s?(${UNIT_RX})\\b`));
+    if (m) return build(toNumber(m[1]), toUnit(m[2]), packCount);
+
+    // Item counts: "Pack of 3", "30 Tablets", "24 pack"
+    if (packCount) return build(packCount, 'count', 1);
+    m = s.match(new RegExp(`\\b(\\d+)\\s?(?:${COUNT_WORDS})\\b`));
+    if (m) return build(toNumber(m[1]), 'count', 1);
+
+    return null;
+}
+
+/**
+ * Unit price for a parsed pack size
+ * @param {number} price
+ * @param {Object} packSize - Output of parsePackSize
+ * @returns {{price_per_unit: number, price_per_unit_basis: string}|null} basis is '100g', '100ml' or 'item'
+ */
+function computePricePerUnit(price, packSize) {
+    if (!packSize || !(price > 0) || !(packSize.total_base_units > 0)) return null;
+    if (packSize.base_unit === 'count') {
+        return { price_per_unit: Math.round(price / packSize.total_base_units * 100) / 100, price_per_unit_basis: 'item' };
+    }
+    return {
+        price_per_unit: Math.round(price / packSize.total_base_units * 100 * 100) / 100,
+        price_per_unit_basis: `100${packSize.base_unit}`
+    };
+}
+
+/**
+ * Output pipeline step: add `pack_size` and the unit price (from the sell price) to a product.
+ * `weight` is parsed first, the product name when `weight` is empty or unparseable.
+ * @param {Object} product
+ * @returns {Object}
+ */
+function applyPackSize(product) {
+    try {
+        if (!product || typeof product !== 'object') return product;
+        const weight = typeof product.weight === 'string' ? product.weight : '';
+        const packSize = parsePackSize(weight) || parsePackSize(typeof product.name === 'string' ? product.name : '');
+        if (!packSize) return product;
+        const next = { ...product, pack_size: packSize };
+        const sellPrice = product.sell_price !== undefined ? product.sell_price : product.price;
+        const price = typeof sellPrice === 'number' ? sellPrice : parseAmount(sellPrice);
+        const unitPrice = computePricePerUnit(price, packSize);
+        if (unitPrice) Object.assign(next, unitPrice);
+        return next;
+    } catch {
+        return product;
+    }
+}
+
+module.exports = {
+    UNITS,
+    parsePackSize,
+    computePricePerUnit,
+    applyPackSize
+};
@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * Locale-aware price parsing
+ * Turns displayed price text into { amount, currency, raw }:
+ *   "£1,299.00"           -> { amount: 1299, currency: 'GBP' }
+ *   "1.299,00 €"          -> { amount: 1299, currency: 'EUR' }
+ *   "£5 - £9"             -> { amount: 5, currency: 'GBP', min: 5, max: 9, is_range: true }
+ *   "From £12.50"         -> { amount: 12.5, currency: 'GBP', is_from: true }
+ *   "£3.00 each"          -> { amount: 3, currency: 'GBP', unit: 'each' }
+ *   "Was £10 Now £7.50"   -> { amount: 7.5, currency: 'GBP' }
+ *   "99p"                 -> { amount: 0.99, currency: 'GBP' }
+ *   "3 for £10"           -> { amount: 10, currency: 'GBP' }
+ * The price is the first number next to a currency symbol or code (or with a pence/cents suffix);
+ * the first number is only used when none carries a currency marker. Unit prices in brackets
+ * ("£4.50 (£2.25 per 100ml)") are ignored.
+ */
+
+// Longest tokens first so "US$" wins over "$"
+const CURRENCY_TOKENS = [
+    ['US$', 'USD'], ['AU$', 'AUD'], ['A$', 'AUD'], ['CA$', 'CAD'], ['C$', 'CAD'], ['NZ$', 'NZD'],
+    ['HK$', 'HKD'], ['S$', 'SGD'], ['R$', 'BRL'], ['zł', 'PLN'], ['Kč', 'CZK'], ['CHF', 'CHF'],
+    ['£', 'GBP'], ['€', 'EUR'], ['$', 'USD'], ['¥', 'JPY'], ['₹', 'INR'], ['₽', 'RUB'], ['₩', 'KRW'],
+    ['₪', 'ILS'], ['₦', 'NGN'], ['₺', 'TRY'], ['₴', 'UAH'], ['₱', 'PHP'], ['฿', 'THB'], ['₫', 'VND']
+];
+const ISO_CODES = ['GBP', 'EUR', 'USD', 'AUD', 'CAD', 'NZD', 'HKD', 'SGD', 'BRL', 'PLN', 'CZK', 'CHF', 'JPY', 'CNY', 'INR',
+    'RUB', 'KRW', 'ILS', 'NGN', 'TRY', 'UAH', 'PHP', 'THB', 'VND', 'SEK', 'NOK', 'DKK', 'AED', 'SAR', 'ZAR', 'MXN'];
+
+const escapeRx = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const SYMBOLS = CURRENCY_TOKENS.map(([token]) => escapeRx(token)).join('|');
+const MARKERS = `${SYMBOLS}|${ISO_CODES.join('|')}`;
+// Currency symbol or code directly before / after a number (codes as whole words)
+const MARKER_BEFORE_RX = new RegExp(`(?:${SYMBOLS}|(?<![A-Z])(?:${ISO_CODES.join('|')}))\\s?$`);
+const MARKER_AFTER_RX = new RegExp(`^\\s?(?:${SYMBOLS}|(?:${ISO_CODES.join('|')})(?![A-Z]))`);
+
+const THOUSANDS_SPACES = /[\s   ']/g;
+// Space-grouped numbers followed by a currency marker ("1 299,95 €"), then numbers grouped with
+// "," "." or "'" ("1,299.00", "1'299"), then plain decimals. Spaces alone never group ("£5 100ml").
+const NUMBER_RX = new RegExp(
+    `\\d{1,3}(?:[ \\u00a0\\u202f\\u2009]\\d{3})+(?:[.,]\\d+)?(?=\\s?(?:${MARKERS}))` +
+    `|\\d{1,3}(?:['.,]\\d{3})+(?:[.,]\\d+)?|\\d+(?:[.,]\\d+)?`, 'g');
+
+function detectCurrency(text) {
+    const upper = text.toUpperCase();
+    for (const code of ISO_CODES) {
+        if (new RegExp(`(^|[^A-Z])${code}([^A-Z]|$)`).test(upper)) return code;
+    }
+    for (const [token, code] of CURRENCY_TOKENS) {
+        if (text.includes(token)) return code;
+    }
+    return null;
+}
+
+/**
+ * Normalize one numeric token using its separators
+ * @param {string} token - e.g. "1,299.00", "1.299,00", "1 299,5", "12,50"
+ * @returns {number|null}
+ */
+function normalizeNumber(token) {
+    let s = String(token || '').replace(THOUSANDS_SPACES, '');
+    if (!s) return null;
+    const lastDot = s.lastIndexOf('.');
+    const lastComma = s.lastIndexOf(',');
+    if (lastDot >= 0 && lastComma >= 0) {
+        // Both present: the last one is the decimal separator
+        const decimal = lastDot > lastComma ? '.' : ',';
+        const thousands = decimal === '.' ? ',' : '.';
+        s = s.split(thousands).join('').replace(decimal, '.');
+    } else if (lastDot >= 0 || lastComma >= 0) {
+        const sep = lastDot >= 0 ? '.' : ',';
+        const parts = s.split(sep);
+        const tail = parts[parts.length - 1];
+        // Repeated separator or a 3-digit group after a non-zero lead is a thousands separator
+        const isThousands = parts.length > 2 || (tail.length === 3 && parts[0] !== '0' && parts[0] !== '');
+        s = isThousands ? parts.join('') : `${parts.slice(0, -1).join('')}.${tail}`;
+    }
+    const n = Number(s);
+    return Number.isFinite(n) ? n : null;
+}
+
+// Numeric tokens with their position, excluding bracketed unit prices
+function findAmounts(text) {
+    const bracketed = [];
+    const rx = /\(([^)]*)\)/g;
+    let m;
+    while ((m = rx.exec(text)) !== null) bracketed.push([m.index, m.index + m[0].length]);
+    const out = [];
+    NUMBER_RX.lastIndex = 0;
+    while ((m = NUMBER_RX.exec(text)) !== null) {
+        const start = m.index;
+        if (bracketed.some(([a, b]) => start >= a && start < b)) continue;
+        const token = m[0].replace(/[.,\s ']+$/, '');
+        const amount = normalizeNumber(token);
+        if (amount === null) continue;
+        // Pence / cents suffix ("99p", "45c")
+        const end = start + token.length;
+        const after = text.slice(end, end + 1);
+        const minor = /^[pc]$/i.test(after) && !/[.,]/.test(token);
+        // Currency symbol or code next to the number ("£10", "10 EUR")
+        // A few characters more than the longest marker, so codes inside words ("entry 5") are not markers
+        const before = text.slice(Math.max(0, start - 8), start);
+        const following = text.slice(end, end + 5);
+        const marked = minor || [before, before.toUpperCase()].some(t => MARKER_BEFORE_RX.test(t)) ||
+            [following, following.toUpperCase()].some(t => MARKER_AFTER_RX.test(t));
+        out.push({ amount: minor ? amount / 100 : amount, index: start, minor, marked });
+    }
+    return out;
+}
+
+/**
+ * Parse a displayed price
+ * @param {string|number} input - Price text or number
+ * @param {Object} options
+ * @param {string|null} [options.defaultCurrency] - ISO code used when the text has no currency marker
+ * @returns {{amount: number, currency: string|null, raw: string, min?: number, max?: number,
+ *   is_range?: boolean, is_from?: boolean, unit?: string}|null} null when no price is found
+ */
+function parsePriceText(input, { defaultCurrency = null } = {}) {
+    if (typeof input === 'number') {
+        return Number.isFinite(input) ? { amount: input, currency: defaultCurrency, raw: String(input) } : null;
+    }
+    if (typeof input !== 'string') return null;
+    const raw = input.trim();
+    if (!raw) return null;
+
+    // Prefer the current price in "was/now" text
+    let text = raw.replace(/\s+/g, ' ');
+    const nowMatch = text.match(/\bnow\b:?\s*(.*)$/i);
+    if (nowMatch && /\d/.test(nowMatch[1])) text = nowMatch[1];
+
+    const amounts = findAmounts(text);
+    if (amounts.length === 0) return null;
+    // Multi-buy and quantity text ("3 for £10", "2x £3"): the price is the number carrying the currency
+    const primaryIndex = Math.max(0, amounts.findIndex(a => a.marked));
+    const primary = amounts[primaryIndex];
+    const next = amounts[primaryIndex + 1];
+
+    let currency = detectCurrency(text);
+    if (!currency && primary.minor && /\dp\b/i.test(text)) currency = 'GBP';
+    const result = { amount: primary.amount, currency: currency || defaultCurrency, raw };
+
+    // Ranges: "£5 - £9", "£5–£9", "£5 to £9"
+    if (next) {
+        const between = text.slice(primary.index, next.index);
+        if (/\d[^\d]*(?:-|–|—|\bto\b)[^\d]*$/i.test(between)) {
+            const min = Math.min(primary.amount, next.amount);
+            const max = Math.max(primary.amount, next.amount);
+            Object.assign(result, { amount: min, min, max, is_range: true });
+        }
+    }
+    if (/\b(from|starting at|as low as)\b/i.test(text) || /\bonwards\b/i.test(text)) result.is_from = true;
+    if (/(\beach\b|\/\s*ea\b|\bper (item|unit)\b)/i.test(text)) result.unit = 'each';
+
+    result.amount = Math.round(result.amount * 100) / 100;
+    return result;
+}
+
+/**
+ * Numeric amount of a price, or null
+ * @param {string|number} input
+ * @returns {number|null}
+ */
+function parseAmount(input) {
+    const parsed = parsePriceText(input);
+    return parsed ? parsed.amount : null;
+}
+
+/**
+ * Percentage in discount text ("Save 25%", "-30 %", "25% off"), or null
+ * @param {string|number} input
+ * @returns {number|null}
+ */
+function parsePercent(input) {
+    if (typeof input === 'number') return Number.isFinite(input) ? input : null;
+    const match = String(input || '').match(/(\d+(?:[.,]\d+)?)\s*%/);
+    return match ? normalizeNumber(match[1]) : null;
+}
+
+module.exports = {
+    normalizeNumber,
+    detectCurrency,
+    parsePriceText,
+    parseAmount,
+    parsePercent
+};
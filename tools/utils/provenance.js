@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * Per-field provenance for extracted products
+ * Every product carries a `_provenance` map: field -> { method, source, selector?, prompt?, confidence }.
+ * Methods, from most to least trusted: structured_data, app_state, vendor_strategy,
+ * learned_selector, llm, sitemap_fallback. Values computed from another field (the marked-up
+ * price) are `derived` and name the field they come `from`. Products are also aggregated per
+ * vendor for the run summary, so LLM reliance can be tracked over time.
+ */
+
+const METHOD_CONFIDENCE = {
+    structured_data: 0.9,
+    app_state: 0.9,
+    vendor_strategy: 0.9,
+    learned_selector: 0.8,
+    llm: 0.6,
+    sitemap_fallback: 0.4
+};
+
+// Structured data sources differ in how reliably retailers fill them
+const STRUCTURED_SOURCE_CONFIDENCE = {
+    json_ld: 0.95,
+    microdata: 0.9,
+    open_graph: 0.8,
+    data_attributes: 0.85
+};
+
+// LLM values checked against the page (see llmVerification.js)
+const LLM_VERIFIED_CONFIDENCE = 0.75;
+const LLM_UNVERIFIED_CONFIDENCE = 0.2;
+
+const METADATA_FIELDS = new Set(['vendor', 'url', 'product_id', 'timestamp']);
+
+// processProductData keeps the scraped price in cost_price/original_price and replaces price with the marked-up sell price
+const SCRAPED_PRICE_FIELDS = ['cost_price', 'original_price'];
+const MARKED_UP_PRICE_FIELDS = ['price', 'sell_price'];
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+function hasValue(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'boolean') return true;
+    return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+/**
+ * Build a provenance entry
+ * @param {string} method - One of METHOD_CONFIDENCE keys
+ * @param {Object} details - { source, selector, prompt, confidence, verified }
+ * @returns {Object}
+ */
+function makeEntry(method, details = {}) {
+    const entry = { method };
+    if (details.source) entry.source = details.source;
+    if (details.selector) entry.selector = details.selector;
+    if (details.prompt) entry.prompt = details.prompt;
+    if (typeof details.verified === 'boolean') entry.verified = details.verified;
+    const confidence = typeof details.confidence === 'number' ? details.confidence : (METHOD_CONFIDENCE[method] || 0.5);
+    entry.confidence = round2(Math.max(0, Math.min(1, confidence)));
+    return entry;
+}
+
+/**
+ * Confidence for a learned selector, growing with its recorded success count and
+ * scaled down by its recent success rate (see selectorStats.js)
+ * @param {Object|null} selectorObj - Entry from the selector store
+ * @returns {number}
+ */
+function learnedSelectorConfidence(selectorObj) {
+    const successes = Number(selectorObj && selectorObj.success_count) || 0;
+    const rate = typeof (selectorObj && selectorObj.success_rate) === 'number' ? selectorObj.success_rate : 1;
+    return round2((0.7 + Math.min(successes, 10) * 0.02) * (0.5 + rate / 2));
+}
+
+/**
+ * Provenance entries for fields filled by the structured-data tier
+ * @param {{data: Object, sources: Object}} structured - Output of extractStructuredData
+ * @returns {Object}
+ */
+function fromStructuredData(structured) {
+    const out = {};
+    for (const [field, source] of Object.entries((structured && structured.sources) || {})) {
+        out[field] = makeEntry('structured_data', { source, confidence: STRUCTURED_SOURCE_CONFIDENCE[source] });
+    }
+    return out;
+}
+
+/**
+ * Provenance entries for fields filled from app state / XHR JSON
+ * @param {{data: Object, sources: Object}} appState - Output of extractAppStateFields
+ * @returns {Object}
+ */
+function fromAppState(appState) {
+    const out = {};
+    for (const [field, source] of Object.entries((appState && appState.sources) || {})) {
+        out[field] = makeEntry('app_state', { source });
+    }
+    return out;
+}
+
+/**
+ * Keep only provenance for fields that still hold a value in the final product
+ * @param {Object} product
+ * @param {Object} provenance
+ * @returns {Object}
+ */
+function finalizeProvenance(product, provenance) {
+    const out = {};
+    for (const [field, entry] of Object.entries(provenance || {})) {
+        if (METADATA_FIELDS.has(field) || !entry) continue;
+        if (product && hasValue(product[field])) out[field] = entry;
+    }
+    const scraped = out.price;
+    if (scraped && scraped.method !== 'derived' && typeof product.sell_price === 'number') {
+        for (const field of SCRAPED_PRICE_FIELDS) {
+            if (hasValue(product[field])) out[field] = scraped;
+        }
+        for (const field of MARKED_UP_PRICE_FIELDS) {
+            if (hasValue(product[field])) out[field] = { method: 'derived', source: 'markup', from: 'cost_price', confidence: scraped.confidence };
+        }
+    }
+    return out;
+}
+
+/**
+ * Provenance entry a field's value was extracted with, following `derived` entries to their source field
+ * @param {Object} provenanceMap - A product's `_provenance`
+ * @param {string} field
+ * @returns {Object|null}
+ */
+function extractedEntry(provenanceMap, field) {
+    const entry = provenanceMap && provenanceMap[field];
+    if (entry && entry.method === 'derived' && entry.from) return provenanceMap[entry.from] || null;
+    return entry || null;
+}
+
+// Per-run aggregation: vendor -> { products, fields, methods: { method: count }, confidenceSum }
+const __runStats = new Map();
+
+/**
+ * Record a finished product in the per-run provenance summary
+ * @param {Object} product - Product with `_provenance`
+ */
+function recordProduct(product) {
+    if (!product || typeof product !== 'object' || !product._provenance) return;
+    const vendor = product.vendor || 'unknown';
+    let stats = __runStats.get(vendor);
+    if (!stats) {
+        stats = { products: 0, llmProducts: 0, fields: 0, methods: {}, confidenceSum: 0 };
+        __runStats.set(vendor, stats);
+    }
+    stats.products++;
+    let usedLlm = false;
+    for (const entry of Object.values(product._provenance)) {
+        // Derived values were not extracted; their source field is counted instead
+        if (!entry || !entry.method || entry.method === 'derived') continue;
+        stats.fields++;
+        stats.methods[entry.method] = (stats.methods[entry.method] || 0) + 1;
+        stats.confidenceSum += Number(entry.confidence) || 0;
+        if (entry.method === 'llm') usedLlm = true;
+    }
+    if (usedLlm) stats.llmProducts++;
+}
+
+/**
+ * Per-vendor provenance summary for this run
+ * @returns {Object} vendor -> { products, llm_products, fields, methods, llm_field_share, avg_confidence }
+ */
+function getProvenanceStats() {
+    const out = {};
+    for (const [vendor, stats] of __runStats) {
+        out[vendor] = {
+            products: stats.products,
+            llm_products: stats.llmProducts,
+            fields: stats.fields,
+            methods: { ...stats.methods },
+            llm_field_share: stats.fields > 0 ? round2((stats.methods.llm || 0) / stats.fields) : 0,
+            avg_confidence: stats.fields > 0 ? round2(stats.confidenceSum / stats.fields) : 0
+        };
+    }
+    return out;
+}
+
+module.exports = {
+    METHOD_CONFIDENCE,
+    LLM_VERIFIED_CONFIDENCE,
+    LLM_UNVERIFIED_CONFIDENCE,
+    makeEntry,
+    learnedSelectorConfidence,
+    fromStructuredData,
+    fromAppState,
+    finalizeProvenance,
+    extractedEntry,
+    recordProduct,
+    getProvenanceStats
+};
@@ -0,0 +1,400 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { createHtmlPage } = require('./htmlPage');
+const { parseAmount } = require('./priceParser');
+const { acceptedValue, valuesAgree } = require('./selectorProbation');
+const { trySelectorsForField } = require('../strategies/tryExtractWithVendorSelectors');
+const { getLearnableFields, getVendorCustomFields, saveVendorSelectors } = require('./selectorLearningCore');
+
+/**
+ * Offline selector inference
+ * Infers CSS selectors from saved product pages and the values already extracted for them,
+ * without the LLM or page.observe:
+ *   1. value-to-node matching: find the innermost elements whose text (or image src) carries
+ *      the accepted value of a field
+ *   2. candidate generation: selectors for those elements built from stable ids, test/semantic
+ *      attributes (itemprop, data-testid, ...) and classes, anchored on stable ancestors, with an
+ *      nth-child path as the last resort
+ *   3. generalization: every candidate is read back on every sample page the same way learned
+ *      selectors are read at runtime, and kept when it agrees with the accepted values on enough pages
+ * Stable candidates win ties: ids and attributes over classes over nth-child paths, then shorter selectors.
+ * Boolean custom fields have no value to match and are skipped.
+ */
+
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'head', 'meta', 'link', 'title', 'svg', 'path']);
+const STABLE_ATTRIBUTES = ['itemprop', 'data-testid', 'data-test', 'data-test-id', 'data-qa', 'data-cy', 'data-e2e', 'data-automation', 'data-component'];
+const STATE_CLASS_RX = /^(?:active|selected|current|hover|focus|focused|open|opened|closed|show|shown|hidden|visible|disabled|loading|loaded|is-.+|has-.+|js-.+)$/i;
+const IDENT_RX = /^-?[_a-zA-Z][_a-zA-Z0-9-]*$/;
+const OUT_OF_STOCK_RX = /out of stock|sold out|unavailable|not available/i;
+const MAX_NODES_PER_SAMPLE = 6;
+const MAX_CANDIDATES_PER_FIELD = 60;
+
+const normalize = (s) => (s || '').toString().toLowerCase().replace(/\s+/g, ' ').trim();
+const fileNameOf = (url) => String(url || '').split('/').pop().split('?')[0];
+
+/**
+ * Whether a class or id looks hand-written rather than generated (CSS-in-JS hashes, framework
+ * state markers, numeric suffixes)
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isStableName(name) {
+    if (!name || !IDENT_RX.test(name) || name.length > 60) return false;
+    if (STATE_CLASS_RX.test(name)) return false;
+    if (/^(?:css|sc|jsx|emotion|ng-tns|ng-star|svelte)-/i.test(name)) return false;
+    if (/\d{3,}/.test(name)) return false;
+    // Hash-like tokens: mixed case and digits without separators ("bXkQz3", "a1B2c3")
+    if (!/[-_]/.test(name) && /\d/.test(name) && /[A-Z]/.test(name) && /[a-z]/.test(name)) return false;
+    return true;
+}
+
+function stableClasses(el) {
+    return Array.from(el.classList || []).filter(isStableName);
+}
+
+function stableAttribute(el) {
+    for (const attr of STABLE_ATTRIBUTES) {
+        const value = el.getAttribute && el.getAttribute(attr);
+        if (value && value.length <= 50 && !/["\\,\n]/.test(value)) return `[${attr}="${value}"]`;
+    }
+    return null;
+}
+
+function tagOf(el) {
+    return String(el.tagName || '').toLowerCase();
+}
+
+// Own label of an element: `#id`, `tag[attr]`, `tag.class` (null when it has nothing stable)
+function stableLabel(el) {
+    if (el.id && isStableName(el.id)) return { selector: `#${el.id}`, score: 5 };
+    const attr = stableAttribute(el);
+    if (attr) return { selector: `${tagOf(el)}${attr}`, score: 5 };
+    const classes = stableClasses(el);
+    if (classes.length > 0) return { selector: `${tagOf(el)}.${classes[0]}`, score: 3 };
+    return null;
+}
+
+function nthChildPath(el) {
+    const parts = [];
+    for (let node = el; node && node.parentElement && tagOf(node) !== 'body'; node = node.parentElement) {
+        const label = node !== el ? stableLabel(node) : null;
+        if (label && label.score >= 5) {
+            parts.unshift(label.selector);
+            return parts.join(' > ');
+        }
+        const index = Array.from(node.parentElement.children).indexOf(node) + 1;
+        parts.unshift(`${tagOf(node)}:nth-child(${index})`);
+    }
+    parts.unshift('body');
+    return parts.join(' > ');
+}
+
+/**
+ * Candidate selectors for an element, most stable first
+ * @param {Element} el
+ * @returns {Array<{selector: string, score: number}>}
+ */
+function candidateSelectors(el) {
+    const out = [];
+    const add = (selector, score) => {
+        if (selector && !out.some(c => c.selector === selector)) out.push({ selector, score });
+    };
+    const tag = tagOf(el);
+    if (el.id && isStableName(el.id)) add(`#${el.id}`, 5);
+    for (const attr of STABLE_ATTRIBUTES) {
+        const value = el.getAttribute(attr);
+        if (value && value.length <= 50 && !/["\\,\n]/.test(value)) add(`${tag}[${attr}="${value}"]`, 5);
+    }
+    const classes = stableClasses(el);
+    for (const cls of classes.slice(0, 3)) add(`${tag}.${cls}`, 3);
+    if (classes.length >= 2) add(`${tag}.${classes[0]}.${classes[1]}`, 3);
+
+    // Anchor on the closest stable ancestors
+    const own = classes.length > 0 ? `${tag}.${classes[0]}` : tag;
+    let depth = 0;
+    for (let node = el.parentElement; node && tagOf(node) !== 'body' && depth < 4; node = node.parentElement, depth++) {
+        const label = stableLabel(node);
+        if (!label) continue;
+        add(`${label.selector} ${own}`, label.score - 1 + (classes.length > 0 ? 0.5 : 0));
+        if (label.score >= 5) break;
+    }
+    add(nthChildPath(el), 0);
+    return out;
+}
+
+// Text of an element's own text nodes (not its descendants')
+function ownText(el) {
+    let text = '';
+    for (const node of el.childNodes || []) if (node.nodeType === 3) text += node.textContent;
+    return text;
+}
+
+// Queried from the document: linkedom's document.body can be a stray empty <body> on saved pages
+function textElements(document) {
+    return Array.from(document.querySelectorAll('*')).filter(el => !SKIP_TAGS.has(tagOf(el)));
+}
+
+/**
+ * Walk up from seed elements to the first ancestor-or-self that satisfies `matches`,
+ * giving up once the whitespace-collapsed text grows past `maxLength`
+ */
+function climb(seeds, matches, maxLength) {
+    const found = [];
+    for (const seed of seeds) {
+        for (let node = seed; node && tagOf(node) !== 'body'; node = node.parentElement) {
+            const text = (node.textContent || '').replace(/\s+/g, ' ').trim();
+            if (text.length > maxLength) break;
+            if (matches(node, text)) {
+                if (!found.includes(node)) found.push(node);
+                break;
+            }
+        }
+        if (found.length >= MAX_NODES_PER_SAMPLE) break;
+    }
+    return found;
+}
+
+/**
+ * Innermost elements on a page that carry the accepted value of a field
+ * Seeds are elements whose own text holds the start of the value; the match is the first
+ * ancestor-or-self holding all of it.
+ * @param {Document} document
+ * @param {string} field
+ * @param {*} value
+ * @returns {Array<Element>}
+ */
+function findValueNodes(document, field, value) {
+    if (value === undefined || value === null || value === '' || typeof value === 'boolean') return [];
+    if (field === 'main_image') {
+        const fileName = fileNameOf(value);
+        if (!fileName) return [];
+        return Array.from(document.querySelectorAll('img'))
+            .filter(img => fileNameOf(img.getAttribute('src')) === fileName)
+            .slice(0, MAX_NODES_PER_SAMPLE);
+    }
+
+    const elements = textElements(document);
+    if (field === 'price') {
+        const amount = typeof value === 'number' ? value : parseAmount(value);
+        if (amount === null) return [];
+        const seeds = elements.filter(el => {
+            const text = ownText(el).trim();
+            if (!text || text.length > 30) return false;
+            const parsed = parseAmount(text);
+            return parsed !== null && Math.abs(parsed - amount) < 0.005;
+        });
+        return climb(seeds, (node, text) => {
+            const parsed = parseAmount(text);
+            return parsed !== null && Math.abs(parsed - amount) < 0.005;
+        }, 60);
+    }
+    if (field === 'breadcrumbs') {
+        const crumbs = (Array.isArray(value) ? value : [value]).map(normalize).filter(Boolean);
+        if (crumbs.length === 0) return [];
+        const maxLength = crumbs.join(' ').length * 3 + 40;
+        const seeds = elements.filter(el => normalize(ownText(el)) === crumbs[0]);
+        return climb(seeds, (node, text) => {
+            if (!node.querySelector('a')) return false;
+            const normalized = normalize(text);
+            let from = 0;
+            for (const crumb of crumbs) {
+                const at = normalized.indexOf(crumb, from);
+                if (at < 0) return false;
+                from = at + crumb.length;
+            }
+            return true;
+        }, maxLength);
+    }
+    if (field === 'stock_status') {
+        if (!OUT_OF_STOCK_RX.test(String(value))) return [];
+        const seeds = elements.filter(el => {
+            const text = ownText(el).trim();
+            return text.length > 0 && text.length <= 60 && OUT_OF_STOCK_RX.test(text);
+        });
+        return climb(seeds, () => true, 60);
+    }
+
+    const expected = normalize(value);
+    if (!expected) return [];
+    // Long values (descriptions) match on their opening words
+    const probe = expected.length > 80 ? expected.slice(0, 80) : expected;
+    const head = probe.split(' ').slice(0, 3).join(' ');
+    const maxLength = Math.max(expected.length * 1.5, expected.length + 40);
+    const seeds = elements.filter(el => {
+        const own = normalize(ownText(el));
+        return own && (own.includes(head) || head.includes(own) && own.length >= 3 && probe.startsWith(own));
+    });
+    return climb(seeds, (node, text) => {
+        return normalize(text).includes(probe);
+    }, maxLength);
+}
+
+/**
+ * Infer selectors for a vendor from (HTML, accepted item) samples
+ * @param {string} vendor
+ * @param {Array<{html: string, url: string, item: Object, source?: string}>} samples
+ * @param {Object} options
+ * @param {Array<string>} [options.fields] - Defaults to the vendor's learnable fields
+ * @param {number} [options.minSamples] - Pages a candidate must agree on (default min(2, samples with the field))
+ * @param {number} [options.minAgreement] - Share of pages with the field it must agree on (default 0.8)
+ * @param {number} [options.top] - Selectors kept per field (default 2)
+ * @returns {Promise<Object<string, {samples: number, candidates: Array<Object>}>>} field -> ranked accepted candidates
+ */
+async function inferSelectors(vendor, samples, options = {}) {
+    const customFields = getVendorCustomFields(vendor);
+    const fields = (options.fields && options.fields.length > 0 ? options.fields : getLearnableFields(vendor))
+        .filter(field => !(customFields[field] && customFields[field]._def && customFields[field]._def.typeName === 'ZodBoolean'));
+    const minAgreement = options.minAgreement || 0.8;
+    const top = options.top || 2;
+    const pages = samples.map(sample => ({ ...sample, page: createHtmlPage(sample.html, sample.url) }));
+
+    const results = {};
+    for (const field of fields) {
+        // stock_status is read on every page ("In stock" when the element is absent)
+        const withValue = pages.filter(p => {
+            const value = acceptedValue(p.item, field);
+            return field === 'stock_status' ? !!value : value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+        });
+        if (withValue.length === 0) continue;
+
+        const pool = new Map();
+        for (const p of withValue) {
+            for (const el of findValueNodes(p.page.document, field, acceptedValue(p.item, field))) {
+                for (const candidate of candidateSelectors(el)) {
+                    const entry = pool.get(candidate.selector) || { ...candidate, seen: 0 };
+                    entry.seen++;
+                    pool.set(candidate.selector, entry);
+                }
+            }
+        }
+        if (pool.size === 0) {
+            results[field] = { samples: withValue.length, candidates: [] };
+            continue;
+        }
+
+        const shortlisted = Array.from(pool.values())
+            .sort((a, b) => b.seen - a.seen || b.score - a.score || a.selector.length - b.selector.length)
+            .slice(0, MAX_CANDIDATES_PER_FIELD);
+        const minSamples = options.minSamples || Math.min(2, withValue.length);
+        const accepted = [];
+        for (const candidate of shortlisted) {
+            let agreed = 0;
+            for (const p of withValue) {
+                const { value } = await trySelectorsForField(p.page, field, [{ selector: candidate.selector }], vendor, 1000);
+                if (valuesAgree(field, value, acceptedValue(p.item, field))) agreed++;
+            }
+            const agreement = Math.round((agreed / withValue.length) * 1000) / 1000;
+            if (agreed >= minSamples && agreement >= minAgreement) {
+                accepted.push({ selector: candidate.selector, agreement, agreed, stability: candidate.score });
+            }
+        }
+        accepted.sort((a, b) => b.agreement - a.agreement || b.stability - a.stability || a.selector.length - b.selector.length);
+        results[field] = { samples: withValue.length, candidates: accepted.slice(0, top) };
+    }
+    for (const p of pages) p.page.close();
+    return results;
+}
+
+/**
+ * Store inferred selectors in the selector store. They start on probation like observed selectors.
+ * @param {string} vendor
+ * @param {Object} results - Output of inferSelectors
+ * @param {string} [template='default'] - Page template of the sample pages
+ * @returns {Promise<number>} Selectors written
+ */
+async function saveInferredSelectors(vendor, results, template = 'default') {
+    let written = 0;
+    for (const [field, { samples, candidates }] of Object.entries(results)) {
+        for (const candidate of candidates) {
+            await saveVendorSelectors(vendor, { [field]: candidate.selector }, {
+                learned_by: 'offline',
+                template,
+                offline_agreement: candidate.agreement,
+                offline_samples: samples
+            });
+            written++;
+        }
+    }
+    return written;
+}
+
+/**
+ * URL a saved page was captured from: browser "saved from" comment, canonical link or og:url
+ * @param {string} html
+ * @returns {string|null}
+ */
+function savedPageUrl(html) {
+    const saved = /<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i.exec(html);
+    if (saved) return saved[1];
+    const canonical = /<link[^>]+rel=["']canonical["'][^>]*>/i.exec(html);
+    const href = canonical && /href=["']([^"']+)["']/i.exec(canonical[0]);
+    if (href) return href[1];
+    const og = /<meta[^>]+property=["']og:url["'][^>]*>/i.exec(html);
+    const content = og && /content=["']([^"']+)["']/i.exec(og[0]);
+    return content ? content[1] : null;
+}
+
+function urlKey(url) {
+    try {
+        const u = new URL(url);
+        return `${u.hostname.replace(/^www\./, '')}${u.pathname.replace(/\/+$/, '')}`.toLowerCase();
+    } catch {
+        return null;
+    }
+}
+
+const lastSegment = (url) => String(url || '').split('?')[0].replace(/\/+$/, '').split('/').pop().toLowerCase();
+
+/**
+ * Pair saved HTML files with extracted items
+ * A `<name>.json` next to `<name>.html` is used as the item directly; otherwise the page URL
+ * (see savedPageUrl) or the file name (product_id or last URL segment) is looked up in `items`.
+ * @param {string} dir - Folder of .html/.htm files
+ * @param {Array<Object>} items - Extracted products (e.g. the vendor's output items)
+ * @returns {{samples: Array<Object>, unmatched: Array<string>}}
+ */
+function loadSamples(dir, items = []) {
+    const byUrl = new Map();
+    const byName = new Map();
+    for (const item of items) {
+        if (!item) continue;
+        const key = urlKey(item.url);
+        if (key) byUrl.set(key, item);
+        if (item.product_id) byName.set(String(item.product_id).toLowerCase(), item);
+        if (item.url) byName.set(lastSegment(item.url), item);
+    }
+
+    const samples = [];
+    const unmatched = [];
+    for (const file of fs.readdirSync(dir).filter(f => /\.html?$/i.test(f)).sort()) {
+        const fullPath = path.join(dir, file);
+        const html = fs.readFileSync(fullPath, 'utf8');
+        const stem = file.replace(/\.html?$/i, '');
+        const sidecar = path.join(dir, `${stem}.json`);
+        let item = null;
+        if (fs.existsSync(sidecar)) {
+            try { item = JSON.parse(fs.readFileSync(sidecar, 'utf8')); } catch { }
+        }
+        const pageUrl = savedPageUrl(html) || (item && item.url) || null;
+        if (!item && pageUrl) item = byUrl.get(urlKey(pageUrl)) || byName.get(lastSegment(pageUrl)) || null;
+        if (!item) item = byName.get(stem.toLowerCase()) || null;
+        if (!item) {
+            unmatched.push(file);
+            continue;
+        }
+        samples.push({ source: fullPath, html, url: pageUrl || item.url || `file://${fullPath}`, item });
+    }
+    return { samples, unmatched };
+}
+
+module.exports = {
+    isStableName,
+    candidateSelectors,
+    findValueNodes,
+    inferSelectors,
+    saveInferredSelectors,
+    savedPageUrl,
+    loadSamples
+};
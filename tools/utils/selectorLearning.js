@@ -4,24 +4,54 @@ const fs = require('fs');
 const path = require('path');
 const { logError, logErrorWithDetails, extractErrorDetails } = require('./logUtil');
 
-// Global state for tracking active learning processes
-let activeLearningTask = null;
-let pendingLearningFields = new Map(); // vendor -> Set of fields needing learning
+// Learning is kept apart per page template (see strategies/pageTemplates.js): selectors learned on
+// one template's pages are saved to that template's selector set
+// Learning tasks in flight, keyed by "vendor:template:field" (one task may cover several fields of a vendor)
+const activeLearningTasks = new Map();
+let pendingLearningFields = new Map(); // "vendor:template" -> Set of fields needing learning
+
+// Concurrency limit across all vendors (SELECTOR_LEARNING_CONCURRENCY, default 2)
+let runningLearningTasks = 0;
+const learningQueue = [];
+
+function getLearningConcurrency() {
+    return Math.max(1, Number(process.env.SELECTOR_LEARNING_CONCURRENCY) || 2);
+}
+
+async function acquireLearningSlot() {
+    if (runningLearningTasks < getLearningConcurrency()) {
+        runningLearningTasks++;
+        return;
+    }
+    await new Promise(resolve => learningQueue.push(resolve));
+}
+
+function releaseLearningSlot() {
+    const next = learningQueue.shift();
+    if (next) next(); // hand the slot over
+    else runningLearningTasks--;
+}
+
+const DEFAULT_TEMPLATE = 'default';
+const setKey = (vendor, template) => `${vendor}:${template}`;
+const taskKey = (vendor, template, field) => `${vendor}:${template}:${field}`;
 
 /**
  * Add fields that need selector learning for a vendor
  * @param {string} vendor - The vendor name
  * @param {Array<string>} fields - Array of field names that need learning
+ * @param {string} [template='default'] - Page template the fields were extracted on
  */
-function reportFieldsNeedingLearning(vendor, fields) {
+function reportFieldsNeedingLearning(vendor, fields, template = DEFAULT_TEMPLATE) {
     if (!fields || fields.length === 0) return;
 
     // Get existing vendor fields or create new set
-    if (!pendingLearningFields.has(vendor)) {
-        pendingLearningFields.set(vendor, new Set());
+    const key = setKey(vendor, template);
+    if (!pendingLearningFields.has(key)) {
+        pendingLearningFields.set(key, new Set());
     }
 
-    const vendorFields = pendingLearningFields.get(vendor);
+    const vendorFields = pendingLearningFields.get(key);
     let addedField = [];
 
     // Add new fields to vendor's set
@@ -32,7 +62,7 @@ function reportFieldsNeedingLearning(vendor, fields) {
         }
     }
     if (addedField.length > 0) {
-        console.log(`[LEARNING] Reporting new fields needing learning: ${addedField.join(', ')}`);
+        console.log(`[LEARNING] Reporting new fields needing learning${template !== DEFAULT_TEMPLATE ? ` (${template} template)` : ''}: ${addedField.join(', ')}`);
         console.log(`[LEARNING] These fields were missing from direct extraction and found by LLM`);
     }
 
@@ -40,58 +70,91 @@ function reportFieldsNeedingLearning(vendor, fields) {
 
 /**
  * Check if there's an active learning task
+ * @param {string} [vendor] - Only consider this vendor's tasks
  * @returns {boolean} True if learning is in progress
  */
-function isLearningActive() {
-    return activeLearningTask !== null;
+function isLearningActive(vendor = null) {
+    if (!vendor) return activeLearningTasks.size > 0;
+    return Array.from(activeLearningTasks.keys()).some(key => key.startsWith(`${vendor}:`));
 }
 
 /**
- * Wait for any active learning task to complete
+ * Wait for active learning tasks to complete
+ * @param {string} [vendor] - Only wait for this vendor's tasks
+ * @param {Array<string>} [fields] - Only wait for tasks learning these fields
+ * @param {string} [template] - Only wait for tasks learning this page template's selectors
  * @returns {Promise<void>}
  */
-async function waitForLearningCompletion() {
-    if (activeLearningTask) {
-        console.log(`[SELECTOR_LEARNING] Waiting for active learning task to complete...`);
+async function waitForLearningCompletion(vendor = null, fields = null, template = null) {
+    const tasks = new Set();
+    for (const [key, task] of activeLearningTasks) {
+        const [taskVendor, taskTemplate, field] = key.split(':');
+        if (vendor && taskVendor !== vendor) continue;
+        if (template && taskTemplate !== template) continue;
+        if (fields && !fields.includes(field)) continue;
+        tasks.add(task);
+    }
+    if (tasks.size === 0) return;
+    console.log(`[SELECTOR_LEARNING] Waiting for ${tasks.size} learning task(s)${vendor ? ` for ${vendor}` : ''} to complete...`);
+    for (const task of tasks) {
         try {
-            await activeLearningTask;
+            await task;
         } catch (error) {
             console.log(`[SELECTOR_LEARNING] Active learning task failed: ${error.message}`);
             logErrorWithDetails('selector_learning_wait_completion_failed', error);
         }
-        console.log(`[SELECTOR_LEARNING] Learning task completed, proceeding...`);
     }
+    console.log(`[SELECTOR_LEARNING] Learning task completed, proceeding...`);
+}
+
+/**
+ * Whether extracting a page depends on learning in flight
+ * Newly learned selectors stay on probation and are not used for extraction, so a page only
+ * needs to wait when probation is disabled and a task is learning one of the fields it has no
+ * selector in service for, on its page template.
+ * @param {string} vendor
+ * @param {string} template - Page template of the page
+ * @param {Array<string>} fields - Fields without a selector in service (missing or on probation)
+ * @returns {boolean}
+ */
+function dependsOnActiveLearning(vendor, template, fields) {
+    if (process.env.DISABLE_SELECTOR_PROBATION !== 'true' || !Array.isArray(fields)) return false;
+    return fields.some(field => activeLearningTasks.has(taskKey(vendor, template || DEFAULT_TEMPLATE, field)));
 }
 
 /**
  * Get the current pending learning fields for a vendor (without clearing them)
  * @param {string} vendor - The vendor name
+ * @param {string} template - Page template
  * @returns {Array<string>} Array of field names that need learning
  */
-function getPendingFields(vendor) {
-    if (!pendingLearningFields.has(vendor)) {
+function getPendingFields(vendor, template) {
+    const key = setKey(vendor, template);
+    if (!pendingLearningFields.has(key)) {
         return [];
     }
 
-    return Array.from(pendingLearningFields.get(vendor));
+    return Array.from(pendingLearningFields.get(key));
 }
 
 /**
  * Clear pending learning fields for a vendor after successful learning
  * @param {string} vendor - The vendor name
+ * @param {string} template - Page template
  * @param {Array<string>} fieldsToRemove - Array of field names to remove (optional, clears all if not provided)
  */
-function clearPendingFields(vendor, fieldsToRemove = null) {
-    if (!pendingLearningFields.has(vendor)) {
+function clearPendingFields(vendor, template, fieldsToRemove = null) {
+    const key = setKey(vendor, template);
+    if (!pendingLearningFields.has(key)) {
         return;
     }
 
     if (fieldsToRemove === null) {
         // Clear all fields for this vendor
-        pendingLearningFields.set(vendor, new Set());
+        pendingLearningFields.set(key, new Set());
     } else {
         // Remove specific fields
-        const vendorFields = pendingLearningFields.get(vendor);
+        const vendorFields = pendingLearningFields.get(key);
         for (const field of fieldsToRemove) {
             vendorFields.delete(field);
         }
@@ -99,31 +162,48 @@ function clearPendingFields(vendor, fieldsToRemove = null) {
 }
 
 /**
- * Process all pending selector learning for a vendor
- * @param {Object} page - The Playwright page object
+ * Start learning the pending fields of a vendor
+ * Fields already being learned are skipped, so other fields (and other vendors) learn concurrently
+ * up to SELECTOR_LEARNING_CONCURRENCY tasks. With `openPage`, learning runs on its own page and
+ * the extraction page is free as soon as this returns; without it, learning uses `page` and the
+ * caller should await the returned promise before navigating it.
+ * @param {Object} page - The Playwright page object showing the product
  * @param {string} vendor - The vendor name
  * @param {Object} extractedItem - The extracted item with field values
- * @returns {Promise<void>}
+ * @param {Object} [options]
+ * @param {Function} [options.openPage] - async () => { page, close } opening a dedicated learning page on the product
+ * @param {string} [options.template] - Page template of the product page (defaults to the item's page_template)
+ * @returns {Promise<void>} Settles when the started task completes
  */
-async function processPendingSelectorLearning(page, vendor, extractedItem) {
-    // Check if we already have an active learning task
-    if (activeLearningTask) {
-        console.log(`[SELECTOR_LEARNING] Learning already in progress, skipping...`);
-        return Promise.resolve();
-    }
-
-    // Get pending fields for this vendor (without clearing them yet)
-    const fieldsToLearn = getPendingFields(vendor);
+async function processPendingSelectorLearning(page, vendor, extractedItem, options = {}) {
+    const template = options.template || (extractedItem && extractedItem.page_template) || DEFAULT_TEMPLATE;
+    // Get pending fields for this vendor and template that no task is learning yet (without clearing them)
+    const fieldsToLearn = getPendingFields(vendor, template).filter(field => !activeLearningTasks.has(taskKey(vendor, template, field)));
     if (fieldsToLearn.length === 0) {
         return Promise.resolve();
     }
     console.log(`[SELECTOR_LEARNING] Learning fields: ${fieldsToLearn.join(', ')}`);
+
+    const run = async () => {
+        await acquireLearningSlot();
+        let learningPage = null;
+        try {
+            learningPage = options.openPage ? await options.openPage() : null;
+            await executeFieldLearning(learningPage ? learningPage.page : page, vendor, extractedItem, fieldsToLearn, template);
+        } finally {
+            if (learningPage && learningPage.close) {
+                try { await learningPage.close(); } catch { }
+            }
+            releaseLearningSlot();
+        }
+    };
+
     // Create the learning task
-    activeLearningTask = executeFieldLearning(page, vendor, extractedItem, fieldsToLearn)
+    const task = run()
         .then(() => {
             // Only clear fields after successful learning
             console.log(`[SELECTOR_LEARNING] Successfully learned fields for ${vendor}, clearing them from pending`);
-            clearPendingFields(vendor, fieldsToLearn);
+            clearPendingFields(vendor, template, fieldsToLearn);
         })
         .catch(error => {
             // Log learning task failure - fields remain pending for retry
@@ -131,16 +211,19 @@ async function processPendingSelectorLearning(page, vendor, extractedItem) {
             console.log(`[SELECTOR_LEARNING] Fields remain pending for retry: ${fieldsToLearn.join(', ')}`);
             logErrorWithDetails('selector_learning_task_failed', error, {
                 vendor,
+                template,
                 fieldsToLearn
             });
             throw error; // Re-throw to maintain error handling chain
         })
         .finally(() => {
-            activeLearningTask = null;
+            for (const field of fieldsToLearn) {
+                if (activeLearningTasks.get(taskKey(vendor, template, field)) === task) activeLearningTasks.delete(taskKey(vendor, template, field));
+            }
         });
+    for (const field of fieldsToLearn) activeLearningTasks.set(taskKey(vendor, template, field), task);
 
-    // Don't await here - let it run in background
-    return activeLearningTask;
+    return task;
 }
 
 /**
@@ -149,9 +232,10 @@ async function processPendingSelectorLearning(page, vendor, extractedItem) {
  * @param {string} vendor - The vendor name
  * @param {Object} extractedItem - The extracted item with field values
  * @param {Array<string>} fieldsToLearn - Array of field names to learn
+ * @param {string} template - Page template the selectors are learned for
  * @returns {Promise<void>}
  */
-async function executeFieldLearning(page, vendor, extractedItem, fieldsToLearn) {
+async function executeFieldLearning(page, vendor, extractedItem, fieldsToLearn, template) {
     // Import the learning functions from generic.js
     const { learnAndCacheSelectors } = require('./selectorLearningCore');
 
@@ -165,7 +249,7 @@ async function executeFieldLearning(page, vendor, extractedItem, fieldsToLearn)
 
     if (Object.keys(itemForLearning).length > 0) {
         try {
-            await learnAndCacheSelectors(page, vendor, itemForLearning);
+            await learnAndCacheSelectors(page, vendor, itemForLearning, template);
         } catch (error) {
             // Log field learning execution failure
             console.log(`[SELECTOR_LEARNING] Field learning execution failed for ${vendor}: ${error.message}`);
@@ -194,11 +278,14 @@ async function executeFieldLearning(page, vendor, extractedItem, fieldsToLearn)
 function getLearningStats() {
     const stats = {
         isActive: isLearningActive(),
-        pendingVendors: pendingLearningFields.size,
+        activeTasks: new Set(activeLearningTasks.values()).size,
+        activeFields: activeLearningTasks.size,
+        queuedTasks: learningQueue.length,
+        pendingVendors: new Set(Array.from(pendingLearningFields.keys()).map(key => key.split(':')[0])).size,
         totalPendingFields: 0
     };
 
-    for (const [vendor, fields] of pendingLearningFields) {
+    for (const fields of pendingLearningFields.values()) {
         stats.totalPendingFields += fields.size;
     }
 
@@ -209,6 +296,7 @@ module.exports = {
     reportFieldsNeedingLearning,
     isLearningActive,
     waitForLearningCompletion,
+    dependsOnActiveLearning,
     processPendingSelectorLearning,
     getLearningStats
 };
@@ -1,23 +1,20 @@
 'use strict';
 
-const fs = require('fs');
-const path = require('path');
 const cacheManager = require('./cache/cacheManager');
+const selectorStore = require('./cache/selectorStore');
 const { logError, logErrorWithDetails, extractErrorDetails } = require('./logUtil');
 
-// Per-file write lock to safely update vendor-selectors.json from concurrent workers
-const __fileLocks = new Map();
-function withFileLock(filePath, fn) {
-    const prev = __fileLocks.get(filePath) || Promise.resolve();
-    const next = prev.then(fn, fn);
-    __fileLocks.set(filePath, next.catch(() => {}));
-    return next;
-}
+// Vendor strategies (and their custom fields) are resolved through the strategy registry
+const strategyRegistry = require('../strategies/registry');
+const { omitReviewFields } = require('../strategies/reviews');
+const llm = require('./llm/llmRouter');
+const selectorStats = require('./selectorStats');
 
-// Import vendor-specific strategies for custom fields
-const vendorStrategies = {
-    superdrug: require('../strategies/superdrug')
-};
+// Per model attempt; a hung observe() would otherwise hold the learning task and its page
+const OBSERVE_TIMEOUT_MS = 10000;
+
+// Selector outcome counters for the run summary
+const __healthStats = { successes: 0, failures: 0, demoted: 0, evicted: 0, promoted: 0, rejected: 0 };
 
 // Helper function to check if page/context is still valid
 async function isPageValid(page) {
@@ -35,36 +32,36 @@ async function isPageValid(page) {
 }
 
 // Extract custom fields from vendor strategies
+// Review fields (rating, reviews, ...) are filled by the reviews module, never by selectors or the LLM
 function getVendorCustomFields(vendor) {
-    const strategy = vendorStrategies[vendor];
-    return strategy && strategy.customFields ? strategy.customFields : {};
+    return omitReviewFields(strategyRegistry.getCustomFields(vendor));
 }
 
 function loadVendorSelectors() {
     try {
-        const p = path.resolve(process.cwd(), 'tools/utils/cache/vendor-selectors.json');
-        const stats = fs.statSync(p);
-        const lastModified = stats.mtime.getTime();
+        const store = selectorStore.getStore();
+        if (!store) return {};
+        const version = store.version();
         
-        // Use cached version if file hasn't changed
+        // Use cached version if no connection has written to the store since
         const cachedSelectors = cacheManager.get('vendorSelectors');
-        const cachedModifiedTime = cacheManager.get('vendorSelectorsLastModified');
+        const cachedVersion = cacheManager.get('vendorSelectorsLastModified');
         
-        if (cachedSelectors && cachedModifiedTime === lastModified) {
+        if (cachedSelectors && cachedVersion === version) {
             return cachedSelectors;
         }
         
-        // Read and cache the file
-        const data = JSON.parse(fs.readFileSync(p, 'utf8')) || {};
+        // Read and cache the store
+        const data = store.exportJson();
         cacheManager.set('vendorSelectors', null, data);
-        cacheManager.set('vendorSelectorsLastModified', null, lastModified);
+        cacheManager.set('vendorSelectorsLastModified', null, version);
         return data;
     } catch (error) { 
-        // Log selector file load failure
+        // Log selector store load failure
         console.log(`[SELECTOR_LEARNING] Failed to load vendor selectors: ${error.message}`);
         logErrorWithDetails('selector_load_failed', error);
         
-        // Cache empty result to avoid repeated file system calls
+        // Cache empty result to avoid repeated store reads
         const cachedSelectors = cacheManager.get('vendorSelectors');
         if (!cachedSelectors) {
             cacheManager.set('vendorSelectors', null, {});
@@ -74,100 +71,298 @@ function loadVendorSelectors() {
     }
 }
 
-async function saveVendorSelectors(vendor, partial) {
-    const p = path.resolve(process.cwd(), 'tools/utils/cache/vendor-selectors.json');
-    
-    await withFileLock(p, async () => {
-        try {
-            const all = loadVendorSelectors();
-        const current = all[vendor] || {};
-        
-        // Normalize existing success_count values that exceed the maximum (cap at 10)
-        if (current.selectors) {
-            for (const [field, selectorArray] of Object.entries(current.selectors)) {
-                if (Array.isArray(selectorArray)) {
-                    for (const selectorObj of selectorArray) {
-                        if (selectorObj.success_count > 10) {
-                            selectorObj.success_count = 10;
-                        }
-                    }
-                }
-            }
-        }
+/**
+ * Selector set and LLM snapshot for a vendor's page template
+ * @param {string} vendor
+ * @param {string} [template='default']
+ * @returns {{selectors: Object<string, Array<Object>>, last_llm_extraction?: Object}|null}
+ */
+function getSelectorSet(vendor, template = selectorStore.DEFAULT_TEMPLATE) {
+    const vendorData = loadVendorSelectors()[vendor];
+    if (!vendorData) return null;
+    if (!template || template === selectorStore.DEFAULT_TEMPLATE) return vendorData;
+    return (vendorData.templates && vendorData.templates[template]) || null;
+}
+
+/**
+ * Add or re-confirm learned selectors for a vendor
+ * @param {string} vendor
+ * @param {Object} partial - field -> selector (or `last_llm_extraction` metadata)
+ * @param {Object} [meta] - Extra properties stored on newly added entries (e.g. learned_by);
+ *   `pinned: true` pins the selectors (added ones skip probation), `pinned: false` unpins them;
+ *   `template` names the page template the selectors belong to (default 'default')
+ */
+async function saveVendorSelectors(vendor, partial, meta = {}) {
+    const { pinned, template = selectorStore.DEFAULT_TEMPLATE, ...entryMeta } = meta;
+    try {
+        const store = selectorStore.getStore();
+        if (!store) return;
         
-        if (!current.selectors) {
-            current.selectors = {};
+        if (partial.last_llm_extraction) {
+            // LLM extraction metadata is kept apart from the selectors
+            store.updateSnapshot(vendor, () => partial.last_llm_extraction, template);
         }
+        const fields = Object.entries(partial).filter(([field, selector]) => field !== 'last_llm_extraction' && typeof selector === 'string' && selector.trim());
+        if (fields.length === 0) return;
         
         // Add new selectors to the history
         const now = new Date().toISOString();
-        for (const [field, selector] of Object.entries(partial)) {
-            if (field === 'last_llm_extraction') {
-                // Handle LLM extraction metadata separately
-                current[field] = selector;
-                continue;
-            }
-            
-            if (typeof selector === 'string' && selector.trim()) {
-                if (!current.selectors[field]) {
-                    current.selectors[field] = [];
+        store.updateVendor(vendor, (selectors, note) => {
+            for (const [field, selector] of fields) {
+                if (!selectors[field]) {
+                    selectors[field] = [];
                 }
                 
-                // If we have enough selectors, remove one to make room for the new one
-                const maxSelectors = Number(process.env.MAX_SELECTORS_PER_FIELD) || 10;
-                if (current.selectors[field].length >= maxSelectors) {
-                    // Remove the oldest selector (last in array) to make room
-                    const removed = current.selectors[field].pop();
-                    console.log(`[SELECTOR_LEARNING] Removed oldest selector for ${field} to make room for new one: ${removed.selector.substring(0, 50)}...`);
-                }  
-                
                 // Check if this selector already exists in the history
-                const existingIndex = current.selectors[field].findIndex(s => s.selector === selector);
+                const existing = selectors[field].find(s => s.selector === selector);
                 
-                if (existingIndex >= 0) {
-                    // Update existing selector's success count and last success (cap at 10 to prevent overhead)
-                    const currentSelector = current.selectors[field][existingIndex];
-                    if (currentSelector.success_count < 10) {
-                        currentSelector.success_count += 1;
-                        currentSelector.last_success = now;
-                        
-                        // Move successful selector to the front for priority
-                        current.selectors[field].splice(existingIndex, 1);
-                        current.selectors[field].unshift(currentSelector);
-                    }
-                    // If success_count is already 10, don't increment or move (avoid unnecessary I/O)
+                if (existing && typeof pinned === 'boolean') {
+                    if (pinned) selectorStats.pin(existing);
+                    else selectorStats.unpin(existing);
+                    note(field, selector, pinned ? 'pinned' : 'unpinned');
+                } else if (existing) {
+                    // Re-learned on a live page: counts as a success
+                    selectorStats.recordOutcome(existing, true);
                 } else {
-                    // Add new selector to the beginning of the array (highest priority)
-                    current.selectors[field].unshift({
+                    // If we have enough selectors, drop the lowest-ranked one to make room for the new one (never a pinned one)
+                    const maxSelectors = Number(process.env.MAX_SELECTORS_PER_FIELD) || 10;
+                    if (selectors[field].length >= maxSelectors) {
+                        const worst = selectorStats.rankSelectors(selectors[field].filter(s => !s.pinned)).pop();
+                        if (!worst) {
+                            console.log(`[SELECTOR_LEARNING] All ${field} selectors are pinned, not adding: ${selector.substring(0, 50)}...`);
+                            continue;
+                        }
+                        selectors[field] = selectors[field].filter(s => s !== worst);
+                        note(field, worst.selector, 'displaced');
+                        console.log(`[SELECTOR_LEARNING] Removed lowest-ranked selector for ${field} to make room for new one: ${worst.selector.substring(0, 50)}...`);
+                    }
+                    const entry = selectorStats.normalizeEntry({
+                        ...entryMeta,
                         selector,
                         learned_at: now,
                         success_count: 1,
-                        last_success: now
+                        last_success: now,
+                        decayed_at: now
                     });
+                    // New selectors run in shadow on the next pages before they are used for extraction
+                    selectors[field].push(pinned ? selectorStats.pin(entry) : selectorStats.startProbation(entry));
+                    // A pin of a selector not stored yet is recorded as the pin, not as a learned addition
+                    if (pinned) note(field, selector, 'pinned');
                 }
+                selectors[field] = selectorStats.rankSelectors(selectors[field]);
             }
-        }
-        
-            all[vendor] = current;
-            
-            // Write file inside the lock (prevents corruption during concurrent access)
-            fs.writeFileSync(p, JSON.stringify(all, null, 2), 'utf8');
-            
-            // Update cache since file changed
-            cacheManager.set('vendorSelectors', null, all);
-            cacheManager.set('vendorSelectorsLastModified', null, Date.now());
+        }, { actor: meta.learned_by || 'observe', template });
+    } catch (error) {
+        // Log selector save failure
+        console.log(`[SELECTOR_LEARNING] Failed to save selectors for ${vendor}: ${error.message}`);
+        logErrorWithDetails('selector_save_failed', error, { 
+            vendor, 
+            selectorFields: Object.keys(partial)
+        });
+    }
+}
+
+/**
+ * Delete a learned selector
+ * @param {string} vendor
+ * @param {string} field
+ * @param {string} selector
+ * @param {Object} [options]
+ * @param {string} [options.actor='cli'] - What removed it, for the store's history
+ * @param {string} [options.template='default'] - Page template of the selector set
+ * @returns {Promise<boolean>} False when the selector was not stored
+ */
+async function removeVendorSelector(vendor, field, selector, { actor = 'cli', template = selectorStore.DEFAULT_TEMPLATE } = {}) {
+    try {
+        const store = selectorStore.getStore();
+        if (!store) return false;
+        const changes = store.updateVendor(vendor, (selectors) => {
+            if (Array.isArray(selectors[field])) selectors[field] = selectors[field].filter(e => e.selector !== selector);
+        }, { actor, template });
+        return changes.length > 0;
+    } catch (error) {
+        console.log(`[SELECTOR_LEARNING] Failed to remove ${vendor}.${field} selector: ${error.message}`);
+        logErrorWithDetails('selector_remove_failed', error, { vendor, field, selector });
+        return false;
+    }
+}
+
+// Selector outcomes are buffered in memory and written in batches, one store transaction per vendor
+// and template, instead of a write per extraction (see flushSelectorOutcomes)
+// "vendor\ntemplate" -> [{ fields, at }] in arrival order
+const __pendingOutcomes = new Map();
+let __pendingCount = 0;
+let __flushTimer = null;
+let __exitHookInstalled = false;
+
+function getOutcomeBatchSize() {
+    const value = Number(process.env.SELECTOR_OUTCOME_BATCH_SIZE);
+    return Number.isInteger(value) && value > 0 ? value : 50;
+}
+
+function getOutcomeFlushMs() {
+    const value = Number(process.env.SELECTOR_OUTCOME_FLUSH_MS);
+    return Number.isFinite(value) && value > 0 ? value : 30000;
+}
+
+/**
+ * Record which learned selectors worked or failed during an extraction
+ * Outcomes are buffered and applied by flushSelectorOutcomes() once SELECTOR_OUTCOME_BATCH_SIZE
+ * extractions are pending (default 50), SELECTOR_OUTCOME_FLUSH_MS after the first pending one
+ * (default 30000) and when the process exits.
+ * @param {string} vendor
+ * @param {Object<string, {success: string|null, failed: Array<string>}>} outcomes - field -> selector outcomes
+ * @param {string} [template='default'] - Page template the selectors were used on
+ */
+async function recordSelectorOutcomes(vendor, outcomes, template = selectorStore.DEFAULT_TEMPLATE) {
+    const fields = Object.entries(outcomes || {}).filter(([, o]) => o && (o.success || (o.failed && o.failed.length > 0)));
+    if (fields.length === 0) return;
+
+    const key = `${vendor}\n${template}`;
+    if (!__pendingOutcomes.has(key)) __pendingOutcomes.set(key, []);
+    __pendingOutcomes.get(key).push({ fields, at: Date.now() });
+    __pendingCount++;
+
+    if (!__exitHookInstalled) {
+        __exitHookInstalled = true;
+        process.once('exit', flushSelectorOutcomes);
+    }
+    if (__pendingCount >= getOutcomeBatchSize()) {
+        flushSelectorOutcomes();
+    } else if (!__flushTimer) {
+        __flushTimer = setTimeout(flushSelectorOutcomes, getOutcomeFlushMs());
+        if (__flushTimer.unref) __flushTimer.unref();
+    }
+}
+
+/**
+ * Apply buffered selector outcomes in order, then demote, evict and reorder each field's
+ * selectors (see selectorStats.js). Called at the end of a run before the health summary.
+ */
+function flushSelectorOutcomes() {
+    if (__flushTimer) {
+        clearTimeout(__flushTimer);
+        __flushTimer = null;
+    }
+    if (__pendingCount === 0) return;
+    const pending = Array.from(__pendingOutcomes.entries());
+    __pendingOutcomes.clear();
+    __pendingCount = 0;
+
+    const store = selectorStore.getStore();
+    if (!store) return;
+    for (const [key, batches] of pending) {
+        const [vendor, template] = key.split('\n');
+        try {
+            store.updateVendor(vendor, (selectors, note) => {
+                for (const { fields, at } of batches) {
+                    for (const [field, outcome] of fields) {
+                        const list = selectors[field];
+                        if (!Array.isArray(list)) continue;
+                        const demotedBefore = new Set(list.filter(e => e.status === 'demoted').map(e => e.selector));
+                        const result = selectorStats.applyOutcomes(list, outcome, at);
+                        if (!result.changed) continue;
+                        __healthStats.successes += outcome.success ? 1 : 0;
+                        __healthStats.failures += (outcome.failed || []).length;
+                        for (const entry of result.entries) {
+                            if (entry.status === 'demoted' && !demotedBefore.has(entry.selector)) {
+                                __healthStats.demoted++;
+                                console.log(`[SELECTOR_HEALTH] Demoted ${vendor}.${field} selector (success rate ${entry.success_rate}): ${entry.selector.substring(0, 80)}`);
+                            }
+                        }
+                        for (const selector of result.evicted) {
+                            __healthStats.evicted++;
+                            note(field, selector, 'evicted');
+                            console.log(`[SELECTOR_HEALTH] Evicted ${vendor}.${field} selector after repeated failures: ${selector.substring(0, 80)}`);
+                        }
+                        selectors[field] = result.entries;
+                    }
+                }
+            }, { actor: 'health', template });
         } catch (error) {
-            // Log selector save failure
-            console.log(`[SELECTOR_LEARNING] Failed to save selectors for ${vendor}: ${error.message}`);
-            logErrorWithDetails('selector_save_failed', error, { 
-                vendor, 
-                selectorFields: Object.keys(partial)
-            });
+            console.log(`[SELECTOR_HEALTH] Failed to record selector outcomes for ${vendor}: ${error.message}`);
+            logErrorWithDetails('selector_outcome_save_failed', error, { vendor, template, extractions: batches.length });
         }
+    }
+}
+
+/**
+ * Record shadow comparisons for selectors on probation; promotes or removes them once
+ * they have been compared on enough pages
+ * @param {string} vendor
+ * @param {Array<{field: string, selector: string, agreed: boolean, sample: Object}>} results
+ * @param {string} [template='default'] - Page template the selectors were compared on
+ */
+async function recordProbationResults(vendor, results, template = selectorStore.DEFAULT_TEMPLATE) {
+    if (!Array.isArray(results) || results.length === 0) return;
+
+    try {
+        const store = selectorStore.getStore();
+        if (!store) return;
+        store.updateVendor(vendor, (selectors, note) => {
+            for (const { field, selector, agreed, sample } of results) {
+                const list = selectors[field];
+                const entry = Array.isArray(list) ? list.find(e => e.selector === selector && e.status === 'probation') : null;
+                if (!entry) continue;
+                const verdict = selectorStats.recordProbationSample(entry, agreed, sample);
+                if (verdict === 'promoted') {
+                    __healthStats.promoted++;
+                    console.log(`[SELECTOR_PROBATION] Promoted ${vendor}.${field} selector (agreement ${entry.probation_agreement}): ${selector.substring(0, 80)}`);
+                    selectors[field] = selectorStats.rankSelectors(list);
+                } else if (verdict === 'rejected') {
+                    __healthStats.rejected++;
+                    console.log(`[SELECTOR_PROBATION] Rejected ${vendor}.${field} selector (agreement ${entry.probation.agreement_rate} over ${entry.probation.pages} pages): ${selector.substring(0, 80)}`);
+                    for (const disagreement of entry.probation.disagreements) {
+                        console.log(`[SELECTOR_PROBATION]   ${disagreement.url}: expected "${disagreement.expected}", got "${disagreement.actual}"`);
+                    }
+                    logError('selector_probation_rejected', { vendor, field, selector, probation: entry.probation });
+                    note(field, selector, 'rejected');
+                    selectors[field] = list.filter(e => e !== entry);
+                }
+            }
+        }, { actor: 'probation', template });
+    } catch (error) {
+        console.log(`[SELECTOR_PROBATION] Failed to record probation results for ${vendor}: ${error.message}`);
+        logErrorWithDetails('selector_probation_save_failed', error, { vendor, fields: results.map(r => r.field) });
+    }
+}
+
+/**
+ * Selector health counters for the run summary
+ * @returns {{successes: number, failures: number, demoted: number, evicted: number, promoted: number, rejected: number}}
+ */
+function getSelectorHealthStats() {
+    return { ...__healthStats };
+}
+
+/**
+ * Fields learned selectors are kept for: static base fields plus the vendor's string/boolean custom fields
+ * Truly dynamic fields (like the full images array) always use the LLM
+ * @param {string} vendor
+ * @returns {Array<string>}
+ */
+function getLearnableFields(vendor) {
+    const baseFieldsToLearn = ['name', 'price', 'main_image', 'weight', 'description', 'category', 'stock_status', 'breadcrumbs'];
+    const customFields = getVendorCustomFields(vendor);
+    // Only learn selectors for string/boolean fields, not arrays or complex types
+    const customFieldsToLearn = Object.keys(customFields).filter(field => {
+        const fieldDef = customFields[field];
+        return fieldDef && fieldDef._def && (
+            fieldDef._def.typeName === 'ZodString' || 
+            fieldDef._def.typeName === 'ZodBoolean'
+        );
     });
+    return [...baseFieldsToLearn, ...customFieldsToLearn];
 }
 
-async function learnAndCacheSelectors(page, vendor, item) {
+/**
+ * Learn selectors for the item's fields on a live page with observe, then save them on probation
+ * @param {Object} page
+ * @param {string} vendor
+ * @param {Object} item - Extracted values to locate
+ * @param {string} [template='default'] - Page template of the page
+ */
+async function learnAndCacheSelectors(page, vendor, item, template = selectorStore.DEFAULT_TEMPLATE) {
     // Only attempt when we have some values to learn from
     if (!item || typeof item !== 'object') return;
     
@@ -180,24 +375,7 @@ async function learnAndCacheSelectors(page, vendor, item) {
      
     
     const learned = {};
-    // Learn selectors for static fields, main_image, stock_status, and breadcrumbs container
-    // Truly dynamic fields (like full images array) will always use LLM
-    const baseFieldsToLearn = ['name', 'price', 'main_image', 'weight', 'description', 'category', 'stock_status', 'breadcrumbs'];
-    
-    // Add custom vendor fields that are suitable for selector learning (non-dynamic fields)
-    const customFieldNames = Object.keys(getVendorCustomFields(vendor));
-    const customFieldsToLearn = customFieldNames.filter(field => {
-        // Only learn selectors for string/boolean fields, not arrays or complex types
-        const fieldDef = getVendorCustomFields(vendor)[field];
-        return fieldDef && fieldDef._def && (
-            fieldDef._def.typeName === 'ZodString' || 
-            fieldDef._def.typeName === 'ZodBoolean'
-        );
-    });
-    
-   
-    
-    const fieldsToLearn = [...baseFieldsToLearn, ...customFieldsToLearn];
+    const fieldsToLearn = getLearnableFields(vendor);
     
     // Prepare fields that need learning and prepare for selector removal/replacement
     const fieldsToProcess = fieldsToLearn.filter(field => {
@@ -260,7 +438,7 @@ async function learnAndCacheSelectors(page, vendor, item) {
              
             let observation = null;
             try {
-                observation = await page.observe(observePrompt, { timeout: 10000 }); // Increased timeout
+                observation = await llm.observe(page, observePrompt, { vendor, field, timeoutMs: OBSERVE_TIMEOUT_MS });
             } catch (observeErr) {
                 // Shadow DOM often breaks naive observation follow-ups; keep going, validation will try pierce selectors
                 observation = null;
@@ -442,7 +620,7 @@ async function learnAndCacheSelectors(page, vendor, item) {
     console.log(`[SELECTOR_LEARNING] Total selectors learned: ${Object.keys(learned).length}`);
     if (Object.keys(learned).length > 0) {
         console.log(`[SELECTOR_LEARNING] Saving selectors for fields: ${Object.keys(learned).join(', ')}`);
-        await saveVendorSelectors(vendor, learned);
+        await saveVendorSelectors(vendor, learned, { template });
     } else {
         console.log(`[SELECTOR_LEARNING] No selectors to save`);
         // Log when no selectors were successfully learned
@@ -474,7 +652,14 @@ function hasLearnedSelectors(vendor, field) {
 
 module.exports = {
     learnAndCacheSelectors,
+    getLearnableFields,
     getVendorCustomFields,
     loadVendorSelectors,
-    saveVendorSelectors
+    getSelectorSet,
+    saveVendorSelectors,
+    removeVendorSelector,
+    recordSelectorOutcomes,
+    flushSelectorOutcomes,
+    recordProbationResults,
+    getSelectorHealthStats
 };
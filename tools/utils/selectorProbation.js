@@ -0,0 +1,118 @@
+'use strict';
+
+const { getSelectorSet, recordProbationResults } = require('./selectorLearningCore');
+const { trySelectorsForField } = require('../strategies/tryExtractWithVendorSelectors');
+const { parseAmount } = require('./priceParser');
+
+/**
+ * Shadow validation for selectors on probation
+ * A selector learned through page.observe is stored with status 'probation' and is not used for
+ * extraction. On each following product page it is run in shadow: its value is compared with the
+ * value the product was accepted with (vendor strategy, structured data, active selectors or a
+ * verified LLM answer). After SELECTOR_PROBATION_PAGES comparisons it is promoted to active or
+ * rejected (see selectorStats.recordProbationSample); rejections are logged with the disagreeing samples.
+ * Only the probation selectors of the product's page template (`page_template`) are compared.
+ */
+
+const SHADOW_TIMEOUT_MS = 3000;
+const OUT_OF_STOCK_RX = /out of stock|sold out|unavailable|not available/i;
+
+const normalize = (s) => (s || '').toString().toLowerCase().replace(/\s+/g, ' ').trim();
+const fileNameOf = (url) => String(url || '').split('/').pop().split('?')[0];
+const truncate = (value) => (value === null || value === undefined ? null : String(value).substring(0, 120));
+
+/**
+ * Value a product was accepted with, as a selector would read it from the page
+ * `price` on processed products carries the markup; the scraped price is `cost_price`.
+ * @param {Object} item
+ * @param {string} field
+ * @returns {*}
+ */
+function acceptedValue(item, field) {
+    if (field === 'price' && item.cost_price !== undefined && item.cost_price !== null && item.cost_price !== '') return item.cost_price;
+    return item[field];
+}
+
+/**
+ * Whether a shadow value agrees with the accepted value for a field
+ * @param {string} field
+ * @param {*} actual - Value read with the probation selector
+ * @param {*} expected - Value the product was accepted with
+ * @returns {boolean}
+ */
+function valuesAgree(field, actual, expected) {
+    if (actual === null || actual === undefined || actual === '') return false;
+    if (typeof expected === 'boolean' || typeof actual === 'boolean') {
+        return (actual === true || actual === 'true') === (expected === true || expected === 'true');
+    }
+    if (field === 'price') {
+        const a = parseAmount(actual);
+        const b = typeof expected === 'number' ? expected : parseAmount(expected);
+        return a !== null && b !== null && Math.abs(a - b) < 0.005;
+    }
+    if (field === 'main_image') {
+        const a = fileNameOf(actual);
+        const b = fileNameOf(expected);
+        return !!a && !!b && a === b;
+    }
+    if (field === 'stock_status') {
+        return OUT_OF_STOCK_RX.test(String(actual)) === OUT_OF_STOCK_RX.test(String(expected));
+    }
+    if (field === 'breadcrumbs') {
+        const text = normalize(actual);
+        const crumbs = (Array.isArray(expected) ? expected : [expected]).map(normalize).filter(Boolean);
+        return crumbs.length > 0 && crumbs.every(crumb => text.includes(crumb));
+    }
+    const a = normalize(actual);
+    const b = normalize(expected);
+    if (!a || !b || !(a.includes(b) || b.includes(a))) return false;
+    // Containment only counts between values of similar length: a container holding the value
+    // (or a fragment of it) is not the same field
+    const shorter = Math.min(a.length, b.length);
+    return Math.max(a.length, b.length) <= Math.max(shorter * 1.5, shorter + 40);
+}
+
+/**
+ * Run a vendor's probation selectors against the current page and compare them with the accepted product
+ * @param {Object} page - Playwright page showing the product
+ * @param {string} vendor
+ * @param {Object} item - Accepted product
+ * @returns {Promise<number>} Comparisons recorded
+ */
+async function shadowValidate(page, vendor, item) {
+    if (!item || item.error || item.extraction_mode === 'http') return 0;
+    const template = item.page_template || 'default';
+    const vendorData = getSelectorSet(vendor, template);
+    if (!vendorData || !vendorData.selectors) return 0;
+    // LLM values that failed verification are not a reference
+    const unverified = new Set(Object.keys((item._verification && item._verification.failed) || {}));
+
+    const results = [];
+    for (const [field, list] of Object.entries(vendorData.selectors)) {
+        if (!Array.isArray(list) || unverified.has(field)) continue;
+        const expected = acceptedValue(item, field);
+        if (expected === undefined || expected === null || expected === '' || (Array.isArray(expected) && expected.length === 0)) continue;
+        for (const entry of list.filter(e => e && e.status === 'probation')) {
+            try {
+                const { value } = await trySelectorsForField(page, field, [entry], vendor, SHADOW_TIMEOUT_MS);
+                const agreed = valuesAgree(field, value, expected);
+                results.push({
+                    field,
+                    selector: entry.selector,
+                    agreed,
+                    sample: agreed ? null : { url: item.url || item.source_url || null, expected: truncate(Array.isArray(expected) ? expected.join(' > ') : expected), actual: truncate(value) }
+                });
+            } catch (error) {
+                console.log(`[SELECTOR_PROBATION] Shadow run failed for ${vendor}.${field}: ${error.message}`);
+            }
+        }
+    }
+    await recordProbationResults(vendor, results, template);
+    return results.length;
+}
+
+module.exports = {
+    acceptedValue,
+    valuesAgree,
+    shadowValidate
+};
@@ -0,0 +1,259 @@
+'use strict';
+
+/**
+ * Learned selector health
+ * Every selector entry in the selector store (cache/selectorStore.js) carries time-decayed
+ * success and failure counts. Older outcomes weigh less (half-life SELECTOR_DECAY_HALF_LIFE_DAYS,
+ * default 7), so a selector that worked last month but fails today drops quickly:
+ *
+ *   { selector, learned_at, success_count, failure_count, consecutive_failures,
+ *     last_success, last_failure, decayed_success, decayed_failure, decayed_at,
+ *     success_rate, status: 'active' | 'demoted' | 'probation' }
+ *
+ * success_rate = (decayed_success + 1) / (decayed_success + decayed_failure + 2)
+ *   - demoted below SELECTOR_DEMOTE_RATE (default 0.3) once decayed attempts reach
+ *     SELECTOR_MIN_ATTEMPTS (default 3); demoted selectors are tried last with a short timeout
+ *   - promoted back to active when the rate recovers above the demotion threshold
+ *   - evicted when demoted and failing SELECTOR_EVICT_AFTER_FAILURES (default 10) times in a row
+ * Selector lists are ordered active first, then by success rate and most recent success.
+ * Newly learned selectors start in 'probation' and are not used for extraction until
+ * shadow validation against accepted values promotes them (see selectorProbation.js).
+ * Pinned selectors (`pinned: true`, set by hand) stay active, are tried first and are never
+ * demoted, evicted or displaced by newly learned ones.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getConfig() {
+    return {
+        halfLifeMs: (Number(process.env.SELECTOR_DECAY_HALF_LIFE_DAYS) || 7) * DAY_MS,
+        demoteRate: Number(process.env.SELECTOR_DEMOTE_RATE) || 0.3,
+        minAttempts: Number(process.env.SELECTOR_MIN_ATTEMPTS) || 3,
+        evictAfterFailures: Number(process.env.SELECTOR_EVICT_AFTER_FAILURES) || 10,
+        probationPages: Number(process.env.SELECTOR_PROBATION_PAGES) || 5,
+        probationAgreement: Number(process.env.SELECTOR_PROBATION_AGREEMENT) || 0.8
+    };
+}
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+function toTime(value) {
+    const t = value ? new Date(value).getTime() : NaN;
+    return Number.isFinite(t) ? t : null;
+}
+
+/**
+ * Fill health fields on entries written before failure tracking existed (success_count only)
+ * @param {Object} entry - Selector entry, modified in place
+ * @returns {Object}
+ */
+function normalizeEntry(entry) {
+    if (!entry || typeof entry !== 'object') return entry;
+    if (typeof entry.success_count !== 'number') entry.success_count = 0;
+    if (typeof entry.failure_count !== 'number') entry.failure_count = 0;
+    if (typeof entry.consecutive_failures !== 'number') entry.consecutive_failures = 0;
+    if (typeof entry.decayed_success !== 'number') entry.decayed_success = entry.success_count;
+    if (typeof entry.decayed_failure !== 'number') entry.decayed_failure = entry.failure_count;
+    if (!entry.decayed_at) entry.decayed_at = entry.last_success || entry.learned_at || new Date().toISOString();
+    if (!entry.status) entry.status = 'active';
+    if (typeof entry.success_rate !== 'number') entry.success_rate = successRate(entry);
+    return entry;
+}
+
+function successRate(entry) {
+    const s = Number(entry.decayed_success) || 0;
+    const f = Number(entry.decayed_failure) || 0;
+    return round3((s + 1) / (s + f + 2));
+}
+
+// Bring decayed counts forward to `now`
+function decay(entry, now, config) {
+    const since = toTime(entry.decayed_at);
+    if (since !== null && now > since) {
+        const factor = Math.pow(0.5, (now - since) / config.halfLifeMs);
+        entry.decayed_success = round3(entry.decayed_success * factor);
+        entry.decayed_failure = round3(entry.decayed_failure * factor);
+    }
+    entry.decayed_at = new Date(now).toISOString();
+}
+
+/**
+ * Record one extraction outcome for a selector
+ * @param {Object} entry - Selector entry, modified in place
+ * @param {boolean} success
+ * @param {number} [now] - Epoch ms
+ * @returns {Object} entry
+ */
+function recordOutcome(entry, success, now = Date.now()) {
+    const config = getConfig();
+    normalizeEntry(entry);
+    decay(entry, now, config);
+    const iso = new Date(now).toISOString();
+    if (success) {
+        entry.success_count += 1;
+        entry.decayed_success = round3(entry.decayed_success + 1);
+        entry.consecutive_failures = 0;
+        entry.last_success = iso;
+    } else {
+        entry.failure_count += 1;
+        entry.decayed_failure = round3(entry.decayed_failure + 1);
+        entry.consecutive_failures += 1;
+        entry.last_failure = iso;
+    }
+    entry.success_rate = successRate(entry);
+    const attempts = entry.decayed_success + entry.decayed_failure;
+    if (entry.pinned) return entry;
+    if (entry.status === 'active' && attempts >= config.minAttempts && entry.success_rate < config.demoteRate) {
+        entry.status = 'demoted';
+        entry.demoted_at = iso;
+    } else if (entry.status === 'demoted' && entry.success_rate >= config.demoteRate) {
+        entry.status = 'active';
+        delete entry.demoted_at;
+    }
+    return entry;
+}
+
+/**
+ * @param {Object} entry
+ * @returns {boolean} True when the selector should be removed
+ */
+function shouldEvict(entry) {
+    return !!entry && !entry.pinned && entry.status === 'demoted' && (entry.consecutive_failures || 0) >= getConfig().evictAfterFailures;
+}
+
+// Sort order by status: demoted selectors go last, behind selectors still on probation
+const STATUS_ORDER = { active: 0, probation: 1, demoted: 2 };
+
+/**
+ * Order selectors for trying: pinned first, then active, then by success rate, then by most recent success
+ * @param {Array<Object>} entries
+ * @returns {Array<Object>} New sorted array
+ */
+function rankSelectors(entries) {
+    return (Array.isArray(entries) ? entries : [])
+        .filter(entry => entry && entry.selector)
+        .map(entry => ({ entry, rate: typeof entry.success_rate === 'number' ? entry.success_rate : successRate(normalizeEntry({ ...entry })) }))
+        .sort((a, b) => {
+            if (!!a.entry.pinned !== !!b.entry.pinned) return a.entry.pinned ? -1 : 1;
+            const statusA = STATUS_ORDER[a.entry.status] || 0;
+            const statusB = STATUS_ORDER[b.entry.status] || 0;
+            if (statusA !== statusB) return statusA - statusB;
+            if (b.rate !== a.rate) return b.rate - a.rate;
+            return (toTime(b.entry.last_success) || 0) - (toTime(a.entry.last_success) || 0);
+        })
+        .map(({ entry }) => entry);
+}
+
+/**
+ * Start a newly learned selector on probation (unless DISABLE_SELECTOR_PROBATION is set)
+ * @param {Object} entry - Selector entry, modified in place
+ * @param {number} [now]
+ * @returns {Object} entry
+ */
+function startProbation(entry, now = Date.now()) {
+    if (process.env.DISABLE_SELECTOR_PROBATION === 'true') return entry;
+    entry.status = 'probation';
+    entry.probation = { started_at: new Date(now).toISOString(), pages: 0, agreements: 0, disagreements: [] };
+    return entry;
+}
+
+/**
+ * Pin a known-good selector: active immediately, skipping probation
+ * @param {Object} entry - Selector entry, modified in place
+ * @param {number} [now]
+ * @returns {Object} entry
+ */
+function pin(entry, now = Date.now()) {
+    entry.pinned = true;
+    entry.pinned_at = new Date(now).toISOString();
+    entry.status = 'active';
+    delete entry.probation;
+    delete entry.demoted_at;
+    return entry;
+}
+
+/**
+ * Return a pinned selector to normal health tracking
+ * @param {Object} entry - Selector entry, modified in place
+ * @returns {Object} entry
+ */
+function unpin(entry) {
+    delete entry.pinned;
+    delete entry.pinned_at;
+    return entry;
+}
+
+/**
+ * Record one shadow comparison for a selector on probation
+ * After SELECTOR_PROBATION_PAGES (default 5) comparisons the selector is promoted when it agreed on
+ * at least SELECTOR_PROBATION_AGREEMENT (default 0.8) of them, otherwise rejected.
+ * @param {Object} entry - Selector entry on probation, modified in place
+ * @param {boolean} agreed
+ * @param {Object} [sample] - { url, expected, actual } kept for disagreements (up to 5)
+ * @param {number} [now]
+ * @returns {'pending'|'promoted'|'rejected'}
+ */
+function recordProbationSample(entry, agreed, sample = null, now = Date.now()) {
+    if (!entry || entry.status !== 'probation') return 'pending';
+    const config = getConfig();
+    const probation = entry.probation || (entry.probation = { pages: 0, agreements: 0, disagreements: [] });
+    probation.pages += 1;
+    if (agreed) probation.agreements += 1;
+    else if (sample && probation.disagreements.length < 5) probation.disagreements.push(sample);
+    probation.agreement_rate = round3(probation.agreements / probation.pages);
+    if (probation.pages < config.probationPages) return 'pending';
+    if (probation.agreement_rate >= config.probationAgreement) {
+        entry.status = 'active';
+        entry.promoted_at = new Date(now).toISOString();
+        entry.probation_agreement = probation.agreement_rate;
+        delete entry.probation;
+        return 'promoted';
+    }
+    return 'rejected';
+}
+
+/**
+ * Selectors usable for extraction (everything except those still on probation)
+ * @param {Array<Object>} entries
+ * @returns {Array<Object>}
+ */
+function inService(entries) {
+    return (Array.isArray(entries) ? entries : []).filter(entry => entry && entry.status !== 'probation');
+}
+
+/**
+ * Apply outcomes to a field's selector list, evict dead selectors and reorder
+ * @param {Array<Object>} entries - Field selector list
+ * @param {{success?: string|null, failed?: Array<string>}} outcome
+ * @param {number} [now]
+ * @returns {{entries: Array<Object>, evicted: Array<string>, changed: boolean}}
+ */
+function applyOutcomes(entries, outcome, now = Date.now()) {
+    const list = Array.isArray(entries) ? entries : [];
+    let changed = false;
+    for (const selector of (outcome && outcome.failed) || []) {
+        const entry = list.find(e => e.selector === selector);
+        if (entry) { recordOutcome(entry, false, now); changed = true; }
+    }
+    if (outcome && outcome.success) {
+        const entry = list.find(e => e.selector === outcome.success);
+        if (entry) { recordOutcome(entry, true, now); changed = true; }
+    }
+    const evicted = list.filter(shouldEvict).map(e => e.selector);
+    const kept = list.filter(e => !shouldEvict(e));
+    return { entries: rankSelectors(kept), evicted, changed: changed || evicted.length > 0 };
+}
+
+module.exports = {
+    normalizeEntry,
+    successRate,
+    recordOutcome,
+    shouldEvict,
+    rankSelectors,
+    inService,
+    startProbation,
+    pin,
+    unpin,
+    recordProbationSample,
+    applyOutcomes
+};
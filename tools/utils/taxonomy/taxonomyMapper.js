@@ -0,0 +1,270 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { resolveStrategy } = require('../../strategies/registry');
+
+/**
+ * Category taxonomy mapping
+ * Maps vendor breadcrumbs onto the internal category tree (tools/utils/taxonomy/categories.json,
+ * with Google Product Taxonomy IDs where they apply) using the vendor's mapping file at
+ * vendors/<vendor>/taxonomy.json:
+ *
+ *   { "rules": [
+ *       { "path": ["Make Up", "Lips"], "taxonomy_id": "health-beauty.makeup.lips" },
+ *       { "path": ["Pharmacy"], "exact": true, "taxonomy_id": "health-beauty.health-care.medicines" },
+ *       { "regex": "\\bvitamins?\\b", "taxonomy_id": "health-beauty.health-care.vitamins" },
+ *       { "keywords": ["lipstick", "lip gloss"], "taxonomy_id": "health-beauty.makeup.lips" }
+ *   ] }
+ *
+ * Rule kinds, in precedence order:
+ *   - path: breadcrumbs start with the rule path (`exact` requires the whole path); longest match wins
+ *   - regex: tested against the joined breadcrumb path ("make up > lips > lipstick")
+ *   - keywords: whole-word match in the breadcrumb path or product name
+ * Regex and keyword rules apply in file order. Breadcrumbs and rule paths are compared
+ * case-insensitively with punctuation removed, so "Baby & Child" matches "baby  child" and
+ * "Women’s Perfume" matches "Womens Perfume"; a leading "Home" crumb is skipped.
+ * Breadcrumb paths no rule matches are counted in memory and merged into the vendor's
+ * unmapped report once, by flushUnmappedBreadcrumbs() at the end of the run.
+ */
+
+const CATEGORIES_PATH = path.resolve(__dirname, 'categories.json');
+const MAPPING_FILE = 'taxonomy.json';
+const UNMAPPED_REPORT_FILE = 'unmapped-breadcrumbs.json';
+
+let __categories = null; // taxonomy_id -> { id, path, google_id }
+const __mappings = new Map(); // vendor -> compiled rules | null
+const __stats = { mapped: 0, unmapped: 0, byMatch: { path: 0, regex: 0, keyword: 0 } };
+
+// Apostrophes are dropped rather than spaced, so "Women’s Perfume" matches "Womens Perfume"
+function normalizeLabel(label) {
+    return String(label || '').toLowerCase().replace(/['’]/g, '').replace(/&/g, ' ').replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function loadCategories() {
+    if (__categories) return __categories;
+    __categories = new Map();
+    try {
+        const data = JSON.parse(fs.readFileSync(CATEGORIES_PATH, 'utf8'));
+        for (const category of data.categories || []) {
+            if (category && category.id && Array.isArray(category.path)) __categories.set(category.id, category);
+        }
+    } catch (error) {
+        console.log(`[TAXONOMY] Failed to load category tree: ${error.message}`);
+    }
+    return __categories;
+}
+
+function compileRules(rules, source) {
+    const categories = loadCategories();
+    const compiled = [];
+    for (const [index, rule] of (rules || []).entries()) {
+        if (!rule || !rule.taxonomy_id) continue;
+        if (!categories.has(rule.taxonomy_id)) {
+            console.log(`[TAXONOMY] ${source} rule ${index + 1}: unknown taxonomy_id "${rule.taxonomy_id}", skipped`);
+            continue;
+        }
+        if (Array.isArray(rule.path) && rule.path.length > 0) {
+            compiled.push({ kind: 'path', taxonomyId: rule.taxonomy_id, path: rule.path.map(normalizeLabel), exact: !!rule.exact });
+        } else if (rule.regex) {
+            try {
+                compiled.push({ kind: 'regex', taxonomyId: rule.taxonomy_id, regex: new RegExp(rule.regex, 'i') });
+            } catch (error) {
+                console.log(`[TAXONOMY] ${source} rule ${index + 1}: invalid regex (${error.message}), skipped`);
+            }
+        } else if (Array.isArray(rule.keywords) && rule.keywords.length > 0) {
+            const words = rule.keywords.map(normalizeLabel).filter(Boolean);
+            const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            compiled.push({ kind: 'keyword', taxonomyId: rule.taxonomy_id, regex: new RegExp(`\\b(?:${escaped.join('|')})\\b`, 'i') });
+        }
+    }
+    return compiled;
+}
+
+/**
+ * Compiled mapping rules for a vendor, read from vendors/<vendor>/taxonomy.json
+ * @param {string|Object} target - Vendor name, URL or { vendor, url }
+ * @returns {Array<Object>|null} null when the vendor has no mapping file
+ */
+function getVendorRules(target) {
+    const strategy = resolveStrategy(target);
+    if (!strategy || !strategy.source) return null;
+    if (__mappings.has(strategy.vendor)) return __mappings.get(strategy.vendor);
+    const file = path.join(path.dirname(strategy.source), MAPPING_FILE);
+    let rules = null;
+    if (fs.existsSync(file)) {
+        try {
+            rules = compileRules(JSON.parse(fs.readFileSync(file, 'utf8')).rules, `${strategy.vendor}/${MAPPING_FILE}`);
+        } catch (error) {
+            console.log(`[TAXONOMY] Failed to load ${file}: ${error.message}`);
+        }
+    }
+    __mappings.set(strategy.vendor, rules);
+    return rules;
+}
+
+/**
+ * Match breadcrumbs (and optionally the product name) against compiled rules
+ * @param {Array<Object>} rules
+ * @param {Array<string>} breadcrumbs
+ * @param {string} [name]
+ * @returns {{taxonomyId: string, match: string}|null}
+ */
+function matchRules(rules, breadcrumbs, name = '') {
+    const crumbs = (breadcrumbs || []).map(normalizeLabel).filter(Boolean);
+    if (crumbs[0] === 'home') crumbs.shift();
+    if (!rules || crumbs.length === 0) return null;
+
+    let best = null;
+    for (const rule of rules) {
+        if (rule.kind !== 'path' || rule.path.length > crumbs.length) continue;
+        if (rule.exact && rule.path.length !== crumbs.length) continue;
+        if (!rule.path.every((label, i) => label === crumbs[i])) continue;
+        if (!best || rule.path.length > best.path.length) best = rule;
+    }
+    if (best) return { taxonomyId: best.taxonomyId, match: 'path' };
+
+    const joined = crumbs.join(' > ');
+    const regexRule = rules.find(rule => rule.kind === 'regex' && rule.regex.test(joined));
+    if (regexRule) return { taxonomyId: regexRule.taxonomyId, match: 'regex' };
+
+    const haystack = `${joined} ${normalizeLabel(name)}`;
+    const keywordRule = rules.find(rule => rule.kind === 'keyword' && rule.regex.test(haystack));
+    if (keywordRule) return { taxonomyId: keywordRule.taxonomyId, match: 'keyword' };
+    return null;
+}
+
+/**
+ * Map a product onto the internal taxonomy
+ * @param {Object} product - Needs `breadcrumbs` and `vendor`/`url`
+ * @returns {{taxonomy_id: string, taxonomy_path: string, google_product_category?: number, taxonomy_match: string}|null}
+ *   null when the vendor has no mapping file, the product has no breadcrumbs or no rule matches
+ */
+function mapProduct(product) {
+    if (!product || !Array.isArray(product.breadcrumbs) || product.breadcrumbs.length === 0) return null;
+    const rules = getVendorRules({ vendor: product.vendor, url: product.url });
+    const matched = matchRules(rules, product.breadcrumbs, product.name);
+    if (!matched) return null;
+    const category = loadCategories().get(matched.taxonomyId);
+    const out = { taxonomy_id: category.id, taxonomy_path: category.path.join(' > ') };
+    if (category.google_id) out.google_product_category = category.google_id;
+    out.taxonomy_match = matched.match;
+    return out;
+}
+
+/**
+ * Output pipeline step: add `taxonomy_id` and `taxonomy_path`; raw `breadcrumbs` are kept.
+ * Unmapped products get `taxonomy_id: null` when their vendor has a mapping file.
+ * @param {Object} product
+ * @returns {Object}
+ */
+function applyTaxonomy(product) {
+    try {
+        if (!product || typeof product !== 'object' || !Array.isArray(product.breadcrumbs) || product.breadcrumbs.length === 0) return product;
+        if (!getVendorRules({ vendor: product.vendor, url: product.url })) return product;
+        const mapped = mapProduct(product);
+        const next = { ...product };
+        delete next.google_product_category;
+        if (mapped) {
+            __stats.mapped++;
+            __stats.byMatch[mapped.taxonomy_match]++;
+            return Object.assign(next, mapped);
+        }
+        __stats.unmapped++;
+        return Object.assign(next, { taxonomy_id: null, taxonomy_path: null, taxonomy_match: null });
+    } catch {
+        return product;
+    }
+}
+
+// Unmapped paths seen this run: vendorDir -> Map(path key -> { breadcrumbs, count, first_seen, last_seen, sample_urls })
+const __unmapped = new Map();
+let __exitHookInstalled = false;
+
+/**
+ * Count unmapped breadcrumb paths for <vendorDir>/unmapped-breadcrumbs.json. Counts are kept in
+ * memory and merged into the file by flushUnmappedBreadcrumbs(), so concurrent workers never
+ * read and rewrite the report per output batch.
+ * @param {string} vendorDir - Vendor output directory
+ * @param {Array<Object>} products - Products already passed through applyTaxonomy
+ * @returns {number} Unmapped products recorded
+ */
+function recordUnmappedBreadcrumbs(vendorDir, products) {
+    const unmapped = (products || []).filter(p => p && p.taxonomy_id === null && Array.isArray(p.breadcrumbs) && p.breadcrumbs.length > 0);
+    if (unmapped.length === 0) return 0;
+    if (!__unmapped.has(vendorDir)) __unmapped.set(vendorDir, new Map());
+    const paths = __unmapped.get(vendorDir);
+    const now = new Date().toISOString();
+    for (const product of unmapped) {
+        const key = product.breadcrumbs.join(' > ');
+        const entry = paths.get(key) || { breadcrumbs: product.breadcrumbs, count: 0, first_seen: now, sample_urls: [] };
+        entry.count++;
+        entry.last_seen = now;
+        if (product.url && entry.sample_urls.length < 5 && !entry.sample_urls.includes(product.url)) entry.sample_urls.push(product.url);
+        paths.set(key, entry);
+    }
+    if (!__exitHookInstalled) {
+        __exitHookInstalled = true;
+        process.once('exit', flushUnmappedBreadcrumbs);
+    }
+    return unmapped.length;
+}
+
+/**
+ * Merge the unmapped paths counted this run into each vendor's unmapped-breadcrumbs.json
+ * (count, first/last seen, up to five sample URLs). The report is replaced by renaming a
+ * temporary file, so readers never see a half-written report. Called at the end of a run;
+ * also runs on process exit.
+ */
+function flushUnmappedBreadcrumbs() {
+    const pending = Array.from(__unmapped.entries());
+    __unmapped.clear();
+    for (const [vendorDir, paths] of pending) {
+        const file = path.join(vendorDir, UNMAPPED_REPORT_FILE);
+        let report = { paths: {} };
+        try { if (fs.existsSync(file)) report = JSON.parse(fs.readFileSync(file, 'utf8')); } catch { }
+        if (!report.paths || typeof report.paths !== 'object') report.paths = {};
+        let lastSeen = null;
+        for (const [key, seen] of paths) {
+            const entry = report.paths[key] || { breadcrumbs: seen.breadcrumbs, count: 0, first_seen: seen.first_seen, sample_urls: [] };
+            entry.count += seen.count;
+            entry.last_seen = seen.last_seen;
+            for (const url of seen.sample_urls) {
+                if (entry.sample_urls.length < 5 && !entry.sample_urls.includes(url)) entry.sample_urls.push(url);
+            }
+            report.paths[key] = entry;
+            if (!lastSeen || seen.last_seen > lastSeen) lastSeen = seen.last_seen;
+        }
+        report.updated_at = lastSeen;
+        report.total_paths = Object.keys(report.paths).length;
+        const tmpFile = `${file}.${process.pid}.tmp`;
+        try {
+            fs.mkdirSync(vendorDir, { recursive: true });
+            fs.writeFileSync(tmpFile, JSON.stringify(report, null, 2), 'utf8');
+            fs.renameSync(tmpFile, file);
+        } catch (error) {
+            try { fs.unlinkSync(tmpFile); } catch { }
+            console.log(`[TAXONOMY] Failed to write unmapped report ${file}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Taxonomy statistics for the run summary
+ * @returns {{mapped: number, unmapped: number, byMatch: Object}}
+ */
+function getTaxonomyStats() {
+    return { ...__stats, byMatch: { ...__stats.byMatch } };
+}
+
+module.exports = {
+    UNMAPPED_REPORT_FILE,
+    normalizeLabel,
+    getVendorRules,
+    matchRules,
+    mapProduct,
+    applyTaxonomy,
+    recordUnmappedBreadcrumbs,
+    flushUnmappedBreadcrumbs,
+    getTaxonomyStats
+};
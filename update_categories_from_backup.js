@@ -1,13 +1,18 @@
 const fs = require('fs');
 const path = require('path');
+const { mapProduct, recordUnmappedBreadcrumbs, flushUnmappedBreadcrumbs } = require('./tools/utils/taxonomy/taxonomyMapper');
 
 /**
  * Script to update category values with the last breadcrumb item from Backup files
- * This script reads files in the Backup directory and updates the category field
- * with the last item from the breadcrumbs array
+ * This script reads files in the Backup directory, updates the category field
+ * with the last item from the breadcrumbs array and maps the breadcrumbs onto the
+ * internal taxonomy (taxonomy_id / taxonomy_path). Unmapped breadcrumb paths are
+ * added to scrapper/output/superdrug/unmapped-breadcrumbs.json
  */
 
 // Configuration
+const VENDOR = 'superdrug';
+const VENDOR_OUTPUT_DIR = 'scrapper/output/superdrug';
 const BACKUP_DIR = 'scrapper/output/superdrug/updates/Backup';
 const OUTPUT_DIR = 'scrapper/output/superdrug/updates/Backup/updated';
 
@@ -18,7 +23,7 @@ if (!fs.existsSync(OUTPUT_DIR)) {
 }
 
 /**
- * Update category with last breadcrumb item
+ * Update category with last breadcrumb item and set the taxonomy fields
  * @param {Object} product - Product object
  * @returns {Object} - Updated product object
  */
@@ -41,6 +46,12 @@ function updateCategoryFromBreadcrumbs(product) {
         // Handle empty breadcrumbs array
         updatedProduct.category = null;
     }
+
+    if (Array.isArray(updatedProduct.breadcrumbs) && updatedProduct.breadcrumbs.length > 0) {
+        // Raw breadcrumbs are kept; unmapped products get taxonomy_id null for the unmapped report
+        const mapped = mapProduct({ ...updatedProduct, vendor: updatedProduct.vendor || VENDOR });
+        Object.assign(updatedProduct, mapped || { taxonomy_id: null, taxonomy_path: null, taxonomy_match: null });
+    }
     updatedProduct.height = 0;
     updatedProduct.length = 0;
     return updatedProduct;
@@ -60,6 +71,7 @@ function processFile(filePath) {
         const data = JSON.parse(fileContent);
         
         let updatedCount = 0;
+        let unmappedCount = 0;
         let totalCount = 0;
         let errors = [];
         
@@ -91,6 +103,7 @@ function processFile(filePath) {
                 ...data,
                 items: updatedItems
             };
+            unmappedCount += recordUnmappedBreadcrumbs(VENDOR_OUTPUT_DIR, updatedItems);
             
             // Write updated data to output file
             const outputFileName = `updated_${path.basename(filePath)}`;
@@ -122,6 +135,8 @@ function processFile(filePath) {
                 }
             });
             
+            unmappedCount += recordUnmappedBreadcrumbs(VENDOR_OUTPUT_DIR, updatedData);
+            
             // Write updated data to output file
             const outputFileName = `updated_${path.basename(filePath)}`;
             const outputPath = path.join(OUTPUT_DIR, outputFileName);
@@ -134,6 +149,7 @@ function processFile(filePath) {
             totalCount = 1;
             const originalCategory = data.category;
             const updatedData = updateCategoryFromBreadcrumbs(data);
+            unmappedCount += recordUnmappedBreadcrumbs(VENDOR_OUTPUT_DIR, [updatedData]);
             
             // Check if category was actually changed
             if (originalCategory !== updatedData.category) {
@@ -157,6 +173,7 @@ function processFile(filePath) {
             filePath,
             totalCount,
             updatedCount,
+            unmappedCount,
             errors
         };
         
@@ -206,6 +223,7 @@ async function main() {
             results.push(result);
             console.log(''); // Add spacing between files
         }
+        flushUnmappedBreadcrumbs();
         
         // Summary
         console.log('📊 Processing Summary:');
@@ -215,6 +233,7 @@ async function main() {
         let successfulFiles = 0;
         let totalProducts = 0;
         let totalUpdated = 0;
+        let totalUnmapped = 0;
         let totalErrors = 0;
         
         results.forEach(result => {
@@ -223,6 +242,7 @@ async function main() {
                 successfulFiles++;
                 totalProducts += result.totalCount || 0;
                 totalUpdated += result.updatedCount || 0;
+                totalUnmapped += result.unmappedCount || 0;
                 totalErrors += result.errors ? result.errors.length : 0;
                 
                 console.log(`✅ ${path.basename(result.filePath)}: ${result.updatedCount}/${result.totalCount} products updated`);
@@ -241,6 +261,7 @@ async function main() {
         console.log(`   Files successful: ${successfulFiles}`);
         console.log(`   Total products: ${totalProducts}`);
         console.log(`   Products updated: ${totalUpdated}`);
+        console.log(`   Products without taxonomy mapping: ${totalUnmapped}`);
         console.log(`   Total errors: ${totalErrors}`);
         
         if (totalUpdated > 0) {
@@ -248,6 +269,9 @@ async function main() {
             console.log(`🎉 Successfully updated ${totalUpdated} product categories!`);
             console.log(`📁 Updated files saved to: ${OUTPUT_DIR}`);
         }
+        if (totalUnmapped > 0) {
+            console.log(`🗂️  Unmapped breadcrumb paths listed in: ${path.join(VENDOR_OUTPUT_DIR, 'unmapped-breadcrumbs.json')}`);
+        }
         
     } catch (error) {
         console.error('💥 Fatal error:', error.message);
@@ -0,0 +1,284 @@
+'use strict';
+
+const { z } = require('zod');
+
+/**
+ * Harrods-specific product extraction strategy
+ * Harrods product pages are React-rendered and publish a schema.org Product block,
+ * so DOM selectors are paired with JSON-LD fallbacks for every core field.
+ * Experimental: the DOM selectors were written without a saved Harrods page to check them
+ * against; only the JSON-LD fallbacks are covered (test_harrods_strategy.js). Replace this
+ * with a saved product page fixture once one is captured.
+ */
+
+// Define Harrods-specific custom fields
+const HARRODS_CUSTOM_FIELDS = {
+    designer: z.string().describe('Designer or brand name shown above the product title (e.g., "Dior"). Return empty string if not present.'),
+    brand: z.string().describe('Brand name of the product as published by the retailer. Return empty string if not present.'),
+    product_details: z.string().describe('Text content from the "Product Details" or "Details" section. Preserve bullet points as newline-separated plain text. Return empty string if the section is not present.'),
+    size_and_fit: z.string().describe('Text content from the "Size & Fit" section. Preserve bullet points as newline-separated plain text. Return empty string if the section is not present.'),
+    colour: z.string().describe('Selected colour or shade name of the product. Return empty string if not present.'),
+    size_options: z.array(z.string()).describe('All size options offered in the size selector, in display order. Return empty array if the product has no size selector.'),
+};
+
+
+async function extractHarrodsProduct(page, urlObj, productName = null, options = {}) {
+    try {
+        const allowedFields = Array.isArray(options?.allowedFields) ? new Set(options.allowedFields) : null;
+        // Only wait for the gallery if images are requested
+        if (!allowedFields || allowedFields.has('images') || allowedFields.has('main_image')) {
+            try {
+                await page.waitForSelector('[data-test="pdp-gallery"] img, [class*="gallery"] img, main picture img', {
+                    timeout: 15000,
+                    state: 'attached' // Don't wait for visibility, just for element to exist
+                });
+            } catch { } // JSON-LD still provides images when the gallery is lazy
+        }
+
+        const extractedData = await page.evaluate((payload) => {
+            const { productName, allowedFieldsArray } = payload;
+            const allowedFields = Array.isArray(allowedFieldsArray) ? new Set(allowedFieldsArray) : null;
+            const wants = (field) => !allowedFields || allowedFields.has(field);
+            const clean = (s) => (s || '').replace(/\s+/g, ' ').trim();
+
+            function readJsonLdProduct() {
+                const scripts = Array.from(document.querySelectorAll('script[type="application/ld+json"]'));
+                const out = { product: null, breadcrumbs: null };
+                const visit = (node) => {
+                    if (!node || typeof node !== 'object') return;
+                    if (Array.isArray(node)) { node.forEach(visit); return; }
+                    const types = [].concat(node['@type'] || []).map(t => String(t).toLowerCase());
+                    if (!out.product && types.includes('product')) out.product = node;
+                    if (!out.breadcrumbs && types.includes('breadcrumblist')) out.breadcrumbs = node;
+                    if (node['@graph']) visit(node['@graph']);
+                };
+                for (const s of scripts) {
+                    try { visit(JSON.parse(s.textContent || '')); } catch { }
+                }
+                return out;
+            }
+
+            const ld = readJsonLdProduct();
+            const ldOffer = ld.product ? [].concat(ld.product.offers || [])[0] || null : null;
+
+            function firstText(selectors) {
+                for (const selector of selectors) {
+                    const el = document.querySelector(selector);
+                    const t = el ? clean(el.textContent) : '';
+                    if (t) return t;
+                }
+                return '';
+            }
+
+            function extractDesigner() {
+                return firstText([
+                    '[data-test="pdp-designer-name"]',
+                    '[data-test="brandName"]',
+                    'h1 a[href*="/designers/"]',
+                    'a[class*="designer"]'
+                ]);
+            }
+
+            function extractBrand() {
+                const brand = ld.product && ld.product.brand;
+                if (brand) return clean(typeof brand === 'string' ? brand : brand.name);
+                return extractDesigner();
+            }
+
+            function extractName() {
+                const name = firstText([
+                    '[data-test="pdp-product-name"]',
+                    '[data-test="productName"]',
+                    'h1 [class*="product-name"]',
+                    'h1 span:last-child'
+                ]);
+                if (name) return name;
+                if (ld.product && ld.product.name) return clean(ld.product.name);
+                return productName || firstText(['h1']);
+            }
+
+            function extractPrice() {
+                const text = firstText([
+                    '[data-test="pdp-price"] [data-test="price-current"]',
+                    '[data-test="pdp-price"]',
+                    '[data-test="product-price"]',
+                    '[class*="price"] [class*="current"]'
+                ]);
+                if (text) return text;
+                if (ldOffer && ldOffer.price !== undefined && ldOffer.price !== null) {
+                    const currency = ldOffer.priceCurrency === 'GBP' ? '£' : (ldOffer.priceCurrency || '');
+                    return `${currency}${ldOffer.price}`;
+                }
+                return '';
+            }
+
+            function extractImages() {
+                const gallery = Array.from(document.querySelectorAll('[data-test="pdp-gallery"] img, [class*="gallery"] img'));
+                const urls = gallery
+                    .map(img => img.currentSrc || img.src || img.getAttribute('src') || '')
+                    .filter(src => /^https?:\/\//i.test(src));
+                if (urls.length === 0 && ld.product && ld.product.image) {
+                    [].concat(ld.product.image).forEach(img => {
+                        const src = typeof img === 'string' ? img : (img && (img.url || img.contentUrl));
+                        if (src) urls.push(src);
+                    });
+                }
+                return Array.from(new Set(urls));
+            }
+
+            function extractStockStatus() {
+                const addToBag = Array.from(document.querySelectorAll('button'))
+                    .find(btn => /add to (bag|basket)/i.test(clean(btn.textContent) || btn.getAttribute('aria-label') || ''));
+                if (addToBag && !addToBag.disabled) return 'In stock';
+                const soldOut = /sold out|out of stock|currently unavailable/i.test(firstText(['[data-test="pdp-stock-message"]', '[class*="stock"]']));
+                if (soldOut) return 'Out of stock';
+                if (ldOffer && typeof ldOffer.availability === 'string') {
+                    return /instock|limitedavailability|preorder/i.test(ldOffer.availability) ? 'In stock' : 'Out of stock';
+                }
+                return addToBag ? 'Out of stock' : '';
+            }
+
+            function extractBreadcrumbs() {
+                const anchors = Array.from(document.querySelectorAll('nav[aria-label*="readcrumb"] a, [data-test="breadcrumbs"] a, ol[class*="breadcrumb"] a'));
+                let labels = anchors.map(a => clean(a.textContent)).filter(Boolean);
+                if (labels.length === 0 && ld.breadcrumbs && Array.isArray(ld.breadcrumbs.itemListElement)) {
+                    labels = ld.breadcrumbs.itemListElement
+                        .slice()
+                        .sort((a, b) => (a.position || 0) - (b.position || 0))
+                        .map(el => clean(el.name || (el.item && el.item.name)))
+                        .filter(Boolean);
+                }
+                const seen = new Set();
+                return labels
+                    .filter(label => label.toLowerCase() !== 'home')
+                    .filter(label => { if (seen.has(label)) return false; seen.add(label); return true; });
+            }
+
+            function sectionText(headingRx) {
+                const headings = Array.from(document.querySelectorAll('button, summary, h2, h3, [role="tab"], [data-test*="accordion"]'));
+                const heading = headings.find(el => headingRx.test(clean(el.textContent)));
+                if (!heading) return '';
+                const controlsId = heading.getAttribute('aria-controls');
+                const region = (controlsId && document.getElementById(controlsId)) || heading.nextElementSibling;
+                if (!region) return '';
+                const items = Array.from(region.querySelectorAll('li')).map(li => clean(li.textContent)).filter(Boolean);
+                if (items.length > 0) return Array.from(new Set(items)).join('\n');
+                const blocks = Array.from(region.querySelectorAll('p')).map(p => clean(p.textContent)).filter(Boolean);
+                if (blocks.length > 0) return Array.from(new Set(blocks)).join('\n');
+                return clean(region.textContent);
+            }
+
+            function extractDescription() {
+                const text = firstText(['[data-test="pdp-description"]', '[data-test="product-description"]']);
+                if (text) return text;
+                const section = sectionText(/^(description|editor'?s notes)$/i);
+                if (section) return section;
+                return ld.product && ld.product.description ? clean(ld.product.description) : '';
+            }
+
+            function extractSizeOptions() {
+                const select = document.querySelector('select[name*="size" i], [data-test="size-selector"] select');
+                if (select) {
+                    return Array.from(select.querySelectorAll('option'))
+                        .filter(o => o.value && !/select/i.test(o.textContent || ''))
+                        .map(o => clean(o.textContent));
+                }
+                const buttons = Array.from(document.querySelectorAll('[data-test="size-selector"] button, [data-test="size-selector"] [role="radio"], [aria-label*="size" i][role="radiogroup"] [role="radio"]'));
+                return Array.from(new Set(buttons.map(b => clean(b.getAttribute('aria-label') || b.textContent)).filter(Boolean)));
+            }
+
+            function extractColour() {
+                const text = firstText(['[data-test="selected-colour"]', '[data-test="colour-name"]', '[class*="colour"] [class*="selected"]']);
+                if (text) return text.replace(/^colou?r:\s*/i, '');
+                return ld.product && ld.product.color ? clean(ld.product.color) : '';
+            }
+
+            const name = wants('name') ? extractName() : '';
+            const images = (wants('images') || wants('main_image')) ? extractImages() : [];
+            const mainImage = wants('main_image') ? (images[0] || null) : null;
+            const price = wants('price') ? extractPrice() : '';
+            const stockStatus = wants('stock_status') ? extractStockStatus() : '';
+            const breadcrumbs = wants('breadcrumbs') ? extractBreadcrumbs() : [];
+            const description = wants('description') ? extractDescription() : '';
+
+            const customFields = {};
+            if (wants('designer')) customFields.designer = extractDesigner();
+            if (wants('brand')) customFields.brand = extractBrand();
+            if (wants('product_details')) customFields.product_details = sectionText(/^(product )?details$/i);
+            if (wants('size_and_fit')) customFields.size_and_fit = sectionText(/^size (&|and) fit$/i);
+            if (wants('colour')) customFields.colour = extractColour();
+            if (wants('size_options')) customFields.size_options = extractSizeOptions();
+
+            return {
+                ...(name ? { name } : {}),
+                ...((allowedFields && !allowedFields.has('main_image') && !allowedFields.has('images')) ? {} : { main_image: mainImage, images }),
+                ...customFields,
+                ...(description ? { description } : {}),
+                ...(stockStatus ? { stock_status: stockStatus } : {}),
+                ...(price ? { price } : {}),
+                ...(breadcrumbs.length > 0 ? { breadcrumbs } : {}),
+                metadata: {
+                    extraction_method: 'direct_selectors_with_json_ld_fallback',
+                    json_ld_product_found: !!ld.product,
+                    images_found: images.length,
+                    custom_fields_found: Object.keys(customFields).filter(key => customFields[key] !== undefined && customFields[key] !== null && customFields[key] !== '').length,
+                    product_name_provided: !!productName
+                }
+            };
+        }, { productName, allowedFieldsArray: allowedFields ? Array.from(allowedFields) : null });
+
+        return extractedData;
+
+    } catch (error) {
+        console.error('[HARRODS] Extraction error:', error.message);
+        return null; // Return null so LLM handles everything
+    }
+}
+
+module.exports = {
+    vendor: 'harrods',
+    hostnames: ['harrods.com'],
+    experimental: true,
+    currency: 'GBP',
+    extract: extractHarrodsProduct,
+    extractHarrodsProduct,
+    customFields: HARRODS_CUSTOM_FIELDS,
+    /**
+     * Vendor-level output transformation for Harrods
+     * - Assemble `description` from the editorial description, product details and size & fit sections
+     * - Fill `brand` from `designer` when only one is present
+     * - Remove section source fields from final payload
+     */
+    transformOutput(product) {
+        try {
+            if (!product || typeof product !== 'object') return product;
+            const next = { ...product };
+            const desc = (next.description || '').toString();
+            const details = (next.product_details || '').toString();
+            const sizeAndFit = (next.size_and_fit || '').toString();
+
+            const makeSection = (title, content) => {
+                if (!content || !content.trim()) return null;
+                return `${title}\n${content.trim()}`;
+            };
+
+            const sections = [
+                makeSection('Description', desc),
+                makeSection('Product Details', details),
+                makeSection('Size & Fit', sizeAndFit)
+            ].filter(Boolean);
+
+            if (sections.length > 0) {
+                next.description = sections.join('\n\n');
+            }
+            if (!next.brand && next.designer) next.brand = next.designer;
+            if (!next.designer && next.brand) next.designer = next.brand;
+
+            delete next.product_details;
+            delete next.size_and_fit;
+            return next;
+        } catch {
+            return product;
+        }
+    }
+};
@@ -1,7 +1,8 @@
 'use strict';
 
 const { z } = require('zod');
-const { cleanText } = require('../utils/mark_up_price');
+const { cleanText } = require('../../tools/utils/mark_up_price');
+const { applyGtin } = require('../../tools/utils/gtin');
 
 /**
  * Superdrug-specific product extraction strategy
@@ -15,6 +16,17 @@ const SUPERDRUG_CUSTOM_FIELDS = {
     product_specification: z.string().describe('Text content from the "Product Specification" section. Combine key-value lines as newline-separated plain text. Return empty string if the section is not present.'),
     warnings_or_restrictions: z.string().describe('Text content from the "Warning or Restrictions" section. Preserve bullet points as newline-separated plain text. Return empty string if the section is not present.'),
     tips_and_advice: z.string().describe('Text content from the "Tips and Advice" section. Preserve bullet points as newline-separated plain text. Return empty string if the section is not present.'),
+    // Filled by tools/strategies/reviews.js from the review widget, not by the LLM
+    rating: z.number().describe('Average customer rating out of 5'),
+    review_count: z.number().describe('Number of customer reviews'),
+    rating_distribution: z.record(z.string(), z.number()).describe('Number of reviews per star rating, keyed "1" to "5"'),
+    reviews: z.array(z.object({
+        author: z.string().nullable(),
+        date: z.string().nullable(),
+        rating: z.number().nullable(),
+        title: z.string().nullable(),
+        text: z.string()
+    })).describe('Most recent customer reviews'),
 };
 
 
@@ -374,6 +386,44 @@ async function extractSuperdrugProduct(page, urlObj, productName = null, options
                 return '';
             }
 
+            // Struck-through "was" price / RRP next to the current price
+            function extractWasPrice() {
+                try {
+                    const candidates = ['.price__was-value', '.price__old-value', '.price__rrp-value', '.price s', '.price del'];
+                    for (const selector of candidates) {
+                        const el = document.querySelector(selector);
+                        const text = el ? (el.textContent || '').replace(/\s+/g, ' ').trim() : '';
+                        if (text && /\d/.test(text)) return text;
+                    }
+                    const container = document.querySelector('.price');
+                    const text = container ? (container.textContent || '').replace(/\s+/g, ' ') : '';
+                    const match = text.match(/\b(?:was|rrp)\b:?\s*(£\s?\d+(?:\.\d{2})?)/i);
+                    if (match) return match[1];
+                } catch {}
+                return '';
+            }
+
+            function extractDiscountPercent() {
+                try {
+                    const el = document.querySelector('.price__saving, .price__discount, .product-discount-label');
+                    const text = el ? (el.textContent || '').replace(/\s+/g, ' ').trim() : '';
+                    if (/\d\s*%/.test(text)) return text;
+                } catch {}
+                return '';
+            }
+
+            // Multi-buy / offer banners ("3 for 2", "Buy one get one half price", "Save £5")
+            function extractPromotion() {
+                try {
+                    const nodes = document.querySelectorAll('e2-product-promotions .promotion__title, .product-promotion__title, .promotion-banner__text, .product-details-promotions a');
+                    const texts = Array.from(nodes)
+                        .map(el => (el.textContent || '').replace(/\s+/g, ' ').trim())
+                        .filter(Boolean);
+                    return Array.from(new Set(texts)).join(' | ');
+                } catch {}
+                return '';
+            }
+
             function extractCustomFields(urlObj, allowedFields) {
                 const out = {};
                 if (!allowedFields || allowedFields.has('marketplace')) {
@@ -429,6 +479,9 @@ async function extractSuperdrugProduct(page, urlObj, productName = null, options
             const description = (!allowedFields || allowedFields.has('description')) ? extractDescription() : '';
             const stockStatus = (!allowedFields || allowedFields.has('stock_status')) ? extractStockStatus() : '';
             const price = (!allowedFields || allowedFields.has('price')) ? extractPrice() : '';
+            const wasPrice = (!allowedFields || allowedFields.has('was_price')) ? extractWasPrice() : '';
+            const discountPercent = (!allowedFields || allowedFields.has('discount_percent')) ? extractDiscountPercent() : '';
+            const promotion = (!allowedFields || allowedFields.has('promotion')) ? extractPromotion() : '';
             const customFields = extractCustomFields(urlObj, allowedFields);
             const result = {
                 ...(name && name.trim() ? { name } : {}),
@@ -437,6 +490,9 @@ async function extractSuperdrugProduct(page, urlObj, productName = null, options
                 ...(description && description.trim() ? { description } : {}),
                 ...(stockStatus && stockStatus.trim() ? { stock_status: stockStatus } : {}),
                 ...(price && price.trim() ? { price } : {}),
+                ...(wasPrice ? { was_price: wasPrice } : {}),
+                ...(discountPercent ? { discount_percent: discountPercent } : {}),
+                ...(promotion ? { promotion } : {}),
                 ...(breadcrumbs && breadcrumbs.length > 0 ? { breadcrumbs } : {}),
                 metadata: {
                     extraction_method: 'direct_selectors_with_custom_fields_and_alt_matching',
@@ -444,6 +500,8 @@ async function extractSuperdrugProduct(page, urlObj, productName = null, options
                         name: 'h1.product-details-title__text | container heading fallback | passed_from_generic_js',
                         images: 'e2core-media[format="zoom"] img + alt attribute matching',
                         price: '.price__default-value',
+                        was_price: '.price__was-value | .price__old-value | .price__rrp-value | "Was/RRP" text in .price',
+                        promotion: 'product promotion titles/banners',
                         stock_status: 'progress-button Add to Basket presence',
                         description: 'Product Information accordion/title',
                         custom_fields: 'sku_based_and_dom_selectors + product-general-information sections'
@@ -469,30 +527,54 @@ async function extractSuperdrugProduct(page, urlObj, productName = null, options
     }
 }
 
+// Superdrug sits behind Akamai; a denied request renders a bare "Access Denied" page with a reference id
+async function isSuperdrugBlocked(page) {
+    try {
+        const info = await page.evaluate(() => ({
+            title: document.title || '',
+            text: (document.body?.innerText || '').slice(0, 2000)
+        }));
+        return /access denied/i.test(info.title) || (/access denied/i.test(info.text) && /reference\s*#/i.test(info.text));
+    } catch {
+        return false;
+    }
+}
+
 module.exports = {
+    vendor: 'superdrug',
+    hostnames: ['superdrug.com'],
+    // Used when displayed price text carries no currency marker
+    currency: 'GBP',
+    extract: extractSuperdrugProduct,
     extractSuperdrugProduct,
+    isBlocked: isSuperdrugBlocked,
     customFields: SUPERDRUG_CUSTOM_FIELDS,
+    // Marketplace (mp- SKU) pages use a different layout from first-party products; learned selectors are kept apart
+    pageTemplates: [
+        { name: 'marketplace', url: /\/p\/mp-/i, dom: 'input#marketplaceProduct[value="true"]' }
+    ],
     /**
      * Vendor-level output transformation for Superdrug
      * - Merge `features` and `product_specification` into `description`
+     * - Validate the EAN from the specification into `gtin` (GTIN-14) and `ean_code`
      * - Remove source fields from final payload
      */
     transformOutput(product) {
         try {
             if (!product || typeof product !== 'object') return product;
-            const next = { ...product };
+            // Barcode from structured data or the "EAN:" line of the product specification, checksum-validated
+            const next = applyGtin({ ...product }, { texts: [(product.product_specification || '').toString()] });
             const desc = (next.description || '').toString();
             const features = (next.features || '').toString();
             const spec = (next.product_specification || '').toString();
             const warnings = (next.warnings_or_restrictions || '').toString();
             const tips = (next.tips_and_advice || '').toString();
 
-            // Extract EAN code from product specification if available
-            if (spec && spec.trim()) {
-                const eanMatch = spec.match(/EAN:\s*(\d+)/i);
-                if (eanMatch && eanMatch[1]) {
-                    next.ean_code = eanMatch[1];
-                }
+            if (next.gtin) {
+                // Keep the legacy 13-digit field for catalogue imports
+                next.ean_code = next.gtin.replace(/^0(?=\d{13}$)/, '');
+            } else {
+                delete next.ean_code;
             }
 
             const makeSection = (title, content) => {
@@ -515,9 +597,6 @@ module.exports = {
             if (sections.length > 0) {
                 next.description = sections.join('\n\n');
             }
-            if (Array.isArray(next.breadcrumbs) && next.breadcrumbs.length > 0) {
-                next.category = next.breadcrumbs[next.breadcrumbs.length - 1].toLowerCase();
-            }
 
             delete next.features;
             delete next.product_specification;